@@ -5,2105 +5,7976 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { execSync } from 'child_process';
+import { AsyncLocalStorage } from 'async_hooks';
+import { execFile } from 'child_process';
+import { randomUUID } from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const packageInfo = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+
+// Script timeouts in ms. Exports and packaging routinely outlast the default.
+const DEFAULT_TOOL_TIMEOUTS = {
+  default: 30000,
+  export_pdf: 300000,
+  export_images: 300000,
+  export_epub: 300000,
+  package_document: 600000,
+  data_merge: 600000,
+  preflight_document: 120000,
+  batch_operations: 300000,
+  render_page_preview: 120000,
+  autoflow_story: 120000,
+  audit_colors: 120000,
+  export_tables: 120000,
+};
+
+// =================== EXTENDSCRIPT PRELUDE ===================
+// Helpers prepended to every generated script. ExtendScript has no JSON object,
+// so results are serialized by hand; non-ASCII characters are \u-escaped so the
+// output survives the AppleScript round trip regardless of encoding.
+const EXTENDSCRIPT_PRELUDE = String.raw`
+  function quoteJSON(str) {
+    var out = '"';
+    for (var i = 0; i < str.length; i++) {
+      var ch = str.charAt(i);
+      var code = str.charCodeAt(i);
+      if (ch === '"' || ch === '\\') {
+        out += '\\' + ch;
+      } else if (code < 0x20 || code > 0x7e) {
+        var hex = code.toString(16);
+        out += '\\u' + '0000'.substring(hex.length) + hex;
+      } else {
+        out += ch;
+      }
+    }
+    return out + '"';
+  }
+
+  function toJSON(value) {
+    if (value === null || value === undefined) return 'null';
+    var type = typeof value;
+    if (type === 'number') return isFinite(value) ? String(value) : 'null';
+    if (type === 'boolean') return value ? 'true' : 'false';
+    if (type === 'string') return quoteJSON(value);
+    if (type === 'function') return 'null';
+    if (value instanceof Array) {
+      var items = [];
+      for (var i = 0; i < value.length; i++) {
+        items.push(toJSON(value[i]));
+      }
+      return '[' + items.join(',') + ']';
+    }
+    // Enumerations, DOM objects and dates serialize as their string form
+    if (value.constructor !== Object) return quoteJSON(String(value));
+    var members = [];
+    for (var key in value) {
+      if (value.hasOwnProperty(key) && value[key] !== undefined) {
+        members.push(quoteJSON(key) + ':' + toJSON(value[key]));
+      }
+    }
+    return '{' + members.join(',') + '}';
+  }
+
+  // Looks up an enumeration member by name without evaluating the argument
+  function enumValue(enumeration, name, argumentName) {
+    if (typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name) || enumeration[name] === undefined) {
+      throw new Error('Invalid value for ' + argumentName + ': ' + name);
+    }
+    return enumeration[name];
+  }
+
+  // geometricBounds ([top, left, bottom, right]) for a box given in points
+  function boxBounds(x, y, width, height) {
+    return [y, x, y + height, x + width];
+  }
+
+  // Page items are addressed by their InDesign id, which stays stable for the
+  // lifetime of the document, or by script label
+  function findPageItem(doc, itemId, label) {
+    var items = doc.allPageItems;
+    for (var i = 0; i < items.length; i++) {
+      if (itemId !== undefined ? items[i].id === itemId : items[i].label === label) {
+        return items[i];
+      }
+    }
+    throw new Error(itemId !== undefined ? 'No page item with id ' + itemId : 'No page item labelled "' + label + '"');
+  }
+
+  function hasItemTarget(params) {
+    return params.itemId !== undefined || params.label !== undefined;
+  }
+
+  function requireItemType(item, type) {
+    if (item.reflect.name !== type) {
+      throw new Error('Item ' + item.id + ' is a ' + item.reflect.name + ', not a ' + type);
+    }
+    return item;
+  }
+
+  // A table id, or the id/label of the text frame whose first table is meant
+  function findTable(doc, itemId, label) {
+    if (itemId !== undefined) {
+      for (var s = 0; s < doc.stories.length; s++) {
+        var tables = doc.stories[s].tables;
+        for (var t = 0; t < tables.length; t++) {
+          if (tables[t].id === itemId) {
+            return tables[t];
+          }
+        }
+      }
+    }
+    var frame = requireItemType(findPageItem(doc, itemId, label), 'TextFrame');
+    if (frame.tables.length === 0) {
+      throw new Error('Text frame ' + frame.id + ' contains no table');
+    }
+    return frame.tables[0];
+  }
+
+  // Writes rows of values from the given table row on. Cells are found by name
+  // ("column:row"), so a merged cell gets the value of its top-left position and
+  // values for the positions it covers are counted as "covered" instead.
+  function fillTable(table, rows, firstRow) {
+    var written = 0;
+    var covered = 0;
+    for (var r = 0; r < rows.length; r++) {
+      for (var c = 0; c < rows[r].length; c++) {
+        var value = rows[r][c] === null || rows[r][c] === undefined ? '' : String(rows[r][c]);
+        var cell = table.cells.itemByName(c + ':' + (firstRow + r));
+        if (!cell.isValid) {
+          if (value !== '') covered++;
+          continue;
+        }
+        cell.contents = value;
+        written++;
+      }
+    }
+    return { written: written, covered: covered };
+  }
+
+  // A table as JSON: the type of each row and the cells that start in it, with
+  // their text, spans and cell style. Positions covered by a merged cell are left out.
+  function describeTable(table) {
+    var container = table.parent;
+    var inFrame = container.reflect.name === 'TextFrame';
+    var page = inFrame ? container.parentPage : null;
+
+    var rows = [];
+    for (var r = 0; r < table.rowCount; r++) {
+      var type = r < table.headerRowCount ? 'header' : r >= table.rowCount - table.footerRowCount ? 'footer' : 'body';
+      rows.push({ type: type, cells: [] });
+    }
+    var cells = table.cells.everyItem().getElements();
+    for (var i = 0; i < cells.length; i++) {
+      var position = cells[i].name.split(':');
+      rows[Number(position[1])].cells.push({
+        column: Number(position[0]),
+        text: String(cells[i].contents).replace(/\r/g, '\n'),
+        rowSpan: cells[i].rowSpan,
+        columnSpan: cells[i].columnSpan,
+        cellStyle: stylePath(cells[i].appliedCellStyle)
+      });
+    }
+
+    return {
+      id: table.id,
+      frameId: inFrame ? container.id : null,
+      storyId: inFrame ? container.parentStory.id : null,
+      pageIndex: page && page.parent.reflect.name === 'Spread' ? page.documentOffset : null,
+      rowCount: table.rowCount,
+      columnCount: table.columnCount,
+      headerRows: table.headerRowCount,
+      footerRows: table.footerRowCount,
+      tableStyle: stylePath(table.appliedTableStyle),
+      rows: rows
+    };
+  }
+
+  function requireLayer(doc, name) {
+    var layer = doc.layers.itemByName(name);
+    if (!layer.isValid) {
+      throw new Error('Layer not found: ' + name);
+    }
+    return layer;
+  }
+
+  // index 0 is the top layer
+  function describeLayer(doc, layer) {
+    return {
+      id: layer.id,
+      name: layer.name,
+      index: layer.index,
+      visible: layer.visible,
+      locked: layer.locked,
+      printable: layer.printable,
+      layerColor: layer.layerColor instanceof Array ? layer.layerColor : String(layer.layerColor),
+      itemCount: layer.pageItems.length,
+      active: layer.id === doc.activeLayer.id
+    };
+  }
+
+  // Moves top-level page items to a layer. Locked items and layers are unlocked
+  // for the move and locked again afterwards.
+  function moveToLayer(items, layer) {
+    var relock = [];
+    function unlock(target) {
+      if (target.locked) {
+        target.locked = false;
+        relock.push(target);
+      }
+    }
+    unlock(layer);
+    for (var i = 0; i < items.length; i++) {
+      unlock(items[i].itemLayer);
+      var locked = items[i].locked;
+      if (locked) items[i].locked = false;
+      items[i].itemLayer = layer;
+      if (locked) items[i].locked = true;
+    }
+    for (var r = 0; r < relock.length; r++) {
+      if (relock[r].isValid) relock[r].locked = true;
+    }
+    return items.length;
+  }
+
+  function describePageItem(item) {
+    var type = item.reflect.name;
+    var page = item.parentPage;
+    var info = {
+      id: item.id,
+      type: type,
+      name: item.name,
+      label: item.label,
+      pageIndex: page && page.parent.reflect.name === 'Spread' ? page.documentOffset : null,
+      pageName: page ? page.name : null,
+      layer: item.itemLayer.name,
+      bounds: item.geometricBounds,
+      locked: item.locked,
+      visible: item.visible
+    };
+
+    var parentType = item.parent.reflect.name;
+    if (parentType !== 'Spread' && parentType !== 'MasterSpread') {
+      info.parentId = item.parent.id;
+    }
+
+    if (type === 'TextFrame') {
+      var text = String(item.contents);
+      info.preview = text.length > 80 ? text.substring(0, 80) + '...' : text;
+      info.storyId = item.parentStory.id;
+      info.overflows = item.overflows;
+      info.tables = [];
+      for (var t = 0; t < item.tables.length; t++) {
+        info.tables.push({ id: item.tables[t].id, rows: item.tables[t].rowCount, columns: item.tables[t].columnCount });
+      }
+    } else {
+      try {
+        if (item.graphics.length > 0) {
+          var graphic = item.graphics[0];
+          info.preview = graphic.itemLink ? graphic.itemLink.name : graphic.reflect.name;
+        }
+      } catch (e) {}
+    }
+
+    return info;
+  }
+
+  function describeDocument(doc) {
+    return {
+      id: doc.id,
+      name: doc.name,
+      filePath: doc.saved ? doc.fullName.fsName : null,
+      modified: doc.modified,
+      pageCount: doc.pages.length,
+      active: doc.id === app.activeDocument.id,
+      windowCount: doc.layoutWindows.length
+    };
+  }
+
+  // Resolves a tool's "document" argument (name, full path or id); without
+  // one, tools act on the active document
+  function requireDocument(target) {
+    if (app.documents.length === 0) {
+      throw new Error('No document open');
+    }
+    if (target === undefined || target === null || target === '') {
+      return app.activeDocument;
+    }
+
+    var names = [];
+    for (var i = 0; i < app.documents.length; i++) {
+      var doc = app.documents[i];
+      if (String(doc.id) === String(target) || doc.name === target ||
+          (doc.saved && (doc.fullName.fsName === target || doc.fullName.fullName === target))) {
+        return doc;
+      }
+      names.push(doc.name + ' (id ' + doc.id + ')');
+    }
+    throw new Error('Document not found: ' + target + '. Open documents: ' + names.join(', '));
+  }
+
+  // The document a tool's undo step landed in, reported back for the server's history
+  function undoTarget(target) {
+    try {
+      var doc = requireDocument(target);
+      return {
+        documentId: doc.id,
+        documentName: doc.name,
+        filePath: doc.saved ? doc.fullName.fsName : null,
+        undoName: doc.undoName,
+        undoCount: doc.undoHistory.length
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Whether the undo stack gained a step named undoName since the "before" snapshot
+  // (null when the document wasn't open yet). A call that changed nothing adds no
+  // step, even when an earlier call left one of the same name on top.
+  function undoStepAdded(before, after, undoName) {
+    return after !== null && after.undoName === undoName && (before === null ||
+      before.documentId !== after.documentId || before.undoName !== after.undoName || before.undoCount !== after.undoCount);
+  }
+
+  function documentWindow(doc) {
+    if (doc.layoutWindows.length === 0) {
+      throw new Error('Document ' + doc.name + ' has no open layout window');
+    }
+    return doc.layoutWindows[0];
+  }
+
+  function requirePage(doc, pageIndex) {
+    if (pageIndex < 0 || pageIndex >= doc.pages.length) {
+      throw new Error('Invalid page index: ' + pageIndex + '. Document has ' + doc.pages.length + ' pages.');
+    }
+    return doc.pages[pageIndex];
+  }
+
+  // A story by "storyId", or the story of the text frame given by "itemId"/"label"
+  function requireStory(doc, params) {
+    if (params.storyId !== undefined) {
+      var story = doc.stories.itemByID(params.storyId);
+      if (!story.isValid) {
+        throw new Error('Story not found: ' + params.storyId);
+      }
+      return story;
+    }
+    if (hasItemTarget(params)) {
+      return requireItemType(findPageItem(doc, params.itemId, params.label), 'TextFrame').parentStory;
+    }
+    throw new Error('Specify the story by storyId, itemId or label');
+  }
+
+  // Number of characters of a story that don't fit in its frames
+  function oversetLength(story) {
+    if (!story.overflows) {
+      return 0;
+    }
+    var containers = story.textContainers;
+    for (var i = containers.length - 1; i >= 0; i--) {
+      var shown = containers[i].characters;
+      if (shown.length > 0) {
+        return story.characters.length - (shown[-1].index + 1);
+      }
+    }
+    return story.characters.length;
+  }
+
+  // The area inside a page's margins as geometric bounds. With facing pages the
+  // "left" margin is the inside one, which is on the right of a left-hand page.
+  function marginBounds(page) {
+    var bounds = page.bounds;
+    var margins = page.marginPreferences;
+    var leftHand = page.side === PageSideOptions.LEFT_HAND;
+    return [
+      bounds[0] + margins.top,
+      bounds[1] + (leftHand ? margins.right : margins.left),
+      bounds[2] - margins.bottom,
+      bounds[3] - (leftHand ? margins.left : margins.right)
+    ];
+  }
+
+  // A parent spread by full name ("A-Parent") or prefix ("A")
+  function requireParentSpread(doc, name) {
+    var names = [];
+    for (var i = 0; i < doc.masterSpreads.length; i++) {
+      var spread = doc.masterSpreads[i];
+      if (spread.name === name || spread.namePrefix === name) {
+        return spread;
+      }
+      names.push(spread.name);
+    }
+    throw new Error('Parent spread not found: ' + name + '. Parents: ' + (names.join(', ') || 'none'));
+  }
+
+  // Collections per style type; groups nest, the "all" collections include grouped
+  // styles. "basic" is the position of [Basic Paragraph], [None] etc., whose names are localized.
+  var STYLE_TYPES = {
+    paragraph: { styles: 'paragraphStyles', groups: 'paragraphStyleGroups', all: 'allParagraphStyles', basic: 1, label: 'Paragraph style' },
+    character: { styles: 'characterStyles', groups: 'characterStyleGroups', all: 'allCharacterStyles', basic: 0, label: 'Character style' },
+    object: { styles: 'objectStyles', groups: 'objectStyleGroups', all: 'allObjectStyles', basic: 0, label: 'Object style' },
+    table: { styles: 'tableStyles', groups: 'tableStyleGroups', all: 'allTableStyles', basic: 1, label: 'Table style' },
+    cell: { styles: 'cellStyles', groups: 'cellStyleGroups', all: 'allCellStyles', basic: 0, label: 'Cell style' }
+  };
+
+  function styleType(type) {
+    if (!STYLE_TYPES.hasOwnProperty(type)) {
+      throw new Error('Invalid style type: ' + type);
+    }
+    return STYLE_TYPES[type];
+  }
+
+  // "Group/Subgroup/Name" for a style inside style groups, else its name
+  function stylePath(style) {
+    var path = style.name;
+    for (var parent = style.parent; parent && /StyleGroup$/.test(parent.reflect.name); parent = parent.parent) {
+      path = parent.name + '/' + path;
+    }
+    return path;
+  }
+
+  // A style by its path, or by name when only one style has that name; null when there is none
+  function lookupStyle(doc, type, name) {
+    var all = doc[styleType(type).all];
+    var matches = [];
+    for (var i = 0; i < all.length; i++) {
+      if (stylePath(all[i]) === name) {
+        return all[i];
+      }
+      if (all[i].name === name) {
+        matches.push(all[i]);
+      }
+    }
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    if (matches.length > 1) {
+      var paths = [];
+      for (var m = 0; m < matches.length; m++) {
+        paths.push(stylePath(matches[m]));
+      }
+      throw new Error(styleType(type).label + ' name "' + name + '" is ambiguous, use one of: ' + paths.join(', '));
+    }
+    return null;
+  }
+
+  function findStyle(doc, type, name) {
+    var style = lookupStyle(doc, type, name);
+    if (!style) {
+      throw new Error(styleType(type).label + ' not found: ' + name);
+    }
+    return style;
+  }
+
+  // The style group at "Group/Subgroup", or the document itself for an empty path
+  function styleGroup(doc, type, path, create) {
+    var container = doc;
+    var names = path ? path.split('/') : [];
+    for (var i = 0; i < names.length; i++) {
+      var groups = container[styleType(type).groups];
+      var group = groups.itemByName(names[i]);
+      if (!group.isValid) {
+        if (!create) {
+          throw new Error(styleType(type).label + ' group not found: ' + names.slice(0, i + 1).join('/'));
+        }
+        group = groups.add({ name: names[i] });
+      }
+      container = group;
+    }
+    return container;
+  }
+
+  // Style attributes that name another style, and the type of that style
+  var STYLE_REFERENCES = {
+    nextStyle: 'paragraph',
+    appliedParagraphStyle: 'paragraph',
+    appliedCharacterStyle: 'character',
+    headerRegionCellStyle: 'cell',
+    bodyRegionCellStyle: 'cell',
+    footerRegionCellStyle: 'cell',
+    leftColumnRegionCellStyle: 'cell',
+    rightColumnRegionCellStyle: 'cell'
+  };
+
+  // Sets attributes from plain values: style and swatch names are looked up and
+  // "Enumeration.MEMBER" strings become enumeration values
+  function setStyleProperties(doc, type, style, properties) {
+    for (var key in properties) {
+      if (!properties.hasOwnProperty(key)) continue;
+      var value = properties[key];
+      try {
+        if (typeof value === 'string') {
+          if (key === 'basedOn') {
+            value = findStyle(doc, type, value);
+          } else if (STYLE_REFERENCES.hasOwnProperty(key)) {
+            value = findStyle(doc, STYLE_REFERENCES[key], value);
+          } else if (/Color$/.test(key)) {
+            value = requireSwatch(doc, value);
+          } else if (/^[A-Z][A-Za-z]+\.[A-Z][A-Z0-9_]*$/.test(value)) {
+            var parts = value.split('.');
+            value = enumValue($.global[parts[0]] || {}, parts[1], key);
+          }
+        }
+        style[key] = value;
+      } catch (e) {
+        throw new Error('Cannot set ' + key + ' of ' + style.name + ': ' + e.message);
+      }
+    }
+  }
+
+  // DOM values as JSON: objects by name, enumerations by member name
+  function plainValue(value) {
+    if (value === null || value === undefined || typeof value === 'function') return null;
+    if (typeof value !== 'object') return value;
+    if (value instanceof Array) {
+      var items = [];
+      for (var i = 0; i < value.length; i++) {
+        items.push(plainValue(value[i]));
+      }
+      return items;
+    }
+    try {
+      if (value.name !== undefined) return value.name;
+    } catch (e) {}
+    return String(value);
+  }
+
+  // A style attribute as a design token value: fonts by family, styles by path, unset as null
+  function tokenValue(style, key) {
+    var value = style[key];
+    if (value === NothingEnum.NOTHING || value === undefined) return null;
+    if (key === 'appliedFont') return typeof value === 'string' ? value : value.fontFamily;
+    if (value && typeof value === 'object' && value.reflect && /Style$/.test(value.reflect.name)) return stylePath(value);
+    return plainValue(value);
+  }
+
+  // "#RRGGBB" or "#RGB" as [R, G, B]; null for anything else
+  function hexColor(value) {
+    var match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (!match) return null;
+    var hex = match[1].length === 3 ? match[1].replace(/(.)/g, '$1$1') : match[1];
+    return [parseInt(hex.substring(0, 2), 16), parseInt(hex.substring(2, 4), 16), parseInt(hex.substring(4, 6), 16)];
+  }
+
+  // A swatch by name, or a "#RRGGBB" color as the RGB swatch InDesign would name
+  // "R=255 G=0 B=0", added on first use
+  function requireSwatch(doc, value) {
+    var rgb = hexColor(value);
+    if (rgb) {
+      var name = 'R=' + rgb[0] + ' G=' + rgb[1] + ' B=' + rgb[2];
+      var color = doc.colors.itemByName(name);
+      if (!color.isValid) {
+        color = doc.colors.add();
+        color.name = name;
+        defineColor(color, false, 'RGB', rgb);
+      }
+      return color;
+    }
+    var swatch = doc.swatches.itemByName(value);
+    if (!swatch.isValid) throw new Error('Swatch not found: ' + value);
+    return swatch;
+  }
+
+  // Space before values, as InDesign checks the values against the current space
+  function defineColor(color, spot, space, values) {
+    color.model = spot ? ColorModel.SPOT : ColorModel.PROCESS;
+    color.space = ColorSpace[space];
+    color.colorValue = values;
+  }
+
+  // Adds a swatch to a color group, creating the group on first use
+  function addToColorGroup(doc, name, swatch) {
+    var group = doc.colorGroups.itemByName(name);
+    if (!group.isValid) group = doc.colorGroups.add(name);
+    for (var i = 0; i < group.colorGroupSwatches.length; i++) {
+      if (group.colorGroupSwatches[i].swatchItemRef.id === swatch.id) return group;
+    }
+    group.colorGroupSwatches.add(swatch);
+    return group;
+  }
+
+  // Swatch id -> color group name, for swatches in a group. Documents from before
+  // InDesign CC 2015 have no color groups.
+  function colorGroupNames(doc) {
+    var names = {};
+    if (!doc.colorGroups) return names;
+    for (var g = 0; g < doc.colorGroups.length; g++) {
+      var group = doc.colorGroups[g];
+      if (/^\[/.test(group.name)) continue;
+      for (var i = 0; i < group.colorGroupSwatches.length; i++) {
+        names[group.colorGroupSwatches[i].swatchItemRef.id] = group.name;
+      }
+    }
+    return names;
+  }
+
+  // Calls visit(owner, property, usage) for the fill and stroke of every page item,
+  // table cell and run of text, where owner[property] is the applied swatch and
+  // usage says where it is: { pageIndex, pageName, itemId, property }
+  function eachColorUsage(doc, visit) {
+    function place(item, property) {
+      var page = item.parentPage;
+      return {
+        pageIndex: page && page.parent.reflect.name === 'Spread' ? page.documentOffset : null,
+        pageName: page ? page.name : null,
+        itemId: item.id,
+        property: property
+      };
+    }
+    function visitText(text, frame, storyId) {
+      var ranges = text.textStyleRanges.everyItem().getElements();
+      for (var r = 0; r < ranges.length; r++) {
+        // Overset text has no frame
+        var frames = ranges[r].parentTextFrames;
+        var where = frames.length > 0 ? frames[0] : frame;
+        var usage = where ? place(where, 'text') : { pageIndex: null, pageName: null, itemId: null, storyId: storyId, property: 'text' };
+        visit(ranges[r], 'fillColor', usage);
+        if (ranges[r].strokeWeight > 0) {
+          var strokeUsage = where ? place(where, 'textStroke') : { pageIndex: null, pageName: null, itemId: null, storyId: storyId, property: 'textStroke' };
+          visit(ranges[r], 'strokeColor', strokeUsage);
+        }
+      }
+    }
+
+    var items = doc.allPageItems;
+    for (var i = 0; i < items.length; i++) {
+      // Groups have no fill or stroke of their own
+      if (items[i].reflect.name === 'Group') continue;
+      visit(items[i], 'fillColor', place(items[i], 'fill'));
+      if (items[i].strokeWeight > 0) visit(items[i], 'strokeColor', place(items[i], 'stroke'));
+    }
+
+    for (var s = 0; s < doc.stories.length; s++) {
+      var story = doc.stories[s];
+      visitText(story, null, story.id);
+      for (var t = 0; t < story.tables.length; t++) {
+        var frame = story.tables[t].parent;
+        var cells = story.tables[t].cells.everyItem().getElements();
+        for (var c = 0; c < cells.length; c++) {
+          visit(cells[c], 'fillColor', place(frame, 'cell'));
+          visitText(cells[c].texts[0], frame, story.id);
+        }
+      }
+    }
+  }
+
+  var PREFLIGHT_FLAGS = {
+    error: 'RETURN_AS_ERROR',
+    warning: 'RETURN_AS_WARNING',
+    info: 'RETURN_AS_INFORMATIONAL',
+    disabled: 'RULE_IS_DISABLED'
+  };
+
+  // Creates (or re-creates) an application preflight profile from a definition:
+  // { name, description, rules: [{ id, flag: error|warning|info|disabled, data: { name: value } }] }
+  function definePreflightProfile(definition) {
+    var existing = app.preflightProfiles.itemByName(definition.name);
+    if (existing.isValid) {
+      existing.remove();
+    }
+
+    var profile = app.preflightProfiles.add({ name: definition.name });
+    if (definition.description) profile.description = definition.description;
+
+    var rules = definition.rules || [];
+    for (var i = 0; i < rules.length; i++) {
+      var ruleDefinition = rules[i];
+      var rule = profile.preflightRules.add(ruleDefinition.id);
+      if (!PREFLIGHT_FLAGS.hasOwnProperty(ruleDefinition.flag || 'error')) {
+        throw new Error('Invalid flag for rule ' + ruleDefinition.id + ': ' + ruleDefinition.flag);
+      }
+      rule.flag = PreflightRuleFlag[PREFLIGHT_FLAGS[ruleDefinition.flag || 'error']];
+
+      var data = ruleDefinition.data || {};
+      for (var key in data) {
+        var dataObject = rule.ruleDataObjects.itemByName(key);
+        if (dataObject.isValid) {
+          dataObject.dataValue = data[key];
+        } else {
+          var value = data[key];
+          var dataType = typeof value === 'boolean' ? RuleDataType.BOOLEAN_DATA_TYPE
+            : typeof value === 'string' ? RuleDataType.STRING_DATA_TYPE
+            : Math.floor(value) === value ? RuleDataType.INTEGER_DATA_TYPE : RuleDataType.REAL_DATA_TYPE;
+          rule.ruleDataObjects.add(key, dataType, value);
+        }
+      }
+    }
+    return profile;
+  }
+
+  // Sets the PNG or JPEG export preferences and returns the ExportFormat. With a
+  // pageString ("+3" is the third page) Document.exportFile() exports that page or its spread.
+  function prepareImageExport(format, resolution, includeBleed, pageString, spread) {
+    var prefs = format === "JPEG" ? app.jpegExportPreferences : app.pngExportPreferences;
+    prefs.exportResolution = resolution;
+    prefs.useDocumentBleeds = includeBleed;
+    if (pageString) {
+      if (format === "JPEG") {
+        prefs.jpegExportRange = ExportRangeOrAllPages.EXPORT_RANGE;
+      } else {
+        prefs.pngExportRange = PNGExportRangeEnum.EXPORT_RANGE;
+      }
+      prefs.pageString = pageString;
+      prefs.exportingSpread = spread;
+    }
+    return format === "JPEG" ? ExportFormat.JPG : ExportFormat.PNG_FORMAT;
+  }
+`;
+
+// JSON is valid ExtendScript source. Escaping everything outside printable ASCII
+// keeps U+2028/U+2029 and the script file encoding from altering string values.
+function toScriptLiteral(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g, (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// =================== MARKDOWN ===================
+// Markdown is parsed and written in Node; scripts only see plain text plus
+// style ranges. Markdown elements map to paragraph styles (blocks) and character
+// styles (spans) by name, through the "markdownStyles" config and per-call styleMap.
+
+const MARKDOWN_STYLES = {
+  heading1: 'Heading 1',
+  heading2: 'Heading 2',
+  heading3: 'Heading 3',
+  heading4: 'Heading 4',
+  heading5: 'Heading 5',
+  heading6: 'Heading 6',
+  paragraph: 'Body',
+  bulletList: 'Bulleted List',
+  numberedList: 'Numbered List',
+  quote: 'Quote',
+  codeBlock: 'Code Block',
+  strong: 'Strong',
+  emphasis: 'Emphasis',
+  code: 'Code',
+  link: 'Link',
+};
+
+const MARKDOWN_SPAN_TYPES = new Set(['strong', 'emphasis', 'code', 'link']);
+
+// Attributes of styles import_markdown creates when the document lacks them (lengths in points)
+const MARKDOWN_STYLE_PROPERTIES = {
+  heading1: { pointSize: 24, spaceBefore: 12, spaceAfter: 6 },
+  heading2: { pointSize: 18, spaceBefore: 10, spaceAfter: 4 },
+  heading3: { pointSize: 14, spaceBefore: 8, spaceAfter: 3 },
+  heading4: { pointSize: 12, spaceBefore: 6, spaceAfter: 2 },
+  heading5: { pointSize: 11, spaceBefore: 6, spaceAfter: 2 },
+  heading6: { pointSize: 10, spaceBefore: 6, spaceAfter: 2 },
+  paragraph: {},
+  bulletList: { listType: 'BULLET_LIST', leftIndent: 12, firstLineIndent: -12 },
+  numberedList: { listType: 'NUMBERED_LIST', leftIndent: 18, firstLineIndent: -18 },
+  quote: { leftIndent: 18, rightIndent: 18 },
+  codeBlock: { leftIndent: 12 },
+  strong: { fontStyle: 'Bold' },
+  emphasis: { fontStyle: 'Italic' },
+  code: {},
+  link: { underline: true },
+};
+
+// Finds the closing "*", "**", "_" or "__" for an opening marker, skipping escapes,
+// code spans and nested strong spans; in a longer run ("***") the marker closes
+// at the run's end
+function findClosingDelimiter(source, from, marker) {
+  for (let i = from; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '`') {
+      const run = /^`+/.exec(source.slice(i))[0];
+      const close = source.indexOf(run, i + run.length);
+      if (close !== -1) {
+        i = close + run.length - 1;
+      }
+    } else if (source[i] === marker[0]) {
+      let end = i;
+      while (source[end] === marker[0]) {
+        end++;
+      }
+      const opens = i === from || /\s/.test(source[i - 1]);
+      if (marker.length === 1 && end - i === 2) {
+        const nested = opens ? findClosingDelimiter(source, end, marker + marker) : -1;
+        i = nested === -1 ? end - 1 : nested + 1;
+      } else if (opens || end - i < marker.length || (marker[0] === '_' && /\w/.test(source[end] || ''))) {
+        i = end - 1;
+      } else {
+        return end - marker.length;
+      }
+    }
+  }
+  return -1;
+}
+
+function findClosingBracket(source, from) {
+  let depth = 0;
+  for (let i = from; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '[') {
+      depth++;
+    } else if (source[i] === ']' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Inline Markdown -> { text, spans: [{ type, start, end, url }] } with offsets into text
+function parseInline(source) {
+  let text = '';
+  const spans = [];
+  const append = (inner, type, url) => {
+    const start = text.length;
+    spans.push({ type, start, end: start + inner.text.length, ...(url ? { url } : {}) });
+    spans.push(...inner.spans.map((span) => ({ ...span, start: span.start + start, end: span.end + start })));
+    text += inner.text;
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '\\' && /[\\`*_[\]()#+\-.!>{}|~]/.test(source[i + 1] || '')) {
+      text += source[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      const run = /^`+/.exec(source.slice(i))[0];
+      const close = source.indexOf(run, i + run.length);
+      if (close !== -1) {
+        let code = source.slice(i + run.length, close);
+        if (/^ .* $/.test(code)) {
+          code = code.slice(1, -1);
+        }
+        append({ text: code, spans: [] }, 'code');
+        i = close + run.length;
+        continue;
+      }
+      text += run;
+      i += run.length;
+      continue;
+    }
+
+    if (ch === '[') {
+      const close = findClosingBracket(source, i);
+      const link = close !== -1 && /^\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/.exec(source.slice(close + 1));
+      if (link) {
+        append(parseInline(source.slice(i + 1, close)), 'link', link[1]);
+        i = close + 1 + link[0].length;
+        continue;
+      }
+    }
+
+    if (ch === '*' || ch === '_') {
+      const marker = source[i + 1] === ch ? ch + ch : ch;
+      const next = source[i + marker.length] || '';
+      const intraword = ch === '_' && /\w/.test(source[i - 1] || '');
+      if (next && !/\s/.test(next) && !intraword) {
+        const close = findClosingDelimiter(source, i + marker.length, marker);
+        if (close !== -1) {
+          append(parseInline(source.slice(i + marker.length, close)), marker.length === 2 ? 'strong' : 'emphasis');
+          i = close + marker.length;
+          continue;
+        }
+      }
+    }
+
+    text += ch;
+    i++;
+  }
+
+  return { text, spans };
+}
+
+// Block Markdown -> [{ type, text, spans }]. Lines of a paragraph are joined with
+// spaces, hard breaks (trailing backslash or two spaces) become forced line breaks.
+// Nested list items are flattened into their list.
+function parseMarkdown(source) {
+  const blocks = [];
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      const raw = current.lines.map((line, index) => {
+        if (index === current.lines.length - 1) {
+          return line.trim();
+        }
+        const hardBreak = /(\\| {2,})$/.test(line) && !/\\\\$/.test(line);
+        return line.trim().replace(/\\$/, '') + (hardBreak ? '\n' : ' ');
+      }).join('');
+      blocks.push({ type: current.type, ...parseInline(raw) });
+      current = null;
+    }
+  };
+  const start = (type, line) => {
+    flush();
+    current = { type, lines: [line] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = /^ {0,3}(`{3,}|~{3,})/.exec(line))) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trimStart().startsWith(match[1]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'codeBlock', text: code.join('\n'), spans: [] });
+    } else if (!line.trim()) {
+      flush();
+    } else if (current && current.type === 'paragraph' && (match = /^ {0,3}(=+|-+)\s*$/.exec(line))) {
+      current.type = match[1][0] === '=' ? 'heading1' : 'heading2';
+      flush();
+    } else if ((match = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line)) || (match = /^ {0,3}(#{1,6})\s*$/.exec(line))) {
+      start(`heading${match[1].length}`, match[2] || '');
+      flush();
+    } else if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+    } else if ((match = /^ {0,3}>\s?(.*)$/.exec(line))) {
+      if (!match[1].trim()) {
+        flush();
+      } else if (current && current.type === 'quote') {
+        current.lines.push(match[1]);
+      } else {
+        start('quote', match[1]);
+      }
+    } else if ((match = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/.exec(line))) {
+      start(/\d/.test(match[1]) ? 'numberedList' : 'bulletList', match[2]);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      start('paragraph', line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+// Blocks -> the story text (paragraphs separated by returns) and style ranges into it
+function layoutMarkdown(blocks, styles) {
+  let text = '';
+  const paragraphs = [];
+  const spans = [];
+  const links = [];
+
+  blocks.forEach((block, index) => {
+    if (index > 0) {
+      text += '\r';
+    }
+    const start = text.length;
+    paragraphs.push({ style: styles[block.type], start, length: block.text.length });
+    for (const span of block.spans) {
+      if (span.end > span.start) {
+        spans.push({ style: styles[span.type], start: start + span.start, length: span.end - span.start });
+        if (span.type === 'link') {
+          links.push({ url: span.url, start: start + span.start, length: span.end - span.start });
+        }
+      }
+    }
+    text += block.text;
+  });
+
+  return { text, paragraphs, spans, links };
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]]/g, '\\$&');
+}
+
+// Wraps style ranges of one paragraph in Markdown markers; ranges are [start, end) in the paragraph
+function markdownInline(text, ranges) {
+  const opens = new Map();
+  const closes = new Map();
+  const at = (map, index) => map.get(index) || map.set(index, []).get(index);
+  const sorted = [...ranges].sort((a, b) => a.start - b.start || b.end - a.end);
+  for (const range of sorted) {
+    const [open, close] = range.type === 'strong' ? ['**', '**']
+      : range.type === 'emphasis' ? ['*', '*']
+        : range.type === 'code' ? ['`', '`']
+          : ['[', `](${range.url})`];
+    at(opens, range.start).push(open);
+    at(closes, range.end).unshift(close);
+  }
+
+  const code = sorted.filter((range) => range.type === 'code');
+  let output = '';
+  for (let i = 0; i <= text.length; i++) {
+    output += (closes.get(i) || []).join('') + (opens.get(i) || []).join('');
+    if (i < text.length) {
+      const inCode = code.some((range) => i >= range.start && i < range.end);
+      output += inCode ? text[i] : text[i] === '\n' ? '\\\n' : escapeMarkdown(text[i]);
+    }
+  }
+  return output;
+}
+
+// Paragraphs read from a story ({ style, text, ranges, links }) -> Markdown
+function storyToMarkdown(paragraphs, styles) {
+  const kindOf = (name, kinds) => Object.keys(styles).find((kind) => kinds(kind) && styles[kind] === name);
+  const isSpan = (kind) => MARKDOWN_SPAN_TYPES.has(kind);
+  const output = [];
+  let previous = null;
+  let number = 0;
+
+  for (let p = 0; p < paragraphs.length; p++) {
+    const paragraph = paragraphs[p];
+    const kind = kindOf(paragraph.style, (candidate) => !isSpan(candidate)) || 'paragraph';
+
+    if (kind === 'codeBlock') {
+      const code = [paragraph.text];
+      while (p + 1 < paragraphs.length && kindOf(paragraphs[p + 1].style, (candidate) => candidate === 'codeBlock')) {
+        code.push(paragraphs[++p].text);
+      }
+      output.push({ kind, text: ['```', ...code.join('\n').split('\n'), '```'].join('\n') });
+      previous = kind;
+      continue;
+    }
+
+    const ranges = [];
+    for (const range of paragraph.ranges) {
+      const span = kindOf(range.characterStyle, isSpan);
+      if (span && span !== 'link') {
+        ranges.push({ type: span, start: range.start, end: range.start + range.length });
+      } else if (!span) {
+        // Local formatting without a mapped character style
+        if (/bold|black|heavy|semibold/i.test(range.fontStyle || '')) {
+          ranges.push({ type: 'strong', start: range.start, end: range.start + range.length });
+        }
+        if (/italic|oblique/i.test(range.fontStyle || '')) {
+          ranges.push({ type: 'emphasis', start: range.start, end: range.start + range.length });
+        }
+      }
+    }
+    for (const link of paragraph.links) {
+      ranges.push({ type: 'link', start: link.start, end: link.start + link.length, url: link.url });
+    }
+
+    let text = markdownInline(paragraph.text, ranges);
+    number = kind === 'numberedList' ? (previous === kind ? number + 1 : 1) : 0;
+    if (kind.startsWith('heading')) {
+      text = `${'#'.repeat(Number(kind.slice(7)))} ${text}`;
+    } else if (kind === 'bulletList') {
+      text = `- ${text}`;
+    } else if (kind === 'numberedList') {
+      text = `${number}. ${text}`;
+    } else if (kind === 'quote') {
+      text = `> ${text.replace(/\n/g, '\n> ')}`;
+    } else if (/^(#{1,6}\s|>|[-*+]\s|\d+[.)]\s)/.test(text)) {
+      text = `\\${text}`;
+    }
+    output.push({ kind, text });
+    previous = kind;
+  }
+
+  // List items stay together; every other block is separated by a blank line
+  return output.map((block, index) => {
+    const before = output[index - 1];
+    const together = before && before.kind === block.kind && /List$/.test(block.kind);
+    return (index === 0 ? '' : together ? '\n' : '\n\n') + block.text;
+  }).join('') + (output.length > 0 ? '\n' : '');
+}
+
+// =================== SWATCH EXCHANGE ===================
+// Adobe Swatch Exchange (.ase) files, read and written here rather than by
+// InDesign: a big-endian "ASEF" header and a list of blocks, each a color or the
+// start or end of a group. Color channels are stored as 0-1 floats, except LAB a
+// and b, which are stored as they are.
+
+// Values per color in InDesign's color spaces
+const COLOR_CHANNELS = { CMYK: 4, RGB: 3, LAB: 3 };
+
+const ASE_BLOCKS = { color: 0x0001, groupStart: 0xc001, groupEnd: 0xc002 };
+
+// ASE color models -> InDesign color space and the factors from ASE to InDesign values
+const ASE_MODELS = {
+  CMYK: { space: 'CMYK', scale: [100, 100, 100, 100] },
+  'RGB ': { space: 'RGB', scale: [255, 255, 255] },
+  'LAB ': { space: 'LAB', scale: [100, 1, 1] },
+};
+
+// ASE color types; InDesign colors are global, so "global" and "process" both import as process
+const ASE_COLOR_TYPES = ['global', 'spot', 'process'];
+
+// Swatch file -> [{ name, model: process|spot, space, values, group }]; gray
+// colors become CMYK black tints
+function readAse(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'ASEF') {
+    throw new McpError(ErrorCode.InvalidParams, 'Not an Adobe Swatch Exchange file');
+  }
+  const readName = (offset) => {
+    const length = buffer.readUInt16BE(offset);
+    const text = Buffer.from(buffer.subarray(offset + 2, offset + 2 + Math.max(length - 1, 0) * 2));
+    return { name: text.swap16().toString('utf16le'), end: offset + 2 + length * 2 };
+  };
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+  const swatches = [];
+  const blockCount = buffer.readUInt32BE(8);
+  let group = null;
+  let offset = 12;
+  for (let block = 0; block < blockCount; block++) {
+    if (offset + 6 > buffer.length || offset + 6 + buffer.readUInt32BE(offset + 2) > buffer.length) {
+      throw new McpError(ErrorCode.InvalidParams, 'Swatch exchange file is truncated');
+    }
+    const type = buffer.readUInt16BE(offset);
+    const start = offset + 6;
+    offset = start + buffer.readUInt32BE(offset + 2);
+
+    if (type === ASE_BLOCKS.groupEnd) {
+      group = null;
+    } else if (type === ASE_BLOCKS.groupStart) {
+      group = readName(start).name;
+    } else if (type === ASE_BLOCKS.color) {
+      const { name, end } = readName(start);
+      const model = buffer.toString('latin1', end, end + 4);
+      const channels = model === 'Gray' ? 1 : ASE_MODELS[model]?.scale.length;
+      if (!channels) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported color model "${model.trim()}" for ${name}`);
+      }
+      const raw = Array.from({ length: channels }, (_, index) => buffer.readFloatBE(end + 4 + index * 4));
+      const colorType = ASE_COLOR_TYPES[buffer.readUInt16BE(end + 4 + channels * 4)];
+      const color = model === 'Gray'
+        ? { space: 'CMYK', values: [0, 0, 0, round((1 - raw[0]) * 100, 2)] }
+        : {
+          space: ASE_MODELS[model].space,
+          values: raw.map((value, index) => round(value * ASE_MODELS[model].scale[index], model === 'RGB ' ? 0 : 2)),
+        };
+      swatches.push({ name, model: colorType === 'spot' ? 'spot' : 'process', ...color, group });
+    }
+  }
+  return swatches;
+}
+
+// [{ name, model, space, values, group }] -> swatch file, ungrouped colors first
+function writeAse(swatches) {
+  const name = (text) => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(text.length + 1);
+    return Buffer.concat([length, Buffer.from(`${text}\0`, 'utf16le').swap16()]);
+  };
+  const block = (type, data) => {
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(type);
+    header.writeUInt32BE(data.length, 2);
+    return Buffer.concat([header, data]);
+  };
+  const color = (swatch) => {
+    const [model, { scale }] = Object.entries(ASE_MODELS).find(([, entry]) => entry.space === swatch.space);
+    const values = Buffer.alloc(scale.length * 4 + 2);
+    scale.forEach((factor, index) => values.writeFloatBE(swatch.values[index] / factor, index * 4));
+    values.writeUInt16BE(ASE_COLOR_TYPES.indexOf(swatch.model === 'spot' ? 'spot' : 'global'), scale.length * 4);
+    return block(ASE_BLOCKS.color, Buffer.concat([name(swatch.name), Buffer.from(model, 'latin1'), values]));
+  };
+
+  const groups = new Map([[null, []]]);
+  for (const swatch of swatches) {
+    if (!groups.has(swatch.group)) groups.set(swatch.group, []);
+    groups.get(swatch.group).push(swatch);
+  }
+  const blocks = [];
+  for (const [group, members] of groups) {
+    if (group !== null) blocks.push(block(ASE_BLOCKS.groupStart, name(group)));
+    blocks.push(...members.map(color));
+    if (group !== null) blocks.push(block(ASE_BLOCKS.groupEnd, Buffer.alloc(0)));
+  }
+
+  const header = Buffer.alloc(12);
+  header.write('ASEF', 'latin1');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+}
+
+// Approved colors for audit_colors from a .ase file, a design token file or the
+// "colors" object of one, as [{ name, model, space, values }]
+function readPalette(buffer) {
+  if (buffer.toString('latin1', 0, 4) === 'ASEF') {
+    return readAse(buffer);
+  }
+  let json;
+  try {
+    json = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `A palette must be an .ase or JSON file: ${error.message}`);
+  }
+  const { colors } = normalizeDesignTokens(json && json.colors ? json : { colors: json });
+  return Object.entries(colors).map(([name, color]) => ({
+    name,
+    model: color.model === 'spot' ? 'spot' : 'process',
+    space: color.space,
+    values: color.values,
+  }));
+}
+
+// =================== DESIGN TOKENS ===================
+// Swatches and styles as JSON (see "Design Tokens" in the README). Styles carry
+// the attributes below that differ from the style they are based on, lengths in
+// points and enumerations by member name.
+
+const DESIGN_TOKEN_FORMAT = 'indesign-mcp-design-tokens';
+const DESIGN_TOKEN_VERSION = 1;
+
+// Token file sections -> style types
+const TOKEN_STYLE_SECTIONS = {
+  characterStyles: 'character',
+  paragraphStyles: 'paragraph',
+  objectStyles: 'object',
+};
+
+const TOKEN_PROPERTIES = {
+  paragraph: [
+    'appliedFont', 'fontStyle', 'pointSize', 'leading', 'tracking', 'capitalization', 'justification',
+    'firstLineIndent', 'leftIndent', 'rightIndent', 'spaceBefore', 'spaceAfter', 'fillColor', 'fillTint',
+    'hyphenation', 'keepWithNext', 'nextStyle',
+  ],
+  character: [
+    'appliedFont', 'fontStyle', 'pointSize', 'leading', 'tracking', 'capitalization', 'position',
+    'fillColor', 'fillTint', 'underline', 'strikeThru',
+  ],
+  object: [
+    'enableFill', 'fillColor', 'fillTint', 'enableStroke', 'strokeColor', 'strokeTint', 'strokeWeight',
+    'enableParagraphStyle', 'appliedParagraphStyle',
+  ],
+};
+
+// Token attributes holding enumeration members, and their enumeration
+const TOKEN_ENUMS = {
+  capitalization: 'Capitalization',
+  justification: 'Justification',
+  position: 'Position',
+};
+
+// Checks a token file and writes enumeration members as "Enumeration.MEMBER" for the script
+function normalizeDesignTokens(tokens) {
+  if (!tokens || typeof tokens !== 'object') {
+    throw new McpError(ErrorCode.InvalidParams, 'Design tokens must be a JSON object');
+  }
+  if (tokens.format !== undefined && tokens.format !== DESIGN_TOKEN_FORMAT) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown design token format: ${tokens.format}`);
+  }
+  if (tokens.version !== undefined && tokens.version > DESIGN_TOKEN_VERSION) {
+    throw new McpError(ErrorCode.InvalidParams, `Design token version ${tokens.version} is newer than this server supports (${DESIGN_TOKEN_VERSION})`);
+  }
+
+  const colors = tokens.colors || {};
+  for (const [name, color] of Object.entries(colors)) {
+    if (!COLOR_CHANNELS[color.space] || !Array.isArray(color.values) || color.values.length !== COLOR_CHANNELS[color.space]) {
+      throw new McpError(ErrorCode.InvalidParams, `Color token "${name}" needs a space (CMYK, RGB or LAB) and values`);
+    }
+  }
+
+  const styles = {};
+  for (const [section, type] of Object.entries(TOKEN_STYLE_SECTIONS)) {
+    styles[type] = Object.fromEntries(Object.entries(tokens[section] || {}).map(([stylePath, style]) => {
+      const properties = Object.fromEntries(Object.entries(style.properties || {}).map(([key, value]) => [
+        key,
+        TOKEN_ENUMS[key] && typeof value === 'string' && !value.includes('.') ? `${TOKEN_ENUMS[key]}.${value}` : value,
+      ]));
+      return [stylePath, { basedOn: style.basedOn, properties }];
+    }));
+  }
+
+  return { colors, styles };
+}
+
+// =================== TABLE DATA ===================
+// CSV, TSV and JSON files as rows of strings for import_table_data, and tables
+// read by read_table back to CSV.
+
+// Delimiters tried when a file doesn't say which it uses
+const TABLE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Formats implied by file extensions; other files are sniffed from their content
+const TABLE_DATA_EXTENSIONS = { '.json': 'json', '.csv': 'csv', '.tsv': 'tsv', '.tab': 'tsv' };
+
+// Byte order marks, else strict UTF-8, else Windows-1252 (what Excel writes on Windows)
+function decodeText(buffer, encoding) {
+  if (encoding) {
+    try {
+      return { text: new TextDecoder(encoding).decode(buffer), encoding };
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown encoding: ${encoding}`);
+    }
+  }
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.toString('utf8', 3), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: buffer.toString('utf16le', 2), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2))).swap16().toString('utf16le'), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+// RFC 4180: quoted fields may hold delimiters, line breaks and doubled quotes
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    rows.push([...row, field]);
+  }
+  return rows;
+}
+
+// The delimiter that splits the first lines into the same number of fields, preferring more fields
+function detectDelimiter(text) {
+  const sample = text.split(/\r\n|\n|\r/).slice(0, 20).join('\n');
+  let best = { delimiter: ',', score: -1 };
+  for (const delimiter of TABLE_DELIMITERS) {
+    const widths = parseDelimited(sample, delimiter).map((row) => row.length).filter((width) => width > 1);
+    if (widths.length === 0) continue;
+    const consistent = widths.filter((width) => width === widths[0]).length;
+    const score = consistent * 1000 + widths[0];
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// File contents -> { rows: [[string]], format, delimiter, encoding }. JSON is an
+// array of arrays, or an array of objects whose keys become a header row.
+function readTableData(buffer, { filePath, format, delimiter, encoding }) {
+  const extension = path.extname(filePath).toLowerCase();
+  const decoded = decodeText(buffer, encoding);
+  const text = decoded.text;
+  const kind = format || TABLE_DATA_EXTENSIONS[extension] || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+  const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  if (kind === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot parse ${filePath} as JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+      throw new McpError(ErrorCode.InvalidParams, 'JSON table data must be an array of rows or of objects');
+    }
+    let rows;
+    if (data.every(Array.isArray)) {
+      rows = data.map((row) => row.map(cellText));
+    } else {
+      const keys = [...new Set(data.flatMap((record) => Object.keys(record ?? {})))];
+      rows = [keys, ...data.map((record) => keys.map((key) => cellText(record?.[key])))];
+    }
+    return { rows, format: 'json', encoding: decoded.encoding };
+  }
+
+  const separator = delimiter || (kind === 'tsv' ? '\t' : detectDelimiter(text));
+  return { rows: parseDelimited(text, separator), format: kind, delimiter: separator, encoding: decoded.encoding };
+}
+
+// A read_table result as CSV. A merged cell's text goes in its top-left position;
+// fields with delimiters, quotes or line breaks are quoted.
+function tableToCsv(table, delimiter = ',') {
+  const grid = Array.from({ length: table.rowCount }, () => Array(table.columnCount).fill(''));
+  table.rows.forEach((row, index) => {
+    for (const cell of row.cells) {
+      grid[index][cell.column] = cell.text;
+    }
+  });
+  const field = (text) => (/["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text);
+  return grid.map((row) => row.map(field).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+// =================== CONFIGURATION ===================
+// Effective configuration = built-in defaults < config file < environment variables
+// < options passed to the constructor. The config file is the one named by
+// INDESIGN_MCP_CONFIG, else ./indesign-mcp.config.json, else ~/.indesign-mcp.json.
+
+const DEFAULT_CONFIG = {
+  serverName: 'indesign-server-complete',
+  application: 'auto',
+  units: 'mm',
+  concurrency: 1,
+  workspaceRoot: null,
+  promptsDirectory: null,
+  queriesFile: path.join(os.homedir(), '.indesign-mcp-queries.json'),
+  timeouts: DEFAULT_TOOL_TIMEOUTS,
+  markdownStyles: MARKDOWN_STYLES,
+  defaults: {
+    fontFamily: 'Helvetica Neue',
+    fontStyle: 'Regular',
+    fontSize: 12,
+    documentPreset: 'A4',
+    pdfPreset: 'HighQualityPrint',
+  },
+};
+
+const FALLBACK_APPLICATION = 'Adobe InDesign 2025';
+
+// Config unit names -> InDesign MeasurementUnits members
+const MEASUREMENT_UNITS = {
+  mm: 'MILLIMETERS',
+  cm: 'CENTIMETERS',
+  pt: 'POINTS',
+  in: 'INCHES',
+  pica: 'PICAS',
+  px: 'PIXELS',
+};
+
+// =================== UNITS ===================
+// Scripts always run with points as their measurement unit, whatever the
+// document's rulers say. Lengths in tool arguments are converted to points
+// before the script runs, and geometry in results is converted back, both in
+// the call's "units" (default: the configured units).
+
+const POINTS_PER_UNIT = {
+  mm: 72 / 25.4,
+  cm: 72 / 2.54,
+  pt: 1,
+  in: 72,
+  pica: 12,
+  px: 1,
+};
+
+// Length arguments per tool. Stroke weights and font sizes stay in points.
+const LENGTH_ARGUMENTS = {
+  create_document: ['width', 'height', 'bleed', 'slug', 'marginTop', 'marginBottom', 'marginLeft', 'marginRight'],
+  create_text_frame: ['x', 'y', 'width', 'height'],
+  place_image: ['x', 'y', 'width', 'height'],
+  create_rectangle: ['x', 'y', 'width', 'height', 'cornerRadius'],
+  create_ellipse: ['x', 'y', 'width', 'height'],
+  create_paragraph_style: ['spaceBefore', 'spaceAfter'],
+  create_table: ['x', 'y', 'width', 'height'],
+  add_parent_text_frame: ['x', 'y', 'width', 'height'],
+  import_markdown: ['x', 'y', 'width', 'height'],
+  import_table_data: ['x', 'y', 'width', 'height', 'columnWidths'],
+};
+
+// Tools reporting geometry without taking lengths
+const GEOMETRY_TOOLS = ['get_document_info', 'list_page_items', 'autoflow_story', 'list_layer_items'];
+
+// Result properties holding lengths (numbers, or arrays/objects of numbers)
+const GEOMETRY_RESULT_KEYS = new Set(['bounds', 'pageWidth', 'pageHeight', 'margins', 'columnWidths']);
+
+function toPoints(value, unit) {
+  return value * POINTS_PER_UNIT[unit];
+}
+
+function fromPoints(value, unit) {
+  return Math.round((value / POINTS_PER_UNIT[unit]) * 1000) / 1000;
+}
+
+// Handler defaults are given in millimeters
+function mm(value) {
+  return toPoints(value, 'mm');
+}
+
+// "width x height unit" of [top, left, bottom, right] bounds, for summaries
+function describeSize(bounds, unit) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return `${round(bounds[3] - bounds[1])} x ${round(bounds[2] - bounds[0])} ${unit}`;
+}
+
+function withUnitsArgument(tools) {
+  return tools.map((tool) => {
+    if (!LENGTH_ARGUMENTS[tool.name] && !GEOMETRY_TOOLS.includes(tool.name)) {
+      return tool;
+    }
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          units: { type: 'string', enum: Object.keys(POINTS_PER_UNIT), description: 'Unit for lengths in arguments and results (default from server config)' },
+        },
+      },
+    };
+  });
+}
+
+// Converts geometry in a script result from points; adds "units" to results that had any
+function geometryIn(result, unit) {
+  let converted = false;
+  const convert = (value, isGeometry) => {
+    if (typeof value === 'number' && isGeometry) {
+      converted = true;
+      return fromPoints(value, unit);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => convert(item, isGeometry));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, convert(item, isGeometry || GEOMETRY_RESULT_KEYS.has(key))]
+      ));
+    }
+    return value;
+  };
+  const output = convert(result, false);
+  return converted && !Array.isArray(output) ? { ...output, units: unit } : output;
+}
+
+// UIColors members, the colors InDesign offers for layers
+const LAYER_COLORS = [
+  'BLACK', 'BLUE', 'BRICK_RED', 'BROWN', 'BURGUNDY', 'CHARCOAL', 'CUTE_TEAL', 'CYAN', 'DARK_BLUE', 'DARK_GREEN',
+  'FIESTA', 'GOLD', 'GRASS_GREEN', 'GRAY', 'GREEN', 'GRID_BLUE', 'GRID_GREEN', 'GRID_ORANGE', 'LAVENDER', 'LIGHT_BLUE',
+  'LIGHT_GRAY', 'LIGHT_OLIVE', 'LIPSTICK', 'MAGENTA', 'OCHRE', 'OLIVE_GREEN', 'ORANGE', 'PEACH', 'PINK', 'PURPLE',
+  'RED', 'SULPHUR', 'TAN', 'TEAL', 'VIOLET', 'WHITE', 'YELLOW',
+];
+
+// "Light Blue", "light-blue" and "LIGHT_BLUE" -> "LIGHT_BLUE"
+function layerColorMember(color) {
+  if (color === undefined) {
+    return undefined;
+  }
+  const member = String(color).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!LAYER_COLORS.includes(member)) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown layer color "${color}". Use one of: ${LAYER_COLORS.join(', ')}`);
+  }
+  return member;
+}
+
+// Tool arguments holding file or folder paths, resolved against the workspace root
+const PATH_ARGUMENTS = ['filePath', 'folderPath', 'imagePath', 'dataSourcePath', 'outputFolder'];
+
+// A NaN or zero concurrency would stall the script queue, so bad values stop the server
+function positiveInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name} "${value}". Expected a positive integer`);
+  }
+  return number;
+}
+
+const CONFIG_ENV_VARIABLES = {
+  INDESIGN_MCP_APPLICATION: (config, value) => { config.application = value; },
+  INDESIGN_MCP_UNITS: (config, value) => { config.units = value; },
+  INDESIGN_MCP_CONCURRENCY: (config, value) => { config.concurrency = positiveInteger('INDESIGN_MCP_CONCURRENCY', value); },
+  INDESIGN_MCP_TIMEOUT: (config, value) => { config.timeouts.default = positiveInteger('INDESIGN_MCP_TIMEOUT', value); },
+  INDESIGN_MCP_WORKSPACE: (config, value) => { config.workspaceRoot = value; },
+  INDESIGN_MCP_PROMPTS: (config, value) => { config.promptsDirectory = value; },
+  INDESIGN_MCP_QUERIES: (config, value) => { config.queriesFile = value; },
+  INDESIGN_MCP_FONT_FAMILY: (config, value) => { config.defaults.fontFamily = value; },
+  INDESIGN_MCP_FONT_STYLE: (config, value) => { config.defaults.fontStyle = value; },
+  INDESIGN_MCP_DOCUMENT_PRESET: (config, value) => { config.defaults.documentPreset = value; },
+  INDESIGN_MCP_PDF_PRESET: (config, value) => { config.defaults.pdfPreset = value; },
+};
+
+function findConfigFile(env) {
+  if (env.INDESIGN_MCP_CONFIG) {
+    if (!fs.existsSync(env.INDESIGN_MCP_CONFIG)) {
+      throw new Error(`Config file not found: ${env.INDESIGN_MCP_CONFIG}`);
+    }
+    return path.resolve(env.INDESIGN_MCP_CONFIG);
+  }
+  const candidates = [
+    path.resolve('indesign-mcp.config.json'),
+    path.join(os.homedir(), '.indesign-mcp.json'),
+  ];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+function mergeConfig(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    timeouts: { ...base.timeouts, ...overrides.timeouts },
+    defaults: { ...base.defaults, ...overrides.defaults },
+    markdownStyles: { ...base.markdownStyles, ...overrides.markdownStyles },
+  };
+}
+
+// Picks the newest "Adobe InDesign <year>" in /Applications (macOS only)
+function detectInDesignApplication(applicationsDir = '/Applications') {
+  if (process.platform !== 'darwin' || !fs.existsSync(applicationsDir)) {
+    return null;
+  }
+  const installed = fs.readdirSync(applicationsDir)
+    .map((entry) => /^Adobe InDesign (\d{4})(\.app)?$/.exec(entry))
+    .filter(Boolean)
+    .sort((a, b) => Number(b[1]) - Number(a[1]));
+  return installed.length > 0 ? `Adobe InDesign ${installed[0][1]}` : null;
+}
+
+function loadConfig(overrides = {}, env = process.env) {
+  const configFile = findConfigFile(env);
+  let config = mergeConfig(DEFAULT_CONFIG);
+
+  if (configFile) {
+    try {
+      config = mergeConfig(config, JSON.parse(fs.readFileSync(configFile, 'utf8')));
+    } catch (error) {
+      throw new Error(`Invalid config file ${configFile}: ${error.message}`);
+    }
+  }
+
+  for (const [name, apply] of Object.entries(CONFIG_ENV_VARIABLES)) {
+    if (env[name]) {
+      apply(config, env[name]);
+    }
+  }
+
+  config = mergeConfig(config, overrides);
+
+  if (!MEASUREMENT_UNITS[config.units]) {
+    throw new Error(`Invalid units "${config.units}" in config. Expected one of: ${Object.keys(MEASUREMENT_UNITS).join(', ')}`);
+  }
+
+  let applicationSource = 'config';
+  if (!config.application || config.application === 'auto') {
+    const detected = detectInDesignApplication();
+    config.application = detected || FALLBACK_APPLICATION;
+    applicationSource = detected ? 'detected' : 'fallback';
+  }
+
+  return { ...config, configFile, applicationSource };
+}
+
+// Text attributes find_replace_text can search for (findFormat) or apply (changeFormat)
+const TEXT_FORMAT_SCHEMA = {
+  type: 'object',
+  properties: {
+    paragraphStyle: { type: 'string', description: 'Applied paragraph style name' },
+    characterStyle: { type: 'string', description: 'Applied character style name' },
+    font: { type: 'string', description: 'Font family' },
+    fontStyle: { type: 'string', description: 'Font style (Regular, Bold, ...)' },
+    color: { type: 'string', description: 'Text color swatch name' },
+  },
+};
+
+// Shared schema parts of the style tools
+const STYLE_TYPE_SCHEMA = { type: 'string', enum: ['paragraph', 'character', 'object', 'table', 'cell'], default: 'paragraph' };
+const STYLE_NAME_SCHEMA = { type: 'string', description: 'Style name, or "Group/Name" for a style in a group' };
+const STYLE_PROPERTIES_SCHEMA = {
+  type: 'object',
+  description: 'InDesign attributes by scripting name, lengths in points, e.g. { "pointSize": 11, "fillColor": "Brand Blue", "basedOn": "Body", "justification": "Justification.CENTER_ALIGN" }',
+};
+
+const LAYER_COLOR_SCHEMA = { type: 'string', enum: LAYER_COLORS, description: 'Layer color for guides and frame edges' };
+
+const IF_EXISTS_SCHEMA = { type: 'string', enum: ['error', 'update'], description: 'When the name is taken: fail, or update the existing one', default: 'error' };
+
+// The parts of a find_replace_text call that are saved as a named query
+const FIND_CHANGE_QUERY_FIELDS = ['findText', 'replaceText', 'caseSensitive', 'wholeWord', 'useGrep', 'findFormat', 'changeFormat'];
+
+// "1-3, 5" -> [[1, 3], [5, 5]] (1-based page numbers, as in export page ranges)
+function parsePageRange(range) {
+  return String(range).split(',').map((part) => {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid page range: ${range}`);
+    }
+    return [Number(match[1]), Number(match[2] ?? match[1])];
+  });
+}
+
+// Tools that don't act on an already open document
+const DOCUMENT_INDEPENDENT_TOOLS = new Set([
+  'list_documents', 'create_document', 'open_document', 'get_server_config', 'create_preflight_profile',
+  'list_find_change_queries',
+]);
+
+// Every other tool accepts an optional "document" argument, resolved by requireDocument()
+function withDocumentArgument(tools) {
+  return tools.map((tool) => {
+    if (DOCUMENT_INDEPENDENT_TOOLS.has(tool.name)) {
+      return tool;
+    }
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          document: { type: 'string', description: 'Target document name, full path or id (default: active document)' },
+          ...tool.inputSchema.properties,
+        },
+      },
+    };
+  });
+}
+
+// =================== RESOURCES ===================
+// Read-only views of document state under indesign://, built on the same
+// queries as the list_* / get_document_info tools.
+
+const RESOURCE_TEMPLATES = [
+  { uriTemplate: 'indesign://document/{id}', name: 'Document info', description: 'Page size, margins and content counts of an open document' },
+  { uriTemplate: 'indesign://document/{id}/pages/{n}', name: 'Page items', description: 'Items on the page with index n (0-based)' },
+  { uriTemplate: 'indesign://document/{id}/styles', name: 'Styles', description: 'Paragraph, character and object styles' },
+  { uriTemplate: 'indesign://document/{id}/swatches', name: 'Swatches', description: 'Color swatches with model and values' },
+  { uriTemplate: 'indesign://document/{id}/layers', name: 'Layers', description: 'Layers with visibility, locking and printability' },
+  { uriTemplate: 'indesign://document/{id}/stories/{storyId}', name: 'Story', description: 'Text, paragraph styles and frames of a story' },
+].map((template) => ({ ...template, mimeType: 'application/json' }));
+
+const DOCUMENT_RESOURCE_URI = /^indesign:\/\/document\/([^/]+)(?:\/(pages|styles|swatches|layers|stories)(?:\/([^/]+))?)?$/;
+
+// Tools that leave documents unchanged; every other tool triggers resource-updated notifications
+const READ_ONLY_TOOLS = new Set([
+  'list_documents', 'get_document_info', 'navigate_to_page', 'list_page_items', 'list_styles',
+  'list_color_swatches', 'list_layers', 'export_pdf', 'export_images', 'export_epub',
+  'package_document', 'preflight_document', 'create_preflight_profile', 'view_document',
+  'render_page_preview', 'zoom_to_page', 'get_server_config', 'get_operation_history',
+  'list_find_change_queries', 'export_story_markdown', 'list_overset_stories', 'list_parent_spreads',
+  'get_style', 'export_design_tokens', 'export_ase_swatches', 'read_table', 'export_tables', 'list_layer_items',
+]);
+
+// Tools that add or remove documents or pages, and so change the resource list itself
+const RESOURCE_LIST_TOOLS = new Set([
+  'create_document', 'open_document', 'close_document', 'add_page', 'delete_page', 'duplicate_page', 'autoflow_story',
+  'execute_indesign_code', 'data_merge', 'batch_operations',
+]);
+
+// =================== PROMPTS ===================
+// Workflow templates that chain existing tools. "{{argument}}" placeholders are
+// filled from the prompt arguments, falling back to each argument's default.
+// Teams add their own as JSON files of the same shape (a prompt or an array of
+// prompts) in the configured prompts directory; these override built-ins by name.
+
+const BUILTIN_PROMPTS = [
+  {
+    name: 'setup_brochure',
+    description: 'Set up a brochure document with bleed, brand swatches and a heading hierarchy',
+    arguments: [
+      { name: 'preset', description: 'Page size preset (A4, A5, Letter, ...)', default: 'A4' },
+      { name: 'pages', description: 'Number of pages', default: '8' },
+      { name: 'bleed', description: 'Bleed in mm', default: '3' },
+      { name: 'brandColors', description: 'Brand colors as "Name=C,M,Y,K" separated by semicolons', required: true },
+      { name: 'headingFont', description: 'Font family for headings', default: 'Helvetica Neue' },
+      { name: 'bodyFont', description: 'Font family for body text', default: 'Minion Pro' },
+      { name: 'bodySize', description: 'Body text size in points', default: '10' },
+    ],
+    template: [
+      'Set up a new brochure in InDesign using the InDesign tools, one step at a time:',
+      '',
+      '1. Call create_document with preset "{{preset}}", orientation "Portrait", pages {{pages}}, facingPages true, bleed {{bleed}} and units "mm".',
+      '2. For each brand color in "{{brandColors}}", call create_color_swatch with the name, colorModel "CMYK" and the four values as colorValues.',
+      '3. Create the paragraph styles with create_paragraph_style, with units "mm" for the paragraph spacing:',
+      '   - "Body": fontFamily "{{bodyFont}}", fontSize {{bodySize}}, leading 1.4 times the font size, spaceAfter 2',
+      '   - "Heading 1": fontFamily "{{headingFont}}", about 2.4 times the body size, spaceBefore 6, spaceAfter 3',
+      '   - "Heading 2": baseStyle "Heading 1", about 1.6 times the body size',
+      '   - "Heading 3": baseStyle "Heading 2", about 1.2 times the body size',
+      '   Use the first brand color as textColor for the headings.',
+      '4. Call get_document_info and list_styles, and summarize the document that was created.',
+    ],
+  },
+  {
+    name: 'create_brand_swatches',
+    description: 'Add a set of brand colors to a document as swatches',
+    arguments: [
+      { name: 'brandColors', description: 'Colors as "Name=C,M,Y,K" or "Name=R,G,B" separated by semicolons', required: true },
+      { name: 'colorModel', description: 'CMYK or RGB', default: 'CMYK' },
+      { name: 'spotColors', description: 'Names of colors to create as spot colors (comma separated)', default: 'none' },
+    ],
+    template: [
+      'Add these brand colors to the active InDesign document: {{brandColors}}.',
+      '',
+      '1. Call list_color_swatches and skip colors that already exist with the same values.',
+      '2. Call create_color_swatch for each remaining color with colorModel "{{colorModel}}". Create these as spot colors: {{spotColors}}.',
+      '3. Call list_color_swatches again and report which swatches were added.',
+    ],
+  },
+  {
+    name: 'press_ready_export',
+    description: 'Preflight, package and export a press PDF',
+    arguments: [
+      { name: 'outputFolder', description: 'Folder for the package and the PDF', required: true },
+      { name: 'preflightProfile', description: 'Preflight profile name', default: '[Basic]' },
+      { name: 'pdfPreset', description: 'PDF preset', default: 'PressQuality' },
+    ],
+    template: [
+      'Prepare the active InDesign document for print:',
+      '',
+      '1. Call preflight_document with profile "{{preflightProfile}}". If it reports errors, list them and stop without packaging or exporting.',
+      '2. Call package_document with folderPath "{{outputFolder}}", including linked files and fonts, and with a report.',
+      '3. Call export_pdf with filePath "{{outputFolder}}/<document name>.pdf", preset "{{pdfPreset}}" and includeBleed true.',
+      '4. Report the preflight result, the package folder and the PDF path.',
+    ],
+  },
+];
+
+function readPromptDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) {
+    return [];
+  }
+  return fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .flatMap((file) => {
+      const filePath = path.join(directory, file);
+      // A broken file is left out, so it doesn't take the other prompts down with it
+      try {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const prompts = Array.isArray(parsed) ? parsed : [parsed];
+        if (prompts.some((prompt) => !prompt || !prompt.name || !prompt.template)) {
+          throw new Error('every prompt needs a name and a template');
+        }
+        return prompts;
+      } catch (error) {
+        console.error(`Skipping invalid prompt file ${filePath}: ${error.message}`);
+        return [];
+      }
+    });
+}
+
+function renderPrompt(prompt, args = {}) {
+  const values = {};
+  for (const argument of prompt.arguments || []) {
+    const value = args[argument.name] ?? argument.default;
+    if (argument.required && (value === undefined || value === '')) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument "${argument.name}" for prompt ${prompt.name}`);
+    }
+    values[argument.name] = value ?? '';
+  }
+  const template = Array.isArray(prompt.template) ? prompt.template.join('\n') : prompt.template;
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+// =================== UNDO ===================
+// Tools run as one named undo step ("MCP: Create Text Frame") unless they only
+// read, or open, save or close documents, where there is nothing to undo.
+
+const NON_UNDOABLE_TOOLS = new Set([
+  ...READ_ONLY_TOOLS, 'create_document', 'open_document', 'save_document', 'close_document',
+  'undo_last_operation', 'redo_last_operation', 'get_operation_history', 'batch_operations',
+]);
+
+const HISTORY_LIMIT = 100;
+
+// Number of page previews kept in memory for render_page_preview
+const PREVIEW_CACHE_LIMIT = 20;
+
+// Batches record their own undo step, covering every step, in each document they changed
+const BATCH_UNDO_NAME = 'MCP: Batch Operations';
+
+// Tools that don't run exactly one script, or manage server state, can't be batched
+const UNBATCHABLE_TOOLS = new Set([
+  'batch_operations', 'get_server_config', 'undo_last_operation', 'redo_last_operation', 'get_operation_history',
+]);
+
+function undoNameFor(tool) {
+  if (!tool || NON_UNDOABLE_TOOLS.has(tool)) {
+    return null;
+  }
+  const title = tool.split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+    .replace(/\bPdf\b/, 'PDF').replace(/\bEpub\b/, 'EPUB').replace(/\bIndesign\b/, 'InDesign');
+  return `MCP: ${title}`;
+}
+
+// =================== AUTOMATION BACKENDS ===================
+// A backend takes a complete ExtendScript source and resolves with whatever
+// InDesign returned for it. The server never talks to InDesign directly.
+
+class AppleScriptBackend {
+  constructor(options = {}) {
+    this.application = options.application || FALLBACK_APPLICATION;
+    this.timeout = options.timeout || DEFAULT_TOOL_TIMEOUTS.default;
+  }
+
+  executeAppleScript(script, timeout = this.timeout) {
+    return new Promise((resolve, reject) => {
+      execFile('osascript', ['-e', script], { encoding: 'utf8', timeout, maxBuffer: 64 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          const reason = error.killed ? `timed out after ${timeout} ms` : error.message;
+          reject(new Error(`AppleScript execution failed: ${reason}`));
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+
+  // Each call gets its own temp file, so overlapping calls never share a script
+  async runScript(script, options = {}) {
+    const tempScript = path.join(os.tmpdir(), `indesign-mcp-${process.pid}-${randomUUID()}.jsx`);
+    await fs.promises.writeFile(tempScript, script, 'utf8');
+
+    try {
+      const appleScript = `
+        tell application "${this.application}"
+          activate
+          do script POSIX file "${tempScript.replace(/[\\"]/g, '\\$&')}" language javascript
+        end tell
+      `;
+
+      return await this.executeAppleScript(appleScript, options.timeout);
+    } finally {
+      await fs.promises.rm(tempScript, { force: true });
+    }
+  }
+}
+
+// Runs queued tasks with bounded concurrency. InDesign executes one script at a
+// time, so the server defaults to a concurrency of 1; waiting never blocks the event loop.
+class ScriptQueue {
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.pending = [];
+  }
+
+  get size() {
+    return this.active + this.pending.length;
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { task, resolve, reject } = this.pending.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+}
 
 class InDesignMCPServer {
-  constructor() {
+  constructor(options = {}) {
+    this.config = options.config || loadConfig({
+      ...(options.concurrency && { concurrency: options.concurrency }),
+      ...(options.timeouts && { timeouts: options.timeouts }),
+    });
+    this.backend = options.backend || new AppleScriptBackend({ application: this.config.application });
+    this.queue = new ScriptQueue(this.config.concurrency);
+    this.timeouts = this.config.timeouts;
+    this.toolContext = new AsyncLocalStorage();
+    this.history = [];
+    this.redoStack = [];
+    this.previewCache = new Map();
+
     this.server = new Server(
       {
-        name: 'indesign-server-complete',
-        version: '1.0.0',
+        name: this.config.serverName,
+        version: packageInfo.version,
       },
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
+        },
+      }
+    );
+
+    this.subscriptions = new Set();
+
+    this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
+  }
+
+  setupToolHandlers() {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: withDocumentArgument(withUnitsArgument([
+        // =================== DOCUMENT MANAGEMENT ===================
+        {
+          name: 'list_documents',
+          description: 'List all open InDesign documents with their ids, names and paths',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'get_document_info',
+          description: 'Get detailed information about the current InDesign document',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'create_document',
+          description: 'Create a new InDesign document with advanced options',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              preset: { type: 'string', description: 'Document preset (A4, A5, Letter, Custom, etc.; default from server config)' },
+              width: { type: 'number', description: 'Document width (for custom preset)' },
+              height: { type: 'number', description: 'Document height (for custom preset)' },
+              orientation: { type: 'string', enum: ['Portrait', 'Landscape'], default: 'Portrait' },
+              pages: { type: 'number', description: 'Number of pages', default: 1 },
+              facingPages: { type: 'boolean', description: 'Enable facing pages', default: false },
+              bleed: { type: 'number', description: 'Bleed', default: 0 },
+              slug: { type: 'number', description: 'Slug area', default: 0 },
+              marginTop: { type: 'number', description: 'Top margin (default 20 mm)' },
+              marginBottom: { type: 'number', description: 'Bottom margin (default 20 mm)' },
+              marginLeft: { type: 'number', description: 'Left margin (default 20 mm)' },
+              marginRight: { type: 'number', description: 'Right margin (default 20 mm)' },
+            },
+          },
+        },
+        {
+          name: 'open_document',
+          description: 'Open an existing InDesign document',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Path to the InDesign document (.indd)' },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'save_document',
+          description: 'Save the current document',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Optional: Save as new file path' },
+            },
+          },
+        },
+        {
+          name: 'close_document',
+          description: 'Close the current document',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              save: { type: 'boolean', description: 'Save before closing', default: false },
+            },
+          },
+        },
+
+        // =================== PAGE MANAGEMENT ===================
+        {
+          name: 'add_page',
+          description: 'Add a new page to the document',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              position: { type: 'string', enum: ['before', 'after', 'end'], default: 'end' },
+              pageIndex: { type: 'number', description: 'Reference page index (for before/after)' },
+              masterPage: { type: 'string', description: 'Parent (master) spread to apply, by name or prefix' },
+            },
+          },
+        },
+        {
+          name: 'delete_page',
+          description: 'Delete a page from the document',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index to delete' },
+            },
+            required: ['pageIndex'],
+          },
+        },
+        {
+          name: 'duplicate_page',
+          description: 'Duplicate a page',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index to duplicate' },
+              position: { type: 'string', enum: ['before', 'after', 'end'], default: 'after' },
+            },
+            required: ['pageIndex'],
+          },
+        },
+        {
+          name: 'navigate_to_page',
+          description: 'Navigate to a specific page',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index to navigate to' },
+            },
+            required: ['pageIndex'],
+          },
+        },
+        {
+          name: 'list_page_items',
+          description: 'List page items with their stable InDesign ids, type, bounds, layer, script label and a content preview',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index (omit for all pages)' },
+              type: { type: 'string', description: 'Only list items of this type (e.g. TextFrame, Rectangle, Oval, Group)' },
+            },
+          },
+        },
+
+        // =================== PARENT PAGES ===================
+        {
+          name: 'list_parent_spreads',
+          description: 'List parent (master) spreads with the parent they are based on, their items and the pages using them',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'create_parent_spread',
+          description: 'Create a parent (master) spread, optionally based on another parent',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              prefix: { type: 'string', description: 'Prefix, e.g. "B" (default: the next free letter)' },
+              baseName: { type: 'string', description: 'Name after the prefix', default: 'Parent' },
+              pageCount: { type: 'number', description: 'Pages in the spread (default 2 with facing pages, else 1)' },
+              basedOn: { type: 'string', description: 'Parent spread this one is based on (name or prefix)' },
+            },
+          },
+        },
+        {
+          name: 'duplicate_parent_spread',
+          description: 'Copy a parent spread with its items',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              parent: { type: 'string', description: 'Parent spread to copy (name or prefix)' },
+              prefix: { type: 'string', description: 'Prefix of the copy (default: the next free letter)' },
+              baseName: { type: 'string', description: 'Name of the copy (default: that of the original)' },
+            },
+            required: ['parent'],
+          },
+        },
+        {
+          name: 'delete_parent_spread',
+          description: 'Delete a parent spread; pages using it get the replacement parent or none',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              parent: { type: 'string', description: 'Parent spread to delete (name or prefix)' },
+              replaceWith: { type: 'string', description: 'Parent spread for the pages that used it (default: none)' },
+            },
+            required: ['parent'],
+          },
+        },
+        {
+          name: 'add_parent_text_frame',
+          description: 'Add a text frame to parent pages, e.g. a running header or a folio with {page} for the automatic page number',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              parent: { type: 'string', description: 'Parent spread (name or prefix)' },
+              content: { type: 'string', description: 'Text; {page} inserts the current page number marker, {section} the section marker' },
+              side: { type: 'string', enum: ['both', 'left', 'right'], description: 'Pages of the spread that get the frame', default: 'both' },
+              x: { type: 'number', description: 'X position from the left edge of a right-hand page' },
+              y: { type: 'number', description: 'Y position from the top of the page' },
+              width: { type: 'number', description: 'Width' },
+              height: { type: 'number', description: 'Height' },
+              mirror: { type: 'boolean', description: 'On left-hand pages, measure x from the right edge and swap left/right alignment', default: true },
+              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN'], default: 'LEFT_ALIGN' },
+              paragraphStyle: { type: 'string', description: 'Paragraph style name to apply' },
+              label: { type: 'string', description: 'Script label to tag the frames with' },
+            },
+            required: ['parent', 'content', 'x', 'y', 'width', 'height'],
+          },
+        },
+        {
+          name: 'apply_parent',
+          description: 'Apply a parent spread (or none) to pages',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              parent: { type: 'string', description: 'Parent spread (name or prefix), or "none"' },
+              pageRange: { type: 'string', description: 'Pages by position, e.g. "1-3, 5"' },
+              pageIndex: { type: 'number', description: 'A single page (alternative to pageRange)' },
+            },
+            required: ['parent'],
+          },
+        },
+        {
+          name: 'override_parent_items',
+          description: 'Override parent items on a page so they can be edited there; returns the ids of the page copies',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index' },
+              itemIds: { type: 'array', items: { type: 'number' }, description: 'Parent item ids (default: all parent items of the page)' },
+              labels: { type: 'array', items: { type: 'string' }, description: 'Script labels of parent items (alternative to itemIds)' },
+            },
+            required: ['pageIndex'],
+          },
+        },
+
+        // =================== TEXT MANAGEMENT ===================
+        {
+          name: 'create_text_frame',
+          description: 'Create a text frame with advanced formatting options',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              content: { type: 'string', description: 'Text content for the frame' },
+              x: { type: 'number', description: 'X position (default 10 mm)' },
+              y: { type: 'number', description: 'Y position (default 10 mm)' },
+              width: { type: 'number', description: 'Width (default 100 mm)' },
+              height: { type: 'number', description: 'Height (default 50 mm)' },
+              pageIndex: { type: 'number', description: 'Page index (0-based)', default: 0 },
+              fontSize: { type: 'number', description: 'Font size in points (default from server config)' },
+              fontFamily: { type: 'string', description: 'Font family name (default from server config)' },
+              fontStyle: { type: 'string', description: 'Font style (Regular, Bold, Italic, etc.; default from server config)' },
+              textColor: { type: 'string', description: 'Text color: swatch name or "#RRGGBB"', default: 'Black' },
+              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN', 'JUSTIFY'], default: 'LEFT_ALIGN' },
+              paragraphStyle: { type: 'string', description: 'Paragraph style name to apply' },
+              characterStyle: { type: 'string', description: 'Character style name to apply' },
+              label: { type: 'string', description: 'Script label to tag the new frame with' },
+            },
+            required: ['content'],
+          },
+        },
+        {
+          name: 'edit_text_frame',
+          description: 'Edit properties of an existing text frame',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemId: { type: 'number', description: 'Text frame id (from list_page_items)' },
+              label: { type: 'string', description: 'Script label of the text frame (alternative to itemId)' },
+              frameIndex: { type: 'number', description: 'Legacy: text frame index on page (positions shift, prefer itemId)' },
+              pageIndex: { type: 'number', description: 'Page index (with frameIndex)', default: 0 },
+              content: { type: 'string', description: 'New text content' },
+              fontSize: { type: 'number', description: 'Font size in points' },
+              fontFamily: { type: 'string', description: 'Font family name' },
+              textColor: { type: 'string', description: 'Text color: swatch name or "#RRGGBB"' },
+              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN', 'JUSTIFY'] },
+            },
+          },
+        },
+        {
+          name: 'find_replace_text',
+          description: 'Find and replace text and formatting, or list matches with their context (dryRun)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              findText: { type: 'string', description: 'Text to find (may be omitted when searching by findFormat)' },
+              replaceText: { type: 'string', description: 'Replacement text (omit to keep the text and only apply changeFormat)' },
+              caseSensitive: { type: 'boolean', description: 'Case sensitive search', default: false },
+              wholeWord: { type: 'boolean', description: 'Whole word only (text search, not with useGrep)', default: false },
+              useGrep: { type: 'boolean', description: 'Use GREP (regular expressions)', default: false },
+              findFormat: { ...TEXT_FORMAT_SCHEMA, description: 'Only match text with this formatting' },
+              changeFormat: { ...TEXT_FORMAT_SCHEMA, description: 'Formatting applied to the matches' },
+              scope: { type: 'string', enum: ['document', 'story', 'selection', 'page', 'layer'], default: 'document' },
+              storyId: { type: 'number', description: 'Story for scope "story"' },
+              itemId: { type: 'number', description: 'Text frame whose story is searched, for scope "story"' },
+              label: { type: 'string', description: 'Script label of that text frame, for scope "story"' },
+              pageIndex: { type: 'number', description: 'Page for scope "page"' },
+              layerName: { type: 'string', description: 'Layer for scope "layer"' },
+              dryRun: { type: 'boolean', description: 'List the matches with context and location instead of changing them', default: false },
+              contextLength: { type: 'number', description: 'Characters of context on each side of a match (dryRun)', default: 30 },
+              maxMatches: { type: 'number', description: 'Maximum number of matches listed (dryRun)', default: 200 },
+              query: { type: 'string', description: 'Start from this saved query; other arguments override it' },
+              saveAs: { type: 'string', description: 'Save this search as a named query' },
+            },
+          },
+        },
+        {
+          name: 'list_find_change_queries',
+          description: 'List the saved find/change queries',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'import_markdown',
+          description: 'Place Markdown (headings, lists, emphasis, links, quotes, code) as styled text in a new text frame or an existing story',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              markdown: { type: 'string', description: 'Markdown source' },
+              filePath: { type: 'string', description: 'Markdown file to read instead of markdown' },
+              storyId: { type: 'number', description: 'Existing story to fill' },
+              itemId: { type: 'number', description: 'Text frame whose story is filled' },
+              label: { type: 'string', description: 'Script label of that text frame' },
+              mode: { type: 'string', enum: ['replace', 'append'], description: 'Replace the story text or append to it', default: 'append' },
+              x: { type: 'number', description: 'X position of a new frame (default 10 mm)' },
+              y: { type: 'number', description: 'Y position of a new frame (default 10 mm)' },
+              width: { type: 'number', description: 'Width of a new frame (default 100 mm)' },
+              height: { type: 'number', description: 'Height of a new frame (default 150 mm)' },
+              pageIndex: { type: 'number', description: 'Page of a new frame', default: 0 },
+              styleMap: { type: 'object', description: 'Style names per Markdown element (heading1-6, paragraph, bulletList, numberedList, quote, codeBlock, strong, emphasis, code, link); defaults from server config' },
+              createMissingStyles: { type: 'boolean', description: 'Create mapped styles the document lacks', default: true },
+            },
+          },
+        },
+        {
+          name: 'export_story_markdown',
+          description: 'Convert a story to Markdown using the paragraph and character style mapping',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              storyId: { type: 'number', description: 'Story to export' },
+              itemId: { type: 'number', description: 'Text frame whose story is exported' },
+              label: { type: 'string', description: 'Script label of that text frame' },
+              filePath: { type: 'string', description: 'Also write the Markdown to this file' },
+              styleMap: { type: 'object', description: 'Style names per Markdown element; defaults from server config' },
+            },
+          },
+        },
+        {
+          name: 'link_text_frames',
+          description: 'Thread text frames in the given order so their text flows from one into the next',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemIds: { type: 'array', items: { type: 'number' }, description: 'Text frame ids, in reading order' },
+              labels: { type: 'array', items: { type: 'string' }, description: 'Script labels of the text frames, in reading order (alternative to itemIds)' },
+            },
+          },
+        },
+        {
+          name: 'list_overset_stories',
+          description: 'List stories whose text does not fit their frames, with the number of overflowing characters',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              storyId: { type: 'number', description: 'Only check this story' },
+              previewLength: { type: 'number', description: 'Characters of overflowing text to show', default: 60 },
+            },
+          },
+        },
+        {
+          name: 'autoflow_story',
+          description: 'Add pages with threaded text frames inside the margins until the story is no longer overset',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              storyId: { type: 'number', description: 'Story to flow' },
+              itemId: { type: 'number', description: 'A text frame of the story' },
+              label: { type: 'string', description: 'Script label of a text frame of the story' },
+              maxPages: { type: 'number', description: 'Maximum number of pages to add', default: 50 },
+            },
+          },
+        },
+
+        // =================== GRAPHICS MANAGEMENT ===================
+        {
+          name: 'place_image',
+          description: 'Place an image with advanced options',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              imagePath: { type: 'string', description: 'Path to the image file' },
+              x: { type: 'number', description: 'X position (default 10 mm)' },
+              y: { type: 'number', description: 'Y position (default 10 mm)' },
+              width: { type: 'number', description: 'Width (optional, maintains aspect ratio if not specified)' },
+              height: { type: 'number', description: 'Height (optional, maintains aspect ratio if not specified)' },
+              pageIndex: { type: 'number', description: 'Page index', default: 0 },
+              fitOption: { type: 'string', enum: ['PROPORTIONALLY', 'FRAME_TO_CONTENT', 'CONTENT_TO_FRAME', 'CENTER_CONTENT'], default: 'PROPORTIONALLY' },
+              createFrame: { type: 'boolean', description: 'Create frame first', default: true },
+              label: { type: 'string', description: 'Script label to tag the image frame with' },
+            },
+            required: ['imagePath'],
+          },
+        },
+        {
+          name: 'create_rectangle',
+          description: 'Create a rectangle shape',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              x: { type: 'number', description: 'X position' },
+              y: { type: 'number', description: 'Y position' },
+              width: { type: 'number', description: 'Width' },
+              height: { type: 'number', description: 'Height' },
+              pageIndex: { type: 'number', description: 'Page index', default: 0 },
+              fillColor: { type: 'string', description: 'Fill color: swatch name or "#RRGGBB"' },
+              strokeColor: { type: 'string', description: 'Stroke color: swatch name or "#RRGGBB"' },
+              strokeWidth: { type: 'number', description: 'Stroke width in points', default: 1 },
+              cornerRadius: { type: 'number', description: 'Corner radius', default: 0 },
+              label: { type: 'string', description: 'Script label to tag the rectangle with' },
+            },
+            required: ['x', 'y', 'width', 'height'],
+          },
+        },
+        {
+          name: 'create_ellipse',
+          description: 'Create an ellipse shape',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              x: { type: 'number', description: 'X position' },
+              y: { type: 'number', description: 'Y position' },
+              width: { type: 'number', description: 'Width' },
+              height: { type: 'number', description: 'Height' },
+              pageIndex: { type: 'number', description: 'Page index', default: 0 },
+              fillColor: { type: 'string', description: 'Fill color: swatch name or "#RRGGBB"' },
+              strokeColor: { type: 'string', description: 'Stroke color: swatch name or "#RRGGBB"' },
+              strokeWidth: { type: 'number', description: 'Stroke width in points', default: 1 },
+              label: { type: 'string', description: 'Script label to tag the ellipse with' },
+            },
+            required: ['x', 'y', 'width', 'height'],
+          },
+        },
+
+        // =================== STYLE MANAGEMENT ===================
+        {
+          name: 'create_paragraph_style',
+          description: 'Create a new paragraph style',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Style name' },
+              fontFamily: { type: 'string', description: 'Font family' },
+              fontSize: { type: 'number', description: 'Font size in points' },
+              leading: { type: 'number', description: 'Leading (line spacing) in points' },
+              spaceBefore: { type: 'number', description: 'Space before paragraph' },
+              spaceAfter: { type: 'number', description: 'Space after paragraph' },
+              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN', 'JUSTIFY'] },
+              textColor: { type: 'string', description: 'Text color: swatch name or "#RRGGBB"' },
+              baseStyle: { type: 'string', description: 'Base style to inherit from' },
+              ifExists: IF_EXISTS_SCHEMA,
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'create_character_style',
+          description: 'Create a new character style',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Style name' },
+              fontFamily: { type: 'string', description: 'Font family' },
+              fontStyle: { type: 'string', description: 'Font style (Regular, Bold, Italic)' },
+              fontSize: { type: 'number', description: 'Font size in points' },
+              textColor: { type: 'string', description: 'Text color: swatch name or "#RRGGBB"' },
+              tracking: { type: 'number', description: 'Character tracking' },
+              baseStyle: { type: 'string', description: 'Base style to inherit from' },
+              ifExists: IF_EXISTS_SCHEMA,
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'export_design_tokens',
+          description: 'Export color swatches and paragraph, character and object styles with their inheritance as design-token JSON',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Also write the tokens to this JSON file' },
+            },
+          },
+        },
+        {
+          name: 'apply_design_tokens',
+          description: 'Create or update swatches and styles from design-token JSON and report what changed; running it again changes nothing',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              tokens: { type: 'object', description: 'Design tokens (as written by export_design_tokens)' },
+              filePath: { type: 'string', description: 'JSON file with the tokens (alternative to tokens)' },
+              dryRun: { type: 'boolean', description: 'Only report what would change', default: false },
+            },
+          },
+        },
+        {
+          name: 'apply_paragraph_style',
+          description: 'Apply a paragraph style to text',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleName: { type: 'string', description: 'Paragraph style name' },
+              itemId: { type: 'number', description: 'Text frame id (from list_page_items)' },
+              label: { type: 'string', description: 'Script label of the text frame (alternative to itemId)' },
+              frameIndex: { type: 'number', description: 'Legacy: text frame index on page (positions shift, prefer itemId)' },
+              pageIndex: { type: 'number', description: 'Page index (with frameIndex)', default: 0 },
+              startIndex: { type: 'number', description: 'Start character index (optional)' },
+              endIndex: { type: 'number', description: 'End character index (optional)' },
+            },
+            required: ['styleName'],
+          },
+        },
+        {
+          name: 'list_styles',
+          description: 'List all available styles in the document, with their groups',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: { type: 'string', enum: ['paragraph', 'character', 'object', 'table', 'cell', 'all'], default: 'all' },
+            },
+          },
+        },
+        {
+          name: 'get_style',
+          description: 'Get every attribute of a style, its basedOn chain and, for paragraph styles, its nested and GREP styles',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: STYLE_TYPE_SCHEMA,
+              name: STYLE_NAME_SCHEMA,
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'create_style',
+          description: 'Create a paragraph, character, object, table or cell style from InDesign attributes',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: STYLE_TYPE_SCHEMA,
+              name: { type: 'string', description: 'Style name' },
+              group: { type: 'string', description: 'Style group path, e.g. "Body/Lists" (created if missing)' },
+              properties: STYLE_PROPERTIES_SCHEMA,
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'update_style',
+          description: 'Change attributes of a style, replace its nested or GREP styles, or move it to another group',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: STYLE_TYPE_SCHEMA,
+              name: STYLE_NAME_SCHEMA,
+              properties: STYLE_PROPERTIES_SCHEMA,
+              nestedStyles: {
+                type: 'array',
+                description: 'Paragraph styles: nested styles, replacing the existing ones',
+                items: {
+                  type: 'object',
+                  properties: {
+                    characterStyle: { type: 'string', description: 'Character style name ("[None]" for none)' },
+                    delimiter: { type: 'string', description: 'NestedStyleDelimiters member (SENTENCE, ANY_WORD, TABS, ...) or literal characters' },
+                    repetition: { type: 'number', default: 1 },
+                    inclusive: { type: 'boolean', description: 'Include the delimiter', default: true },
+                  },
+                  required: ['characterStyle', 'delimiter'],
+                },
+              },
+              grepStyles: {
+                type: 'array',
+                description: 'Paragraph styles: GREP styles, replacing the existing ones',
+                items: {
+                  type: 'object',
+                  properties: {
+                    characterStyle: { type: 'string', description: 'Character style name' },
+                    grepExpression: { type: 'string', description: 'GREP expression' },
+                  },
+                  required: ['characterStyle', 'grepExpression'],
+                },
+              },
+              group: { type: 'string', description: 'Move the style into this group path ("" for top level)' },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'rename_style',
+          description: 'Rename a style',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: STYLE_TYPE_SCHEMA,
+              name: STYLE_NAME_SCHEMA,
+              newName: { type: 'string', description: 'New name' },
+            },
+            required: ['name', 'newName'],
+          },
+        },
+        {
+          name: 'delete_style',
+          description: 'Delete a style; text and objects using it get the replacement style',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: STYLE_TYPE_SCHEMA,
+              name: STYLE_NAME_SCHEMA,
+              replaceWith: { type: 'string', description: 'Style applied where the deleted one was used (default: the basic style of the type)' },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'create_style_group',
+          description: 'Create a style group (nested groups as "Group/Subgroup") and optionally move styles into it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleType: STYLE_TYPE_SCHEMA,
+              name: { type: 'string', description: 'Group path' },
+              styles: { type: 'array', items: { type: 'string' }, description: 'Styles to move into the group' },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'apply_character_style',
+          description: 'Apply a character style to a range of a story',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleName: { type: 'string', description: 'Character style name or path' },
+              storyId: { type: 'number', description: 'Story id' },
+              itemId: { type: 'number', description: 'Text frame whose story is styled' },
+              label: { type: 'string', description: 'Script label of that text frame' },
+              startIndex: { type: 'number', description: 'First character (story offset, default 0)' },
+              endIndex: { type: 'number', description: 'Last character, inclusive (default: end of story)' },
+            },
+            required: ['styleName'],
+          },
+        },
+        {
+          name: 'apply_object_style',
+          description: 'Apply an object style to a page item',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              styleName: { type: 'string', description: 'Object style name or path' },
+              itemId: { type: 'number', description: 'Page item id' },
+              label: { type: 'string', description: 'Script label of the page item' },
+              clearOverrides: { type: 'boolean', description: 'Remove local formatting', default: false },
+            },
+            required: ['styleName'],
+          },
+        },
+        {
+          name: 'apply_table_style',
+          description: 'Apply a table style to a table and/or a cell style to a block of its cells',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemId: { type: 'number', description: 'Table id, or id of the text frame holding the table' },
+              label: { type: 'string', description: 'Script label of the text frame holding the table' },
+              tableStyle: { type: 'string', description: 'Table style name or path' },
+              cellStyle: { type: 'string', description: 'Cell style name or path' },
+              rows: { type: 'array', items: { type: 'number' }, description: 'First and last row (0-based) for cellStyle; default all' },
+              columns: { type: 'array', items: { type: 'number' }, description: 'First and last column (0-based) for cellStyle; default all' },
+              clearOverrides: { type: 'boolean', description: 'Remove local formatting', default: false },
+            },
+          },
+        },
+
+        // =================== COLOR MANAGEMENT ===================
+        {
+          name: 'create_color_swatch',
+          description: 'Create a new color swatch',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Swatch name' },
+              colorModel: { type: 'string', enum: ['CMYK', 'RGB', 'LAB'], description: 'Color space of colorValues (default CMYK, RGB with hex)' },
+              colorValues: { type: 'array', description: 'Color values: [C,M,Y,K] 0-100, [R,G,B] 0-255 or [L,a,b] with L 0-100 and a, b -128 to 127', items: { type: 'number' } },
+              hex: { type: 'string', description: 'RGB color as "#RRGGBB" (alternative to colorValues)' },
+              spotColor: { type: 'boolean', description: 'Create as spot color', default: false },
+              group: { type: 'string', description: 'Color group to put the swatch in (created if missing)' },
+              ifExists: IF_EXISTS_SCHEMA,
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'create_tint_swatch',
+          description: 'Create a tint swatch: a percentage of an existing color',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              baseColor: { type: 'string', description: 'Name of the color to tint' },
+              tintValue: { type: 'number', description: 'Tint percentage (0-100)' },
+              group: { type: 'string', description: 'Color group to put the swatch in (created if missing)' },
+            },
+            required: ['baseColor', 'tintValue'],
+          },
+        },
+        {
+          name: 'create_gradient_swatch',
+          description: 'Create a linear or radial gradient swatch',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Swatch name' },
+              type: { type: 'string', enum: ['LINEAR', 'RADIAL'], default: 'LINEAR' },
+              stops: {
+                type: 'array',
+                description: 'At least two stops, from start to end',
+                items: {
+                  type: 'object',
+                  properties: {
+                    color: { type: 'string', description: 'Color name or "#RRGGBB"' },
+                    location: { type: 'number', description: 'Position along the gradient (0-100; default evenly spaced)' },
+                    midpoint: { type: 'number', description: 'Midpoint towards the next stop (13-87)', default: 50 },
+                  },
+                  required: ['color'],
+                },
+              },
+              group: { type: 'string', description: 'Color group to put the swatch in (created if missing)' },
+              ifExists: IF_EXISTS_SCHEMA,
+            },
+            required: ['name', 'stops'],
+          },
+        },
+        {
+          name: 'create_color_group',
+          description: 'Create a color group in the Swatches panel, or add swatches to an existing one',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Group name' },
+              swatches: { type: 'array', items: { type: 'string' }, description: 'Swatches to move into the group' },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'list_color_swatches',
+          description: 'List all color swatches in the document',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'apply_color',
+          description: 'Apply color to an object',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemId: { type: 'number', description: 'Page item id (from list_page_items)' },
+              label: { type: 'string', description: 'Script label of the page item (alternative to itemId)' },
+              objectIndex: { type: 'number', description: 'Legacy: object index on page (positions shift, prefer itemId)' },
+              pageIndex: { type: 'number', description: 'Page index (with objectIndex)', default: 0 },
+              swatchName: { type: 'string', description: 'Color swatch name or "#RRGGBB"' },
+              property: { type: 'string', enum: ['fill', 'stroke'], default: 'fill' },
+            },
+            required: ['swatchName'],
+          },
+        },
+        {
+          name: 'import_ase_swatches',
+          description: 'Add the colors of an Adobe Swatch Exchange (.ase) file to the document',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Path to the .ase file' },
+              ifExists: { type: 'string', enum: ['skip', 'update', 'error'], description: 'For colors whose name is taken: keep the existing color, update it, or fail before importing anything', default: 'skip' },
+              groups: { type: 'boolean', description: 'Recreate the groups of the file as color groups', default: true },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'export_ase_swatches',
+          description: 'Write the document\'s colors to an Adobe Swatch Exchange (.ase) file, with their color groups',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Path of the .ase file to write' },
+              swatches: { type: 'array', items: { type: 'string' }, description: 'Colors to export (default: all named colors)' },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'audit_colors',
+          description: 'Check the fill, stroke and text colors of the document against an approved palette: unnamed colors, RGB colors, near-duplicates, off-palette colors and unused swatches, each with where it is used',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Approved palette: an .ase file, a design token file or a JSON object of colors' },
+              tolerance: { type: 'number', description: 'Largest color difference (Delta E, CIE76) counted as a near-duplicate of an approved color', default: 5 },
+              print: { type: 'boolean', description: 'The document is for print: report colors in RGB', default: true },
+              fix: { type: 'boolean', description: 'Replace near-duplicates with their nearest approved color, adding or correcting that swatch', default: false },
+            },
+            required: ['filePath'],
+          },
+        },
+
+        // =================== TABLE MANAGEMENT ===================
+        {
+          name: 'create_table',
+          description: 'Create a table',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              x: { type: 'number', description: 'X position' },
+              y: { type: 'number', description: 'Y position' },
+              width: { type: 'number', description: 'Table width' },
+              height: { type: 'number', description: 'Table height' },
+              rows: { type: 'number', description: 'Number of rows' },
+              columns: { type: 'number', description: 'Number of columns' },
+              pageIndex: { type: 'number', description: 'Page index', default: 0 },
+              headerRows: { type: 'number', description: 'Number of header rows', default: 1 },
+              footerRows: { type: 'number', description: 'Number of footer rows', default: 0 },
+              label: { type: 'string', description: 'Script label to tag the table frame with' },
+            },
+            required: ['x', 'y', 'width', 'height', 'rows', 'columns'],
+          },
+        },
+        {
+          name: 'populate_table',
+          description: 'Populate table with data',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemId: { type: 'number', description: 'Table id, or id of the text frame holding the table (from list_page_items)' },
+              label: { type: 'string', description: 'Script label of the text frame holding the table (alternative to itemId)' },
+              tableIndex: { type: 'number', description: 'Legacy: table index on page (positions shift, prefer itemId)' },
+              pageIndex: { type: 'number', description: 'Page index (with tableIndex)', default: 0 },
+              data: { type: 'array', description: 'Array of arrays with table data; the table grows to fit', items: { type: 'array' } },
+              includeHeaders: { type: 'boolean', description: 'First row contains headers: it goes into the header row and the rest into the body', default: true },
+            },
+            required: ['data'],
+          },
+        },
+        {
+          name: 'import_table_data',
+          description: 'Import a CSV, TSV or JSON file into a new table, or into an existing table resized to fit, with styles, alternating fills, column widths and merged cells',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'CSV, TSV or JSON file (an array of rows, or of objects whose keys become the header row)' },
+              format: { type: 'string', enum: ['csv', 'tsv', 'json'], description: 'File format (default: from the extension, else the contents)' },
+              delimiter: { type: 'string', description: 'Field delimiter (default: detected)' },
+              encoding: { type: 'string', description: 'Text encoding such as utf-8 or windows-1252 (default: detected)' },
+              itemId: { type: 'number', description: 'Existing table id, or id of the text frame holding it (default: create a new table)' },
+              label: { type: 'string', description: 'Script label of the text frame holding an existing table (alternative to itemId)' },
+              x: { type: 'number', description: 'X position of a new table frame (default 10 mm)' },
+              y: { type: 'number', description: 'Y position of a new table frame (default 10 mm)' },
+              width: { type: 'number', description: 'Width of a new table frame (default 150 mm)' },
+              height: { type: 'number', description: 'Height of a new table frame (default 100 mm)' },
+              pageIndex: { type: 'number', description: 'Page index for a new table', default: 0 },
+              headerRows: { type: 'number', description: 'Leading rows that are header rows', default: 1 },
+              footerRows: { type: 'number', description: 'Trailing rows that are footer rows', default: 0 },
+              repeatHeader: { type: 'string', enum: ['column', 'frame', 'page'], description: 'Repeat header rows in every text column, once per frame or once per page when the table breaks', default: 'column' },
+              skipFirstHeader: { type: 'boolean', description: 'Show the header rows only where the table continues', default: false },
+              tableStyle: { type: 'string', description: 'Table style name or path' },
+              cellStyle: { type: 'string', description: 'Cell style for body and footer cells' },
+              headerCellStyle: { type: 'string', description: 'Cell style for header cells' },
+              alternatingFills: {
+                type: 'object',
+                description: 'Alternating body row fills',
+                properties: {
+                  color: { type: 'string', description: 'Swatch name or "#RRGGBB" of the first rows' },
+                  tint: { type: 'number', description: 'Tint percentage of the first rows', default: 20 },
+                  alternateColor: { type: 'string', description: 'Swatch of the rows in between', default: 'None' },
+                  alternateTint: { type: 'number', description: 'Tint percentage of the rows in between', default: 100 },
+                  rows: { type: 'number', description: 'Rows per band', default: 1 },
+                },
+                required: ['color'],
+              },
+              columnWidths: { type: 'array', items: { type: 'number' }, description: 'Column widths from the left (default: the frame width shared equally for new tables)' },
+              merges: {
+                type: 'array',
+                description: 'Cells to merge; the merged cell shows the value of its top-left position',
+                items: {
+                  type: 'object',
+                  properties: {
+                    row: { type: 'number', description: 'Top row (0-based, counting header rows)' },
+                    column: { type: 'number', description: 'Left column (0-based)' },
+                    rowSpan: { type: 'number', default: 1 },
+                    columnSpan: { type: 'number', default: 1 },
+                  },
+                  required: ['row', 'column'],
+                },
+              },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'read_table',
+          description: 'Read a table: cell text, merged cells, header and footer rows and cell styles, optionally written to a CSV file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemId: { type: 'number', description: 'Table id, or id of the text frame holding the table (from list_page_items)' },
+              label: { type: 'string', description: 'Script label of the text frame holding the table (alternative to itemId)' },
+              filePath: { type: 'string', description: 'Also write the table to this CSV file' },
+              delimiter: { type: 'string', description: 'CSV field delimiter', default: ',' },
+            },
+          },
+        },
+        {
+          name: 'export_tables',
+          description: 'Read every table in the document, or on one page, as JSON or CSV files',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Only tables on this page (default: all pages)' },
+              format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+              filePath: { type: 'string', description: 'JSON: file to write all tables to (default: return them only)' },
+              folderPath: { type: 'string', description: 'CSV: folder for one file per table, named table-<id>.csv' },
+              delimiter: { type: 'string', description: 'CSV field delimiter', default: ',' },
+            },
+          },
+        },
+
+        // =================== LAYERS MANAGEMENT ===================
+        {
+          name: 'create_layer',
+          description: 'Create a new layer',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Layer name' },
+              color: LAYER_COLOR_SCHEMA,
+              visible: { type: 'boolean', description: 'Layer visibility', default: true },
+              locked: { type: 'boolean', description: 'Layer locked state', default: false },
+              printable: { type: 'boolean', description: 'Layer prints and exports', default: true },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'set_active_layer',
+          description: 'Set the active layer',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Layer name to activate' },
+            },
+            required: ['layerName'],
+          },
+        },
+        {
+          name: 'list_layers',
+          description: 'List all layers in the document',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'set_layer_properties',
+          description: 'Show or hide, lock or unlock a layer, make it printable or not, or change its color',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Layer name' },
+              visible: { type: 'boolean', description: 'Layer visibility' },
+              locked: { type: 'boolean', description: 'Layer locked state' },
+              printable: { type: 'boolean', description: 'Layer prints and exports' },
+              color: LAYER_COLOR_SCHEMA,
+            },
+            required: ['layerName'],
+          },
+        },
+        {
+          name: 'rename_layer',
+          description: 'Rename a layer',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Layer name' },
+              newName: { type: 'string', description: 'New layer name' },
+            },
+            required: ['layerName', 'newName'],
+          },
+        },
+        {
+          name: 'move_layer',
+          description: 'Change the stacking order of a layer',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Layer name' },
+              position: { type: 'string', enum: ['top', 'bottom', 'above', 'below'], description: 'Top or bottom of the stack, or above or below relativeTo' },
+              relativeTo: { type: 'string', description: 'Layer to move above or below' },
+            },
+            required: ['layerName', 'position'],
+          },
+        },
+        {
+          name: 'duplicate_layer',
+          description: 'Duplicate a layer with its page items',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Layer name' },
+              newName: { type: 'string', description: 'Name of the copy (default: InDesign\'s "<name> copy")' },
+            },
+            required: ['layerName'],
+          },
+        },
+        {
+          name: 'merge_layers',
+          description: 'Move the page items of layers onto another layer and delete them',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerNames: { type: 'array', items: { type: 'string' }, description: 'Layers to merge away' },
+              targetLayer: { type: 'string', description: 'Layer that receives their page items' },
+            },
+            required: ['layerNames', 'targetLayer'],
+          },
+        },
+        {
+          name: 'delete_layer',
+          description: 'Delete a layer, moving its page items to another layer',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Layer name' },
+              moveItemsTo: { type: 'string', description: 'Layer that receives the page items' },
+              deleteItems: { type: 'boolean', description: 'Delete the page items with the layer instead of moving them', default: false },
+            },
+            required: ['layerName'],
+          },
+        },
+        {
+          name: 'move_items_to_layer',
+          description: 'Move page items to another layer',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemIds: { type: 'array', items: { type: 'number' }, description: 'Page item ids (from list_page_items)' },
+              labels: { type: 'array', items: { type: 'string' }, description: 'Script labels of the page items (alternative to itemIds)' },
+              layerName: { type: 'string', description: 'Destination layer' },
+            },
+            required: ['layerName'],
+          },
+        },
+        {
+          name: 'list_layer_items',
+          description: 'Page items per layer, with their type, page and position',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              layerName: { type: 'string', description: 'Only this layer (default: all layers)' },
+              pageIndex: { type: 'number', description: 'Only items on this page (default: all pages and parent spreads)' },
+            },
+          },
+        },
+
+        // =================== EXPORT & PRINT ===================
+        {
+          name: 'export_pdf',
+          description: 'Export document as PDF with advanced options',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Output PDF file path' },
+              preset: { type: 'string', enum: ['Print', 'Web', 'SmallestFileSize', 'HighQualityPrint', 'PressQuality'], description: 'PDF preset (default from server config)' },
+              pageRange: { type: 'string', description: 'Page range (e.g., "1-5", "all")', default: 'all' },
+              includeBleed: { type: 'boolean', description: 'Include bleed area', default: false },
+              includeSlug: { type: 'boolean', description: 'Include slug area', default: false },
+              colorProfile: { type: 'string', description: 'Color profile for export' },
+              jpegQuality: { type: 'string', enum: ['Low', 'Medium', 'High', 'Maximum'], default: 'High' },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'export_images',
+          description: 'Export pages as images',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              folderPath: { type: 'string', description: 'Output folder path' },
+              format: { type: 'string', enum: ['PNG', 'JPEG', 'TIFF', 'GIF'], default: 'PNG' },
+              resolution: { type: 'number', description: 'Export resolution in DPI', default: 300 },
+              pageRange: { type: 'string', description: 'Page range', default: 'all' },
+              includeBleed: { type: 'boolean', description: 'Include bleed area', default: false },
+            },
+            required: ['folderPath'],
+          },
+        },
+        {
+          name: 'export_epub',
+          description: 'Export document as EPUB',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filePath: { type: 'string', description: 'Output EPUB file path' },
+              version: { type: 'string', enum: ['EPUB2', 'EPUB3'], default: 'EPUB3' },
+              includeImages: { type: 'boolean', description: 'Include images', default: true },
+              imageFormat: { type: 'string', enum: ['PNG', 'JPEG', 'GIF'], default: 'PNG' },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'package_document',
+          description: 'Package document for print production',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              folderPath: { type: 'string', description: 'Output folder path' },
+              includeLinkedFiles: { type: 'boolean', description: 'Include linked files', default: true },
+              includeFonts: { type: 'boolean', description: 'Include fonts', default: true },
+              createReport: { type: 'boolean', description: 'Create packaging report', default: true },
+            },
+            required: ['folderPath'],
+          },
+        },
+
+        // =================== UTILITIES & AUTOMATION ===================
+        {
+          name: 'execute_indesign_code',
+          description: 'Execute custom ExtendScript code in InDesign',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              code: { type: 'string', description: 'ExtendScript/JavaScript code to execute in InDesign' },
+            },
+            required: ['code'],
+          },
+        },
+        {
+          name: 'preflight_document',
+          description: 'Run a preflight check, wait for it to finish and report every issue with rule, severity, page and object id',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              profile: { type: 'string', description: 'Preflight profile name (default: the first profile, usually [Basic])' },
+              profileFile: { type: 'string', description: 'Load the profile from a .json definition or an exported .idpp file first' },
+              scope: { type: 'string', enum: ['document', 'selection', 'pages'], default: 'document' },
+              pageRange: { type: 'string', description: 'Pages to report for scope "pages" (e.g., "1-3, 5")' },
+              maxIssues: { type: 'number', description: 'Maximum number of issues listed', default: 500 },
+            },
+          },
+        },
+        {
+          name: 'create_preflight_profile',
+          description: 'Create or replace a preflight profile from a JSON definition',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              definition: {
+                type: 'object',
+                description: 'Profile definition: { name, description, rules: [{ id, flag, data }] }',
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  rules: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string', description: 'Rule id, e.g. ADBE_ImageResolution' },
+                        flag: { type: 'string', enum: ['error', 'warning', 'info', 'disabled'], default: 'error' },
+                        data: { type: 'object', description: 'Rule data values by name, e.g. { "minColorResolution": 300 }' },
+                      },
+                      required: ['id'],
+                    },
+                  },
+                },
+                required: ['name'],
+              },
+              filePath: { type: 'string', description: 'Read the definition from this JSON file instead' },
+            },
+          },
+        },
+        {
+          name: 'view_document',
+          description: 'Get visual representation and detailed info about the current document',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'render_page_preview',
+          description: 'Render a page, its spread or a single page item as an image the assistant can look at',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index (0-based)', default: 0 },
+              spread: { type: 'boolean', description: 'Render the whole spread containing the page', default: false },
+              itemId: { type: 'number', description: 'Render only this page item (id from list_page_items)' },
+              label: { type: 'string', description: 'Render only the page item with this script label' },
+              format: { type: 'string', enum: ['PNG', 'JPEG'], default: 'PNG' },
+              resolution: { type: 'number', description: 'Resolution in DPI', default: 72 },
+              includeBleed: { type: 'boolean', description: 'Include the bleed area', default: false },
+              refresh: { type: 'boolean', description: 'Render again even if nothing changed since the last render', default: false },
+            },
+          },
+        },
+        {
+          name: 'zoom_to_page',
+          description: 'Zoom and fit page in view',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pageIndex: { type: 'number', description: 'Page index to zoom to' },
+              fitOption: { type: 'string', enum: ['FIT_PAGE', 'FIT_SPREAD', 'ACTUAL_SIZE', 'ZOOM_TO_SELECTION'], default: 'FIT_PAGE' },
+            },
+          },
+        },
+        {
+          name: 'data_merge',
+          description: 'Perform data merge operation',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataSourcePath: { type: 'string', description: 'Path to CSV data source' },
+              outputFolder: { type: 'string', description: 'Output folder for merged documents' },
+              fileFormat: { type: 'string', enum: ['INDD', 'PDF', 'BOTH'], default: 'PDF' },
+              recordRange: { type: 'string', description: 'Record range (e.g., "1-10", "all")', default: 'all' },
+            },
+            required: ['dataSourcePath', 'outputFolder'],
+          },
+        },
+        {
+          name: 'get_server_config',
+          description: 'Report the effective server configuration: target application, units, timeouts, workspace root and defaults',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              checkApplication: { type: 'boolean', description: 'Also ask InDesign for its version (launches InDesign if it is not running)', default: false },
+            },
+          },
+        },
+
+        // =================== HISTORY ===================
+        {
+          name: 'undo_last_operation',
+          description: 'Undo the most recent MCP tool call in a document (each call is one undo step named "MCP: <Tool>")',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'redo_last_operation',
+          description: 'Redo the most recently undone MCP tool call in a document',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'batch_operations',
+          description: 'Run an ordered list of tool calls in a single InDesign script execution and return a result per step',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              operations: {
+                type: 'array',
+                description: 'Tool calls in order; a step without a "document" argument uses the batch document',
+                items: {
+                  type: 'object',
+                  properties: {
+                    tool: { type: 'string', description: 'Tool name, e.g. create_text_frame' },
+                    arguments: { type: 'object', description: 'Tool arguments' },
+                  },
+                  required: ['tool'],
+                },
+              },
+              atomic: { type: 'boolean', description: 'Roll back the whole batch if any step fails', default: false },
+            },
+            required: ['operations'],
+          },
+        },
+        {
+          name: 'get_operation_history',
+          description: 'List the MCP tool calls that produced undo steps, newest first',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              limit: { type: 'number', description: 'Maximum number of entries', default: 20 },
+            },
+          },
+        },
+      ])),
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        return await this.callTool(name, args || {});
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(ErrorCode.InternalError, `Error executing tool ${name}: ${error.message}`);
+      }
+    });
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await this.listResources(),
+    }));
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES,
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      try {
+        return await this.readResource(uri);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(ErrorCode.InternalError, `Error reading resource ${uri}: ${error.message}`);
+      }
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: this.prompts().map(({ name, description, arguments: promptArguments = [] }) => ({
+        name,
+        description,
+        arguments: promptArguments.map(({ name: argumentName, description: argumentDescription, required = false }) => ({
+          name: argumentName,
+          description: argumentDescription,
+          required,
+        })),
+      })),
+    }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      const prompt = this.prompts().find((candidate) => candidate.name === name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+      }
+      return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text: renderPrompt(prompt, args) } }],
+      };
+    });
+  }
+
+  // The prompts directory is read on every request, so new files show up without a restart
+  prompts() {
+    const prompts = new Map(BUILTIN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+    for (const prompt of readPromptDirectory(this.config.promptsDirectory)) {
+      prompts.set(prompt.name, prompt);
+    }
+    return [...prompts.values()];
+  }
+
+  // Handlers run inside a context naming the tool, so script execution can
+  // apply that tool's settings (e.g. its timeout) without threading them through
+  async callTool(name, args = {}) {
+    const units = this.unitsFor(args);
+    const response = await this.toolContext.run({ tool: name, args, units }, () =>
+      this.dispatchTool(name, this.prepareArguments(name, args, units))
+    );
+    if (!READ_ONLY_TOOLS.has(name)) {
+      this.notifyResourcesChanged(name);
+    }
+    return response;
+  }
+
+  // A tool may target a document by name or path, so rather than mapping that
+  // back to ids every subscribed resource is reported as possibly updated
+  notifyResourcesChanged(tool) {
+    const notifications = [...this.subscriptions].map((uri) => this.server.sendResourceUpdated({ uri }));
+    if (RESOURCE_LIST_TOOLS.has(tool)) {
+      notifications.push(this.server.sendResourceListChanged());
+    }
+    // Notifications are best effort: without a connected client there is nobody to tell
+    return Promise.allSettled(notifications);
+  }
+
+  unitsFor(args) {
+    const units = args.units ?? this.config.units;
+    if (!POINTS_PER_UNIT[units]) {
+      throw new McpError(ErrorCode.InvalidParams,
+        `Invalid units: ${units}. Expected one of: ${Object.keys(POINTS_PER_UNIT).join(', ')}`);
+    }
+    return units;
+  }
+
+  // Handlers receive file paths resolved against the workspace and lengths in points
+  prepareArguments(name, args, units) {
+    const prepared = this.resolvePaths(args);
+    for (const key of LENGTH_ARGUMENTS[name] || []) {
+      if (typeof prepared[key] === 'number') {
+        prepared[key] = toPoints(prepared[key], units);
+      } else if (Array.isArray(prepared[key])) {
+        prepared[key] = prepared[key].map((value) => (typeof value === 'number' ? toPoints(value, units) : value));
+      }
+    }
+    return prepared;
+  }
+
+  // Relative paths are taken relative to the configured workspace root
+  resolvePaths(args) {
+    const { workspaceRoot } = this.config;
+    const resolved = { ...args };
+    if (!workspaceRoot) {
+      return resolved;
+    }
+    for (const key of PATH_ARGUMENTS) {
+      if (typeof resolved[key] === 'string' && !path.isAbsolute(resolved[key])) {
+        resolved[key] = path.resolve(workspaceRoot, resolved[key]);
+      }
+    }
+    return resolved;
+  }
+
+  async dispatchTool(name, args) {
+    switch (name) {
+      // Document Management
+      case 'list_documents': return await this.listDocuments();
+      case 'get_document_info': return await this.getDocumentInfo(args);
+      case 'create_document': return await this.createDocument(args);
+      case 'open_document': return await this.openDocument(args);
+      case 'save_document': return await this.saveDocument(args);
+      case 'close_document': return await this.closeDocument(args);
+
+      // Page Management
+      case 'add_page': return await this.addPage(args);
+      case 'delete_page': return await this.deletePage(args);
+      case 'duplicate_page': return await this.duplicatePage(args);
+      case 'list_parent_spreads': return await this.listParentSpreads(args);
+      case 'create_parent_spread': return await this.createParentSpread(args);
+      case 'duplicate_parent_spread': return await this.duplicateParentSpread(args);
+      case 'delete_parent_spread': return await this.deleteParentSpread(args);
+      case 'add_parent_text_frame': return await this.addParentTextFrame(args);
+      case 'apply_parent': return await this.applyParent(args);
+      case 'override_parent_items': return await this.overrideParentItems(args);
+      case 'navigate_to_page': return await this.navigateToPage(args);
+      case 'list_page_items': return await this.listPageItems(args);
+
+      // Text Management
+      case 'create_text_frame': return await this.createTextFrame(args);
+      case 'edit_text_frame': return await this.editTextFrame(args);
+      case 'find_replace_text': return await this.findReplaceText(args);
+      case 'list_find_change_queries': return await this.listFindChangeQueries();
+      case 'import_markdown': return await this.importMarkdown(args);
+      case 'export_story_markdown': return await this.exportStoryMarkdown(args);
+      case 'link_text_frames': return await this.linkTextFrames(args);
+      case 'list_overset_stories': return await this.listOversetStories(args);
+      case 'autoflow_story': return await this.autoflowStory(args);
+
+      // Graphics Management
+      case 'place_image': return await this.placeImage(args);
+      case 'create_rectangle': return await this.createRectangle(args);
+      case 'create_ellipse': return await this.createEllipse(args);
+
+      // Style Management
+      case 'create_paragraph_style': return await this.createParagraphStyle(args);
+      case 'create_character_style': return await this.createCharacterStyle(args);
+      case 'apply_paragraph_style': return await this.applyParagraphStyle(args);
+      case 'list_styles': return await this.listStyles(args);
+      case 'export_design_tokens': return await this.exportDesignTokens(args);
+      case 'apply_design_tokens': return await this.applyDesignTokens(args);
+      case 'get_style': return await this.getStyle(args);
+      case 'create_style': return await this.createStyle(args);
+      case 'update_style': return await this.updateStyle(args);
+      case 'rename_style': return await this.renameStyle(args);
+      case 'delete_style': return await this.deleteStyle(args);
+      case 'create_style_group': return await this.createStyleGroup(args);
+      case 'apply_character_style': return await this.applyCharacterStyle(args);
+      case 'apply_object_style': return await this.applyObjectStyle(args);
+      case 'apply_table_style': return await this.applyTableStyle(args);
+
+      // Color Management
+      case 'create_color_swatch': return await this.createColorSwatch(args);
+      case 'create_tint_swatch': return await this.createTintSwatch(args);
+      case 'create_gradient_swatch': return await this.createGradientSwatch(args);
+      case 'create_color_group': return await this.createColorGroup(args);
+      case 'list_color_swatches': return await this.listColorSwatches(args);
+      case 'apply_color': return await this.applyColor(args);
+      case 'import_ase_swatches': return await this.importAseSwatches(args);
+      case 'export_ase_swatches': return await this.exportAseSwatches(args);
+      case 'audit_colors': return await this.auditColors(args);
+
+      // Table Management
+      case 'create_table': return await this.createTable(args);
+      case 'populate_table': return await this.populateTable(args);
+      case 'import_table_data': return await this.importTableData(args);
+      case 'read_table': return await this.readTable(args);
+      case 'export_tables': return await this.exportTables(args);
+
+      // Layer Management
+      case 'create_layer': return await this.createLayer(args);
+      case 'set_active_layer': return await this.setActiveLayer(args);
+      case 'list_layers': return await this.listLayers(args);
+      case 'set_layer_properties': return await this.setLayerProperties(args);
+      case 'rename_layer': return await this.renameLayer(args);
+      case 'move_layer': return await this.moveLayer(args);
+      case 'duplicate_layer': return await this.duplicateLayer(args);
+      case 'merge_layers': return await this.mergeLayers(args);
+      case 'delete_layer': return await this.deleteLayer(args);
+      case 'move_items_to_layer': return await this.moveItemsToLayer(args);
+      case 'list_layer_items': return await this.listLayerItems(args);
+
+      // Export & Print
+      case 'export_pdf': return await this.exportPDF(args);
+      case 'export_images': return await this.exportImages(args);
+      case 'export_epub': return await this.exportEPUB(args);
+      case 'package_document': return await this.packageDocument(args);
+
+      // Utilities
+      case 'execute_indesign_code': return await this.executeInDesignCode(args);
+      case 'preflight_document': return await this.preflightDocument(args);
+      case 'create_preflight_profile': return await this.createPreflightProfile(args);
+      case 'view_document': return await this.viewDocument(args);
+      case 'render_page_preview': return await this.renderPagePreview(args);
+      case 'zoom_to_page': return await this.zoomToPage(args);
+      case 'data_merge': return await this.dataMerge(args);
+      case 'get_server_config': return await this.getServerConfig(args);
+
+      // History
+      case 'undo_last_operation': return await this.undoLastOperation(args);
+      case 'redo_last_operation': return await this.redoLastOperation(args);
+      case 'get_operation_history': return await this.getOperationHistory(args);
+      case 'batch_operations': return await this.batchOperations(args);
+
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  }
+
+  // =================== CORE UTILITIES ===================
+  async executeInDesignScript(script, params = {}, { convertGeometry = true } = {}) {
+    // Handler scripts run inside a function and return a plain object; the
+    // wrapper serializes it (or the error) into a JSON envelope for parsing here.
+    // Tool arguments never become script source: they arrive as the params object.
+    // Modifying tools run through doScript so that InDesign records one named undo step.
+    const context = this.toolContext.getStore() || {};
+    const undoName = undoNameFor(context.tool);
+    const wrappedScript = `${EXTENDSCRIPT_PRELUDE}
+      (function () {
+        var params = ${toScriptLiteral(params)};
+        var undoName = ${toScriptLiteral(undoName)};
+        var measurementUnit = app.scriptPreferences.measurementUnit;
+        app.scriptPreferences.measurementUnit = MeasurementUnits.POINTS;
+        try {
+          var result;
+          var undoBefore = undoName ? undoTarget(params.document) : null;
+          var body = function () {
+            result = (function () {
+              ${script}
+            })();
+          };
+          if (undoName) {
+            app.doScript(body, ScriptLanguage.JAVASCRIPT, undefined, UndoModes.ENTIRE_SCRIPT, undoName);
+          } else {
+            body();
+          }
+          var undo = undoName ? undoTarget(params.document) : null;
+          return toJSON({ ok: true, result: result, undo: undoStepAdded(undoBefore, undo, undoName) ? undo : null });
+        } catch (error) {
+          return toJSON({ ok: false, error: error.message, line: error.line || null });
+        } finally {
+          app.scriptPreferences.measurementUnit = measurementUnit;
+        }
+      })();
+    `;
+
+    const timeout = this.timeoutFor(context.tool);
+    const response = await this.queue.run(() => this.backend.runScript(wrappedScript, { timeout }));
+    const envelope = this.parseScriptResponse(response);
+    this.recordUndoStep(context, undoName, envelope.undo);
+    const result = envelope.result ?? null;
+    return convertGeometry ? geometryIn(result, context.units ?? this.config.units) : result;
+  }
+
+  // Only calls that added their undo step to the document's stack are recorded
+  // (a find/replace without matches, for example, changes nothing)
+  recordUndoStep(context, undoName, undo) {
+    if (!undo || undo.undoName !== undoName) {
+      return;
+    }
+    // A new step discards whatever could have been redone in that document
+    this.history = this.history.filter((entry) => !(entry.undone && entry.documentId === undo.documentId));
+    this.redoStack = this.redoStack.filter((entry) => entry.documentId !== undo.documentId);
+    this.history.push({
+      id: randomUUID(),
+      tool: context.tool,
+      arguments: context.args,
+      undoName,
+      documentId: undo.documentId,
+      documentName: undo.documentName,
+      filePath: undo.filePath,
+      time: new Date().toISOString(),
+      undone: false,
+    });
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.splice(0, this.history.length - HISTORY_LIMIT);
+    }
+  }
+
+  timeoutFor(toolName) {
+    return this.timeouts[toolName] ?? this.timeouts.default;
+  }
+
+  parseScriptResponse(response) {
+    let envelope;
+    try {
+      envelope = JSON.parse(response);
+    } catch (error) {
+      throw new Error(`Unexpected response from InDesign: ${String(response).slice(0, 200)}`);
+    }
+
+    if (!envelope.ok) {
+      throw new Error(`${envelope.error} (Line: ${envelope.line ?? 'unknown'})`);
+    }
+    return envelope;
+  }
+
+  formatResponse(result, operation = "Operation", summarize) {
+    if (result === null || typeof result !== 'object') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${operation}: ${result}`,
+          },
+        ],
+      };
+    }
+
+    const summary = summarize ? summarize(result) : 'OK';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${operation}: ${summary}`,
+        },
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+      structuredContent: result,
+    };
+  }
+
+  // =================== DOCUMENT MANAGEMENT ===================
+  async listDocuments() {
+    const result = await this.queryDocuments();
+    return this.formatResponse(result, "List Documents", (list) =>
+      list.documents.length === 0
+        ? 'No documents open'
+        : list.documents.map((doc) => `${doc.name} (id ${doc.id}${doc.active ? ', active' : ''})`).join(', ')
+    );
+  }
+
+  // Also backs the indesign://documents resource
+  async queryDocuments() {
+    const script = `
+      var documents = [];
+      for (var i = 0; i < app.documents.length; i++) {
+        documents.push(describeDocument(app.documents[i]));
+      }
+      return { documents: documents };
+    `;
+
+    return this.executeInDesignScript(script);
+  }
+
+  async getDocumentInfo(args) {
+    const result = await this.queryDocumentInfo(args);
+    return this.formatResponse(result, "Document Info", (info) =>
+      `${info.name}, ${info.pageCount} pages (${info.pageWidth} x ${info.pageHeight}), ` +
+      `${info.contents.textFrames} text frames, ${info.contents.layers} layers, ${info.contents.swatches} swatches`
+    );
+  }
+
+  // Also backs the indesign://document/{id} resource
+  async queryDocumentInfo(args) {
+    const { document } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      var totalTextFrames = 0;
+      var totalImages = 0;
+      var totalShapes = 0;
+
+      for (var i = 0; i < doc.pages.length; i++) {
+        totalTextFrames += doc.pages[i].textFrames.length;
+        totalImages += doc.pages[i].rectangles.length; // Approximation
+        totalShapes += doc.pages[i].ovals.length + doc.pages[i].polygons.length;
+      }
+
+      return {
+        id: doc.id,
+        name: doc.name,
+        filePath: doc.saved ? doc.fullName.fsName : null,
+        modified: doc.modified,
+        pageCount: doc.pages.length,
+        pageWidth: doc.documentPreferences.pageWidth,
+        pageHeight: doc.documentPreferences.pageHeight,
+        facingPages: doc.documentPreferences.facingPages,
+        margins: {
+          top: doc.marginPreferences.top,
+          bottom: doc.marginPreferences.bottom,
+          left: doc.marginPreferences.left,
+          right: doc.marginPreferences.right
         },
+        contents: {
+          textFrames: totalTextFrames,
+          rectangles: totalImages,
+          shapes: totalShapes,
+          layers: doc.layers.length,
+          swatches: doc.swatches.length
+        }
+      };
+    `;
+
+    return this.executeInDesignScript(script, { document });
+  }
+
+  async createDocument(args) {
+    const {
+      preset = this.config.defaults.documentPreset,
+      width,
+      height,
+      orientation = 'Portrait',
+      pages = 1,
+      facingPages = false,
+      bleed = 0,
+      slug = 0,
+      marginTop = mm(20),
+      marginBottom = mm(20),
+      marginLeft = mm(20),
+      marginRight = mm(20),
+      units = this.config.units
+    } = args;
+
+    const script = `
+      // Portrait page sizes
+      var presetSizes = {
+        A3: ["297mm", "420mm"],
+        A4: ["210mm", "297mm"],
+        A5: ["148mm", "210mm"],
+        Letter: ["8.5in", "11in"],
+        Legal: ["8.5in", "14in"]
+      };
+
+      var size;
+      if (params.preset === "Custom" && params.width && params.height) {
+        size = [params.width, params.height];
+      } else if (presetSizes.hasOwnProperty(params.preset)) {
+        size = presetSizes[params.preset];
+        if (params.orientation === "Landscape") {
+          size = [size[1], size[0]];
+        }
+      }
+
+      var doc = app.documents.add();
+
+      // Rulers use the call's units; the lengths below are points or carry their unit
+      var rulerUnits = enumValue(MeasurementUnits, params.rulerUnits, "units");
+      doc.viewPreferences.horizontalMeasurementUnits = rulerUnits;
+      doc.viewPreferences.verticalMeasurementUnits = rulerUnits;
+
+      // Set document dimensions
+      if (size) {
+        doc.documentPreferences.pageWidth = size[0];
+        doc.documentPreferences.pageHeight = size[1];
+      }
+
+      // Document setup
+      doc.documentPreferences.facingPages = params.facingPages;
+      doc.documentPreferences.pagesPerDocument = params.pages;
+
+      // Bleed and slug
+      if (params.bleed > 0) {
+        doc.documentPreferences.documentBleedTopOffset = params.bleed;
+        doc.documentPreferences.documentBleedBottomOffset = params.bleed;
+        doc.documentPreferences.documentBleedInsideOrLeftOffset = params.bleed;
+        doc.documentPreferences.documentBleedOutsideOrRightOffset = params.bleed;
+      }
+
+      if (params.slug > 0) {
+        doc.documentPreferences.slugTopOffset = params.slug;
+        doc.documentPreferences.slugBottomOffset = params.slug;
+        doc.documentPreferences.slugInsideOrLeftOffset = params.slug;
+        doc.documentPreferences.slugRightOrOutsideOffset = params.slug;
+      }
+
+      // Margins
+      doc.marginPreferences.top = params.marginTop;
+      doc.marginPreferences.bottom = params.marginBottom;
+      doc.marginPreferences.left = params.marginLeft;
+      doc.marginPreferences.right = params.marginRight;
+
+      return {
+        id: doc.id,
+        name: doc.name,
+        preset: params.preset,
+        pageWidth: doc.documentPreferences.pageWidth,
+        pageHeight: doc.documentPreferences.pageHeight,
+        pageCount: doc.pages.length,
+        facingPages: doc.documentPreferences.facingPages
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      preset, width, height, orientation, pages, facingPages, bleed, slug,
+      marginTop, marginBottom, marginLeft, marginRight,
+      rulerUnits: MEASUREMENT_UNITS[units],
+    });
+    return this.formatResponse(result, "Create Document", (doc) =>
+      `${doc.preset} (${doc.pageWidth} x ${doc.pageHeight}), ${doc.pageCount} pages, ${doc.facingPages ? 'facing pages' : 'single pages'}`
+    );
+  }
+
+  async openDocument(args) {
+    const { filePath } = args;
+
+    const script = `
+      var file = File(params.filePath);
+      if (!file.exists) {
+        throw new Error("File not found: " + params.filePath);
+      }
+
+      var doc = app.open(file);
+      return { id: doc.id, name: doc.name, filePath: doc.fullName.fsName, pageCount: doc.pages.length };
+    `;
+
+    const result = await this.executeInDesignScript(script, { filePath });
+    return this.formatResponse(result, "Open Document", (doc) => `${doc.name} (${doc.pageCount} pages)`);
+  }
+
+  async saveDocument(args) {
+    const { document, filePath } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      if (params.filePath) {
+        doc = doc.save(File(params.filePath));
+      } else {
+        if (!doc.saved) {
+          throw new Error("Document has never been saved. Please provide a file path.");
+        }
+        doc.save();
+      }
+      return { name: doc.name, filePath: doc.fullName.fsName };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, filePath });
+    return this.formatResponse(result, "Save Document", (doc) => `Saved as ${doc.filePath}`);
+  }
+
+  async closeDocument(args) {
+    const { document, save = false } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var docName = doc.name;
+      doc.close(params.save ? SaveOptions.YES : SaveOptions.NO);
+      return { name: docName, saved: params.save };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, save });
+    return this.formatResponse(result, "Close Document", (doc) => `Closed ${doc.name}`);
+  }
+
+  // =================== PAGE MANAGEMENT ===================
+  async addPage(args) {
+    const { document, position = 'end', pageIndex = 0, masterPage } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var newPage;
+
+      if (params.position === "end") {
+        newPage = doc.pages.add();
+      } else {
+        var refPage = requirePage(doc, params.pageIndex);
+        newPage = doc.pages.add(params.position === "before" ? LocationOptions.BEFORE : LocationOptions.AFTER, refPage);
+      }
+
+      if (params.masterPage) {
+        newPage.appliedMaster = requireParentSpread(doc, params.masterPage);
+      }
+
+      return {
+        pageIndex: newPage.documentOffset,
+        pageName: newPage.name,
+        appliedMaster: newPage.appliedMaster ? newPage.appliedMaster.name : null,
+        pageCount: doc.pages.length
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, position, pageIndex, masterPage });
+    return this.formatResponse(result, "Add Page", (page) =>
+      `Page added at position ${page.pageIndex + 1}. Total pages: ${page.pageCount}`
+    );
+  }
+
+  async deletePage(args) {
+    const { document, pageIndex } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var pageToDelete = requirePage(doc, params.pageIndex);
+      if (doc.pages.length === 1) {
+        throw new Error("Cannot delete the last page in the document.");
+      }
+
+      pageToDelete.remove();
+      return { deletedPageIndex: params.pageIndex, pageCount: doc.pages.length };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, pageIndex });
+    return this.formatResponse(result, "Delete Page", (page) =>
+      `Page ${page.deletedPageIndex + 1} deleted. Remaining pages: ${page.pageCount}`
+    );
+  }
+
+  async duplicatePage(args) {
+    const { document, pageIndex, position = 'after' } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var sourcePage = requirePage(doc, params.pageIndex);
+      var newPage = doc.pages.add(params.position === "before" ? LocationOptions.BEFORE : LocationOptions.AFTER, sourcePage);
+
+      // Copy all page items
+      for (var i = 0; i < sourcePage.allPageItems.length; i++) {
+        sourcePage.allPageItems[i].duplicate(newPage);
+      }
+
+      return {
+        sourcePageIndex: params.pageIndex,
+        pageIndex: newPage.documentOffset,
+        itemCount: sourcePage.allPageItems.length,
+        pageCount: doc.pages.length
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, pageIndex, position });
+    return this.formatResponse(result, "Duplicate Page", (page) =>
+      `Page ${page.sourcePageIndex + 1} duplicated. New page position: ${page.pageIndex + 1}`
+    );
+  }
+
+  async navigateToPage(args) {
+    const { document, pageIndex } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      documentWindow(doc).activePage = page;
+      return { pageIndex: page.documentOffset, pageName: page.name };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, pageIndex });
+    return this.formatResponse(result, "Navigate to Page", (page) => `Navigated to page ${page.pageIndex + 1}`);
+  }
+
+  async listPageItems(args) {
+    const result = await this.queryPageItems(args);
+    return this.formatResponse(result, "List Page Items", (list) =>
+      `${list.items.length} items${list.pageIndex !== null ? ` on page ${list.pageIndex + 1}` : ''}`
+    );
+  }
+
+  // Also backs the indesign://document/{id}/pages/{n} resource
+  async queryPageItems(args) {
+    const { document, pageIndex, type } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var items = params.pageIndex !== undefined ? requirePage(doc, params.pageIndex).allPageItems : doc.allPageItems;
+      var list = [];
+
+      for (var i = 0; i < items.length; i++) {
+        if (params.type && items[i].reflect.name !== params.type) {
+          continue;
+        }
+        list.push(describePageItem(items[i]));
+      }
+
+      return { pageIndex: params.pageIndex !== undefined ? params.pageIndex : null, items: list };
+    `;
+
+    return this.executeInDesignScript(script, { document, pageIndex, type });
+  }
+
+  // =================== PARENT PAGES ===================
+  // Parent spreads are addressed by full name ("A-Parent") or prefix ("A").
+  async listParentSpreads(args) {
+    const { document } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var usage = {};
+      for (var p = 0; p < doc.pages.length; p++) {
+        var applied = doc.pages[p].appliedMaster;
+        if (applied) {
+          (usage[applied.name] = usage[applied.name] || []).push(doc.pages[p].name);
+        }
+      }
+
+      var parents = [];
+      for (var i = 0; i < doc.masterSpreads.length; i++) {
+        var spread = doc.masterSpreads[i];
+        var items = [];
+        for (var j = 0; j < spread.pageItems.length; j++) {
+          var item = spread.pageItems[j];
+          items.push({ id: item.id, type: item.reflect.name, label: item.label });
+        }
+        parents.push({
+          name: spread.name,
+          prefix: spread.namePrefix,
+          baseName: spread.baseName,
+          basedOn: spread.appliedMaster ? spread.appliedMaster.name : null,
+          pageCount: spread.pages.length,
+          items: items,
+          usedBy: usage[spread.name] || []
+        });
+      }
+      return { parents: parents };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document });
+    return this.formatResponse(result, "List Parent Spreads", (list) =>
+      list.parents.map((parent) => `${parent.name} (${parent.usedBy.length} pages)`).join(', ') || 'No parent spreads'
+    );
+  }
+
+  async createParentSpread(args) {
+    const { document, prefix, baseName = 'Parent', pageCount, basedOn } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      function nextParentPrefix() {
+        var used = {};
+        for (var i = 0; i < doc.masterSpreads.length; i++) {
+          used[doc.masterSpreads[i].namePrefix] = true;
+        }
+        for (var c = 65; c <= 90; c++) {
+          if (!used[String.fromCharCode(c)]) return String.fromCharCode(c);
+        }
+        throw new Error("No free single-letter prefix; give one with prefix");
+      }
+
+      var prefix = params.prefix || nextParentPrefix();
+      if (doc.masterSpreads.itemByName(prefix + "-" + params.baseName).isValid) {
+        throw new Error("Parent spread " + prefix + "-" + params.baseName + " already exists");
+      }
+
+      var pageCount = params.pageCount || (doc.documentPreferences.facingPages ? 2 : 1);
+      var spread = doc.masterSpreads.add(pageCount, { namePrefix: prefix, baseName: params.baseName });
+      if (params.basedOn) {
+        spread.appliedMaster = requireParentSpread(doc, params.basedOn);
+      }
+
+      return {
+        name: spread.name,
+        prefix: spread.namePrefix,
+        basedOn: spread.appliedMaster ? spread.appliedMaster.name : null,
+        pageCount: spread.pages.length
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, prefix, baseName, pageCount, basedOn });
+    return this.formatResponse(result, "Create Parent Spread", (spread) =>
+      `Parent ${spread.name} created with ${spread.pageCount} pages` + (spread.basedOn ? `, based on ${spread.basedOn}` : '')
+    );
+  }
+
+  async duplicateParentSpread(args) {
+    const { document, parent, prefix, baseName } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var source = requireParentSpread(doc, params.parent);
+      var copy = source.duplicate();
+      if (params.prefix) copy.namePrefix = params.prefix;
+      if (params.baseName) copy.baseName = params.baseName;
+      return { source: source.name, name: copy.name, prefix: copy.namePrefix, itemCount: copy.pageItems.length };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, parent, prefix, baseName });
+    return this.formatResponse(result, "Duplicate Parent Spread", (spread) =>
+      `${spread.source} copied to ${spread.name} with ${spread.itemCount} items`
+    );
+  }
+
+  async deleteParentSpread(args) {
+    const { document, parent, replaceWith } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var spread = requireParentSpread(doc, params.parent);
+      var replacement = params.replaceWith ? requireParentSpread(doc, params.replaceWith) : NothingEnum.NOTHING;
+      if (replacement !== NothingEnum.NOTHING && replacement.id === spread.id) {
+        throw new Error("A parent spread cannot replace itself");
+      }
+
+      var name = spread.name;
+      var reassigned = [];
+      for (var i = 0; i < doc.pages.length; i++) {
+        var page = doc.pages[i];
+        if (page.appliedMaster && page.appliedMaster.id === spread.id) {
+          page.appliedMaster = replacement;
+          reassigned.push(page.name);
+        }
+      }
+      // Parents based on the deleted one lose their base
+      for (var m = 0; m < doc.masterSpreads.length; m++) {
+        var other = doc.masterSpreads[m];
+        if (other.appliedMaster && other.appliedMaster.id === spread.id) {
+          other.appliedMaster = NothingEnum.NOTHING;
+        }
+      }
+      spread.remove();
+
+      return { name: name, replacedWith: params.replaceWith ? replacement.name : null, pages: reassigned };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, parent, replaceWith });
+    return this.formatResponse(result, "Delete Parent Spread", (deleted) =>
+      `${deleted.name} deleted; ${deleted.pages.length} pages now use ${deleted.replacedWith || 'no parent'}`
+    );
+  }
+
+  async addParentTextFrame(args) {
+    const {
+      document, parent, content, side = 'both', x, y, width, height,
+      mirror = true, alignment = 'LEFT_ALIGN', paragraphStyle, label,
+    } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var spread = requireParentSpread(doc, params.parent);
+      var style = null;
+      if (params.paragraphStyle) {
+        style = findStyle(doc, "paragraph", params.paragraphStyle);
+      }
+      var MIRRORED = { LEFT_ALIGN: "RIGHT_ALIGN", RIGHT_ALIGN: "LEFT_ALIGN", CENTER_ALIGN: "CENTER_ALIGN" };
+
+      var frames = [];
+      for (var i = 0; i < spread.pages.length; i++) {
+        var page = spread.pages[i];
+        var leftHand = page.side === PageSideOptions.LEFT_HAND;
+        if ((params.side === "left" && !leftHand) || (params.side === "right" && leftHand)) continue;
+
+        var bounds = page.bounds;
+        var flip = leftHand && params.mirror;
+        var x = flip ? bounds[3] - params.x - params.width : bounds[1] + params.x;
+        var frame = page.textFrames.add();
+        frame.geometricBounds = boxBounds(x, bounds[0] + params.y, params.width, params.height);
+        if (params.label) frame.label = params.label;
+
+        // {page} and {section} become InDesign markers, so every page shows its own number
+        var parts = params.content.split(/(\\{page\\}|\\{section\\})/);
+        for (var p = 0; p < parts.length; p++) {
+          if (parts[p] === "{page}") {
+            frame.parentStory.insertionPoints[-1].contents = SpecialCharacters.AUTO_PAGE_NUMBER;
+          } else if (parts[p] === "{section}") {
+            frame.parentStory.insertionPoints[-1].contents = SpecialCharacters.SECTION_MARKER;
+          } else if (parts[p]) {
+            frame.parentStory.insertionPoints[-1].contents = parts[p];
+          }
+        }
+        if (style) frame.parentStory.paragraphs.everyItem().appliedParagraphStyle = style;
+        frame.parentStory.paragraphs.everyItem().justification =
+          enumValue(Justification, flip ? MIRRORED[params.alignment] : params.alignment, "alignment");
+
+        frames.push({ id: frame.id, page: page.name, bounds: frame.geometricBounds });
+      }
+      if (frames.length === 0) {
+        throw new Error("Parent spread " + spread.name + " has no " + params.side + "-hand page");
+      }
+
+      return { parent: spread.name, frames: frames };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, parent, content, side, x, y, width, height, mirror, alignment, paragraphStyle, label,
+    });
+    return this.formatResponse(result, "Add Parent Text Frame", (added) =>
+      `${added.frames.length} text frames added to ${added.parent}`
+    );
+  }
+
+  async applyParent(args) {
+    const { document, parent, pageRange, pageIndex } = args;
+    if (pageRange === undefined && pageIndex === undefined) {
+      throw new McpError(ErrorCode.InvalidParams, 'pageRange or pageIndex is required');
+    }
+    const pages = pageRange !== undefined ? parsePageRange(pageRange) : [[pageIndex + 1, pageIndex + 1]];
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var none = params.parent === "none" || params.parent === "[None]";
+      var spread = none ? NothingEnum.NOTHING : requireParentSpread(doc, params.parent);
+
+      var applied = [];
+      for (var r = 0; r < params.pages.length; r++) {
+        for (var n = params.pages[r][0]; n <= params.pages[r][1]; n++) {
+          var page = requirePage(doc, n - 1);
+          page.appliedMaster = spread;
+          applied.push(page.name);
+        }
+      }
+      return { parent: none ? null : spread.name, pages: applied };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, parent, pages });
+    return this.formatResponse(result, "Apply Parent", (applied) =>
+      `${applied.parent || 'No parent'} applied to pages ${applied.pages.join(', ')}`
+    );
+  }
+
+  async overrideParentItems(args) {
+    const { document, pageIndex, itemIds, labels } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      var parentItems = page.masterPageItems;
+      var selected = [];
+
+      if (params.itemIds || params.labels) {
+        var wanted = params.itemIds || params.labels;
+        var missing = [];
+        for (var w = 0; w < wanted.length; w++) {
+          var match = null;
+          for (var i = 0; i < parentItems.length; i++) {
+            if ((params.itemIds ? parentItems[i].id : parentItems[i].label) === wanted[w]) {
+              match = parentItems[i];
+              break;
+            }
+          }
+          if (match) {
+            selected.push(match);
+          } else {
+            missing.push(wanted[w]);
+          }
+        }
+        if (missing.length > 0) {
+          throw new Error("Not parent items of page " + page.name + ": " + missing.join(", "));
+        }
+      } else {
+        for (var all = 0; all < parentItems.length; all++) {
+          selected.push(parentItems[all]);
+        }
+      }
+
+      var overridden = [];
+      for (var s = 0; s < selected.length; s++) {
+        var copy = selected[s].override(page);
+        overridden.push({ parentItemId: selected[s].id, id: copy.id, type: copy.reflect.name, label: copy.label });
+      }
+
+      return { pageIndex: page.documentOffset, pageName: page.name, items: overridden };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, pageIndex, itemIds, labels });
+    return this.formatResponse(result, "Override Parent Items", (override) =>
+      `${override.items.length} parent items overridden on page ${override.pageName}`
+    );
+  }
+
+  // =================== TEXT MANAGEMENT ===================
+  async createTextFrame(args) {
+    const {
+      document,
+      content,
+      x = mm(10),
+      y = mm(10),
+      width = mm(100),
+      height = mm(50),
+      pageIndex = 0,
+      fontSize = this.config.defaults.fontSize,
+      fontFamily = this.config.defaults.fontFamily,
+      fontStyle = this.config.defaults.fontStyle,
+      textColor = 'Black',
+      alignment = 'LEFT_ALIGN',
+      paragraphStyle,
+      characterStyle,
+      label
+    } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      var justification = enumValue(Justification, params.alignment, "alignment");
+
+      // Create text frame
+      var textFrame = page.textFrames.add();
+      textFrame.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+      if (params.label) textFrame.label = params.label;
+
+      // Add content
+      textFrame.contents = params.content;
+
+      // Apply formatting
+      var story = textFrame.parentStory;
+
+      // Font and size
+      try {
+        story.characters.everyItem().appliedFont = app.fonts.itemByName(params.fontFamily + "\\t" + params.fontStyle);
+      } catch (e) {
+        try {
+          story.characters.everyItem().appliedFont = app.fonts.itemByName(params.fontFamily);
+        } catch (e2) {
+          // Use default font
+        }
+      }
+
+      story.characters.everyItem().pointSize = params.fontSize;
+
+      // Color
+      story.characters.everyItem().fillColor = requireSwatch(doc, params.textColor);
+
+      // Alignment
+      story.paragraphs.everyItem().justification = justification;
+
+      // Apply styles if specified
+      if (params.paragraphStyle) {
+        try {
+          var pStyle = doc.paragraphStyles.itemByName(params.paragraphStyle);
+          if (pStyle.isValid) {
+            story.paragraphs.everyItem().appliedParagraphStyle = pStyle;
+          }
+        } catch (e) {}
+      }
+
+      if (params.characterStyle) {
+        try {
+          var cStyle = doc.characterStyles.itemByName(params.characterStyle);
+          if (cStyle.isValid) {
+            story.characters.everyItem().appliedCharacterStyle = cStyle;
+          }
+        } catch (e) {}
+      }
+
+      return {
+        id: textFrame.id,
+        label: textFrame.label,
+        pageIndex: page.documentOffset,
+        bounds: textFrame.geometricBounds,
+        characterCount: story.characters.length,
+        overflows: textFrame.overflows
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, content, x, y, width, height, pageIndex, fontSize, fontFamily, fontStyle,
+      textColor, alignment, paragraphStyle, characterStyle, label,
+    });
+    return this.formatResponse(result, "Create Text Frame", (frame) =>
+      `Text frame ${frame.id} created on page ${frame.pageIndex + 1} with ${frame.characterCount} characters` +
+      (frame.overflows ? ' (text overflows)' : '')
+    );
+  }
+
+  async editTextFrame(args) {
+    const { document, itemId, label, frameIndex, pageIndex = 0, content, fontSize, fontFamily, textColor, alignment } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var textFrame;
+
+      if (hasItemTarget(params)) {
+        textFrame = requireItemType(findPageItem(doc, params.itemId, params.label), "TextFrame");
+      } else if (params.frameIndex !== undefined) {
+        var page = requirePage(doc, params.pageIndex);
+        if (params.frameIndex >= page.textFrames.length || params.frameIndex < 0) {
+          throw new Error("Invalid text frame index: " + params.frameIndex + ". Page has " + page.textFrames.length + " text frames.");
+        }
+        textFrame = page.textFrames[params.frameIndex];
+      } else {
+        throw new Error("Specify the text frame by itemId, label or frameIndex");
+      }
+
+      var story = textFrame.parentStory;
+      var updated = [];
+
+      if (params.content !== undefined) {
+        textFrame.contents = params.content;
+        updated.push("content");
+      }
+      if (params.fontSize !== undefined) {
+        story.characters.everyItem().pointSize = params.fontSize;
+        updated.push("fontSize");
+      }
+      if (params.fontFamily !== undefined) {
+        try {
+          story.characters.everyItem().appliedFont = app.fonts.itemByName(params.fontFamily);
+          updated.push("fontFamily");
+        } catch (e) {}
+      }
+      if (params.textColor !== undefined) {
+        story.characters.everyItem().fillColor = requireSwatch(doc, params.textColor);
+        updated.push("textColor");
+      }
+      if (params.alignment !== undefined) {
+        story.paragraphs.everyItem().justification = enumValue(Justification, params.alignment, "alignment");
+        updated.push("alignment");
+      }
+
+      return { id: textFrame.id, label: textFrame.label, updated: updated };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, itemId, label, frameIndex, pageIndex, content, fontSize, fontFamily, textColor, alignment,
+    });
+    return this.formatResponse(result, "Edit Text Frame", (frame) =>
+      `Text frame ${frame.id} updated (${frame.updated.join(', ') || 'no changes'})`
+    );
+  }
+
+  async findReplaceText(args) {
+    const saved = args.query ? (await this.readFindChangeQueries())[args.query] : {};
+    if (!saved) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown query: ${args.query}`);
+    }
+
+    const {
+      document,
+      findText,
+      replaceText,
+      caseSensitive = false,
+      wholeWord = false,
+      useGrep = false,
+      findFormat,
+      changeFormat,
+      scope = 'document',
+      storyId,
+      itemId,
+      label,
+      pageIndex,
+      layerName,
+      dryRun = false,
+      contextLength = 30,
+      maxMatches = 200,
+      saveAs,
+    } = { ...saved, ...args };
+
+    if (!findText && !findFormat) {
+      throw new McpError(ErrorCode.InvalidParams, 'findText or findFormat is required');
+    }
+    if (!dryRun && replaceText === undefined && !changeFormat) {
+      throw new McpError(ErrorCode.InvalidParams, 'replaceText or changeFormat is required unless dryRun is set');
+    }
+    // InDesign's GREP search has no whole word option
+    if (useGrep && wholeWord) {
+      throw new McpError(ErrorCode.InvalidParams, 'wholeWord only applies to text searches; with useGrep, put \\b around the pattern');
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      function resetPreferences() {
+        app.findTextPreferences = NothingEnum.nothing;
+        app.changeTextPreferences = NothingEnum.nothing;
+        app.findGrepPreferences = NothingEnum.nothing;
+        app.changeGrepPreferences = NothingEnum.nothing;
+      }
+
+      function findNamed(collection, name, kind) {
+        for (var i = 0; i < collection.length; i++) {
+          if (collection[i].name === name) {
+            return collection[i];
+          }
+        }
+        throw new Error(kind + " not found: " + name);
+      }
+
+      function applyFormat(preferences, format) {
+        if (!format) return;
+        if (format.paragraphStyle) preferences.appliedParagraphStyle = findStyle(doc, "paragraph", format.paragraphStyle);
+        if (format.characterStyle) preferences.appliedCharacterStyle = findStyle(doc, "character", format.characterStyle);
+        if (format.font) preferences.appliedFont = format.font;
+        if (format.fontStyle) preferences.fontStyle = format.fontStyle;
+        if (format.color) preferences.fillColor = findNamed(doc.swatches, format.color, "Swatch");
+      }
+
+      // Text frames (each searched on its own text) for page and layer scopes
+      function frameTexts(items) {
+        var texts = [];
+        for (var i = 0; i < items.length; i++) {
+          if (items[i].reflect.name === "TextFrame") {
+            texts.push(items[i].texts[0]);
+          }
+        }
+        return texts;
+      }
+
+      var targets;
+      switch (params.scope) {
+        case "document":
+          targets = [doc];
+          break;
+        case "story":
+          if (params.storyId !== undefined) {
+            var story = doc.stories.itemByID(params.storyId);
+            if (!story.isValid) throw new Error("Story not found: " + params.storyId);
+            targets = [story];
+          } else if (hasItemTarget(params)) {
+            targets = [requireItemType(findPageItem(doc, params.itemId, params.label), "TextFrame").parentStory];
+          } else {
+            throw new Error('Scope "story" needs a storyId, itemId or label');
+          }
+          break;
+        case "selection":
+          targets = [];
+          for (var s = 0; s < app.selection.length; s++) {
+            if (typeof app.selection[s].findText === "function") {
+              targets.push(app.selection[s]);
+            }
+          }
+          if (targets.length === 0) throw new Error("Nothing searchable is selected");
+          break;
+        case "page":
+          if (params.pageIndex === undefined) throw new Error('Scope "page" needs a pageIndex');
+          targets = frameTexts(requirePage(doc, params.pageIndex).allPageItems);
+          break;
+        case "layer":
+          var layer = doc.layers.itemByName(params.layerName || "");
+          if (!layer.isValid) throw new Error("Layer not found: " + params.layerName);
+          targets = frameTexts(layer.allPageItems);
+          break;
+        default:
+          throw new Error("Invalid scope: " + params.scope);
+      }
+
+      // Start from clean preferences: earlier searches and the Find/Change dialog leave theirs behind
+      resetPreferences();
+      var mode = params.useGrep ? "Grep" : "Text";
+      var findPreferences = app["find" + mode + "Preferences"];
+      var changePreferences = app["change" + mode + "Preferences"];
+
+      try {
+        if (params.useGrep) {
+          if (params.findText) findPreferences.findWhat = (params.caseSensitive ? "" : "(?i)") + params.findText;
+        } else {
+          app.findChangeTextOptions.caseSensitive = params.caseSensitive;
+          app.findChangeTextOptions.wholeWord = params.wholeWord;
+          if (params.findText) findPreferences.findWhat = params.findText;
+        }
+        applyFormat(findPreferences, params.findFormat);
+        if (params.replaceText !== undefined) changePreferences.changeTo = params.replaceText;
+        applyFormat(changePreferences, params.changeFormat);
+
+        var found = 0;
+        var changed = 0;
+        var matches = [];
+        var storyContents = {};
+
+        for (var t = 0; t < targets.length; t++) {
+          var results = params.useGrep ? targets[t].findGrep() : targets[t].findText();
+          found += results.length;
+
+          if (params.dryRun) {
+            for (var m = 0; m < results.length && matches.length < params.maxMatches; m++) {
+              var match = results[m];
+              var parentStory = match.parentStory;
+              if (!storyContents.hasOwnProperty(parentStory.id)) {
+                storyContents[parentStory.id] = parentStory.contents;
+              }
+              var text = storyContents[parentStory.id];
+              var start = match.index;
+              var end = start + match.length;
+              var frame = match.parentTextFrames.length > 0 ? match.parentTextFrames[0] : null;
+              var page = frame ? frame.parentPage : null;
+              matches.push({
+                text: match.contents,
+                before: text.substring(Math.max(0, start - params.contextLength), start),
+                after: text.substring(end, end + params.contextLength),
+                storyId: parentStory.id,
+                index: start,
+                frameId: frame ? frame.id : null,
+                pageIndex: page ? page.documentOffset : null,
+                pageName: page ? page.name : null,
+                overset: frame === null
+              });
+            }
+          } else if (results.length > 0) {
+            changed += (params.useGrep ? targets[t].changeGrep() : targets[t].changeText()).length;
+          }
+        }
+      } finally {
+        resetPreferences();
+      }
+
+      var result = {
+        findText: params.findText || null,
+        replaceText: params.replaceText === undefined ? null : params.replaceText,
+        useGrep: params.useGrep,
+        scope: params.scope,
+        dryRun: params.dryRun,
+        found: found,
+        changed: changed
+      };
+      if (params.dryRun) {
+        result.matches = matches;
+        result.truncated = found > matches.length;
+      }
+      return result;
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, findText, replaceText, caseSensitive, wholeWord, useGrep, findFormat, changeFormat,
+      scope, storyId, itemId, label, pageIndex, layerName, dryRun, contextLength, maxMatches,
+    });
+
+    if (saveAs) {
+      const query = { findText, replaceText, caseSensitive, wholeWord, useGrep, findFormat, changeFormat };
+      await this.saveFindChangeQuery(saveAs, query);
+      result.savedAs = saveAs;
+    }
+
+    const searched = findText !== undefined ? `'${findText}'` : 'formatted text';
+    return this.formatResponse(result, "Find/Replace Text", (search) =>
+      search.dryRun
+        ? `Found ${search.found} matches for ${searched} in ${search.scope} (dry run, nothing changed)`
+        : `Found ${search.found} matches for ${searched} in ${search.scope}, changed ${search.changed}`
+    );
+  }
+
+  // Saved queries live in one JSON file (config "queriesFile"), keyed by name
+  async readFindChangeQueries() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.config.queriesFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Cannot read saved queries ${this.config.queriesFile}: ${error.message}`);
+    }
+  }
+
+  async saveFindChangeQuery(name, query) {
+    const queries = await this.readFindChangeQueries();
+    queries[name] = Object.fromEntries(
+      FIND_CHANGE_QUERY_FIELDS.filter((field) => query[field] !== undefined).map((field) => [field, query[field]])
+    );
+    await fs.promises.writeFile(this.config.queriesFile, `${JSON.stringify(queries, null, 2)}\n`);
+  }
+
+  async listFindChangeQueries() {
+    const queries = await this.readFindChangeQueries();
+    const result = { queries: Object.entries(queries).map(([name, query]) => ({ name, ...query })) };
+    return this.formatResponse(result, "Find/Change Queries", (list) =>
+      list.queries.length === 0 ? 'No saved queries' : list.queries.map((query) => query.name).join(', ')
+    );
+  }
+
+  async importMarkdown(args) {
+    const {
+      document,
+      filePath,
+      storyId,
+      itemId,
+      label,
+      mode = 'append',
+      x = mm(10),
+      y = mm(10),
+      width = mm(100),
+      height = mm(150),
+      pageIndex = 0,
+      styleMap,
+      createMissingStyles = true,
+    } = args;
+    let { markdown } = args;
+
+    if (markdown === undefined) {
+      if (!filePath) {
+        throw new McpError(ErrorCode.InvalidParams, 'markdown or filePath is required');
+      }
+      markdown = await fs.promises.readFile(filePath, 'utf8');
+    }
+
+    const styles = { ...this.config.markdownStyles, ...styleMap };
+    const blocks = parseMarkdown(markdown);
+    const layout = layoutMarkdown(blocks, styles);
+
+    // Styles the text uses, with the attributes they get if they have to be created
+    const usedKinds = new Set(blocks.flatMap((block) => [block.type, ...block.spans.map((span) => span.type)]));
+    const styleDefinitions = [...usedKinds].map((kind) => ({
+      name: styles[kind],
+      type: MARKDOWN_SPAN_TYPES.has(kind) ? 'character' : 'paragraph',
+      properties: MARKDOWN_STYLE_PROPERTIES[kind],
+    }));
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var story;
+      var frame = null;
+
+      if (params.storyId !== undefined || hasItemTarget(params)) {
+        story = requireStory(doc, params);
+      } else {
+        var page = requirePage(doc, params.pageIndex);
+        frame = page.textFrames.add();
+        frame.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+        story = frame.parentStory;
+      }
+
+      // Resolve the mapped styles, creating the missing ones if allowed
+      var paragraphStyles = {};
+      var characterStyles = {};
+      var createdStyles = [];
+      for (var i = 0; i < params.styles.length; i++) {
+        var definition = params.styles[i];
+        var isParagraph = definition.type === "paragraph";
+        var style = lookupStyle(doc, definition.type, definition.name);
+        if (!style) {
+          if (!params.createMissingStyles) {
+            throw new Error((isParagraph ? "Paragraph" : "Character") + " style not found: " + definition.name);
+          }
+          style = (isParagraph ? doc.paragraphStyles : doc.characterStyles).add({ name: definition.name });
+          for (var property in definition.properties) {
+            if (property === "listType") {
+              style.bulletsAndNumberingListType = ListType[definition.properties[property]];
+            } else {
+              style[property] = definition.properties[property];
+            }
+          }
+          createdStyles.push(definition.name);
+        }
+        (isParagraph ? paragraphStyles : characterStyles)[definition.name] = style;
+      }
+
+      if (params.mode === "replace") {
+        story.contents = "";
+      }
+      var base = story.characters.length;
+      if (base > 0 && params.text.length > 0) {
+        story.insertionPoints[-1].contents = "\\r";
+        base++;
+      }
+      story.insertionPoints[-1].contents = params.text;
+
+      function range(start, length) {
+        return story.characters.itemByRange(base + start, base + start + length - 1);
+      }
+
+      for (var p = 0; p < params.paragraphs.length; p++) {
+        var paragraph = params.paragraphs[p];
+        // Empty paragraphs have no characters; style them through their insertion point
+        var target = paragraph.length > 0 ? range(paragraph.start, paragraph.length) : story.insertionPoints[base + paragraph.start];
+        target.paragraphs.everyItem().applyParagraphStyle(paragraphStyles[paragraph.style], true);
+      }
+      for (var r = 0; r < params.spans.length; r++) {
+        var span = params.spans[r];
+        range(span.start, span.length).applyCharacterStyle(characterStyles[span.style]);
+      }
+      for (var l = 0; l < params.links.length; l++) {
+        var link = params.links[l];
+        var destination = doc.hyperlinkURLDestinations.add(link.url);
+        var source = doc.hyperlinkTextSources.add(range(link.start, link.length));
+        doc.hyperlinks.add(source, destination);
+      }
+
+      var containers = story.textContainers;
+      return {
+        storyId: story.id,
+        frameId: frame ? frame.id : (containers.length > 0 ? containers[0].id : null),
+        created: frame !== null,
+        mode: params.mode,
+        paragraphCount: params.paragraphs.length,
+        characterCount: params.text.length,
+        linkCount: params.links.length,
+        createdStyles: createdStyles,
+        overflows: story.overflows
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, storyId, itemId, label, mode, x, y, width, height, pageIndex, createMissingStyles,
+      styles: styleDefinitions,
+      ...layout,
+    });
+    return this.formatResponse(result, "Import Markdown", (imported) =>
+      `${imported.paragraphCount} paragraphs ${imported.created ? `placed in new text frame ${imported.frameId}` : `${imported.mode === 'replace' ? 'replaced story' : 'appended to story'} ${imported.storyId}`}` +
+      (imported.createdStyles.length > 0 ? `, created styles: ${imported.createdStyles.join(', ')}` : '') +
+      (imported.overflows ? ' (text overflows)' : '')
+    );
+  }
+
+  async exportStoryMarkdown(args) {
+    const { document, storyId, itemId, label, filePath, styleMap } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var story = requireStory(doc, params);
+
+      // URL hyperlinks in this story, by story offset
+      var links = [];
+      for (var h = 0; h < doc.hyperlinks.length; h++) {
+        var hyperlink = doc.hyperlinks[h];
+        var source = hyperlink.source;
+        var destination = hyperlink.destination;
+        if (source && source.reflect.name === "HyperlinkTextSource" && destination && destination.reflect.name === "HyperlinkURLDestination" &&
+            source.sourceText.parentStory.id === story.id) {
+          links.push({ start: source.sourceText.index, length: source.sourceText.length, url: destination.destinationURL });
+        }
+      }
+
+      var paragraphs = [];
+      for (var i = 0; i < story.paragraphs.length; i++) {
+        var paragraph = story.paragraphs[i];
+        var text = paragraph.contents.replace(/\\r$/, "");
+        var ranges = [];
+        for (var r = 0; r < paragraph.textStyleRanges.length; r++) {
+          var styleRange = paragraph.textStyleRanges[r];
+          ranges.push({
+            start: styleRange.index - paragraph.index,
+            length: Math.min(styleRange.length, text.length - (styleRange.index - paragraph.index)),
+            characterStyle: styleRange.appliedCharacterStyle.name,
+            fontStyle: styleRange.fontStyle
+          });
+        }
+        var paragraphLinks = [];
+        for (var l = 0; l < links.length; l++) {
+          var start = links[l].start - paragraph.index;
+          if (start >= 0 && start < text.length) {
+            paragraphLinks.push({ start: start, length: Math.min(links[l].length, text.length - start), url: links[l].url });
+          }
+        }
+        paragraphs.push({ style: paragraph.appliedParagraphStyle.name, text: text, ranges: ranges, links: paragraphLinks });
+      }
+
+      return { storyId: story.id, paragraphs: paragraphs };
+    `;
+
+    const story = await this.executeInDesignScript(script, { document, storyId, itemId, label });
+    const markdown = storyToMarkdown(story.paragraphs, { ...this.config.markdownStyles, ...styleMap });
+    if (filePath) {
+      await fs.promises.writeFile(filePath, markdown, 'utf8');
+    }
+
+    const result = { storyId: story.storyId, paragraphCount: story.paragraphs.length, filePath: filePath || null, markdown };
+    return this.formatResponse(result, "Export Story Markdown", (exported) =>
+      `Story ${exported.storyId} converted (${exported.paragraphCount} paragraphs)` + (exported.filePath ? `, written to ${exported.filePath}` : '')
+    );
+  }
+
+  async linkTextFrames(args) {
+    const { document, itemIds, labels } = args;
+    const targets = itemIds || labels || [];
+    if (targets.length < 2) {
+      throw new McpError(ErrorCode.InvalidParams, 'Give at least two text frames in itemIds or labels');
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var frames = [];
+      for (var i = 0; i < params.targets.length; i++) {
+        var target = params.targets[i];
+        var frame = params.byLabel ? findPageItem(doc, undefined, target) : findPageItem(doc, target);
+        frames.push(requireItemType(frame, "TextFrame"));
+      }
+
+      // Refuse to cut existing threads that are not part of the requested order
+      for (var f = 0; f < frames.length; f++) {
+        var previous = frames[f].previousTextFrame;
+        var next = frames[f].nextTextFrame;
+        if (f > 0 && previous && previous.id !== frames[f - 1].id) {
+          throw new Error("Text frame " + frames[f].id + " is already threaded from frame " + previous.id);
+        }
+        if (f < frames.length - 1 && next && next.id !== frames[f + 1].id) {
+          throw new Error("Text frame " + frames[f].id + " is already threaded to frame " + next.id);
+        }
+      }
+
+      for (var l = 0; l < frames.length - 1; l++) {
+        if (!frames[l].nextTextFrame) {
+          frames[l].nextTextFrame = frames[l + 1];
+        }
+      }
+
+      var story = frames[0].parentStory;
+      var ids = [];
+      for (var c = 0; c < story.textContainers.length; c++) {
+        ids.push(story.textContainers[c].id);
+      }
+      return {
+        storyId: story.id,
+        frames: ids,
+        overflows: story.overflows,
+        overflowCharacters: oversetLength(story)
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, targets, byLabel: !itemIds });
+    return this.formatResponse(result, "Link Text Frames", (thread) =>
+      `Story ${thread.storyId} now flows through frames ${thread.frames.join(' > ')}` +
+      (thread.overflows ? ` (${thread.overflowCharacters} characters overset)` : '')
+    );
+  }
+
+  async listOversetStories(args) {
+    const { document, storyId, previewLength = 60 } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var stories = params.storyId !== undefined ? [requireStory(doc, params)] : doc.stories;
+      var overset = [];
+
+      for (var i = 0; i < stories.length; i++) {
+        var story = stories[i];
+        if (!story.overflows) continue;
+
+        var containers = story.textContainers;
+        var lastFrame = containers.length > 0 ? containers[containers.length - 1] : null;
+        var page = lastFrame ? lastFrame.parentPage : null;
+        var overflow = oversetLength(story);
+        var contents = story.contents;
+        overset.push({
+          storyId: story.id,
+          lastFrameId: lastFrame ? lastFrame.id : null,
+          pageIndex: page ? page.documentOffset : null,
+          pageName: page ? page.name : null,
+          totalCharacters: story.characters.length,
+          overflowCharacters: overflow,
+          preview: contents.substr(contents.length - overflow, params.previewLength)
+        });
+      }
+
+      return { oversetCount: overset.length, stories: overset };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, storyId, previewLength });
+    return this.formatResponse(result, "Overset Stories", (report) =>
+      report.oversetCount === 0
+        ? 'No overset text'
+        : report.stories.map((story) => `story ${story.storyId}: ${story.overflowCharacters} characters` +
+          (story.pageName !== null ? ` after page ${story.pageName}` : '')).join(', ')
+    );
+  }
+
+  async autoflowStory(args) {
+    const { document, storyId, itemId, label, maxPages = 50 } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var story = requireStory(doc, params);
+      var containers = story.textContainers;
+      var lastFrame = containers[containers.length - 1];
+      var page = lastFrame.parentPage;
+      if (!page) {
+        throw new Error("The last frame of story " + story.id + " is on the pasteboard");
+      }
+
+      var added = [];
+      while (story.overflows && added.length < params.maxPages) {
+        var newPage = doc.pages.add(LocationOptions.AFTER, page);
+        newPage.appliedMaster = page.appliedMaster;
+
+        var margins = newPage.marginPreferences;
+        var frame = newPage.textFrames.add(lastFrame.itemLayer);
+        frame.geometricBounds = marginBounds(newPage);
+        frame.appliedObjectStyle = lastFrame.appliedObjectStyle;
+        frame.textFramePreferences.textColumnCount = margins.columnCount;
+        frame.textFramePreferences.textColumnGutter = margins.columnGutter;
+        lastFrame.nextTextFrame = frame;
+        story.recompose();
+
+        // An item too large for an empty frame would otherwise add pages forever
+        if (frame.characters.length === 0) {
+          newPage.remove();
+          throw new Error("Text does not flow into a new page frame; an inline item may be larger than the frame");
+        }
+
+        added.push({ id: frame.id, pageIndex: newPage.documentOffset, pageName: newPage.name, bounds: frame.geometricBounds });
+        lastFrame = frame;
+        page = newPage;
+      }
+
+      return {
+        storyId: story.id,
+        pagesAdded: added.length,
+        frames: added,
+        overflows: story.overflows,
+        overflowCharacters: oversetLength(story)
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, storyId, itemId, label, maxPages });
+    return this.formatResponse(result, "Autoflow Story", (flow) =>
+      `${flow.pagesAdded} pages added to story ${flow.storyId}` +
+      (flow.overflows ? `; still ${flow.overflowCharacters} characters overset (maxPages ${maxPages} reached)` : '; all text placed')
+    );
+  }
+
+  // =================== GRAPHICS MANAGEMENT ===================
+  async placeImage(args) {
+    const { document, imagePath, x = mm(10), y = mm(10), width, height, pageIndex = 0, fitOption = 'PROPORTIONALLY', createFrame = true, label } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      var fit = enumValue(FitOptions, params.fitOption, "fitOption");
+      var imageFile = File(params.imagePath);
+
+      if (!imageFile.exists) {
+        throw new Error("Image file not found: " + params.imagePath);
+      }
+
+      var rect;
+      if (params.createFrame) {
+        rect = page.rectangles.add();
+        if (params.width && params.height) {
+          rect.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+        } else {
+          rect.geometricBounds = boxBounds(params.x, params.y, params.defaultSize, params.defaultSize);
+        }
+        rect.place(imageFile);
+      } else {
+        page.place(imageFile, [params.x, params.y]);
+        rect = page.rectangles[page.rectangles.length - 1];
+      }
+
+      // Apply fit option
+      rect.fit(fit);
+      if (params.label) rect.label = params.label;
+
+      return {
+        id: rect.id,
+        label: rect.label,
+        fileName: imageFile.name,
+        pageIndex: page.documentOffset,
+        bounds: rect.geometricBounds,
+        fitOption: params.fitOption
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, imagePath, x, y, width, height, pageIndex, fitOption, createFrame, label, defaultSize: mm(50),
+    });
+    return this.formatResponse(result, "Place Image", (image) =>
+      `Image placed: ${image.fileName} on page ${image.pageIndex + 1}`
+    );
+  }
+
+  async createRectangle(args) {
+    const { document, x, y, width, height, pageIndex = 0, fillColor, strokeColor, strokeWidth = 1, cornerRadius = 0, label } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      var rect = page.rectangles.add();
+
+      rect.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+      if (params.label) rect.label = params.label;
+
+      if (params.cornerRadius > 0) {
+        rect.cornerRadius = params.cornerRadius;
+      }
+
+      if (params.fillColor) {
+        rect.fillColor = requireSwatch(doc, params.fillColor);
+      }
+
+      if (params.strokeColor) {
+        rect.strokeColor = requireSwatch(doc, params.strokeColor);
+        rect.strokeWeight = params.strokeWidth + "pt";
+      }
+
+      return {
+        id: rect.id,
+        label: rect.label,
+        pageIndex: page.documentOffset,
+        bounds: rect.geometricBounds,
+        fillColor: rect.fillColor.name,
+        strokeColor: rect.strokeColor.name,
+        strokeWeight: rect.strokeWeight
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, x, y, width, height, pageIndex, fillColor, strokeColor, strokeWidth, cornerRadius, label,
+    });
+    return this.formatResponse(result, "Create Rectangle", (rect) =>
+      `Rectangle ${rect.id} created on page ${rect.pageIndex + 1} (${describeSize(rect.bounds, rect.units)})`
+    );
+  }
+
+  async createEllipse(args) {
+    const { document, x, y, width, height, pageIndex = 0, fillColor, strokeColor, strokeWidth = 1, label } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      var ellipse = page.ovals.add();
+
+      ellipse.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+      if (params.label) ellipse.label = params.label;
+
+      if (params.fillColor) {
+        ellipse.fillColor = requireSwatch(doc, params.fillColor);
+      }
+
+      if (params.strokeColor) {
+        ellipse.strokeColor = requireSwatch(doc, params.strokeColor);
+        ellipse.strokeWeight = params.strokeWidth + "pt";
+      }
+
+      return {
+        id: ellipse.id,
+        label: ellipse.label,
+        pageIndex: page.documentOffset,
+        bounds: ellipse.geometricBounds,
+        fillColor: ellipse.fillColor.name,
+        strokeColor: ellipse.strokeColor.name,
+        strokeWeight: ellipse.strokeWeight
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, x, y, width, height, pageIndex, fillColor, strokeColor, strokeWidth, label,
+    });
+    return this.formatResponse(result, "Create Ellipse", (ellipse) =>
+      `Ellipse ${ellipse.id} created on page ${ellipse.pageIndex + 1} (${describeSize(ellipse.bounds, ellipse.units)})`
+    );
+  }
+
+  // =================== STYLE MANAGEMENT ===================
+  async createParagraphStyle(args) {
+    const { document, name, fontFamily, fontSize, leading, spaceBefore, spaceAfter, alignment, textColor, baseStyle, ifExists = 'error' } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var pStyle = doc.paragraphStyles.itemByName(params.name);
+      var created = !pStyle.isValid;
+      if (created) {
+        pStyle = doc.paragraphStyles.add();
+        pStyle.name = params.name;
+      } else if (params.ifExists !== "update") {
+        throw new Error("Paragraph style already exists: " + params.name);
+      }
+
+      if (params.baseStyle) {
+        try {
+          var base = doc.paragraphStyles.itemByName(params.baseStyle);
+          if (base.isValid) {
+            pStyle.basedOn = base;
+          }
+        } catch (e) {}
+      }
+
+      if (params.fontFamily) {
+        try {
+          pStyle.appliedFont = app.fonts.itemByName(params.fontFamily);
+        } catch (e) {}
+      }
+
+      if (params.fontSize) pStyle.pointSize = params.fontSize;
+      if (params.leading) pStyle.leading = params.leading;
+      if (params.spaceBefore) pStyle.spaceBefore = params.spaceBefore;
+      if (params.spaceAfter) pStyle.spaceAfter = params.spaceAfter;
+      if (params.alignment) pStyle.justification = enumValue(Justification, params.alignment, "alignment");
+
+      if (params.textColor) {
+        pStyle.fillColor = requireSwatch(doc, params.textColor);
+      }
+
+      return { id: pStyle.id, name: pStyle.name, basedOn: pStyle.basedOn.name, created: created };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, name, fontFamily, fontSize, leading, spaceBefore, spaceAfter, alignment, textColor, baseStyle, ifExists,
+    });
+    return this.formatResponse(result, "Create Paragraph Style", (style) =>
+      `Paragraph style '${style.name}' ${style.created ? 'created' : 'updated'} (based on ${style.basedOn})`
+    );
+  }
+
+  async createCharacterStyle(args) {
+    const { document, name, fontFamily, fontStyle, fontSize, textColor, tracking, baseStyle, ifExists = 'error' } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var cStyle = doc.characterStyles.itemByName(params.name);
+      var created = !cStyle.isValid;
+      if (created) {
+        cStyle = doc.characterStyles.add();
+        cStyle.name = params.name;
+      } else if (params.ifExists !== "update") {
+        throw new Error("Character style already exists: " + params.name);
+      }
+
+      if (params.baseStyle) {
+        try {
+          var base = doc.characterStyles.itemByName(params.baseStyle);
+          if (base.isValid) {
+            cStyle.basedOn = base;
+          }
+        } catch (e) {}
+      }
+
+      if (params.fontFamily) {
+        try {
+          if (params.fontStyle) {
+            cStyle.appliedFont = app.fonts.itemByName(params.fontFamily + "\\t" + params.fontStyle);
+          } else {
+            cStyle.appliedFont = app.fonts.itemByName(params.fontFamily);
+          }
+        } catch (e) {}
+      }
+
+      if (params.fontSize) cStyle.pointSize = params.fontSize;
+      if (params.tracking) cStyle.tracking = params.tracking;
+
+      if (params.textColor) {
+        cStyle.fillColor = requireSwatch(doc, params.textColor);
+      }
+
+      return { id: cStyle.id, name: cStyle.name, basedOn: cStyle.basedOn.name, created: created };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, name, fontFamily, fontStyle, fontSize, textColor, tracking, baseStyle, ifExists,
+    });
+    return this.formatResponse(result, "Create Character Style", (style) =>
+      `Character style '${style.name}' ${style.created ? 'created' : 'updated'} (based on ${style.basedOn})`
+    );
+  }
+
+  async applyParagraphStyle(args) {
+    const { document, styleName, itemId, label, frameIndex, pageIndex = 0, startIndex, endIndex } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var textFrame;
+
+      if (hasItemTarget(params)) {
+        textFrame = requireItemType(findPageItem(doc, params.itemId, params.label), "TextFrame");
+      } else if (params.frameIndex !== undefined) {
+        var page = requirePage(doc, params.pageIndex);
+        if (params.frameIndex >= page.textFrames.length || params.frameIndex < 0) {
+          throw new Error("Invalid text frame index: " + params.frameIndex + ". Page has " + page.textFrames.length + " text frames.");
+        }
+        textFrame = page.textFrames[params.frameIndex];
+      } else {
+        throw new Error("Specify the text frame by itemId, label or frameIndex");
+      }
+
+      var style = doc.paragraphStyles.itemByName(params.styleName);
+
+      if (!style.isValid) {
+        throw new Error("Paragraph style '" + params.styleName + "' not found");
+      }
+
+      var paragraphs;
+      if (params.startIndex !== undefined && params.endIndex !== undefined) {
+        paragraphs = textFrame.parentStory.characters.itemByRange(params.startIndex, params.endIndex).paragraphs;
+      } else {
+        paragraphs = textFrame.parentStory.paragraphs;
+      }
+      paragraphs.everyItem().appliedParagraphStyle = style;
+
+      return {
+        styleName: style.name,
+        frameId: textFrame.id,
+        paragraphCount: paragraphs.length
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, styleName, itemId, label, frameIndex, pageIndex, startIndex, endIndex,
+    });
+    return this.formatResponse(result, "Apply Paragraph Style", (applied) =>
+      `Paragraph style '${applied.styleName}' applied to ${applied.paragraphCount} paragraphs of text frame ${applied.frameId}`
+    );
+  }
+
+  async listStyles(args) {
+    const result = await this.queryStyles(args);
+    return this.formatResponse(result, "List Styles", (styles) => [
+      styles.paragraphStyles && `${styles.paragraphStyles.length} paragraph styles`,
+      styles.characterStyles && `${styles.characterStyles.length} character styles`,
+      styles.objectStyles && `${styles.objectStyles.length} object styles`,
+      styles.tableStyles && `${styles.tableStyles.length} table styles`,
+      styles.cellStyles && `${styles.cellStyles.length} cell styles`,
+    ].filter(Boolean).join(', '));
+  }
+
+  // Also backs the indesign://document/{id}/styles resource
+  async queryStyles(args) {
+    const { document, styleType = 'all' } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var result = {};
+
+      function describeStyles(styles) {
+        var list = [];
+        for (var i = 0; i < styles.length; i++) {
+          var style = styles[i];
+          var basedOn = null;
+          try {
+            basedOn = style.basedOn.name;
+          } catch (e) {}
+          var path = stylePath(style);
+          list.push({ id: style.id, name: style.name, group: path.substring(0, path.length - style.name.length - 1) || null, basedOn: basedOn });
+        }
+        return list;
+      }
+
+      for (var type in STYLE_TYPES) {
+        if (params.styleType === "all" || params.styleType === type) {
+          result[type + "Styles"] = describeStyles(doc[STYLE_TYPES[type].all]);
+        }
+      }
+
+      return result;
+    `;
+
+    return this.executeInDesignScript(script, { document, styleType });
+  }
+
+  async getStyle(args) {
+    const { document, styleType = 'paragraph', name } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var style = findStyle(doc, params.styleType, params.name);
+
+      var properties = {};
+      var all = style.properties;
+      for (var key in all) {
+        if (key !== "parent" && key !== "properties") {
+          properties[key] = plainValue(all[key]);
+        }
+      }
+
+      var chain = [];
+      for (var base = style.basedOn; base && typeof base === "object" && base.isValid && chain.length < 50; base = base.basedOn) {
+        chain.push(stylePath(base));
+      }
+
+      var result = {
+        styleType: params.styleType,
+        id: style.id,
+        name: style.name,
+        path: stylePath(style),
+        basedOnChain: chain,
+        properties: properties
+      };
+
+      if (params.styleType === "paragraph") {
+        result.nestedStyles = [];
+        for (var n = 0; n < style.nestedStyles.length; n++) {
+          var nested = style.nestedStyles[n];
+          result.nestedStyles.push({
+            characterStyle: nested.appliedCharacterStyle.name,
+            delimiter: String(nested.delimiter),
+            repetition: nested.repetition,
+            inclusive: nested.inclusive
+          });
+        }
+        result.grepStyles = [];
+        for (var g = 0; g < style.nestedGrepStyles.length; g++) {
+          var grep = style.nestedGrepStyles[g];
+          result.grepStyles.push({ characterStyle: grep.appliedCharacterStyle.name, grepExpression: grep.grepExpression });
+        }
+      }
+
+      return result;
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleType, name });
+    return this.formatResponse(result, "Get Style", (style) =>
+      `${style.path} (${style.styleType})` + (style.basedOnChain.length > 0 ? `, based on ${style.basedOnChain.join(' < ')}` : '')
+    );
+  }
+
+  async createStyle(args) {
+    const { document, styleType = 'paragraph', name, group, properties = {} } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var container = styleGroup(doc, params.styleType, params.group, true);
+      var collection = container[styleType(params.styleType).styles];
+      if (collection.itemByName(params.name).isValid) {
+        throw new Error(styleType(params.styleType).label + " already exists: " + params.name);
+      }
+
+      var style = collection.add({ name: params.name });
+      try {
+        setStyleProperties(doc, params.styleType, style, params.properties);
+      } catch (e) {
+        style.remove();
+        throw e;
+      }
+
+      return { styleType: params.styleType, id: style.id, name: style.name, path: stylePath(style) };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleType, name, group, properties });
+    return this.formatResponse(result, "Create Style", (style) => `${style.styleType} style '${style.path}' created`);
+  }
+
+  async updateStyle(args) {
+    const { document, styleType = 'paragraph', name, properties = {}, nestedStyles, grepStyles, group } = args;
+    if ((nestedStyles || grepStyles) && styleType !== 'paragraph') {
+      throw new McpError(ErrorCode.InvalidParams, 'nestedStyles and grepStyles apply to paragraph styles only');
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var style = findStyle(doc, params.styleType, params.name);
+      var updated = [];
+
+      setStyleProperties(doc, params.styleType, style, params.properties);
+      for (var key in params.properties) {
+        updated.push(key);
+      }
+
+      if (params.nestedStyles) {
+        style.nestedStyles.everyItem().remove();
+        for (var n = 0; n < params.nestedStyles.length; n++) {
+          var nested = params.nestedStyles[n];
+          var delimiter = /^[A-Z_]+$/.test(nested.delimiter) && NestedStyleDelimiters[nested.delimiter] !== undefined
+            ? NestedStyleDelimiters[nested.delimiter] : nested.delimiter;
+          style.nestedStyles.add({
+            appliedCharacterStyle: findStyle(doc, "character", nested.characterStyle),
+            delimiter: delimiter,
+            repetition: nested.repetition === undefined ? 1 : nested.repetition,
+            inclusive: nested.inclusive !== false
+          });
+        }
+        updated.push("nestedStyles");
+      }
+
+      if (params.grepStyles) {
+        style.nestedGrepStyles.everyItem().remove();
+        for (var g = 0; g < params.grepStyles.length; g++) {
+          style.nestedGrepStyles.add({
+            appliedCharacterStyle: findStyle(doc, "character", params.grepStyles[g].characterStyle),
+            grepExpression: params.grepStyles[g].grepExpression
+          });
+        }
+        updated.push("grepStyles");
+      }
+
+      if (params.group !== undefined) {
+        var target = styleGroup(doc, params.styleType, params.group, true);
+        style = style.move(LocationOptions.AT_END, target);
+        updated.push("group");
+      }
+
+      return { styleType: params.styleType, id: style.id, path: stylePath(style), updated: updated };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, styleType, name, properties, nestedStyles, grepStyles, group,
+    });
+    return this.formatResponse(result, "Update Style", (style) =>
+      `${style.styleType} style '${style.path}' updated (${style.updated.join(', ') || 'no changes'})`
+    );
+  }
+
+  async renameStyle(args) {
+    const { document, styleType = 'paragraph', name, newName } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var style = findStyle(doc, params.styleType, params.name);
+      var oldPath = stylePath(style);
+      if (style.parent[styleType(params.styleType).styles].itemByName(params.newName).isValid) {
+        throw new Error(styleType(params.styleType).label + " already exists: " + params.newName);
+      }
+      style.name = params.newName;
+      return { styleType: params.styleType, id: style.id, oldPath: oldPath, path: stylePath(style) };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleType, name, newName });
+    return this.formatResponse(result, "Rename Style", (style) => `'${style.oldPath}' renamed to '${style.path}'`);
+  }
+
+  async deleteStyle(args) {
+    const { document, styleType = 'paragraph', name, replaceWith } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var style = findStyle(doc, params.styleType, params.name);
+      var path = stylePath(style);
+      // Without a replacement, text and objects fall back to the type's basic style
+      var replacement = params.replaceWith
+        ? findStyle(doc, params.styleType, params.replaceWith)
+        : doc[styleType(params.styleType).styles][styleType(params.styleType).basic];
+      if (replacement.id === style.id) {
+        throw new Error("A style cannot replace itself");
+      }
+      style.remove(replacement);
+      return { styleType: params.styleType, path: path, replacedWith: stylePath(replacement) };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleType, name, replaceWith });
+    return this.formatResponse(result, "Delete Style", (style) =>
+      `${style.styleType} style '${style.path}' deleted, replaced by '${style.replacedWith}'`
+    );
+  }
+
+  async createStyleGroup(args) {
+    const { document, styleType = 'paragraph', name, styles = [] } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var group = styleGroup(doc, params.styleType, params.name, true);
+      var moved = [];
+      for (var i = 0; i < params.styles.length; i++) {
+        var style = findStyle(doc, params.styleType, params.styles[i]);
+        moved.push(stylePath(style.move(LocationOptions.AT_END, group)));
+      }
+      return { styleType: params.styleType, group: params.name, id: group.id, styles: moved };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleType, name, styles });
+    return this.formatResponse(result, "Create Style Group", (created) =>
+      `${created.styleType} style group '${created.group}' ready` +
+      (created.styles.length > 0 ? `, moved ${created.styles.join(', ')}` : '')
+    );
+  }
+
+  async applyCharacterStyle(args) {
+    const { document, styleName, storyId, itemId, label, startIndex = 0, endIndex } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var story = requireStory(doc, params);
+      var style = findStyle(doc, "character", params.styleName);
+      var last = params.endIndex === undefined ? story.characters.length - 1 : params.endIndex;
+      if (params.startIndex < 0 || last >= story.characters.length || params.startIndex > last) {
+        throw new Error("Invalid range " + params.startIndex + "-" + last + ". Story has " + story.characters.length + " characters.");
+      }
+      var text = story.characters.itemByRange(params.startIndex, last);
+      text.applyCharacterStyle(style);
+      return { styleName: stylePath(style), storyId: story.id, startIndex: params.startIndex, endIndex: last, characterCount: last - params.startIndex + 1 };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleName, storyId, itemId, label, startIndex, endIndex });
+    return this.formatResponse(result, "Apply Character Style", (applied) =>
+      `Character style '${applied.styleName}' applied to ${applied.characterCount} characters of story ${applied.storyId}`
+    );
+  }
+
+  async applyObjectStyle(args) {
+    const { document, styleName, itemId, label, clearOverrides = false } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      if (!hasItemTarget(params)) throw new Error("Specify the page item by itemId or label");
+      var item = findPageItem(doc, params.itemId, params.label);
+      var style = findStyle(doc, "object", params.styleName);
+      item.applyObjectStyle(style, params.clearOverrides);
+      return { styleName: stylePath(style), id: item.id, type: item.reflect.name };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, styleName, itemId, label, clearOverrides });
+    return this.formatResponse(result, "Apply Object Style", (applied) =>
+      `Object style '${applied.styleName}' applied to ${applied.type} ${applied.id}`
+    );
+  }
+
+  async applyTableStyle(args) {
+    const { document, itemId, label, tableStyle, cellStyle, rows, columns, clearOverrides = false } = args;
+    if (!tableStyle && !cellStyle) {
+      throw new McpError(ErrorCode.InvalidParams, 'tableStyle or cellStyle is required');
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var table = findTable(doc, params.itemId, params.label);
+      var result = { tableId: table.id };
+
+      if (params.tableStyle) {
+        var style = findStyle(doc, "table", params.tableStyle);
+        table.appliedTableStyle = style;
+        if (params.clearOverrides) table.clearTableStyleOverrides();
+        result.tableStyle = stylePath(style);
+      }
+
+      if (params.cellStyle) {
+        var cellStyle = findStyle(doc, "cell", params.cellStyle);
+        var rows = params.rows || [0, table.rows.length - 1];
+        var columns = params.columns || [0, table.columns.length - 1];
+        if (rows[0] < 0 || rows[1] >= table.rows.length || columns[0] < 0 || columns[1] >= table.columns.length) {
+          throw new Error("Cell range outside the table (" + table.rows.length + " rows, " + table.columns.length + " columns)");
+        }
+        // Cells are addressed by "column:row" name; positions inside a merged cell have none
+        var first = table.cells.itemByName(columns[0] + ":" + rows[0]);
+        var last = table.cells.itemByName(columns[1] + ":" + rows[1]);
+        if (!first.isValid || !last.isValid) {
+          throw new Error("The cell range starts or ends inside a merged cell");
+        }
+        var cells = table.cells.itemByRange(first, last);
+        cells.applyCellStyle(cellStyle, params.clearOverrides);
+        result.cellStyle = stylePath(cellStyle);
+        result.cellCount = cells.cells.length;
+      }
+
+      return result;
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, itemId, label, tableStyle, cellStyle, rows, columns, clearOverrides,
+    });
+    return this.formatResponse(result, "Apply Table Style", (applied) => [
+      applied.tableStyle && `table style '${applied.tableStyle}'`,
+      applied.cellStyle && `cell style '${applied.cellStyle}' on ${applied.cellCount} cells`,
+    ].filter(Boolean).join(' and ') + ` applied to table ${applied.tableId}`);
+  }
+
+  async exportDesignTokens(args) {
+    const { document, filePath } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      function sameTokenValue(a, b) {
+        if (typeof a === "number" && typeof b === "number") return Math.abs(a - b) < 0.001;
+        return a === b;
+      }
+
+      var colors = {};
+      for (var c = 0; c < doc.colors.length; c++) {
+        var color = doc.colors[c];
+        // [Registration], Paper and the like are the same in every document
+        if (/^\\[/.test(color.name) || color.name === "" || !color.editable) continue;
+        colors[color.name] = {
+          model: color.model === ColorModel.SPOT ? "spot" : "process",
+          space: String(color.space),
+          values: color.colorValue
+        };
+      }
+
+      var sections = {};
+      for (var section in params.sections) {
+        var type = params.sections[section];
+        var all = doc[STYLE_TYPES[type].all];
+        var styles = {};
+        for (var i = 0; i < all.length; i++) {
+          var style = all[i];
+          if (/^\\[/.test(style.name)) continue;
+
+          // Attributes inherited from a user style are left to that style; a style based
+          // on a built-in one gets all of them, as built-ins differ between documents
+          var base = style.basedOn;
+          var inherits = base && typeof base === "object" && base.isValid && !/^\\[/.test(base.name);
+          var properties = {};
+          var names = params.properties[type];
+          for (var p = 0; p < names.length; p++) {
+            var value = tokenValue(style, names[p]);
+            if (value !== null && !(inherits && sameTokenValue(value, tokenValue(base, names[p])))) {
+              properties[names[p]] = value;
+            }
+          }
+          styles[stylePath(style)] = {
+            basedOn: base && typeof base === "object" && base.isValid ? stylePath(base) : null,
+            properties: properties
+          };
+        }
+        sections[section] = styles;
+      }
+
+      return { colors: colors, sections: sections };
+    `;
+
+    const exported = await this.executeInDesignScript(script, {
+      document, sections: TOKEN_STYLE_SECTIONS, properties: TOKEN_PROPERTIES,
+    });
+    const tokens = {
+      format: DESIGN_TOKEN_FORMAT,
+      version: DESIGN_TOKEN_VERSION,
+      colors: exported.colors,
+      ...exported.sections,
+    };
+    if (filePath) {
+      await fs.promises.writeFile(filePath, `${JSON.stringify(tokens, null, 2)}\n`, 'utf8');
+    }
+
+    return this.formatResponse(tokens, "Export Design Tokens", (result) =>
+      `${Object.keys(result.colors).length} colors, ` +
+      Object.keys(TOKEN_STYLE_SECTIONS).map((section) => `${Object.keys(result[section]).length} ${section}`).join(', ') +
+      (filePath ? `, written to ${filePath}` : '')
+    );
+  }
+
+  async applyDesignTokens(args) {
+    const { document, filePath, dryRun = false } = args;
+    let { tokens } = args;
+
+    if (tokens === undefined) {
+      if (!filePath) {
+        throw new McpError(ErrorCode.InvalidParams, 'tokens or filePath is required');
+      }
+      try {
+        tokens = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `Cannot read design tokens ${filePath}: ${error.message}`);
+      }
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var created = [];
+      var updated = [];
+      var unchanged = 0;
+
+      function same(a, b) {
+        if (typeof a === "number" && typeof b === "number") return Math.abs(a - b) < 0.001;
+        if (a instanceof Array && b instanceof Array) {
+          if (a.length !== b.length) return false;
+          for (var i = 0; i < a.length; i++) {
+            if (!same(a[i], b[i])) return false;
+          }
+          return true;
+        }
+        // Style references match by path or by bare name
+        if (typeof a === "string" && typeof b === "string") {
+          return a === b || a.substring(a.length - b.length - 1) === "/" + b;
+        }
+        return a === b;
+      }
+
+      function record(type, name, changes) {
+        if (changes.length > 0) {
+          updated.push({ type: type, name: name, changes: changes });
+        } else {
+          unchanged++;
+        }
+      }
+
+      // Colors
+      for (var colorName in params.colors) {
+        var token = params.colors[colorName];
+        var color = doc.colors.itemByName(colorName);
+        if (!color.isValid) {
+          created.push({ type: "color", name: colorName });
+          if (!params.dryRun) {
+            color = doc.colors.add();
+            color.name = colorName;
+            defineColor(color, token.model === "spot", token.space, token.values);
+          }
+          continue;
+        }
+        var changes = [];
+        var current = {
+          model: color.model === ColorModel.SPOT ? "spot" : "process",
+          space: String(color.space),
+          values: color.colorValue
+        };
+        var wanted = { model: token.model === "spot" ? "spot" : "process", space: token.space, values: token.values };
+        for (var key in wanted) {
+          if (!same(current[key], wanted[key])) {
+            changes.push({ property: key, from: current[key], to: wanted[key] });
+          }
+        }
+        if (changes.length > 0 && !params.dryRun) {
+          defineColor(color, token.model === "spot", token.space, token.values);
+        }
+        record("color", colorName, changes);
+      }
+
+      // Missing styles are created first so that tokens can refer to each other in any order
+      var missing = {};
+      for (var type in params.styles) {
+        missing[type] = {};
+        for (var path in params.styles[type]) {
+          try {
+            findStyle(doc, type, path);
+          } catch (e) {
+            missing[type][path] = true;
+            created.push({ type: type + "Style", name: path });
+            if (!params.dryRun) {
+              var slash = path.lastIndexOf("/");
+              var container = styleGroup(doc, type, slash === -1 ? "" : path.substring(0, slash), true);
+              container[STYLE_TYPES[type].styles].add({ name: path.substring(slash + 1) });
+            }
+          }
+        }
+      }
+
+      for (var styleTypeName in params.styles) {
+        for (var stylePathName in params.styles[styleTypeName]) {
+          if (params.dryRun && missing[styleTypeName][stylePathName]) continue;
+
+          var style = findStyle(doc, styleTypeName, stylePathName);
+          var styleToken = params.styles[styleTypeName][stylePathName];
+          var styleChanges = [];
+
+          // basedOn first: it changes what the other attributes inherit
+          var wantedProperties = [];
+          if (styleToken.basedOn) wantedProperties.push(["basedOn", styleToken.basedOn]);
+          for (var property in styleToken.properties) {
+            wantedProperties.push([property, styleToken.properties[property]]);
+          }
+
+          for (var w = 0; w < wantedProperties.length; w++) {
+            var name = wantedProperties[w][0];
+            var value = wantedProperties[w][1];
+            var compareTo = typeof value === "string" && /^[A-Z][A-Za-z]+\\.[A-Z][A-Z0-9_]*$/.test(value) ? value.split(".")[1] : value;
+            var before = tokenValue(style, name);
+            if (same(before, compareTo)) continue;
+
+            styleChanges.push({ property: name, from: before, to: compareTo });
+            if (!params.dryRun) {
+              var single = {};
+              single[name] = value;
+              setStyleProperties(doc, styleTypeName, style, single);
+            }
+          }
+
+          if (missing[styleTypeName][stylePathName]) continue;
+          record(styleTypeName + "Style", stylePathName, styleChanges);
+        }
+      }
+
+      return { dryRun: params.dryRun, created: created, updated: updated, unchanged: unchanged };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, dryRun, ...normalizeDesignTokens(tokens) });
+    return this.formatResponse(result, "Apply Design Tokens", (diff) =>
+      `${diff.dryRun ? 'Would create' : 'Created'} ${diff.created.length}, ${diff.dryRun ? 'would update' : 'updated'} ${diff.updated.length}, unchanged ${diff.unchanged}`
+    );
+  }
+
+  // =================== COLOR MANAGEMENT ===================
+  async createColorSwatch(args) {
+    const { document, name, hex, colorModel = hex ? 'RGB' : 'CMYK', colorValues, spotColor = false, group, ifExists = 'error' } = args;
+
+    if ((colorValues === undefined) === (hex === undefined)) {
+      throw new McpError(ErrorCode.InvalidParams, 'Specify the color by colorValues or hex');
+    }
+    if (!COLOR_CHANNELS[colorModel]) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown color model "${colorModel}". Use one of: ${Object.keys(COLOR_CHANNELS).join(', ')}`);
+    }
+    if (hex !== undefined && colorModel !== 'RGB') {
+      throw new McpError(ErrorCode.InvalidParams, 'hex colors are RGB; use colorValues for other color models');
+    }
+    if (colorValues !== undefined && colorValues.length !== COLOR_CHANNELS[colorModel]) {
+      throw new McpError(ErrorCode.InvalidParams, `${colorModel} colors need ${COLOR_CHANNELS[colorModel]} values`);
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var values = params.colorValues;
+      if (params.hex !== undefined) {
+        values = hexColor(params.hex);
+        if (!values) throw new Error("Not a #RRGGBB color: " + params.hex);
+      }
+
+      var newColor = doc.colors.itemByName(params.name);
+      var created = !newColor.isValid;
+
+      if (!created && params.ifExists !== "update") {
+        throw new Error("Color swatch already exists: " + params.name);
+      }
+      if (created) {
+        newColor = doc.colors.add();
+        newColor.name = params.name;
+      }
+      defineColor(newColor, params.spotColor, params.colorModel, values);
+      if (params.group) addToColorGroup(doc, params.group, newColor);
+
+      return {
+        id: newColor.id,
+        name: newColor.name,
+        model: String(newColor.model),
+        space: String(newColor.space),
+        colorValue: newColor.colorValue,
+        group: params.group || null,
+        created: created
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, name, hex, colorModel, colorValues, spotColor, group, ifExists });
+    return this.formatResponse(result, "Create Color Swatch", (color) =>
+      `Color swatch '${color.name}' ${color.created ? 'created' : 'updated'} (${color.space}: ${color.colorValue.join(', ')})`
+    );
+  }
+
+  async createTintSwatch(args) {
+    const { document, baseColor, tintValue, group } = args;
+
+    if (!(tintValue >= 0 && tintValue <= 100)) {
+      throw new McpError(ErrorCode.InvalidParams, 'tintValue must be between 0 and 100');
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var base = doc.colors.itemByName(params.baseColor);
+      if (!base.isValid) throw new Error("Color not found: " + params.baseColor);
+
+      // A tint is identified by its color and percentage; asking again returns the existing one
+      var tint = null;
+      for (var i = 0; i < doc.tints.length; i++) {
+        if (doc.tints[i].baseColor.id === base.id && Math.abs(doc.tints[i].tintValue - params.tintValue) < 0.01) {
+          tint = doc.tints[i];
+          break;
+        }
+      }
+      var created = !tint;
+      if (created) {
+        tint = doc.tints.add(base, { tintValue: params.tintValue });
+      }
+      if (params.group) addToColorGroup(doc, params.group, tint);
+
+      return {
+        id: tint.id,
+        name: tint.name,
+        baseColor: base.name,
+        tintValue: tint.tintValue,
+        group: params.group || null,
+        created: created
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, baseColor, tintValue, group });
+    return this.formatResponse(result, "Create Tint Swatch", (tint) =>
+      `Tint swatch '${tint.name}' ${tint.created ? 'created' : 'already exists'} (${tint.tintValue}% of ${tint.baseColor})`
+    );
+  }
+
+  async createGradientSwatch(args) {
+    const { document, name, type = 'LINEAR', stops, group, ifExists = 'error' } = args;
+
+    if (!Array.isArray(stops) || stops.length < 2) {
+      throw new McpError(ErrorCode.InvalidParams, 'A gradient needs at least two stops');
+    }
+    const gradientStops = stops.map((stop, index) => ({
+      color: stop.color,
+      location: stop.location ?? (index * 100) / (stops.length - 1),
+      midpoint: stop.midpoint ?? 50,
+    }));
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      // Stops take colors, not tints or other gradients
+      var colors = [];
+      for (var i = 0; i < params.stops.length; i++) {
+        var color = requireSwatch(doc, params.stops[i].color).getElements()[0];
+        if (color.reflect.name !== "Color" && color.reflect.name !== "MixedInk") {
+          throw new Error("Gradient stops need a color, not a " + color.reflect.name + ": " + params.stops[i].color);
+        }
+        colors.push(color);
+      }
+
+      var gradient = doc.gradients.itemByName(params.name);
+      var created = !gradient.isValid;
+      if (!created && params.ifExists !== "update") {
+        throw new Error("Gradient swatch already exists: " + params.name);
+      }
+      if (created) {
+        gradient = doc.gradients.add();
+        gradient.name = params.name;
+      }
+      gradient.type = enumValue(GradientType, params.type, "type");
+
+      while (gradient.gradientStops.length < params.stops.length) gradient.gradientStops.add();
+      while (gradient.gradientStops.length > params.stops.length) gradient.gradientStops[-1].remove();
+      var stops = [];
+      for (var s = 0; s < params.stops.length; s++) {
+        var stop = gradient.gradientStops[s];
+        stop.stopColor = colors[s];
+        stop.location = params.stops[s].location;
+        // The last stop has no midpoint
+        if (s < params.stops.length - 1) stop.midpoint = params.stops[s].midpoint;
+        stops.push({ color: colors[s].name, location: stop.location, midpoint: stop.midpoint });
+      }
+      if (params.group) addToColorGroup(doc, params.group, gradient);
+
+      return {
+        id: gradient.id,
+        name: gradient.name,
+        type: String(gradient.type),
+        stops: stops,
+        group: params.group || null,
+        created: created
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, name, type, stops: gradientStops, group, ifExists });
+    return this.formatResponse(result, "Create Gradient Swatch", (gradient) =>
+      `${gradient.type} gradient '${gradient.name}' ${gradient.created ? 'created' : 'updated'}: ${gradient.stops.map((stop) => stop.color).join(' → ')}`
+    );
+  }
+
+  async createColorGroup(args) {
+    const { document, name, swatches = [] } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      if (!doc.colorGroups) throw new Error("Color groups need InDesign CC 2015 or later");
+
+      var created = !doc.colorGroups.itemByName(params.name).isValid;
+      var group = created ? doc.colorGroups.add(params.name) : doc.colorGroups.itemByName(params.name);
+      for (var i = 0; i < params.swatches.length; i++) {
+        var swatch = doc.swatches.itemByName(params.swatches[i]);
+        if (!swatch.isValid) throw new Error("Swatch not found: " + params.swatches[i]);
+        addToColorGroup(doc, params.name, swatch);
+      }
+
+      var members = [];
+      for (var m = 0; m < group.colorGroupSwatches.length; m++) {
+        members.push(group.colorGroupSwatches[m].swatchItemRef.name);
+      }
+      return { name: group.name, swatches: members, created: created };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, name, swatches });
+    return this.formatResponse(result, "Create Color Group", (group) =>
+      `Color group '${group.name}' ${group.created ? 'created' : 'updated'} with ${group.swatches.length} swatches`
+    );
+  }
+
+  async listColorSwatches(args) {
+    const result = await this.queryColorSwatches(args);
+    return this.formatResponse(result, "List Color Swatches", (list) =>
+      `${list.swatches.length} swatches: ${list.swatches.map((swatch) => swatch.name).join(', ')}`
+    );
+  }
+
+  // Also backs the indesign://document/{id}/swatches resource
+  async queryColorSwatches(args) {
+    const { document } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var groups = colorGroupNames(doc);
+      var swatches = [];
+
+      for (var i = 0; i < doc.swatches.length; i++) {
+        var swatch = doc.swatches[i].getElements()[0];
+        var entry = { id: swatch.id, name: swatch.name, type: swatch.reflect.name, group: groups[swatch.id] || null };
+
+        try {
+          if (swatch.model) {
+            entry.model = String(swatch.model);
+            entry.space = String(swatch.space);
+            entry.colorValue = swatch.colorValue;
+          }
+        } catch (e) {}
+
+        if (entry.type === "Tint") {
+          entry.baseColor = swatch.baseColor.name;
+          entry.tintValue = swatch.tintValue;
+        } else if (entry.type === "Gradient") {
+          entry.gradientType = String(swatch.type);
+          entry.stops = [];
+          for (var s = 0; s < swatch.gradientStops.length; s++) {
+            var stop = swatch.gradientStops[s];
+            entry.stops.push({ color: stop.stopColor.name, location: stop.location, midpoint: stop.midpoint });
+          }
+        }
+
+        swatches.push(entry);
+      }
+
+      return { swatches: swatches };
+    `;
+
+    return this.executeInDesignScript(script, { document });
+  }
+
+  async applyColor(args) {
+    const { document, itemId, label, objectIndex, pageIndex = 0, swatchName, property = 'fill' } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var pageItem;
+
+      if (hasItemTarget(params)) {
+        pageItem = findPageItem(doc, params.itemId, params.label);
+      } else if (params.objectIndex !== undefined) {
+        var items = requirePage(doc, params.pageIndex).allPageItems;
+        if (params.objectIndex >= items.length || params.objectIndex < 0) {
+          throw new Error("Invalid object index: " + params.objectIndex + ". Page has " + items.length + " page items.");
+        }
+        pageItem = items[params.objectIndex];
+      } else {
+        throw new Error("Specify the page item by itemId, label or objectIndex");
+      }
+
+      var swatch = requireSwatch(doc, params.swatchName);
+
+      if (params.property === "fill") {
+        pageItem.fillColor = swatch;
+      } else if (params.property === "stroke") {
+        pageItem.strokeColor = swatch;
+      }
+
+      return {
+        id: pageItem.id,
+        type: pageItem.reflect.name,
+        swatchName: swatch.name,
+        property: params.property
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, itemId, label, objectIndex, pageIndex, swatchName, property });
+    return this.formatResponse(result, "Apply Color", (applied) =>
+      `Color '${applied.swatchName}' applied to ${applied.property} of ${applied.type} ${applied.id}`
+    );
+  }
+
+  async importAseSwatches(args) {
+    const { document, filePath, ifExists = 'skip', groups = true } = args;
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(filePath);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot read swatch file ${filePath}: ${error.message}`);
+    }
+    const swatches = readAse(buffer);
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      // Fail before changing anything
+      if (params.ifExists === "error") {
+        for (var i = 0; i < params.swatches.length; i++) {
+          if (doc.colors.itemByName(params.swatches[i].name).isValid) {
+            throw new Error("Color swatch already exists: " + params.swatches[i].name);
+          }
+        }
+      }
+
+      var created = [];
+      var updated = [];
+      var skipped = [];
+      for (var s = 0; s < params.swatches.length; s++) {
+        var swatch = params.swatches[s];
+        var color = doc.colors.itemByName(swatch.name);
+        if (color.isValid) {
+          if (params.ifExists !== "update") {
+            skipped.push(swatch.name);
+            continue;
+          }
+          updated.push(swatch.name);
+        } else {
+          color = doc.colors.add();
+          color.name = swatch.name;
+          created.push(swatch.name);
+        }
+        defineColor(color, swatch.model === "spot", swatch.space, swatch.values);
+        if (params.groups && swatch.group && doc.colorGroups) addToColorGroup(doc, swatch.group, color);
+      }
+
+      return { created: created, updated: updated, skipped: skipped };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, swatches, ifExists, groups });
+    return this.formatResponse({ filePath, ...result }, "Import ASE Swatches", (imported) =>
+      `${imported.created.length} colors created, ${imported.updated.length} updated, ${imported.skipped.length} skipped from ${filePath}`
+    );
+  }
+
+  async exportAseSwatches(args) {
+    const { document, filePath, swatches } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var groups = colorGroupNames(doc);
+      var colors = [];
+      var skipped = [];
+
+      function add(color) {
+        var space = String(color.space);
+        if (space !== "CMYK" && space !== "RGB" && space !== "LAB") {
+          skipped.push({ name: color.name, reason: space + " colors can't be exported" });
+          return;
+        }
+        colors.push({
+          name: color.name,
+          model: color.model === ColorModel.SPOT ? "spot" : "process",
+          space: space,
+          values: color.colorValue,
+          group: groups[color.id] || null
+        });
+      }
+
+      if (params.swatches) {
+        for (var i = 0; i < params.swatches.length; i++) {
+          var swatch = doc.swatches.itemByName(params.swatches[i]);
+          if (!swatch.isValid) throw new Error("Swatch not found: " + params.swatches[i]);
+          swatch = swatch.getElements()[0];
+          // Swatch exchange files only hold plain colors
+          if (swatch.reflect.name === "Color") {
+            add(swatch);
+          } else {
+            skipped.push({ name: swatch.name, reason: swatch.reflect.name + " swatches can't be exported" });
+          }
+        }
+      } else {
+        for (var c = 0; c < doc.colors.length; c++) {
+          var color = doc.colors[c];
+          // [Registration], Paper and the like are the same in every document
+          if (/^\\[/.test(color.name) || color.name === "" || !color.editable) continue;
+          add(color);
+        }
+      }
+
+      return { colors: colors, skipped: skipped };
+    `;
+
+    const { colors, skipped } = await this.executeInDesignScript(script, { document, swatches });
+    await fs.promises.writeFile(filePath, writeAse(colors));
+
+    const groups = [...new Set(colors.map((color) => color.group).filter(Boolean))];
+    return this.formatResponse({ filePath, exported: colors.map((color) => color.name), groups, skipped }, "Export ASE Swatches", (result) =>
+      `${result.exported.length} colors written to ${filePath}` + (result.skipped.length > 0 ? `, ${result.skipped.length} skipped` : '')
+    );
+  }
+
+  async auditColors(args) {
+    const { document, filePath, tolerance = 5, print = true, fix = false } = args;
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(filePath);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot read palette ${filePath}: ${error.message}`);
+    }
+    const palette = readPalette(buffer);
+    if (palette.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Palette ${filePath} has no colors`);
+    }
+
+    const script = `
+      var doc = requireDocument(params.document);
+
+      // Colors are compared in LAB, converted with the document's color settings
+      function lab(space, values) {
+        return space === "LAB" ? values : app.colorTransform(values, ColorSpace[space], ColorSpace.LAB);
+      }
+      function deltaE(a, b) {
+        return Math.sqrt(Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2) + Math.pow(a[2] - b[2], 2));
+      }
+
+      var palette = params.palette;
+      for (var p = 0; p < palette.length; p++) {
+        palette[p].lab = lab(palette[p].space, palette[p].values);
+      }
+
+      // Swatches in use, directly, through a tint or gradient, or in a style
+      var used = {};
+      function markUsed(swatch) {
+        used[swatch.id] = true;
+        if (swatch.reflect.name === "Tint") {
+          markUsed(swatch.baseColor);
+        } else if (swatch.reflect.name === "Gradient") {
+          for (var g = 0; g < swatch.gradientStops.length; g++) markUsed(swatch.gradientStops[g].stopColor);
+        }
+      }
+
+      // Colors on the page with their usages; [Black], [Registration], Paper and mixed inks aren't checked
+      var colors = [];
+      var byId = {};
+      function record(color, usage, via) {
+        if (color.reflect.name !== "Color" || !color.editable || color.name === "Paper") return;
+        if (via) usage.via = via;
+        if (!byId.hasOwnProperty(color.id)) {
+          byId[color.id] = { id: color.id, name: color.name, model: color.model === ColorModel.SPOT ? "spot" : "process", space: String(color.space), values: color.colorValue, usages: [] };
+          colors.push(byId[color.id]);
+        }
+        byId[color.id].usages.push(usage);
+      }
+
+      eachColorUsage(doc, function (owner, property, usage) {
+        var swatch = owner[property];
+        if (!swatch || !swatch.isValid) return;
+        markUsed(swatch);
+        if (swatch.reflect.name === "Tint") {
+          record(swatch.baseColor, usage, "tint");
+        } else if (swatch.reflect.name === "Gradient") {
+          for (var g = 0; g < swatch.gradientStops.length; g++) {
+            var stopUsage = {};
+            for (var key in usage) stopUsage[key] = usage[key];
+            record(swatch.gradientStops[g].stopColor, stopUsage, "gradient");
+          }
+        } else {
+          record(swatch, usage);
+        }
+      });
+
+      var styleSets = [doc.allParagraphStyles, doc.allCharacterStyles, doc.allObjectStyles];
+      for (var set = 0; set < styleSets.length; set++) {
+        for (var st = 0; st < styleSets[set].length; st++) {
+          var style = styleSets[set][st];
+          if (style.fillColor && style.fillColor.isValid) markUsed(style.fillColor);
+          if (style.strokeColor && style.strokeColor.isValid) markUsed(style.strokeColor);
+        }
+      }
+
+      // A color is approved when it has the name and values of a palette color
+      var unnamed = [];
+      var rgb = [];
+      var nearDuplicates = [];
+      var offPalette = [];
+      for (var c = 0; c < colors.length; c++) {
+        var entry = colors[c];
+        var entryLab = lab(entry.space, entry.values);
+        var nearest = null;
+        var approved = false;
+        for (var n = 0; n < palette.length; n++) {
+          var difference = deltaE(entryLab, palette[n].lab);
+          if (!nearest || difference < nearest.deltaE) nearest = { index: n, deltaE: difference };
+          if (palette[n].name === entry.name && difference < 1) approved = true;
+        }
+        entry.nearest = palette[nearest.index].name;
+        entry.deltaE = Math.round(nearest.deltaE * 100) / 100;
+
+        if (entry.name === "") unnamed.push(entry);
+        if (params.print && entry.space === "RGB") rgb.push(entry);
+        if (!approved) {
+          (nearest.deltaE <= params.tolerance ? nearDuplicates : offPalette).push(entry);
+          entry.nearestIndex = nearest.index;
+        }
+      }
+
+      var unusedSwatches = [];
+      for (var w = 0; w < doc.swatches.length; w++) {
+        var swatch = doc.swatches[w].getElements()[0];
+        var type = swatch.reflect.name;
+        if (type !== "Color" && type !== "Tint" && type !== "Gradient") continue;
+        if (swatch.name === "" || /^\\[/.test(swatch.name) || (type === "Color" && (!swatch.editable || swatch.name === "Paper"))) continue;
+        if (!used[swatch.id]) unusedSwatches.push({ id: swatch.id, name: swatch.name, type: type });
+      }
+
+      // Fix: near-duplicates are replaced by their approved color, which gets the palette's values
+      var fixed = [];
+      var failed = [];
+      if (params.fix) {
+        var targets = {};
+        for (var d = 0; d < nearDuplicates.length; d++) {
+          var duplicate = nearDuplicates[d];
+          var approvedColor = palette[duplicate.nearestIndex];
+          var target = doc.colors.itemByName(approvedColor.name);
+          if (!target.isValid) {
+            target = doc.colors.add();
+            target.name = approvedColor.name;
+          }
+          defineColor(target, approvedColor.model === "spot", approvedColor.space, approvedColor.values);
+          var change = { from: duplicate.name, to: approvedColor.name, replaced: 0 };
+          if (target.id === duplicate.id) {
+            change.redefined = true;
+          } else {
+            targets[duplicate.id] = { color: target, change: change };
+          }
+          fixed.push(change);
+        }
+
+        // Tints and gradients keep their colors; only direct uses are replaced
+        eachColorUsage(doc, function (owner, property, usage) {
+          var swatch = owner[property];
+          if (!swatch || !swatch.isValid || !targets.hasOwnProperty(swatch.id)) return;
+          try {
+            owner[property] = targets[swatch.id].color;
+            targets[swatch.id].change.replaced++;
+          } catch (e) {
+            usage.error = e.message;
+            failed.push(usage);
+          }
+        });
+      }
+
+      for (var x = 0; x < colors.length; x++) delete colors[x].nearestIndex;
+
+      return {
+        palette: palette.length,
+        checked: colors.length,
+        unnamed: unnamed,
+        rgb: rgb,
+        nearDuplicates: nearDuplicates,
+        offPalette: offPalette,
+        unusedSwatches: unusedSwatches,
+        fixed: fixed,
+        failed: failed
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, palette, tolerance, print, fix });
+    return this.formatResponse(result, "Audit Colors", (audit) =>
+      `${audit.checked} colors checked against ${audit.palette} approved: ${audit.unnamed.length} unnamed, ` +
+      `${audit.rgb.length} RGB, ${audit.nearDuplicates.length} near-duplicates, ${audit.offPalette.length} off-palette, ` +
+      `${audit.unusedSwatches.length} unused swatches` +
+      (fix ? `; ${audit.fixed.reduce((sum, change) => sum + change.replaced, 0)} uses replaced` : '')
+    );
+  }
+
+  // =================== EXPORT FUNCTIONS ===================
+  async exportPDF(args) {
+    const { document, filePath, preset = this.config.defaults.pdfPreset, pageRange = 'all', includeBleed = false, includeSlug = false, colorProfile, jpegQuality = 'High' } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var pdfFile = File(params.filePath);
+      var pdfPreset;
+
+      // Try to get the specified preset
+      try {
+        pdfPreset = app.pdfExportPresets.itemByName("[" + params.preset + "]");
+      } catch (e) {
+        pdfPreset = app.pdfExportPresets[0]; // Use first available preset
+      }
+
+      // Customize export preferences
+      if (params.pageRange !== "all") {
+        app.pdfExportPreferences.pageRange = params.pageRange;
+      } else {
+        app.pdfExportPreferences.pageRange = PageRange.ALL_PAGES;
       }
-    );
 
-    this.setupToolHandlers();
+      app.pdfExportPreferences.includeBleedMarks = params.includeBleed;
+      app.pdfExportPreferences.includeSlugArea = params.includeSlug;
+
+      if (params.colorProfile) {
+        app.pdfExportPreferences.outputIntention = OutputIntention.REPURPOSE;
+      }
+
+      // Set JPEG quality
+      var jpegQualities = {
+        Low: JPEGOptionsQuality.LOW,
+        Medium: JPEGOptionsQuality.MEDIUM,
+        High: JPEGOptionsQuality.HIGH,
+        Maximum: JPEGOptionsQuality.MAXIMUM
+      };
+      if (jpegQualities.hasOwnProperty(params.jpegQuality)) {
+        app.pdfExportPreferences.jpegQuality = jpegQualities[params.jpegQuality];
+      }
+
+      doc.exportFile(ExportFormat.PDF_TYPE, pdfFile, false, pdfPreset);
+      return { filePath: pdfFile.fsName, preset: pdfPreset.name, pageRange: params.pageRange };
+    `;
+
+    const result = await this.executeInDesignScript(script, {
+      document, filePath, preset, pageRange, includeBleed, includeSlug, colorProfile, jpegQuality,
+    });
+    return this.formatResponse(result, "Export PDF", (pdf) => `PDF exported successfully to: ${pdf.filePath}`);
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        // =================== DOCUMENT MANAGEMENT ===================
-        {
-          name: 'get_document_info',
-          description: 'Get detailed information about the current InDesign document',
-          inputSchema: { type: 'object', properties: {} },
-        },
-        {
-          name: 'create_document',
-          description: 'Create a new InDesign document with advanced options',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              preset: { type: 'string', description: 'Document preset (A4, A5, Letter, Custom, etc.)', default: 'A4' },
-              width: { type: 'number', description: 'Document width in mm (for custom preset)' },
-              height: { type: 'number', description: 'Document height in mm (for custom preset)' },
-              orientation: { type: 'string', enum: ['Portrait', 'Landscape'], default: 'Portrait' },
-              pages: { type: 'number', description: 'Number of pages', default: 1 },
-              facingPages: { type: 'boolean', description: 'Enable facing pages', default: false },
-              bleed: { type: 'number', description: 'Bleed in mm', default: 0 },
-              slug: { type: 'number', description: 'Slug area in mm', default: 0 },
-              marginTop: { type: 'number', description: 'Top margin in mm', default: 20 },
-              marginBottom: { type: 'number', description: 'Bottom margin in mm', default: 20 },
-              marginLeft: { type: 'number', description: 'Left margin in mm', default: 20 },
-              marginRight: { type: 'number', description: 'Right margin in mm', default: 20 },
-            },
-          },
-        },
-        {
-          name: 'open_document',
-          description: 'Open an existing InDesign document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              filePath: { type: 'string', description: 'Path to the InDesign document (.indd)' },
-            },
-            required: ['filePath'],
-          },
-        },
-        {
-          name: 'save_document',
-          description: 'Save the current document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              filePath: { type: 'string', description: 'Optional: Save as new file path' },
-            },
-          },
-        },
-        {
-          name: 'close_document',
-          description: 'Close the current document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              save: { type: 'boolean', description: 'Save before closing', default: false },
-            },
-          },
-        },
+  async exportImages(args) {
+    const { document, folderPath, format = 'PNG', resolution = 300, pageRange = 'all', includeBleed = false } = args;
 
-        // =================== PAGE MANAGEMENT ===================
-        {
-          name: 'add_page',
-          description: 'Add a new page to the document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              position: { type: 'string', enum: ['before', 'after', 'end'], default: 'end' },
-              pageIndex: { type: 'number', description: 'Reference page index (for before/after)' },
-              masterPage: { type: 'string', description: 'Master page to apply' },
-            },
-          },
-        },
-        {
-          name: 'delete_page',
-          description: 'Delete a page from the document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              pageIndex: { type: 'number', description: 'Page index to delete' },
-            },
-            required: ['pageIndex'],
-          },
-        },
-        {
-          name: 'duplicate_page',
-          description: 'Duplicate a page',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              pageIndex: { type: 'number', description: 'Page index to duplicate' },
-              position: { type: 'string', enum: ['before', 'after', 'end'], default: 'after' },
-            },
-            required: ['pageIndex'],
-          },
-        },
-        {
-          name: 'navigate_to_page',
-          description: 'Navigate to a specific page',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              pageIndex: { type: 'number', description: 'Page index to navigate to' },
-            },
-            required: ['pageIndex'],
-          },
-        },
+    const script = `
+      var doc = requireDocument(params.document);
+      var exportFolder = Folder(params.folderPath);
+      if (!exportFolder.exists) {
+        exportFolder.create();
+      }
 
-        // =================== TEXT MANAGEMENT ===================
-        {
-          name: 'create_text_frame',
-          description: 'Create a text frame with advanced formatting options',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              content: { type: 'string', description: 'Text content for the frame' },
-              x: { type: 'number', description: 'X position in mm', default: 10 },
-              y: { type: 'number', description: 'Y position in mm', default: 10 },
-              width: { type: 'number', description: 'Width in mm', default: 100 },
-              height: { type: 'number', description: 'Height in mm', default: 50 },
-              pageIndex: { type: 'number', description: 'Page index (0-based)', default: 0 },
-              fontSize: { type: 'number', description: 'Font size in points', default: 12 },
-              fontFamily: { type: 'string', description: 'Font family name', default: 'Helvetica Neue' },
-              fontStyle: { type: 'string', description: 'Font style (Regular, Bold, Italic, etc.)', default: 'Regular' },
-              textColor: { type: 'string', description: 'Text color (RGB hex or name)', default: 'Black' },
-              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN', 'JUSTIFY'], default: 'LEFT_ALIGN' },
-              paragraphStyle: { type: 'string', description: 'Paragraph style name to apply' },
-              characterStyle: { type: 'string', description: 'Character style name to apply' },
-            },
-            required: ['content'],
-          },
-        },
-        {
-          name: 'edit_text_frame',
-          description: 'Edit properties of an existing text frame',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              frameIndex: { type: 'number', description: 'Text frame index on page' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              content: { type: 'string', description: 'New text content' },
-              fontSize: { type: 'number', description: 'Font size in points' },
-              fontFamily: { type: 'string', description: 'Font family name' },
-              textColor: { type: 'string', description: 'Text color' },
-              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN', 'JUSTIFY'] },
-            },
-            required: ['frameIndex'],
-          },
-        },
-        {
-          name: 'find_replace_text',
-          description: 'Find and replace text in the document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              findText: { type: 'string', description: 'Text to find' },
-              replaceText: { type: 'string', description: 'Replacement text' },
-              caseSensitive: { type: 'boolean', description: 'Case sensitive search', default: false },
-              wholeWord: { type: 'boolean', description: 'Whole word only', default: false },
-              useGrep: { type: 'boolean', description: 'Use GREP (regular expressions)', default: false },
-              scope: { type: 'string', enum: ['document', 'story', 'selection'], default: 'document' },
-            },
-            required: ['findText', 'replaceText'],
-          },
-        },
+      // Formats other than JPEG are exported as PNG
+      var fileExtension = params.format === "JPEG" ? ".jpg" : ".png";
 
-        // =================== GRAPHICS MANAGEMENT ===================
-        {
-          name: 'place_image',
-          description: 'Place an image with advanced options',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              imagePath: { type: 'string', description: 'Path to the image file' },
-              x: { type: 'number', description: 'X position in mm', default: 10 },
-              y: { type: 'number', description: 'Y position in mm', default: 10 },
-              width: { type: 'number', description: 'Width in mm (optional, maintains aspect ratio if not specified)' },
-              height: { type: 'number', description: 'Height in mm (optional, maintains aspect ratio if not specified)' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              fitOption: { type: 'string', enum: ['PROPORTIONALLY', 'FRAME_TO_CONTENT', 'CONTENT_TO_FRAME', 'CENTER_CONTENT'], default: 'PROPORTIONALLY' },
-              createFrame: { type: 'boolean', description: 'Create frame first', default: true },
-            },
-            required: ['imagePath'],
-          },
-        },
-        {
-          name: 'create_rectangle',
-          description: 'Create a rectangle shape',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              x: { type: 'number', description: 'X position in mm' },
-              y: { type: 'number', description: 'Y position in mm' },
-              width: { type: 'number', description: 'Width in mm' },
-              height: { type: 'number', description: 'Height in mm' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              fillColor: { type: 'string', description: 'Fill color (RGB hex or swatch name)' },
-              strokeColor: { type: 'string', description: 'Stroke color' },
-              strokeWidth: { type: 'number', description: 'Stroke width in points', default: 1 },
-              cornerRadius: { type: 'number', description: 'Corner radius in mm', default: 0 },
-            },
-            required: ['x', 'y', 'width', 'height'],
-          },
-        },
-        {
-          name: 'create_ellipse',
-          description: 'Create an ellipse shape',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              x: { type: 'number', description: 'X position in mm' },
-              y: { type: 'number', description: 'Y position in mm' },
-              width: { type: 'number', description: 'Width in mm' },
-              height: { type: 'number', description: 'Height in mm' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              fillColor: { type: 'string', description: 'Fill color' },
-              strokeColor: { type: 'string', description: 'Stroke color' },
-              strokeWidth: { type: 'number', description: 'Stroke width in points', default: 1 },
-            },
-            required: ['x', 'y', 'width', 'height'],
-          },
-        },
+      var pages = [];
+      if (params.pageRange === "all") {
+        for (var i = 0; i < doc.pages.length; i++) {
+          pages.push(doc.pages[i]);
+        }
+      } else {
+        // Parse page range (simplified)
+        var pageNumbers = String(params.pageRange).split("-");
+        var startPage = parseInt(pageNumbers[0], 10) - 1;
+        var endPage = pageNumbers.length > 1 ? parseInt(pageNumbers[1], 10) - 1 : startPage;
 
-        // =================== STYLE MANAGEMENT ===================
-        {
-          name: 'create_paragraph_style',
-          description: 'Create a new paragraph style',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              name: { type: 'string', description: 'Style name' },
-              fontFamily: { type: 'string', description: 'Font family' },
-              fontSize: { type: 'number', description: 'Font size in points' },
-              leading: { type: 'number', description: 'Leading (line spacing) in points' },
-              spaceBefore: { type: 'number', description: 'Space before paragraph in mm' },
-              spaceAfter: { type: 'number', description: 'Space after paragraph in mm' },
-              alignment: { type: 'string', enum: ['LEFT_ALIGN', 'CENTER_ALIGN', 'RIGHT_ALIGN', 'JUSTIFY'] },
-              textColor: { type: 'string', description: 'Text color' },
-              baseStyle: { type: 'string', description: 'Base style to inherit from' },
-            },
-            required: ['name'],
-          },
-        },
-        {
-          name: 'create_character_style',
-          description: 'Create a new character style',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              name: { type: 'string', description: 'Style name' },
-              fontFamily: { type: 'string', description: 'Font family' },
-              fontStyle: { type: 'string', description: 'Font style (Regular, Bold, Italic)' },
-              fontSize: { type: 'number', description: 'Font size in points' },
-              textColor: { type: 'string', description: 'Text color' },
-              tracking: { type: 'number', description: 'Character tracking' },
-              baseStyle: { type: 'string', description: 'Base style to inherit from' },
-            },
-            required: ['name'],
-          },
-        },
-        {
-          name: 'apply_paragraph_style',
-          description: 'Apply a paragraph style to text',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              styleName: { type: 'string', description: 'Paragraph style name' },
-              frameIndex: { type: 'number', description: 'Text frame index' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              startIndex: { type: 'number', description: 'Start character index (optional)' },
-              endIndex: { type: 'number', description: 'End character index (optional)' },
-            },
-            required: ['styleName', 'frameIndex'],
-          },
-        },
-        {
-          name: 'list_styles',
-          description: 'List all available styles in the document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              styleType: { type: 'string', enum: ['paragraph', 'character', 'object', 'all'], default: 'all' },
-            },
-          },
-        },
+        for (var i = startPage; i <= endPage && i < doc.pages.length; i++) {
+          pages.push(doc.pages[i]);
+        }
+      }
+
+      var files = [];
+      for (var i = 0; i < pages.length; i++) {
+        var page = pages[i];
+        var fileName = doc.name.replace(/\\.indd$/i, "") + "_page" + (page.documentOffset + 1) + fileExtension;
+        var exportFile = File(exportFolder + "/" + fileName);
+
+        var exportFormat = prepareImageExport(params.format, params.resolution, params.includeBleed, "+" + (page.documentOffset + 1), false);
+        doc.exportFile(exportFormat, exportFile);
+        files.push({ pageIndex: page.documentOffset, filePath: exportFile.fsName });
+      }
+
+      return { folderPath: exportFolder.fsName, format: params.format, resolution: params.resolution, files: files };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, folderPath, format, resolution, pageRange, includeBleed });
+    return this.formatResponse(result, "Export Images", (images) =>
+      `Exported ${images.files.length} pages as ${images.format} files to: ${images.folderPath}`
+    );
+  }
 
-        // =================== COLOR MANAGEMENT ===================
-        {
-          name: 'create_color_swatch',
-          description: 'Create a new color swatch',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              name: { type: 'string', description: 'Swatch name' },
-              colorModel: { type: 'string', enum: ['CMYK', 'RGB', 'LAB'], default: 'CMYK' },
-              colorValues: { type: 'array', description: 'Color values array [C,M,Y,K] or [R,G,B]', items: { type: 'number' } },
-              spotColor: { type: 'boolean', description: 'Create as spot color', default: false },
-            },
-            required: ['name', 'colorValues'],
-          },
-        },
-        {
-          name: 'list_color_swatches',
-          description: 'List all color swatches in the document',
-          inputSchema: { type: 'object', properties: {} },
-        },
-        {
-          name: 'apply_color',
-          description: 'Apply color to an object',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              objectIndex: { type: 'number', description: 'Object index on page' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              swatchName: { type: 'string', description: 'Color swatch name' },
-              property: { type: 'string', enum: ['fill', 'stroke'], default: 'fill' },
-            },
-            required: ['objectIndex', 'swatchName'],
-          },
-        },
+  async exportEPUB(args) {
+    const { document, filePath, version = 'EPUB3', includeImages = true, imageFormat = 'PNG' } = args;
 
-        // =================== TABLE MANAGEMENT ===================
-        {
-          name: 'create_table',
-          description: 'Create a table',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              x: { type: 'number', description: 'X position in mm' },
-              y: { type: 'number', description: 'Y position in mm' },
-              width: { type: 'number', description: 'Table width in mm' },
-              height: { type: 'number', description: 'Table height in mm' },
-              rows: { type: 'number', description: 'Number of rows' },
-              columns: { type: 'number', description: 'Number of columns' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              headerRows: { type: 'number', description: 'Number of header rows', default: 1 },
-              footerRows: { type: 'number', description: 'Number of footer rows', default: 0 },
-            },
-            required: ['x', 'y', 'width', 'height', 'rows', 'columns'],
-          },
-        },
-        {
-          name: 'populate_table',
-          description: 'Populate table with data',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              tableIndex: { type: 'number', description: 'Table index on page' },
-              pageIndex: { type: 'number', description: 'Page index', default: 0 },
-              data: { type: 'array', description: 'Array of arrays with table data', items: { type: 'array' } },
-              includeHeaders: { type: 'boolean', description: 'First row contains headers', default: true },
-            },
-            required: ['tableIndex', 'data'],
-          },
-        },
+    const script = `
+      var doc = requireDocument(params.document);
+      var epubFile = File(params.filePath);
 
-        // =================== LAYERS MANAGEMENT ===================
-        {
-          name: 'create_layer',
-          description: 'Create a new layer',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              name: { type: 'string', description: 'Layer name' },
-              color: { type: 'string', description: 'Layer color for guides' },
-              visible: { type: 'boolean', description: 'Layer visibility', default: true },
-              locked: { type: 'boolean', description: 'Layer locked state', default: false },
-            },
-            required: ['name'],
-          },
-        },
-        {
-          name: 'set_active_layer',
-          description: 'Set the active layer',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              layerName: { type: 'string', description: 'Layer name to activate' },
-            },
-            required: ['layerName'],
-          },
-        },
-        {
-          name: 'list_layers',
-          description: 'List all layers in the document',
-          inputSchema: { type: 'object', properties: {} },
-        },
+      // Set EPUB export preferences
+      var epubExportPrefs = app.epubExportPreferences;
+      epubExportPrefs.epubVersion = params.version === "EPUB3" ? EPubVersion.EPUB_VERSION_3 : EPubVersion.EPUB_VERSION_2;
+      epubExportPrefs.preserveLocalOverride = true;
 
-        // =================== EXPORT & PRINT ===================
-        {
-          name: 'export_pdf',
-          description: 'Export document as PDF with advanced options',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              filePath: { type: 'string', description: 'Output PDF file path' },
-              preset: { type: 'string', enum: ['Print', 'Web', 'SmallestFileSize', 'HighQualityPrint', 'PressQuality'], default: 'HighQualityPrint' },
-              pageRange: { type: 'string', description: 'Page range (e.g., "1-5", "all")', default: 'all' },
-              includeBleed: { type: 'boolean', description: 'Include bleed area', default: false },
-              includeSlug: { type: 'boolean', description: 'Include slug area', default: false },
-              colorProfile: { type: 'string', description: 'Color profile for export' },
-              jpegQuality: { type: 'string', enum: ['Low', 'Medium', 'High', 'Maximum'], default: 'High' },
-            },
-            required: ['filePath'],
-          },
-        },
-        {
-          name: 'export_images',
-          description: 'Export pages as images',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              folderPath: { type: 'string', description: 'Output folder path' },
-              format: { type: 'string', enum: ['PNG', 'JPEG', 'TIFF', 'GIF'], default: 'PNG' },
-              resolution: { type: 'number', description: 'Export resolution in DPI', default: 300 },
-              pageRange: { type: 'string', description: 'Page range', default: 'all' },
-              includeBleed: { type: 'boolean', description: 'Include bleed area', default: false },
-            },
-            required: ['folderPath'],
-          },
-        },
-        {
-          name: 'export_epub',
-          description: 'Export document as EPUB',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              filePath: { type: 'string', description: 'Output EPUB file path' },
-              version: { type: 'string', enum: ['EPUB2', 'EPUB3'], default: 'EPUB3' },
-              includeImages: { type: 'boolean', description: 'Include images', default: true },
-              imageFormat: { type: 'string', enum: ['PNG', 'JPEG', 'GIF'], default: 'PNG' },
-            },
-            required: ['filePath'],
-          },
-        },
-        {
-          name: 'package_document',
-          description: 'Package document for print production',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              folderPath: { type: 'string', description: 'Output folder path' },
-              includeLinkedFiles: { type: 'boolean', description: 'Include linked files', default: true },
-              includeFonts: { type: 'boolean', description: 'Include fonts', default: true },
-              createReport: { type: 'boolean', description: 'Create packaging report', default: true },
-            },
-            required: ['folderPath'],
-          },
-        },
+      if (params.includeImages) {
+        epubExportPrefs.imageConversion = ImageConversion.AUTOMATIC;
+        if (params.imageFormat === "PNG") {
+          epubExportPrefs.pngQualityLevel = PNGQualityLevel.HIGH;
+        } else if (params.imageFormat === "JPEG") {
+          epubExportPrefs.jpegOptionsQuality = JPEGOptionsQuality.HIGH;
+        }
+      } else {
+        epubExportPrefs.imageConversion = ImageConversion.LINK_TO_SERVER;
+      }
 
-        // =================== UTILITIES & AUTOMATION ===================
-        {
-          name: 'execute_indesign_code',
-          description: 'Execute custom ExtendScript code in InDesign',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              code: { type: 'string', description: 'ExtendScript/JavaScript code to execute in InDesign' },
-            },
-            required: ['code'],
-          },
-        },
-        {
-          name: 'preflight_document',
-          description: 'Run preflight check on the document',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              profile: { type: 'string', description: 'Preflight profile name' },
-              scope: { type: 'string', enum: ['document', 'selection'], default: 'document' },
-            },
-          },
-        },
-        {
-          name: 'view_document',
-          description: 'Get visual representation and detailed info about the current document',
-          inputSchema: { type: 'object', properties: {} },
-        },
-        {
-          name: 'zoom_to_page',
-          description: 'Zoom and fit page in view',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              pageIndex: { type: 'number', description: 'Page index to zoom to' },
-              fitOption: { type: 'string', enum: ['FIT_PAGE', 'FIT_SPREAD', 'ACTUAL_SIZE', 'ZOOM_TO_SELECTION'], default: 'FIT_PAGE' },
-            },
-          },
-        },
-        {
-          name: 'data_merge',
-          description: 'Perform data merge operation',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dataSourcePath: { type: 'string', description: 'Path to CSV data source' },
-              outputFolder: { type: 'string', description: 'Output folder for merged documents' },
-              fileFormat: { type: 'string', enum: ['INDD', 'PDF', 'BOTH'], default: 'PDF' },
-              recordRange: { type: 'string', description: 'Record range (e.g., "1-10", "all")', default: 'all' },
-            },
-            required: ['dataSourcePath', 'outputFolder'],
-          },
-        },
-      ],
-    }));
+      doc.exportFile(ExportFormat.EPUB, epubFile);
+      return { filePath: epubFile.fsName, version: params.version };
+    `;
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    const result = await this.executeInDesignScript(script, { document, filePath, version, includeImages, imageFormat });
+    return this.formatResponse(result, "Export EPUB", (epub) => `EPUB exported successfully to: ${epub.filePath}`);
+  }
 
-      try {
-        switch (name) {
-          // Document Management
-          case 'get_document_info': return await this.getDocumentInfo();
-          case 'create_document': return await this.createDocument(args);
-          case 'open_document': return await this.openDocument(args);
-          case 'save_document': return await this.saveDocument(args);
-          case 'close_document': return await this.closeDocument(args);
-
-          // Page Management
-          case 'add_page': return await this.addPage(args);
-          case 'delete_page': return await this.deletePage(args);
-          case 'duplicate_page': return await this.duplicatePage(args);
-          case 'navigate_to_page': return await this.navigateToPage(args);
-
-          // Text Management
-          case 'create_text_frame': return await this.createTextFrame(args);
-          case 'edit_text_frame': return await this.editTextFrame(args);
-          case 'find_replace_text': return await this.findReplaceText(args);
-
-          // Graphics Management
-          case 'place_image': return await this.placeImage(args);
-          case 'create_rectangle': return await this.createRectangle(args);
-          case 'create_ellipse': return await this.createEllipse(args);
-
-          // Style Management
-          case 'create_paragraph_style': return await this.createParagraphStyle(args);
-          case 'create_character_style': return await this.createCharacterStyle(args);
-          case 'apply_paragraph_style': return await this.applyParagraphStyle(args);
-          case 'list_styles': return await this.listStyles(args);
-
-          // Color Management
-          case 'create_color_swatch': return await this.createColorSwatch(args);
-          case 'list_color_swatches': return await this.listColorSwatches();
-          case 'apply_color': return await this.applyColor(args);
-
-          // Table Management
-          case 'create_table': return await this.createTable(args);
-          case 'populate_table': return await this.populateTable(args);
-
-          // Layer Management
-          case 'create_layer': return await this.createLayer(args);
-          case 'set_active_layer': return await this.setActiveLayer(args);
-          case 'list_layers': return await this.listLayers();
-
-          // Export & Print
-          case 'export_pdf': return await this.exportPDF(args);
-          case 'export_images': return await this.exportImages(args);
-          case 'export_epub': return await this.exportEPUB(args);
-          case 'package_document': return await this.packageDocument(args);
-
-          // Utilities
-          case 'execute_indesign_code': return await this.executeInDesignCode(args.code);
-          case 'preflight_document': return await this.preflightDocument(args);
-          case 'view_document': return await this.viewDocument();
-          case 'zoom_to_page': return await this.zoomToPage(args);
-          case 'data_merge': return await this.dataMerge(args);
-
-          default:
-            throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+  async packageDocument(args) {
+    const { document, folderPath, includeLinkedFiles = true, includeFonts = true, createReport = true } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var packageFolder = Folder(params.folderPath);
+
+      doc.packageForPrint(packageFolder, params.includeLinkedFiles, params.includeFonts, true, params.createReport, "Package created by InDesign MCP Server");
+
+      return {
+        folderPath: packageFolder.fsName,
+        includeLinkedFiles: params.includeLinkedFiles,
+        includeFonts: params.includeFonts,
+        createReport: params.createReport
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, folderPath, includeLinkedFiles, includeFonts, createReport });
+    return this.formatResponse(result, "Package Document", (pkg) => `Document packaged successfully to: ${pkg.folderPath}`);
+  }
+
+  // =================== UTILITIES ===================
+  async executeInDesignCode(args) {
+    const { code, document } = args;
+
+    // eval keeps the "value of the last statement" semantics custom code relies on.
+    // Custom code refers to app.activeDocument, so a targeted document is brought to front.
+    const script = `
+      if (params.document !== undefined) {
+        app.activeDocument = requireDocument(params.document);
+      }
+      // Custom code gets InDesign's usual units (the document's rulers), not points
+      app.scriptPreferences.measurementUnit = AutoEnum.AUTO_VALUE;
+      return eval(params.code);
+    `;
+
+    const result = await this.executeInDesignScript(script, { document, code });
+    return this.formatResponse(result, "Execute Custom Code");
+  }
+
+  async viewDocument(args) {
+    const { document } = args;
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var layoutWindow = documentWindow(doc);
+      var activePage = layoutWindow.activePage || doc.pages[0];
+
+      return {
+        document: doc.name,
+        pageCount: doc.pages.length,
+        activePage: { index: activePage.documentOffset, name: activePage.name },
+        zoomPercentage: Math.round(layoutWindow.zoomPercentage),
+        viewDisplaySetting: String(layoutWindow.viewDisplaySetting),
+        pageContents: {
+          textFrames: activePage.textFrames.length,
+          rectangles: activePage.rectangles.length,
+          ovals: activePage.ovals.length,
+          groups: activePage.groups.length,
+          total: activePage.allPageItems.length
         }
-      } catch (error) {
-        throw new McpError(ErrorCode.InternalError, `Error executing tool ${name}: ${error.message}`);
+      };
+    `;
+
+    const result = await this.executeInDesignScript(script, { document });
+    return this.formatResponse(result, "Document View", (view) =>
+      `${view.document}, page ${view.activePage.index + 1} of ${view.pageCount} at ${view.zoomPercentage}% ` +
+      `(${view.pageContents.total} objects on page)`
+    );
+  }
+
+  // A render is only exported when the fingerprint of what it shows (the items'
+  // geometry, colors, text and links, and the document's undo state) differs from
+  // the cached render's; otherwise the cached image is returned.
+  async renderPagePreview(args) {
+    const {
+      document,
+      pageIndex = 0,
+      spread = false,
+      itemId,
+      label,
+      format = 'PNG',
+      resolution = 72,
+      includeBleed = false,
+      refresh = false,
+    } = args;
+
+    const cacheKey = JSON.stringify([document ?? null, pageIndex, spread, itemId ?? null, label ?? null, format, resolution, includeBleed]);
+    const cached = refresh ? undefined : this.previewCache.get(cacheKey);
+    const filePath = path.join(os.tmpdir(), `indesign-mcp-preview-${randomUUID()}${format === 'JPEG' ? '.jpg' : '.png'}`);
+
+    const script = `
+      var doc = requireDocument(params.document);
+      var target;
+      var page;
+
+      if (hasItemTarget(params)) {
+        target = findPageItem(doc, params.itemId, params.label);
+        page = target.parentPage;
+      } else {
+        page = requirePage(doc, params.pageIndex);
+        target = params.spread ? page.parent : page;
+      }
+
+      function nameOf(object) {
+        try {
+          return object.name;
+        } catch (e) {
+          return "";
+        }
+      }
+
+      function hashString(text) {
+        var hash = 5381;
+        for (var h = 0; h < text.length; h++) {
+          hash = ((hash << 5) + hash + text.charCodeAt(h)) | 0;
+        }
+        return hash;
+      }
+
+      var items = target.allPageItems;
+      if (hasItemTarget(params)) {
+        items.unshift(target);
+      }
+
+      var parts = [doc.id, doc.undoName, target.id, target.reflect.name];
+      for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+        parts.push(item.id, String(item.geometricBounds), item.visible, nameOf(item.fillColor),
+          nameOf(item.strokeColor), item.strokeWeight, item.rotationAngle);
+        if (item.reflect.name === "TextFrame") {
+          parts.push(item.contents);
+          var ranges = item.texts[0].textStyleRanges;
+          for (var r = 0; r < ranges.length; r++) {
+            parts.push(ranges[r].length, nameOf(ranges[r].appliedFont), ranges[r].pointSize, nameOf(ranges[r].fillColor));
+          }
+        }
+        try {
+          if (item.itemLink && item.itemLink.isValid) {
+            parts.push(item.itemLink.filePath, String(item.itemLink.modificationDate), String(item.itemLink.status));
+          }
+        } catch (e) {}
       }
-    });
-  }
+      var fingerprint = String(hashString(parts.join("|")));
 
-  // =================== CORE UTILITIES ===================
-  async executeAppleScript(script) {
-    try {
-      const result = execSync(`osascript -e '${script.replace(/'/g, "'\"'\"'")}'`, {
-        encoding: 'utf8',
-        timeout: 30000,
-      });
-      return result.trim();
-    } catch (error) {
-      throw new Error(`AppleScript execution failed: ${error.message}`);
-    }
-  }
+      var description = {
+        type: target.reflect.name,
+        id: target.id,
+        pageIndex: page ? page.documentOffset : null,
+        pageName: page ? page.name : null
+      };
 
-  async executeInDesignScript(script) {
-    const tempScript = path.join(__dirname, 'temp_script.jsx');
-    
-    // Enhanced error handling wrapper
-    const wrappedScript = `
-      try {
-        ${script}
-      } catch (error) {
-        "ERROR: " + error.message + " (Line: " + (error.line || "unknown") + ")";
+      if (fingerprint === params.fingerprint) {
+        return { cached: true, fingerprint: fingerprint, target: description };
+      }
+
+      var file = File(params.filePath);
+      if (hasItemTarget(params)) {
+        target.exportFile(prepareImageExport(params.format, params.resolution, params.includeBleed, null, false), file);
+      } else {
+        var exportFormat = prepareImageExport(params.format, params.resolution, params.includeBleed,
+          "+" + (page.documentOffset + 1), params.spread);
+        doc.exportFile(exportFormat, file);
       }
+
+      return { cached: false, fingerprint: fingerprint, target: description };
     `;
-    
-    fs.writeFileSync(tempScript, wrappedScript);
 
+    let render;
+    let data;
     try {
-      const appleScript = `
-        tell application "Adobe InDesign 2025"
-          activate
-          do script POSIX file "${tempScript}" language javascript
-        end tell
-      `;
-      
-      const result = await this.executeAppleScript(appleScript);
-      return result;
+      render = await this.executeInDesignScript(script, {
+        document, pageIndex, spread, itemId, label, format, resolution, includeBleed, filePath,
+        fingerprint: cached?.fingerprint,
+      });
+      data = render.cached ? cached.data : (await fs.promises.readFile(filePath)).toString('base64');
     } finally {
-      if (fs.existsSync(tempScript)) {
-        fs.unlinkSync(tempScript);
-      }
+      await fs.promises.rm(filePath, { force: true });
+    }
+
+    // Most recently used renders are kept at the end of the Map
+    this.previewCache.delete(cacheKey);
+    this.previewCache.set(cacheKey, { fingerprint: render.fingerprint, data });
+    if (this.previewCache.size > PREVIEW_CACHE_LIMIT) {
+      this.previewCache.delete(this.previewCache.keys().next().value);
     }
-  }
 
-  formatResponse(result, operation = "Operation") {
+    const result = { ...render, format, resolution, bytes: Buffer.from(data, 'base64').length };
+    const { target } = result;
+    const where = target.pageIndex !== null ? ` on page ${target.pageIndex + 1}` : '';
     return {
       content: [
         {
           type: 'text',
-          text: `${operation}: ${result}`,
+          text: `Page Preview: ${target.type} ${target.id}${where}, ${format} at ${resolution} dpi${render.cached ? ' (unchanged, cached)' : ''}`,
         },
+        { type: 'image', data, mimeType: format === 'JPEG' ? 'image/jpeg' : 'image/png' },
       ],
+      structuredContent: result,
     };
   }
 
-  // =================== DOCUMENT MANAGEMENT ===================
-  async getDocumentInfo() {
+  // =================== TABLE MANAGEMENT (Simplified implementations) ===================
+  async createTable(args) {
+    const { document, x, y, width, height, rows, columns, pageIndex = 0, headerRows = 1, footerRows = 0, label } = args;
+
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        var info = "=== DOCUMENT INFORMATION ===\\n";
-        info += "Name: " + doc.name + "\\n";
-        info += "Pages: " + doc.pages.length + "\\n";
-        info += "Width: " + doc.documentPreferences.pageWidth + "\\n";
-        info += "Height: " + doc.documentPreferences.pageHeight + "\\n";
-        info += "Facing Pages: " + doc.documentPreferences.facingPages + "\\n";
-        info += "Modified: " + doc.modified + "\\n";
-        info += "File Path: " + (doc.fullName ? doc.fullName.fsName : "Unsaved") + "\\n";
-        info += "\\n=== MARGINS ===\\n";
-        info += "Top: " + doc.marginPreferences.top + "\\n";
-        info += "Bottom: " + doc.marginPreferences.bottom + "\\n";
-        info += "Left: " + doc.marginPreferences.left + "\\n";
-        info += "Right: " + doc.marginPreferences.right + "\\n";
-        info += "\\n=== CONTENT SUMMARY ===\\n";
-        
-        var totalTextFrames = 0;
-        var totalImages = 0;
-        var totalShapes = 0;
-        
-        for (var i = 0; i < doc.pages.length; i++) {
-          totalTextFrames += doc.pages[i].textFrames.length;
-          totalImages += doc.pages[i].rectangles.length; // Approximation
-          totalShapes += doc.pages[i].ovals.length + doc.pages[i].polygons.length;
-        }
-        
-        info += "Text Frames: " + totalTextFrames + "\\n";
-        info += "Images/Rectangles: " + totalImages + "\\n";
-        info += "Shapes: " + totalShapes + "\\n";
-        info += "Layers: " + doc.layers.length + "\\n";
-        info += "Color Swatches: " + doc.swatches.length;
-        
-        info;
-      }
-    `;
+      var doc = requireDocument(params.document);
+      var page = requirePage(doc, params.pageIndex);
+      var textFrame = page.textFrames.add();
+      textFrame.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+      if (params.label) textFrame.label = params.label;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Document Info");
-  }
+      var table = textFrame.tables.add();
+      table.rowCount = params.rows;
+      table.columnCount = params.columns;
 
-  async createDocument(args) {
-    const {
-      preset = 'A4',
-      width,
-      height,
-      orientation = 'Portrait',
-      pages = 1,
-      facingPages = false,
-      bleed = 0,
-      slug = 0,
-      marginTop = 20,
-      marginBottom = 20,
-      marginLeft = 20,
-      marginRight = 20
-    } = args;
+      if (params.headerRows > 0) table.headerRowCount = params.headerRows;
+      if (params.footerRows > 0) table.footerRowCount = params.footerRows;
 
-    const script = `
-      var doc = app.documents.add();
-      
-      // Set measurement units to millimeters
-      doc.viewPreferences.horizontalMeasurementUnits = MeasurementUnits.MILLIMETERS;
-      doc.viewPreferences.verticalMeasurementUnits = MeasurementUnits.MILLIMETERS;
-      
-      // Set document dimensions
-      ${preset === 'Custom' && width && height ? `
-        doc.documentPreferences.pageWidth = "${width}mm";
-        doc.documentPreferences.pageHeight = "${height}mm";
-      ` : `
-        // Standard presets
-        if ("${preset}" === "A4") {
-          doc.documentPreferences.pageWidth = "${orientation === 'Landscape' ? '297mm' : '210mm'}";
-          doc.documentPreferences.pageHeight = "${orientation === 'Landscape' ? '210mm' : '297mm'}";
-        } else if ("${preset}" === "A5") {
-          doc.documentPreferences.pageWidth = "${orientation === 'Landscape' ? '210mm' : '148mm'}";
-          doc.documentPreferences.pageHeight = "${orientation === 'Landscape' ? '148mm' : '210mm'}";
-        } else if ("${preset}" === "A3") {
-          doc.documentPreferences.pageWidth = "${orientation === 'Landscape' ? '420mm' : '297mm'}";
-          doc.documentPreferences.pageHeight = "${orientation === 'Landscape' ? '297mm' : '420mm'}";
-        } else if ("${preset}" === "Letter") {
-          doc.documentPreferences.pageWidth = "${orientation === 'Landscape' ? '279.4mm' : '215.9mm'}";
-          doc.documentPreferences.pageHeight = "${orientation === 'Landscape' ? '215.9mm' : '279.4mm'}";
-        } else if ("${preset}" === "Legal") {
-          doc.documentPreferences.pageWidth = "${orientation === 'Landscape' ? '355.6mm' : '215.9mm'}";
-          doc.documentPreferences.pageHeight = "${orientation === 'Landscape' ? '215.9mm' : '355.6mm'}";
-        }
-      `}
-      
-      // Document setup
-      doc.documentPreferences.facingPages = ${facingPages};
-      doc.documentPreferences.pagesPerDocument = ${pages};
-      
-      // Bleed and slug
-      if (${bleed} > 0) {
-        doc.documentPreferences.documentBleedTopOffset = "${bleed}mm";
-        doc.documentPreferences.documentBleedBottomOffset = "${bleed}mm";
-        doc.documentPreferences.documentBleedInsideOrLeftOffset = "${bleed}mm";
-        doc.documentPreferences.documentBleedOutsideOrRightOffset = "${bleed}mm";
-      }
-      
-      if (${slug} > 0) {
-        doc.documentPreferences.slugTopOffset = "${slug}mm";
-        doc.documentPreferences.slugBottomOffset = "${slug}mm";
-        doc.documentPreferences.slugInsideOrLeftOffset = "${slug}mm";
-        doc.documentPreferences.slugRightOrOutsideOffset = "${slug}mm";
-      }
-      
-      // Margins
-      doc.marginPreferences.top = "${marginTop}mm";
-      doc.marginPreferences.bottom = "${marginBottom}mm";
-      doc.marginPreferences.left = "${marginLeft}mm";
-      doc.marginPreferences.right = "${marginRight}mm";
-      
-      "Document created: " + "${preset}" + " (" + doc.documentPreferences.pageWidth + " x " + doc.documentPreferences.pageHeight + "), " + 
-      doc.pages.length + " pages, " + (doc.documentPreferences.facingPages ? "facing pages" : "single pages");
+      return {
+        id: table.id,
+        frameId: textFrame.id,
+        pageIndex: page.documentOffset,
+        bounds: textFrame.geometricBounds,
+        rows: table.rowCount,
+        columns: table.columnCount,
+        headerRows: table.headerRowCount,
+        footerRows: table.footerRowCount
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Document");
+    const result = await this.executeInDesignScript(script, {
+      document, x, y, width, height, rows, columns, pageIndex, headerRows, footerRows, label,
+    });
+    return this.formatResponse(result, "Create Table", (table) =>
+      `Table created with ${table.rows} rows and ${table.columns} columns on page ${table.pageIndex + 1}`
+    );
   }
 
-  async openDocument(args) {
-    const { filePath } = args;
-    
+  async populateTable(args) {
+    const { document, itemId, label, tableIndex, pageIndex = 0, data, includeHeaders = true } = args;
+
     const script = `
-      try {
-        var file = File("${filePath}");
-        if (!file.exists) {
-          "File not found: ${filePath}";
-        } else {
-          var doc = app.open(file);
-          "Document opened: " + doc.name + " (" + doc.pages.length + " pages)";
+      var doc = requireDocument(params.document);
+      var table;
+
+      if (hasItemTarget(params)) {
+        table = findTable(doc, params.itemId, params.label);
+      } else if (params.tableIndex !== undefined) {
+        var page = requirePage(doc, params.pageIndex);
+        var tables = [];
+
+        // Collect all tables from text frames
+        for (var i = 0; i < page.textFrames.length; i++) {
+          for (var j = 0; j < page.textFrames[i].tables.length; j++) {
+            tables.push(page.textFrames[i].tables[j]);
+          }
         }
-      } catch (e) {
-        "Error opening document: " + e.message;
+
+        if (params.tableIndex >= tables.length || params.tableIndex < 0) {
+          throw new Error("Table index " + params.tableIndex + " not found. Page has " + tables.length + " tables.");
+        }
+        table = tables[params.tableIndex];
+      } else {
+        throw new Error("Specify the table by itemId, label or tableIndex");
       }
+
+      // With includeHeaders the first row goes into the (first) header row, the rest into the body
+      var headerData = params.includeHeaders ? params.data.slice(0, 1) : [];
+      var bodyData = params.includeHeaders ? params.data.slice(1) : params.data;
+      var columns = 0;
+      for (var r = 0; r < params.data.length; r++) columns = Math.max(columns, params.data[r].length);
+
+      var addedRows = Math.max(bodyData.length - table.bodyRowCount, 0);
+      var addedColumns = Math.max(columns - table.columnCount, 0);
+      if (headerData.length > 0 && table.headerRowCount === 0) table.headerRowCount = 1;
+      if (addedRows > 0) table.bodyRowCount = bodyData.length;
+      if (addedColumns > 0) table.columnCount = columns;
+
+      var header = fillTable(table, headerData, 0);
+      var body = fillTable(table, bodyData, table.headerRowCount);
+
+      return {
+        id: table.id,
+        rowCount: params.data.length,
+        cellCount: header.written + body.written,
+        covered: header.covered + body.covered,
+        addedRows: addedRows,
+        addedColumns: addedColumns
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Open Document");
+    const result = await this.executeInDesignScript(script, { document, itemId, label, tableIndex, pageIndex, data, includeHeaders });
+    return this.formatResponse(result, "Populate Table", (table) =>
+      `Table populated with ${table.rowCount} rows of data (${table.cellCount} cells)` +
+      (table.addedRows + table.addedColumns > 0 ? `, ${table.addedRows} rows and ${table.addedColumns} columns added` : '') +
+      (table.covered > 0 ? `, ${table.covered} values under merged cells skipped` : '')
+    );
   }
 
-  async saveDocument(args) {
-    const { filePath } = args;
-    
+  async importTableData(args) {
+    const {
+      document,
+      filePath,
+      format,
+      delimiter,
+      encoding,
+      itemId,
+      label,
+      x = mm(10),
+      y = mm(10),
+      width = mm(150),
+      height = mm(100),
+      pageIndex = 0,
+      headerRows = 1,
+      footerRows = 0,
+      repeatHeader = 'column',
+      skipFirstHeader = false,
+      tableStyle,
+      cellStyle,
+      headerCellStyle,
+      alternatingFills,
+      columnWidths,
+      merges = [],
+    } = args;
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(filePath);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot read table data ${filePath}: ${error.message}`);
+    }
+    const data = readTableData(buffer, { filePath, format, delimiter, encoding });
+
+    // Short rows are padded so that every cell of the table is written
+    const columns = Math.max(0, ...data.rows.map((row) => row.length));
+    const rows = data.rows.map((row) => [...row, ...Array(columns - row.length).fill('')]);
+    if (rows.length === 0 || columns === 0) {
+      throw new McpError(ErrorCode.InvalidParams, `${filePath} holds no table data`);
+    }
+    // InDesign tables keep at least one body row
+    if (headerRows + footerRows >= rows.length) {
+      throw new McpError(ErrorCode.InvalidParams,
+        `${headerRows} header and ${footerRows} footer rows leave no body row; ${filePath} has ${rows.length} rows of data`);
+    }
+    const merged = merges.map(({ row, column, rowSpan = 1, columnSpan = 1 }) => {
+      if (!(row >= 0 && column >= 0 && rowSpan >= 1 && columnSpan >= 1 && row + rowSpan <= rows.length && column + columnSpan <= columns)) {
+        throw new McpError(ErrorCode.InvalidParams, `Merge at row ${row}, column ${column} doesn't fit a table of ${rows.length} rows and ${columns} columns`);
+      }
+      return { row, column, rowSpan, columnSpan };
+    });
+    if (columnWidths && columnWidths.length > columns) {
+      throw new McpError(ErrorCode.InvalidParams, `${columnWidths.length} column widths given for ${columns} columns`);
+    }
+
     const script = `
-      if (app.documents.length === 0) {
-        "No document open to save";
+      var doc = requireDocument(params.document);
+      var table;
+      var created = !hasItemTarget(params);
+
+      if (created) {
+        var frame = requirePage(doc, params.pageIndex).textFrames.add();
+        frame.geometricBounds = boxBounds(params.x, params.y, params.width, params.height);
+        if (params.label) frame.label = params.label;
+        table = frame.tables.add();
       } else {
-        var doc = app.activeDocument;
-        try {
-          ${filePath ? `
-            var file = File("${filePath}");
-            doc.save(file);
-            "Document saved as: " + file.fsName;
-          ` : `
-            if (doc.saved) {
-              doc.save();
-              "Document saved: " + doc.name;
-            } else {
-              "Document has never been saved. Please provide a file path.";
-            }
-          `}
-        } catch (e) {
-          "Error saving document: " + e.message;
+        table = findTable(doc, params.itemId, params.label);
+      }
+
+      // Body rows are set last, so the table ends up with exactly the rows of the data
+      var bodyRows = params.rows.length - params.headerRows - params.footerRows;
+      table.columnCount = params.columns;
+      table.headerRowCount = params.headerRows;
+      table.footerRowCount = params.footerRows;
+      table.bodyRowCount = bodyRows;
+
+      if (params.headerRows > 0) {
+        var breaks = { column: "IN_ALL_TEXT_COLUMNS", frame: "ONCE_PER_TEXT_FRAME", page: "ONCE_PER_PAGE" };
+        table.breakHeaders = enumValue(HeaderFooterBreakTypes, breaks[params.repeatHeader], "repeatHeader");
+        table.skipFirstHeader = params.skipFirstHeader;
+      }
+
+      if (params.columnWidths) {
+        for (var w = 0; w < params.columnWidths.length; w++) table.columns[w].width = params.columnWidths[w];
+      } else if (created) {
+        var bounds = table.parent.geometricBounds;
+        table.columns.everyItem().width = (bounds[3] - bounds[1]) / params.columns;
+      }
+
+      if (params.tableStyle) table.appliedTableStyle = findStyle(doc, "table", params.tableStyle);
+      var headerStyle = params.headerCellStyle ? findStyle(doc, "cell", params.headerCellStyle) : null;
+      var bodyStyle = params.cellStyle ? findStyle(doc, "cell", params.cellStyle) : null;
+      for (var r = 0; r < table.rows.length; r++) {
+        var style = r < table.headerRowCount ? headerStyle : bodyStyle;
+        if (style) table.rows[r].cells.everyItem().appliedCellStyle = style;
+      }
+
+      if (params.alternatingFills) {
+        var fills = params.alternatingFills;
+        table.alternatingFills = AlternatingFillsTypes.ALTERNATING_ROWS;
+        table.startRowFillColor = requireSwatch(doc, fills.color);
+        table.startRowFillTint = fills.tint;
+        table.startRowFillCount = fills.rows;
+        table.endRowFillColor = requireSwatch(doc, fills.alternateColor);
+        table.endRowFillTint = fills.alternateTint;
+        table.endRowFillCount = fills.rows;
+      }
+
+      // Merged before filling, so that values under a merged cell are reported rather than run together
+      for (var m = 0; m < params.merges.length; m++) {
+        var merge = params.merges[m];
+        var first = table.cells.itemByName(merge.column + ":" + merge.row);
+        var last = table.cells.itemByName((merge.column + merge.columnSpan - 1) + ":" + (merge.row + merge.rowSpan - 1));
+        if (!first.isValid || !last.isValid) {
+          throw new Error("Cannot merge from row " + merge.row + ", column " + merge.column + ": it overlaps a merged cell");
         }
+        first.merge(last);
       }
+
+      var filled = fillTable(table, params.rows, 0);
+
+      var widths = [];
+      for (var c = 0; c < table.columns.length; c++) widths.push(table.columns[c].width);
+      var container = table.parent;
+      var inFrame = container.reflect.name === "TextFrame";
+
+      return {
+        id: table.id,
+        frameId: inFrame ? container.id : null,
+        created: created,
+        bounds: created ? container.geometricBounds : null,
+        rows: table.rowCount,
+        columns: table.columnCount,
+        headerRows: table.headerRowCount,
+        footerRows: table.footerRowCount,
+        columnWidths: widths,
+        cellCount: filled.written,
+        covered: filled.covered,
+        overset: inFrame ? container.parentStory.overflows : false
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Save Document");
+    const result = await this.executeInDesignScript(script, {
+      document, itemId, label, x, y, width, height, pageIndex, headerRows, footerRows, repeatHeader, skipFirstHeader,
+      tableStyle, cellStyle, headerCellStyle, columnWidths, rows, columns, merges: merged,
+      alternatingFills: alternatingFills && { tint: 20, alternateColor: 'None', alternateTint: 100, rows: 1, ...alternatingFills },
+    });
+    const imported = { ...result, format: data.format, delimiter: data.delimiter, encoding: data.encoding };
+    return this.formatResponse(imported, "Import Table Data", (table) =>
+      `${table.created ? 'Created' : 'Filled'} table ${table.id} with ${table.rows} rows and ${table.columns} columns from ${data.format.toUpperCase()} (${table.encoding})` +
+      (table.covered > 0 ? `, ${table.covered} values under merged cells skipped` : '') +
+      (table.overset ? '; the table is overset, thread more frames (link_text_frames, autoflow_story) to show the rest' : '')
+    );
   }
 
-  async closeDocument(args) {
-    const { save = false } = args;
-    
+  async readTable(args) {
+    const { document, itemId, label, filePath, delimiter = ',' } = args;
+
     const script = `
-      if (app.documents.length === 0) {
-        "No document open to close";
-      } else {
-        var doc = app.activeDocument;
-        var docName = doc.name;
-        try {
-          doc.close(${save ? 'SaveOptions.YES' : 'SaveOptions.NO'});
-          "Document closed: " + docName;
-        } catch (e) {
-          "Error closing document: " + e.message;
-        }
-      }
+      var doc = requireDocument(params.document);
+      if (!hasItemTarget(params)) throw new Error("Specify the table by itemId or label");
+      return describeTable(findTable(doc, params.itemId, params.label));
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Close Document");
+    const table = await this.executeInDesignScript(script, { document, itemId, label });
+    if (filePath) {
+      await fs.promises.writeFile(filePath, tableToCsv(table, delimiter), 'utf8');
+    }
+    return this.formatResponse(filePath ? { ...table, filePath } : table, "Read Table", (result) =>
+      `Table ${result.id}: ${result.rowCount} rows (${result.headerRows} header, ${result.footerRows} footer) x ${result.columnCount} columns` +
+      (filePath ? `, written to ${filePath}` : '')
+    );
   }
 
-  // =================== PAGE MANAGEMENT ===================
-  async addPage(args) {
-    const { position = 'end', pageIndex, masterPage } = args;
-    
+  async exportTables(args) {
+    const { document, pageIndex, format = 'json', filePath, folderPath, delimiter = ',' } = args;
+
+    if (format === 'csv' && !folderPath) {
+      throw new McpError(ErrorCode.InvalidParams, 'folderPath is required for CSV export');
+    }
+
+    // Tables nested in cells are part of their outer table's text and aren't listed
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var newPage;
-          
-          ${position === 'end' ? `
-            newPage = doc.pages.add();
-          ` : `
-            var refPage = doc.pages[${pageIndex || 0}];
-            newPage = doc.pages.add(${position === 'before' ? 'LocationOptions.BEFORE' : 'LocationOptions.AFTER'}, refPage);
-          `}
-          
-          ${masterPage ? `
-            var master = doc.masterSpreads.itemByName("${masterPage}");
-            if (master.isValid) {
-              newPage.appliedMaster = master;
-            }
-          ` : ''}
-          
-          "Page added at position " + (newPage.documentOffset + 1) + ". Total pages: " + doc.pages.length;
-        } catch (e) {
-          "Error adding page: " + e.message;
+      var doc = requireDocument(params.document);
+      if (params.pageIndex !== undefined) requirePage(doc, params.pageIndex);
+      var tables = [];
+      for (var s = 0; s < doc.stories.length; s++) {
+        for (var t = 0; t < doc.stories[s].tables.length; t++) {
+          var table = describeTable(doc.stories[s].tables[t]);
+          if (params.pageIndex === undefined || table.pageIndex === params.pageIndex) tables.push(table);
         }
       }
+      return { document: doc.name, tables: tables };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Add Page");
+    const result = await this.executeInDesignScript(script, { document, pageIndex });
+    if (format === 'csv') {
+      await fs.promises.mkdir(folderPath, { recursive: true });
+      for (const table of result.tables) {
+        table.filePath = path.join(folderPath, `table-${table.id}.csv`);
+        await fs.promises.writeFile(table.filePath, tableToCsv(table, delimiter), 'utf8');
+      }
+    } else if (filePath) {
+      await fs.promises.writeFile(filePath, `${JSON.stringify(result, null, 2)}\n`, 'utf8');
+    }
+
+    return this.formatResponse(format === 'json' && filePath ? { ...result, filePath } : result, "Export Tables", (exported) =>
+      `${exported.tables.length} tables` +
+      (format === 'csv' ? ` written to ${folderPath}` : filePath ? ` written to ${filePath}` : '')
+    );
   }
 
-  async deletePage(args) {
-    const { pageIndex } = args;
-    
+  // =================== LAYER MANAGEMENT ===================
+  async createLayer(args) {
+    const { document, name, color, visible = true, locked = false, printable = true } = args;
+
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          if (${pageIndex} >= doc.pages.length || ${pageIndex} < 0) {
-            "Invalid page index: ${pageIndex}. Document has " + doc.pages.length + " pages.";
-          } else if (doc.pages.length === 1) {
-            "Cannot delete the last page in the document.";
-          } else {
-            var pageToDelete = doc.pages[${pageIndex}];
-            pageToDelete.remove();
-            "Page " + (${pageIndex} + 1) + " deleted. Remaining pages: " + doc.pages.length;
-          }
-        } catch (e) {
-          "Error deleting page: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      if (doc.layers.itemByName(params.name).isValid) {
+        throw new Error("Layer already exists: " + params.name);
       }
+      var layer = doc.layers.add();
+      layer.name = params.name;
+      layer.visible = params.visible;
+      layer.locked = params.locked;
+      layer.printable = params.printable;
+      if (params.color) layer.layerColor = enumValue(UIColors, params.color, "color");
+
+      return describeLayer(doc, layer);
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Delete Page");
+    const result = await this.executeInDesignScript(script, { document, name, color: layerColorMember(color), visible, locked, printable });
+    return this.formatResponse(result, "Create Layer", (layer) => `Layer '${layer.name}' created successfully`);
   }
 
-  async duplicatePage(args) {
-    const { pageIndex, position = 'after' } = args;
-    
+  async setActiveLayer(args) {
+    const { document, layerName } = args;
+
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          if (${pageIndex} >= doc.pages.length || ${pageIndex} < 0) {
-            "Invalid page index: ${pageIndex}";
-          } else {
-            var sourcePage = doc.pages[${pageIndex}];
-            var newPage = doc.pages.add(${position === 'before' ? 'LocationOptions.BEFORE' : 'LocationOptions.AFTER'}, sourcePage);
-            
-            // Copy all page items
-            for (var i = 0; i < sourcePage.allPageItems.length; i++) {
-              sourcePage.allPageItems[i].duplicate(newPage);
-            }
-            
-            "Page " + (${pageIndex} + 1) + " duplicated. New page position: " + (newPage.documentOffset + 1);
-          }
-        } catch (e) {
-          "Error duplicating page: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var layer = doc.layers.itemByName(params.layerName);
+      if (!layer.isValid) {
+        throw new Error("Layer '" + params.layerName + "' not found");
       }
+
+      doc.activeLayer = layer;
+      return { id: layer.id, name: layer.name };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Duplicate Page");
+    const result = await this.executeInDesignScript(script, { document, layerName });
+    return this.formatResponse(result, "Set Active Layer", (layer) => `Active layer set to: ${layer.name}`);
   }
 
-  async navigateToPage(args) {
-    const { pageIndex } = args;
-    
+  async listLayers(args) {
+    const result = await this.queryLayers(args);
+    return this.formatResponse(result, "List Layers", (list) =>
+      `${list.layers.length} layers (active: ${list.activeLayer}): ${list.layers.map((layer) => layer.name).join(', ')}`
+    );
+  }
+
+  // Also backs the indesign://document/{id}/layers resource
+  async queryLayers(args) {
+    const { document } = args;
+
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          if (${pageIndex} >= doc.pages.length || ${pageIndex} < 0) {
-            "Invalid page index: ${pageIndex}. Document has " + doc.pages.length + " pages.";
-          } else {
-            app.activeWindow.activePage = doc.pages[${pageIndex}];
-            "Navigated to page " + (${pageIndex} + 1);
-          }
-        } catch (e) {
-          "Error navigating to page: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var layers = [];
+
+      for (var i = 0; i < doc.layers.length; i++) {
+        layers.push(describeLayer(doc, doc.layers[i]));
       }
+
+      return { activeLayer: doc.activeLayer.name, layers: layers };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Navigate to Page");
+    return this.executeInDesignScript(script, { document });
   }
 
-  // =================== TEXT MANAGEMENT ===================
-  async createTextFrame(args) {
-    const {
-      content,
-      x = 10,
-      y = 10,
-      width = 100,
-      height = 50,
-      pageIndex = 0,
-      fontSize = 12,
-      fontFamily = 'Helvetica Neue',
-      fontStyle = 'Regular',
-      textColor = 'Black',
-      alignment = 'LEFT_ALIGN',
-      paragraphStyle,
-      characterStyle
-    } = args;
+  async setLayerProperties(args) {
+    const { document, layerName, visible, locked, printable, color } = args;
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open. Please create a document first.";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          if (${pageIndex} >= doc.pages.length || ${pageIndex} < 0) {
-            "Invalid page index: ${pageIndex}";
-          } else {
-            var page = doc.pages[${pageIndex}];
-            
-            // Create text frame
-            var textFrame = page.textFrames.add();
-            textFrame.geometricBounds = ["${y}mm", "${x}mm", "${y + height}mm", "${x + width}mm"];
-            
-            // Add content
-            textFrame.contents = "${content.replace(/"/g, '\\"').replace(/\n/g, '\\n')}";
-            
-            // Apply formatting
-            var story = textFrame.parentStory;
-            
-            // Font and size
-            try {
-              story.characters.everyItem().appliedFont = app.fonts.itemByName("${fontFamily}\\t${fontStyle}");
-            } catch (e) {
-              try {
-                story.characters.everyItem().appliedFont = app.fonts.itemByName("${fontFamily}");
-              } catch (e2) {
-                // Use default font
-              }
-            }
-            
-            story.characters.everyItem().pointSize = ${fontSize};
-            
-            // Color
-            try {
-              story.characters.everyItem().fillColor = doc.swatches.itemByName("${textColor}");
-            } catch (e) {
-              // Use default color
-            }
-            
-            // Alignment
-            story.paragraphs.everyItem().justification = Justification.${alignment};
-            
-            // Apply styles if specified
-            ${paragraphStyle ? `
-              try {
-                var pStyle = doc.paragraphStyles.itemByName("${paragraphStyle}");
-                if (pStyle.isValid) {
-                  story.paragraphs.everyItem().appliedParagraphStyle = pStyle;
-                }
-              } catch (e) {}
-            ` : ''}
-            
-            ${characterStyle ? `
-              try {
-                var cStyle = doc.characterStyles.itemByName("${characterStyle}");
-                if (cStyle.isValid) {
-                  story.characters.everyItem().appliedCharacterStyle = cStyle;
-                }
-              } catch (e) {}
-            ` : ''}
-            
-            "Text frame created on page " + (${pageIndex} + 1) + " with content: " + "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}";
-          }
-        } catch (e) {
-          "Error creating text frame: " + e.message;
-        }
-      }
+      var doc = requireDocument(params.document);
+      var layer = requireLayer(doc, params.layerName);
+      if (params.visible !== undefined) layer.visible = params.visible;
+      if (params.locked !== undefined) layer.locked = params.locked;
+      if (params.printable !== undefined) layer.printable = params.printable;
+      if (params.color !== undefined) layer.layerColor = enumValue(UIColors, params.color, "color");
+      return describeLayer(doc, layer);
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Text Frame");
+    const result = await this.executeInDesignScript(script, { document, layerName, visible, locked, printable, color: layerColorMember(color) });
+    return this.formatResponse(result, "Set Layer Properties", (layer) =>
+      `Layer '${layer.name}': ${layer.visible ? 'visible' : 'hidden'}, ${layer.locked ? 'locked' : 'unlocked'}, ${layer.printable ? 'printable' : 'not printable'}, ${layer.layerColor}`
+    );
   }
 
-  async editTextFrame(args) {
-    const { frameIndex, pageIndex = 0, content, fontSize, fontFamily, textColor, alignment } = args;
+  async renameLayer(args) {
+    const { document, layerName, newName } = args;
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          if (${frameIndex} >= page.textFrames.length || ${frameIndex} < 0) {
-            "Invalid text frame index: ${frameIndex}. Page has " + page.textFrames.length + " text frames.";
-          } else {
-            var textFrame = page.textFrames[${frameIndex}];
-            var story = textFrame.parentStory;
-            
-            ${content !== undefined ? `textFrame.contents = "${content.replace(/"/g, '\\"').replace(/\n/g, '\\n')}";` : ''}
-            ${fontSize !== undefined ? `story.characters.everyItem().pointSize = ${fontSize};` : ''}
-            ${fontFamily !== undefined ? `
-              try {
-                story.characters.everyItem().appliedFont = app.fonts.itemByName("${fontFamily}");
-              } catch (e) {}
-            ` : ''}
-            ${textColor !== undefined ? `
-              try {
-                story.characters.everyItem().fillColor = doc.swatches.itemByName("${textColor}");
-              } catch (e) {}
-            ` : ''}
-            ${alignment !== undefined ? `story.paragraphs.everyItem().justification = Justification.${alignment};` : ''}
-            
-            "Text frame " + ${frameIndex} + " on page " + (${pageIndex} + 1) + " updated successfully";
-          }
-        } catch (e) {
-          "Error editing text frame: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var layer = requireLayer(doc, params.layerName);
+      if (params.newName !== params.layerName && doc.layers.itemByName(params.newName).isValid) {
+        throw new Error("Layer already exists: " + params.newName);
       }
+      layer.name = params.newName;
+      return describeLayer(doc, layer);
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Edit Text Frame");
+    const result = await this.executeInDesignScript(script, { document, layerName, newName });
+    return this.formatResponse(result, "Rename Layer", (layer) => `Layer '${layerName}' renamed to '${layer.name}'`);
   }
 
-  async findReplaceText(args) {
-    const { findText, replaceText, caseSensitive = false, wholeWord = false, useGrep = false, scope = 'document' } = args;
+  async moveLayer(args) {
+    const { document, layerName, position, relativeTo } = args;
+
+    if ((position === 'above' || position === 'below') && !relativeTo) {
+      throw new McpError(ErrorCode.InvalidParams, `relativeTo is required to move a layer ${position} another`);
+    }
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
+      var doc = requireDocument(params.document);
+      var layer = requireLayer(doc, params.layerName);
+      if (params.position === "top") {
+        layer.move(LocationOptions.AT_BEGINNING);
+      } else if (params.position === "bottom") {
+        layer.move(LocationOptions.AT_END);
       } else {
-        var doc = app.activeDocument;
-        try {
-          // Clear previous search settings
-          app.findTextPreferences = NothingEnum.nothing;
-          app.changeTextPreferences = NothingEnum.nothing;
-          
-          // Set find preferences
-          ${useGrep ? `
-            app.findGrepPreferences.findWhat = "${findText.replace(/"/g, '\\"')}";
-            app.changeGrepPreferences.changeTo = "${replaceText.replace(/"/g, '\\"')}";
-          ` : `
-            app.findTextPreferences.findWhat = "${findText.replace(/"/g, '\\"')}";
-            app.changeTextPreferences.changeTo = "${replaceText.replace(/"/g, '\\"')}";
-            app.findTextPreferences.caseSensitive = ${caseSensitive};
-            app.findTextPreferences.wholeWord = ${wholeWord};
-          `}
-          
-          var foundItems;
-          var changeCount = 0;
-          
-          ${scope === 'document' ? `
-            foundItems = ${useGrep ? 'doc.findGrep()' : 'doc.findText()'};
-            changeCount = ${useGrep ? 'doc.changeGrep()' : 'doc.changeText()'}.length;
-          ` : `
-            // Handle other scopes (story, selection) if needed
-            foundItems = ${useGrep ? 'doc.findGrep()' : 'doc.findText()'};
-            changeCount = ${useGrep ? 'doc.changeGrep()' : 'doc.changeText()'}.length;
-          `}
-          
-          // Clear preferences
-          app.findTextPreferences = NothingEnum.nothing;
-          app.changeTextPreferences = NothingEnum.nothing;
-          app.findGrepPreferences = NothingEnum.nothing;
-          app.changeGrepPreferences = NothingEnum.nothing;
-          
-          "Found and replaced " + changeCount + " instances of '" + "${findText}" + "' with '" + "${replaceText}" + "'";
-        } catch (e) {
-          "Error in find/replace: " + e.message;
-        }
+        var reference = requireLayer(doc, params.relativeTo);
+        if (reference.id === layer.id) throw new Error("Cannot move a layer " + params.position + " itself");
+        layer.move(params.position === "above" ? LocationOptions.BEFORE : LocationOptions.AFTER, reference);
       }
+
+      var order = [];
+      for (var i = 0; i < doc.layers.length; i++) order.push(doc.layers[i].name);
+      return { layer: describeLayer(doc, layer), order: order };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Find/Replace Text");
+    const result = await this.executeInDesignScript(script, { document, layerName, position, relativeTo });
+    return this.formatResponse(result, "Move Layer", (moved) =>
+      `Layer '${moved.layer.name}' moved; order from the top: ${moved.order.join(', ')}`
+    );
   }
 
-  // =================== GRAPHICS MANAGEMENT ===================
-  async placeImage(args) {
-    const { imagePath, x = 10, y = 10, width, height, pageIndex = 0, fitOption = 'PROPORTIONALLY', createFrame = true } = args;
+  async duplicateLayer(args) {
+    const { document, layerName, newName } = args;
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open. Please create a document first.";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var imageFile = File("${imagePath}");
-          
-          if (!imageFile.exists) {
-            "Image file not found: ${imagePath}";
-          } else {
-            ${createFrame ? `
-              var rect = page.rectangles.add();
-              ${width && height ? `
-                rect.geometricBounds = ["${y}mm", "${x}mm", "${y + height}mm", "${x + width}mm"];
-              ` : `
-                rect.geometricBounds = ["${y}mm", "${x}mm", "${y + 50}mm", "${x + 50}mm"];
-              `}
-              rect.place(imageFile);
-            ` : `
-              page.place(imageFile, ["${x}mm", "${y}mm"]);
-              var rect = page.rectangles[page.rectangles.length - 1];
-            `}
-            
-            // Apply fit option
-            switch ("${fitOption}") {
-              case "PROPORTIONALLY":
-                rect.fit(FitOptions.PROPORTIONALLY);
-                break;
-              case "FRAME_TO_CONTENT":
-                rect.fit(FitOptions.FRAME_TO_CONTENT);
-                break;
-              case "CONTENT_TO_FRAME":
-                rect.fit(FitOptions.CONTENT_TO_FRAME);
-                break;
-              case "CENTER_CONTENT":
-                rect.fit(FitOptions.CENTER_CONTENT);
-                break;
-            }
-            
-            "Image placed: " + imageFile.name + " on page " + (${pageIndex} + 1);
-          }
-        } catch (e) {
-          "Error placing image: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var layer = requireLayer(doc, params.layerName);
+      if (params.newName && doc.layers.itemByName(params.newName).isValid) {
+        throw new Error("Layer already exists: " + params.newName);
       }
+      var copy = layer.duplicate();
+      if (params.newName) copy.name = params.newName;
+      return describeLayer(doc, copy);
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Place Image");
+    const result = await this.executeInDesignScript(script, { document, layerName, newName });
+    return this.formatResponse(result, "Duplicate Layer", (layer) =>
+      `Layer '${layerName}' duplicated as '${layer.name}' with ${layer.itemCount} items`
+    );
   }
 
-  async createRectangle(args) {
-    const { x, y, width, height, pageIndex = 0, fillColor, strokeColor, strokeWidth = 1, cornerRadius = 0 } = args;
+  async mergeLayers(args) {
+    const { document, layerNames, targetLayer } = args;
+
+    if (!Array.isArray(layerNames) || layerNames.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'layerNames must name at least one layer');
+    }
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var rect = page.rectangles.add();
-          
-          rect.geometricBounds = ["${y}mm", "${x}mm", "${y + height}mm", "${x + width}mm"];
-          
-          ${cornerRadius > 0 ? `
-            rect.cornerRadius = "${cornerRadius}mm";
-          ` : ''}
-          
-          ${fillColor ? `
-            try {
-              rect.fillColor = doc.swatches.itemByName("${fillColor}");
-            } catch (e) {
-              // Try to create color if it doesn't exist
-              try {
-                var newSwatch = doc.colors.add();
-                newSwatch.name = "${fillColor}";
-                rect.fillColor = newSwatch;
-              } catch (e2) {}
-            }
-          ` : ''}
-          
-          ${strokeColor ? `
-            try {
-              rect.strokeColor = doc.swatches.itemByName("${strokeColor}");
-              rect.strokeWeight = "${strokeWidth}pt";
-            } catch (e) {}
-          ` : ''}
-          
-          "Rectangle created on page " + (${pageIndex} + 1) + " (${width}mm x ${height}mm)";
-        } catch (e) {
-          "Error creating rectangle: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var target = requireLayer(doc, params.targetLayer);
+      var sources = [];
+      for (var i = 0; i < params.layerNames.length; i++) {
+        var source = requireLayer(doc, params.layerNames[i]);
+        if (source.id === target.id) throw new Error("Cannot merge layer " + target.name + " into itself");
+        sources.push(source);
+      }
+
+      var merged = [];
+      for (var s = 0; s < sources.length; s++) {
+        var name = sources[s].name;
+        var moved = moveToLayer(sources[s].pageItems.everyItem().getElements(), target);
+        if (doc.activeLayer.id === sources[s].id) doc.activeLayer = target;
+        sources[s].locked = false;
+        sources[s].remove();
+        merged.push({ name: name, movedItems: moved });
       }
+
+      return { layer: describeLayer(doc, target), merged: merged };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Rectangle");
+    const result = await this.executeInDesignScript(script, { document, layerNames, targetLayer });
+    return this.formatResponse(result, "Merge Layers", (merge) =>
+      `${merge.merged.map((layer) => `'${layer.name}' (${layer.movedItems} items)`).join(', ')} merged into '${merge.layer.name}'`
+    );
   }
 
-  async createEllipse(args) {
-    const { x, y, width, height, pageIndex = 0, fillColor, strokeColor, strokeWidth = 1 } = args;
+  async deleteLayer(args) {
+    const { document, layerName, moveItemsTo, deleteItems = false } = args;
+
+    if (moveItemsTo && deleteItems) {
+      throw new McpError(ErrorCode.InvalidParams, 'Use either moveItemsTo or deleteItems');
+    }
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var ellipse = page.ovals.add();
-          
-          ellipse.geometricBounds = ["${y}mm", "${x}mm", "${y + height}mm", "${x + width}mm"];
-          
-          ${fillColor ? `
-            try {
-              ellipse.fillColor = doc.swatches.itemByName("${fillColor}");
-            } catch (e) {}
-          ` : ''}
-          
-          ${strokeColor ? `
-            try {
-              ellipse.strokeColor = doc.swatches.itemByName("${strokeColor}");
-              ellipse.strokeWeight = "${strokeWidth}pt";
-            } catch (e) {}
-          ` : ''}
-          
-          "Ellipse created on page " + (${pageIndex} + 1) + " (${width}mm x ${height}mm)";
-        } catch (e) {
-          "Error creating ellipse: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var layer = requireLayer(doc, params.layerName);
+      if (doc.layers.length === 1) throw new Error("Cannot delete the only layer of a document");
+
+      var items = layer.pageItems.everyItem().getElements();
+      var moved = 0;
+      var target = null;
+      if (params.moveItemsTo) {
+        target = requireLayer(doc, params.moveItemsTo);
+        if (target.id === layer.id) throw new Error("Cannot move the items of layer " + layer.name + " to itself");
+        moved = moveToLayer(items, target);
+      } else if (items.length > 0 && !params.deleteItems) {
+        throw new Error("Layer " + layer.name + " has " + items.length + " page items; give moveItemsTo, or deleteItems to delete them");
+      }
+
+      if (doc.activeLayer.id === layer.id) {
+        doc.activeLayer = target || doc.layers[layer.index === 0 ? 1 : 0];
       }
+      var name = layer.name;
+      layer.locked = false;
+      layer.remove();
+
+      return {
+        deleted: name,
+        movedItems: moved,
+        deletedItems: params.deleteItems ? items.length : 0,
+        movedTo: target ? target.name : null
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Ellipse");
+    const result = await this.executeInDesignScript(script, { document, layerName, moveItemsTo, deleteItems });
+    return this.formatResponse(result, "Delete Layer", (deleted) =>
+      `Layer '${deleted.deleted}' deleted` +
+      (deleted.movedTo ? `, ${deleted.movedItems} items moved to '${deleted.movedTo}'` : '') +
+      (deleted.deletedItems > 0 ? `, ${deleted.deletedItems} items deleted` : '')
+    );
   }
 
-  // =================== STYLE MANAGEMENT ===================
-  async createParagraphStyle(args) {
-    const { name, fontFamily, fontSize, leading, spaceBefore, spaceAfter, alignment, textColor, baseStyle } = args;
+  async moveItemsToLayer(args) {
+    const { document, itemIds = [], labels = [], layerName } = args;
+
+    if (itemIds.length === 0 && labels.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'itemIds or labels is required');
+    }
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var pStyle = doc.paragraphStyles.add();
-          pStyle.name = "${name}";
-          
-          ${baseStyle ? `
-            try {
-              var base = doc.paragraphStyles.itemByName("${baseStyle}");
-              if (base.isValid) {
-                pStyle.basedOn = base;
-              }
-            } catch (e) {}
-          ` : ''}
-          
-          ${fontFamily ? `
-            try {
-              pStyle.appliedFont = app.fonts.itemByName("${fontFamily}");
-            } catch (e) {}
-          ` : ''}
-          
-          ${fontSize ? `pStyle.pointSize = ${fontSize};` : ''}
-          ${leading ? `pStyle.leading = ${leading};` : ''}
-          ${spaceBefore ? `pStyle.spaceBefore = "${spaceBefore}mm";` : ''}
-          ${spaceAfter ? `pStyle.spaceAfter = "${spaceAfter}mm";` : ''}
-          ${alignment ? `pStyle.justification = Justification.${alignment};` : ''}
-          
-          ${textColor ? `
-            try {
-              pStyle.fillColor = doc.swatches.itemByName("${textColor}");
-            } catch (e) {}
-          ` : ''}
-          
-          "Paragraph style '${name}' created successfully";
-        } catch (e) {
-          "Error creating paragraph style: " + e.message;
+      var doc = requireDocument(params.document);
+      var layer = requireLayer(doc, params.layerName);
+
+      // Items inside groups or anchored in text share the layer of what holds them
+      var items = [];
+      var targets = [];
+      for (var i = 0; i < params.itemIds.length; i++) targets.push({ itemId: params.itemIds[i] });
+      for (var l = 0; l < params.labels.length; l++) targets.push({ label: params.labels[l] });
+      for (var t = 0; t < targets.length; t++) {
+        var item = findPageItem(doc, targets[t].itemId, targets[t].label);
+        var parentType = item.parent.reflect.name;
+        if (parentType !== "Spread" && parentType !== "MasterSpread") {
+          throw new Error("Item " + item.id + " is inside a " + parentType + "; move that instead");
         }
+        items.push(item);
+      }
+
+      var moved = [];
+      for (var m = 0; m < items.length; m++) {
+        moved.push({ id: items[m].id, type: items[m].reflect.name, fromLayer: items[m].itemLayer.name });
       }
+      moveToLayer(items, layer);
+
+      return { layer: layer.name, items: moved };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Paragraph Style");
+    const result = await this.executeInDesignScript(script, { document, itemIds, labels, layerName });
+    return this.formatResponse(result, "Move Items To Layer", (move) =>
+      `${move.items.length} items moved to layer '${move.layer}'`
+    );
   }
 
-  async createCharacterStyle(args) {
-    const { name, fontFamily, fontStyle, fontSize, textColor, tracking, baseStyle } = args;
+  async listLayerItems(args) {
+    const { document, layerName, pageIndex } = args;
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var cStyle = doc.characterStyles.add();
-          cStyle.name = "${name}";
-          
-          ${baseStyle ? `
-            try {
-              var base = doc.characterStyles.itemByName("${baseStyle}");
-              if (base.isValid) {
-                cStyle.basedOn = base;
-              }
-            } catch (e) {}
-          ` : ''}
-          
-          ${fontFamily ? `
-            try {
-              ${fontStyle ? `
-                cStyle.appliedFont = app.fonts.itemByName("${fontFamily}\\t${fontStyle}");
-              ` : `
-                cStyle.appliedFont = app.fonts.itemByName("${fontFamily}");
-              `}
-            } catch (e) {}
-          ` : ''}
-          
-          ${fontSize ? `cStyle.pointSize = ${fontSize};` : ''}
-          ${tracking ? `cStyle.tracking = ${tracking};` : ''}
-          
-          ${textColor ? `
-            try {
-              cStyle.fillColor = doc.swatches.itemByName("${textColor}");
-            } catch (e) {}
-          ` : ''}
-          
-          "Character style '${name}' created successfully";
-        } catch (e) {
-          "Error creating character style: " + e.message;
+      var doc = requireDocument(params.document);
+      var layers = params.layerName ? [requireLayer(doc, params.layerName)] : doc.layers.everyItem().getElements();
+      if (params.pageIndex !== undefined) requirePage(doc, params.pageIndex);
+
+      var inventory = [];
+      for (var i = 0; i < layers.length; i++) {
+        var entry = describeLayer(doc, layers[i]);
+        var items = layers[i].pageItems.everyItem().getElements();
+        entry.items = [];
+        for (var j = 0; j < items.length; j++) {
+          var item = describePageItem(items[j]);
+          if (params.pageIndex === undefined || item.pageIndex === params.pageIndex) entry.items.push(item);
         }
+        inventory.push(entry);
       }
+
+      return { layers: inventory };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Character Style");
+    const result = await this.executeInDesignScript(script, { document, layerName, pageIndex });
+    return this.formatResponse(result, "List Layer Items", (list) =>
+      list.layers.map((layer) => `${layer.name}: ${layer.items.length} items`).join(', ')
+    );
   }
 
-  async applyParagraphStyle(args) {
-    const { styleName, frameIndex, pageIndex = 0, startIndex, endIndex } = args;
+  // =================== RESOURCES ===================
+  async listResources() {
+    const { documents } = await this.queryDocuments();
+    const resources = [
+      { uri: 'indesign://documents', name: 'Open documents', mimeType: 'application/json' },
+    ];
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var textFrame = page.textFrames[${frameIndex}];
-          var style = doc.paragraphStyles.itemByName("${styleName}");
-          
-          if (!style.isValid) {
-            "Paragraph style '${styleName}' not found";
-          } else {
-            ${startIndex !== undefined && endIndex !== undefined ? `
-              var textRange = textFrame.parentStory.characters.itemByRange(${startIndex}, ${endIndex});
-              textRange.paragraphs.everyItem().appliedParagraphStyle = style;
-            ` : `
-              textFrame.parentStory.paragraphs.everyItem().appliedParagraphStyle = style;
-            `}
-            
-            "Paragraph style '${styleName}' applied to text frame ${frameIndex}";
-          }
-        } catch (e) {
-          "Error applying paragraph style: " + e.message;
-        }
+    for (const doc of documents) {
+      const base = `indesign://document/${doc.id}`;
+      resources.push(
+        { uri: base, name: `${doc.name}: document info` },
+        { uri: `${base}/styles`, name: `${doc.name}: styles` },
+        { uri: `${base}/swatches`, name: `${doc.name}: swatches` },
+        { uri: `${base}/layers`, name: `${doc.name}: layers` },
+      );
+      for (let pageIndex = 0; pageIndex < doc.pageCount; pageIndex++) {
+        resources.push({ uri: `${base}/pages/${pageIndex}`, name: `${doc.name}: page ${pageIndex + 1}` });
       }
-    `;
+    }
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Apply Paragraph Style");
+    return resources.map((resource) => ({ mimeType: 'application/json', ...resource }));
   }
 
-  async listStyles(args) {
-    const { styleType = 'all' } = args;
+  async readResource(uri) {
+    let result;
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
+    if (uri === 'indesign://documents') {
+      result = await this.queryDocuments();
+    } else {
+      const match = DOCUMENT_RESOURCE_URI.exec(uri);
+      if (!match) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+      }
+      const [, id, kind, item] = match;
+      const document = decodeURIComponent(id);
+
+      if (!kind && item === undefined) {
+        result = await this.queryDocumentInfo({ document });
+      } else if (kind === 'pages' && /^\d+$/.test(item || '')) {
+        result = await this.queryPageItems({ document, pageIndex: Number(item) });
+      } else if (kind === 'stories' && /^\d+$/.test(item || '')) {
+        result = await this.queryStory({ document, storyId: Number(item) });
+      } else if (kind === 'styles' && item === undefined) {
+        result = await this.queryStyles({ document, styleType: 'all' });
+      } else if (kind === 'swatches' && item === undefined) {
+        result = await this.queryColorSwatches({ document });
+      } else if (kind === 'layers' && item === undefined) {
+        result = await this.queryLayers({ document });
       } else {
-        var doc = app.activeDocument;
-        var result = "=== DOCUMENT STYLES ===\\n\\n";
-        
-        ${styleType === 'all' || styleType === 'paragraph' ? `
-          result += "PARAGRAPH STYLES (" + doc.paragraphStyles.length + "):\\n";
-          for (var i = 0; i < doc.paragraphStyles.length; i++) {
-            result += "  • " + doc.paragraphStyles[i].name + "\\n";
-          }
-          result += "\\n";
-        ` : ''}
-        
-        ${styleType === 'all' || styleType === 'character' ? `
-          result += "CHARACTER STYLES (" + doc.characterStyles.length + "):\\n";
-          for (var i = 0; i < doc.characterStyles.length; i++) {
-            result += "  • " + doc.characterStyles[i].name + "\\n";
-          }
-          result += "\\n";
-        ` : ''}
-        
-        ${styleType === 'all' || styleType === 'object' ? `
-          result += "OBJECT STYLES (" + doc.objectStyles.length + "):\\n";
-          for (var i = 0; i < doc.objectStyles.length; i++) {
-            result += "  • " + doc.objectStyles[i].name + "\\n";
-          }
-        ` : ''}
-        
-        result;
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
       }
-    `;
+    }
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "List Styles");
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(result, null, 2) }],
+    };
   }
 
-  // =================== COLOR MANAGEMENT ===================
-  async createColorSwatch(args) {
-    const { name, colorModel = 'CMYK', colorValues, spotColor = false } = args;
+  async queryStory(args) {
+    const { document, storyId } = args;
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var newColor;
-          
-          if ("${colorModel}" === "CMYK") {
-            newColor = doc.colors.add();
-            newColor.name = "${name}";
-            newColor.model = ColorModel.SPOT;
-            newColor.colorValue = [${colorValues.join(', ')}];
-            ${spotColor ? `newColor.model = ColorModel.SPOT;` : `newColor.model = ColorModel.PROCESS;`}
-          } else if ("${colorModel}" === "RGB") {
-            newColor = doc.colors.add();
-            newColor.name = "${name}";
-            newColor.model = ColorModel.PROCESS;
-            newColor.space = ColorSpace.RGB;
-            newColor.colorValue = [${colorValues.join(', ')}];
-          }
-          
-          "Color swatch '${name}' created (${colorModel}: ${colorValues.join(', ')})";
-        } catch (e) {
-          "Error creating color swatch: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var story = doc.stories.itemByID(params.storyId);
+      if (!story.isValid) {
+        throw new Error("Story not found: " + params.storyId);
       }
-    `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Color Swatch");
-  }
+      var paragraphs = [];
+      for (var i = 0; i < story.paragraphs.length; i++) {
+        var paragraph = story.paragraphs[i];
+        paragraphs.push({ index: i, style: paragraph.appliedParagraphStyle.name, text: paragraph.contents });
+      }
 
-  async listColorSwatches() {
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        var result = "=== COLOR SWATCHES ===\\n\\n";
-        
-        result += "TOTAL SWATCHES: " + doc.swatches.length + "\\n\\n";
-        
-        for (var i = 0; i < doc.swatches.length; i++) {
-          var swatch = doc.swatches[i];
-          result += "• " + swatch.name;
-          
-          try {
-            if (swatch.color) {
-              result += " (" + swatch.color.model + ")";
-            }
-          } catch (e) {}
-          
-          result += "\\n";
-        }
-        
-        result;
+      var frames = [];
+      for (var j = 0; j < story.textContainers.length; j++) {
+        frames.push(story.textContainers[j].id);
       }
+
+      return {
+        id: story.id,
+        length: story.length,
+        overflows: story.overflows,
+        textFrames: frames,
+        contents: story.contents,
+        paragraphs: paragraphs
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "List Color Swatches");
+    return this.executeInDesignScript(script, { document, storyId });
   }
 
-  async applyColor(args) {
-    const { objectIndex, pageIndex = 0, swatchName, property = 'fill' } = args;
+  // =================== ADDITIONAL UTILITIES ===================
+  async preflightDocument(args) {
+    const { document, profileFile, scope = 'document', pageRange, maxIssues = 500 } = args;
+    let { profile } = args;
+
+    if (scope === 'pages' && !pageRange) {
+      throw new McpError(ErrorCode.InvalidParams, 'scope "pages" needs a pageRange');
+    }
+
+    let profileDefinition;
+    if (profileFile && /\.json$/i.test(profileFile)) {
+      profileDefinition = await this.readProfileDefinition(profileFile);
+      profile = profileDefinition.name;
+    }
+
+    // Leaves a few seconds of the tool timeout for collecting the results
+    const waitSeconds = Math.max(1, Math.floor(this.timeoutFor('preflight_document') / 1000) - 5);
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var pageItem = page.allPageItems[${objectIndex}];
-          var swatch = doc.swatches.itemByName("${swatchName}");
-          
-          if (!swatch.isValid) {
-            "Color swatch '${swatchName}' not found";
-          } else {
-            if ("${property}" === "fill") {
-              pageItem.fillColor = swatch;
-            } else if ("${property}" === "stroke") {
-              pageItem.strokeColor = swatch;
-            }
-            
-            "Color '${swatchName}' applied to ${property} of object ${objectIndex}";
+      var doc = requireDocument(params.document);
+      var preflightProfile;
+
+      if (params.profileDefinition) {
+        preflightProfile = definePreflightProfile(params.profileDefinition);
+      } else if (params.profileFile) {
+        var profileFile = File(params.profileFile);
+        if (!profileFile.exists) {
+          throw new Error("Profile file not found: " + params.profileFile);
+        }
+        preflightProfile = app.loadPreflightProfile(profileFile);
+      } else if (params.profile) {
+        preflightProfile = app.preflightProfiles.itemByName(params.profile);
+        if (!preflightProfile.isValid) {
+          var names = [];
+          for (var p = 0; p < app.preflightProfiles.length; p++) {
+            names.push(app.preflightProfiles[p].name);
           }
-        } catch (e) {
-          "Error applying color: " + e.message;
+          throw new Error("Preflight profile not found: " + params.profile + ". Available: " + names.join(", "));
         }
+      } else {
+        preflightProfile = app.preflightProfiles[0];
       }
-    `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Apply Color");
-  }
+      // Rule flags decide the severity of what each rule reports
+      var severities = {};
+      for (var r = 0; r < preflightProfile.preflightRules.length; r++) {
+        var rule = preflightProfile.preflightRules[r];
+        var severity = rule.flag === PreflightRuleFlag.RETURN_AS_WARNING ? "warning"
+          : rule.flag === PreflightRuleFlag.RETURN_AS_INFORMATIONAL ? "info" : "error";
+        severities[rule.name] = severity;
+        severities[rule.id] = severity;
+      }
 
-  // =================== EXPORT FUNCTIONS ===================
-  async exportPDF(args) {
-    const { filePath, preset = 'HighQualityPrint', pageRange = 'all', includeBleed = false, includeSlug = false, colorProfile, jpegQuality = 'High' } = args;
+      var process = app.preflightProcesses.add(doc, preflightProfile);
+      var completed = process.waitForProcess(params.waitSeconds);
+      if (!completed) {
+        process.remove();
+        throw new Error("Preflight did not finish within " + params.waitSeconds + " seconds");
+      }
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open. Please create a document first.";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var pdfFile = File("${filePath}");
-          var pdfPreset;
-          
-          // Try to get the specified preset
-          try {
-            pdfPreset = app.pdfExportPresets.itemByName("[${preset}]");
-          } catch (e) {
-            pdfPreset = app.pdfExportPresets[0]; // Use first available preset
+      // Pages and items the report is limited to
+      var pageNames = null;
+      if (params.scope === "pages") {
+        pageNames = {};
+        for (var g = 0; g < params.pages.length; g++) {
+          for (var n = params.pages[g][0]; n <= params.pages[g][1] && n <= doc.pages.length; n++) {
+            pageNames[doc.pages[n - 1].name] = true;
           }
-          
-          // Customize export preferences
-          ${pageRange !== 'all' ? `
-            app.pdfExportPreferences.pageRange = "${pageRange}";
-          ` : `
-            app.pdfExportPreferences.pageRange = PageRange.ALL_PAGES;
-          `}
-          
-          app.pdfExportPreferences.includeBleedMarks = ${includeBleed};
-          app.pdfExportPreferences.includeSlugArea = ${includeSlug};
-          
-          ${colorProfile ? `
-            app.pdfExportPreferences.outputIntention = OutputIntention.REPURPOSE;
-          ` : ''}
-          
-          // Set JPEG quality
-          if ("${jpegQuality}" === "Low") {
-            app.pdfExportPreferences.jpegQuality = JPEGOptionsQuality.LOW;
-          } else if ("${jpegQuality}" === "Medium") {
-            app.pdfExportPreferences.jpegQuality = JPEGOptionsQuality.MEDIUM;
-          } else if ("${jpegQuality}" === "High") {
-            app.pdfExportPreferences.jpegQuality = JPEGOptionsQuality.HIGH;
-          } else if ("${jpegQuality}" === "Maximum") {
-            app.pdfExportPreferences.jpegQuality = JPEGOptionsQuality.MAXIMUM;
+        }
+      }
+      var selectedIds = null;
+      if (params.scope === "selection") {
+        selectedIds = {};
+        var selection = app.selection;
+        for (var s = 0; s < selection.length; s++) {
+          var selected = selection[s].hasOwnProperty("parentTextFrames") ? selection[s].parentTextFrames[0] : selection[s];
+          selectedIds[selected.id] = true;
+          var nested = selected.allPageItems || [];
+          for (var k = 0; k < nested.length; k++) {
+            selectedIds[nested[k].id] = true;
           }
-          
-          doc.exportFile(ExportFormat.PDF_TYPE, pdfFile, false, pdfPreset);
-          "PDF exported successfully to: ${filePath}";
-        } catch (e) {
-          "Error exporting PDF: " + e.message;
         }
       }
-    `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Export PDF");
-  }
+      var pageIndexes = {};
+      for (var pi = 0; pi < doc.pages.length; pi++) {
+        pageIndexes[doc.pages[pi].name] = pi;
+      }
 
-  async exportImages(args) {
-    const { folderPath, format = 'PNG', resolution = 300, pageRange = 'all', includeBleed = false } = args;
+      // aggregatedResults: [document name, profile name, [[object id, rule, page, info], ...]]
+      var issues = [];
+      var counts = { error: 0, warning: 0, info: 0 };
+      var rows = process.processResults === "None" ? [] : process.aggregatedResults[2];
+      for (var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        var objectId = typeof row[0] === "number" ? row[0] : null;
+        var page = row[2] ? String(row[2]) : null;
+        if (pageNames && !(page && pageNames[page])) continue;
+        if (selectedIds && !(objectId !== null && selectedIds[objectId])) continue;
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var exportFolder = Folder("${folderPath}");
-          if (!exportFolder.exists) {
-            exportFolder.create();
-          }
-          
-          var exportFormat;
-          var fileExtension;
-          
-          switch ("${format}") {
-            case "PNG":
-              exportFormat = ExportFormat.PNG_FORMAT;
-              fileExtension = ".png";
-              app.pngExportPreferences.resolution = ${resolution};
-              app.pngExportPreferences.useDocumentBleedWithPDF = ${includeBleed};
-              break;
-            case "JPEG":
-              exportFormat = ExportFormat.JPG;
-              fileExtension = ".jpg";
-              app.jpegExportPreferences.resolution = ${resolution};
-              app.jpegExportPreferences.useDocumentBleedWithPDF = ${includeBleed};
-              break;
-            default:
-              exportFormat = ExportFormat.PNG_FORMAT;
-              fileExtension = ".png";
-          }
-          
-          var pages = [];
-          ${pageRange === 'all' ? `
-            for (var i = 0; i < doc.pages.length; i++) {
-              pages.push(doc.pages[i]);
-            }
-          ` : `
-            // Parse page range (simplified)
-            var pageNumbers = "${pageRange}".split("-");
-            var startPage = parseInt(pageNumbers[0]) - 1;
-            var endPage = pageNumbers.length > 1 ? parseInt(pageNumbers[1]) - 1 : startPage;
-            
-            for (var i = startPage; i <= endPage && i < doc.pages.length; i++) {
-              pages.push(doc.pages[i]);
-            }
-          `}
-          
-          for (var i = 0; i < pages.length; i++) {
-            var page = pages[i];
-            var fileName = doc.name.replace(/\.indd$/i, "") + "_page" + (page.documentOffset + 1) + fileExtension;
-            var exportFile = File(exportFolder + "/" + fileName);
-            
-            page.exportFile(exportFormat, exportFile);
-          }
-          
-          "Exported " + pages.length + " pages as ${format} files to: ${folderPath}";
-        } catch (e) {
-          "Error exporting images: " + e.message;
+        var issueSeverity = severities[row[1]] || "error";
+        counts[issueSeverity]++;
+        if (issues.length < params.maxIssues) {
+          issues.push({
+            rule: String(row[1]),
+            severity: issueSeverity,
+            page: page,
+            pageIndex: page && pageIndexes.hasOwnProperty(page) ? pageIndexes[page] : null,
+            objectId: objectId,
+            description: row[3] ? String(row[3]) : String(row[1])
+          });
         }
       }
+      process.remove();
+
+      return {
+        profile: preflightProfile.name,
+        scope: params.scope,
+        issueCount: counts.error + counts.warning + counts.info,
+        counts: counts,
+        truncated: counts.error + counts.warning + counts.info > issues.length,
+        issues: issues
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Export Images");
+    const result = await this.executeInDesignScript(script, {
+      document, profile, scope, maxIssues, waitSeconds, profileDefinition,
+      profileFile: profileDefinition ? undefined : profileFile,
+      pages: scope === 'pages' ? parsePageRange(pageRange) : undefined,
+    });
+    return this.formatResponse(result, "Preflight Document", (preflight) =>
+      `Preflight check completed with profile '${preflight.profile}'. Found ${preflight.issueCount} issues ` +
+      `(${preflight.counts.error} errors, ${preflight.counts.warning} warnings, ${preflight.counts.info} info)` +
+      (preflight.scope !== 'document' ? ` in ${preflight.scope}` : '')
+    );
   }
 
-  async exportEPUB(args) {
-    const { filePath, version = 'EPUB3', includeImages = true, imageFormat = 'PNG' } = args;
+  async readProfileDefinition(filePath) {
+    let definition;
+    try {
+      definition = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot read preflight profile ${filePath}: ${error.message}`);
+    }
+    if (!definition || typeof definition.name !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, `Preflight profile ${filePath} has no name`);
+    }
+    return definition;
+  }
+
+  async createPreflightProfile(args) {
+    const { filePath } = args;
+    const definition = filePath ? await this.readProfileDefinition(filePath) : args.definition;
+    if (!definition || typeof definition.name !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, 'A profile definition with a name, or a filePath, is required');
+    }
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var epubFile = File("${filePath}");
-          
-          // Set EPUB export preferences
-          var epubExportPrefs = app.epubExportPreferences;
-          epubExportPrefs.epubVersion = ${version === 'EPUB3' ? 'EPubVersion.EPUB_VERSION_3' : 'EPubVersion.EPUB_VERSION_2'};
-          epubExportPrefs.preserveLocalOverride = true;
-          
-          ${includeImages ? `
-            epubExportPrefs.imageConversion = ImageConversion.AUTOMATIC;
-            if ("${imageFormat}" === "PNG") {
-              epubExportPrefs.pngQualityLevel = PNGQualityLevel.HIGH;
-            } else if ("${imageFormat}" === "JPEG") {
-              epubExportPrefs.jpegOptionsQuality = JPEGOptionsQuality.HIGH;
-            }
-          ` : `
-            epubExportPrefs.imageConversion = ImageConversion.LINK_TO_SERVER;
-          `}
-          
-          doc.exportFile(ExportFormat.EPUB, epubFile);
-          "EPUB exported successfully to: ${filePath}";
-        } catch (e) {
-          "Error exporting EPUB: " + e.message;
-        }
+      var profile = definePreflightProfile(params.definition);
+      var rules = [];
+      for (var i = 0; i < profile.preflightRules.length; i++) {
+        rules.push({ id: profile.preflightRules[i].id, flag: String(profile.preflightRules[i].flag) });
       }
+      return { name: profile.name, rules: rules };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Export EPUB");
+    const result = await this.executeInDesignScript(script, { definition });
+    return this.formatResponse(result, "Create Preflight Profile", (profile) =>
+      `Preflight profile '${profile.name}' created with ${profile.rules.length} rules`
+    );
   }
 
-  async packageDocument(args) {
-    const { folderPath, includeLinkedFiles = true, includeFonts = true, createReport = true } = args;
+  async zoomToPage(args) {
+    const { document, pageIndex, fitOption = 'FIT_PAGE' } = args;
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var packageFolder = Folder("${folderPath}");
-          
-          doc.packageForPrint(packageFolder, ${includeLinkedFiles}, ${includeFonts}, true, ${createReport}, "Package created by InDesign MCP Server");
-          
-          "Document packaged successfully to: ${folderPath}";
-        } catch (e) {
-          "Error packaging document: " + e.message;
-        }
+      var doc = requireDocument(params.document);
+      var layoutWindow = documentWindow(doc);
+      if (params.pageIndex !== undefined) {
+        layoutWindow.activePage = requirePage(doc, params.pageIndex);
+      }
+
+      switch (params.fitOption) {
+        case "FIT_PAGE":
+          layoutWindow.zoom(ZoomOptions.FIT_PAGE);
+          break;
+        case "FIT_SPREAD":
+          layoutWindow.zoom(ZoomOptions.FIT_SPREAD);
+          break;
+        case "ACTUAL_SIZE":
+          layoutWindow.zoom(ZoomOptions.ACTUAL_SIZE);
+          break;
+        default:
+          layoutWindow.zoom(ZoomOptions.FIT_PAGE);
       }
+
+      return {
+        fitOption: params.fitOption,
+        pageIndex: layoutWindow.activePage.documentOffset,
+        zoomPercentage: Math.round(layoutWindow.zoomPercentage)
+      };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Package Document");
+    const result = await this.executeInDesignScript(script, { document, pageIndex, fitOption });
+    return this.formatResponse(result, "Zoom to Page", (zoom) =>
+      `Zoom applied: ${zoom.fitOption} on page ${zoom.pageIndex + 1} (${zoom.zoomPercentage}%)`
+    );
   }
 
-  // =================== UTILITIES ===================
-  async executeInDesignCode(code) {
-    const result = await this.executeInDesignScript(code);
-    return this.formatResponse(result, "Execute Custom Code");
-  }
+  async dataMerge(args) {
+    const { document, dataSourcePath, outputFolder, fileFormat = 'PDF', recordRange = 'all' } = args;
 
-  async viewDocument() {
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        var info = "=== DOCUMENT VIEW ===\\n";
-        info += "Document: " + doc.name + "\\n";
-        info += "Current Page: " + (app.activeWindow.activePage ? (app.activeWindow.activePage.documentOffset + 1) : "None") + " of " + doc.pages.length + "\\n";
-        info += "Zoom Level: " + Math.round(app.activeWindow.zoomPercentage) + "%\\n";
-        info += "View: " + app.activeWindow.viewDisplaySetting + "\\n";
-        
-        try {
-          var currentPage = app.activeWindow.activePage || doc.pages[0];
-          info += "\\n=== CURRENT PAGE CONTENT ===\\n";
-          info += "Text Frames: " + currentPage.textFrames.length + "\\n";
-          info += "Images/Rectangles: " + currentPage.rectangles.length + "\\n";
-          info += "Ellipses: " + currentPage.ovals.length + "\\n";
-          info += "Groups: " + currentPage.groups.length + "\\n";
-          info += "Total Objects: " + currentPage.allPageItems.length;
-        } catch (e) {
-          info += "\\nCould not analyze page content: " + e.message;
-        }
-        
-        info;
+      var doc = requireDocument(params.document);
+      var dataSource = File(params.dataSourcePath);
+      if (!dataSource.exists) {
+        throw new Error("Data source file not found: " + params.dataSourcePath);
       }
-    `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Document View");
-  }
+      // Set up data merge
+      doc.dataMergeProperties.dataMergeSource = dataSource;
 
-  // =================== TABLE MANAGEMENT (Simplified implementations) ===================
-  async createTable(args) {
-    const { x, y, width, height, rows, columns, pageIndex = 0, headerRows = 1, footerRows = 0 } = args;
+      var outputDir = Folder(params.outputFolder);
+      if (!outputDir.exists) {
+        outputDir.create();
+      }
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
+      // Export merged documents
+      if (params.recordRange === "all") {
+        doc.dataMergeProperties.exportRecords(RecordsToMerge.ALL_RECORDS, outputDir, true);
       } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var textFrame = page.textFrames.add();
-          textFrame.geometricBounds = ["${y}mm", "${x}mm", "${y + height}mm", "${x + width}mm"];
-          
-          var table = textFrame.tables.add();
-          table.rowCount = ${rows};
-          table.columnCount = ${columns};
-          
-          ${headerRows > 0 ? `table.headerRowCount = ${headerRows};` : ''}
-          ${footerRows > 0 ? `table.footerRowCount = ${footerRows};` : ''}
-          
-          "Table created with " + ${rows} + " rows and " + ${columns} + " columns on page " + (${pageIndex} + 1);
-        } catch (e) {
-          "Error creating table: " + e.message;
-        }
+        // Parse record range
+        var ranges = String(params.recordRange).split("-");
+        var startRecord = parseInt(ranges[0], 10);
+        var endRecord = ranges.length > 1 ? parseInt(ranges[1], 10) : startRecord;
+        doc.dataMergeProperties.exportRecords(RecordsToMerge.RANGE, outputDir, true, startRecord, endRecord);
       }
+
+      return { dataSourcePath: dataSource.fsName, outputFolder: outputDir.fsName, recordRange: params.recordRange };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Table");
+    const result = await this.executeInDesignScript(script, { document, dataSourcePath, outputFolder, fileFormat, recordRange });
+    return this.formatResponse(result, "Data Merge", (merge) => `Data merge completed. Files saved to: ${merge.outputFolder}`);
   }
 
-  async populateTable(args) {
-    const { tableIndex, pageIndex = 0, data, includeHeaders = true } = args;
+  async getServerConfig(args) {
+    const { checkApplication = false } = args;
+    const { configFile, applicationSource, ...settings } = this.config;
+
+    const result = {
+      ...settings,
+      serverVersion: packageInfo.version,
+      configFile,
+      applicationSource,
+    };
 
+    if (checkApplication) {
+      result.running = await this.executeInDesignScript(`
+        return { name: app.name, version: app.version, build: app.build || null };
+      `);
+    }
+
+    return this.formatResponse(result, "Server Config", (config) =>
+      `${config.application} (${config.applicationSource}), units ${config.units}, ` +
+      `config file: ${config.configFile || 'none'}` +
+      (config.running ? `, running version ${config.running.version}` : '')
+    );
+  }
+
+  // =================== HISTORY ===================
+  // History entries are matched to a document by the name, path or id the
+  // caller passes, the same ways requireDocument() accepts
+  historyFor(document, entries = this.history) {
+    if (document === undefined || document === null || document === '') {
+      return entries;
+    }
+    return entries.filter((entry) =>
+      String(entry.documentId) === String(document) || entry.documentName === document || entry.filePath === document
+    );
+  }
+
+  async undoLastOperation(args) {
+    const { document } = args;
+    const entry = this.historyFor(document).filter((candidate) => !candidate.undone).pop();
+    if (!entry) {
+      throw new McpError(ErrorCode.InvalidRequest, 'No MCP operation to undo');
+    }
+
+    // Refuses when someone changed the document by hand after the MCP call:
+    // undoing would then revert their change instead
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var page = doc.pages[${pageIndex}];
-          var tables = [];
-          
-          // Collect all tables from text frames
-          for (var i = 0; i < page.textFrames.length; i++) {
-            for (var j = 0; j < page.textFrames[i].tables.length; j++) {
-              tables.push(page.textFrames[i].tables[j]);
-            }
-          }
-          
-          if (${tableIndex} >= tables.length) {
-            "Table index ${tableIndex} not found. Page has " + tables.length + " tables.";
-          } else {
-            var table = tables[${tableIndex}];
-            var tableData = ${JSON.stringify(data)};
-            
-            for (var row = 0; row < tableData.length && row < table.rowCount; row++) {
-              for (var col = 0; col < tableData[row].length && col < table.columnCount; col++) {
-                table.cells.item(row * table.columnCount + col).contents = tableData[row][col].toString();
-              }
-            }
-            
-            "Table populated with " + tableData.length + " rows of data";
-          }
-        } catch (e) {
-          "Error populating table: " + e.message;
-        }
+      var doc = requireDocument(params.documentId);
+      if (doc.undoName !== params.undoName) {
+        throw new Error('The last undo step in ' + doc.name + ' is "' + doc.undoName + '", not "' + params.undoName + '". Undo the later changes in InDesign first');
       }
+      doc.undo();
+      return { documentId: doc.id, documentName: doc.name, undoName: doc.undoName, redoName: doc.redoName };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Populate Table");
+    const result = await this.executeInDesignScript(script, { documentId: entry.documentId, undoName: entry.undoName });
+    entry.undone = true;
+    this.redoStack.push(entry);
+    return this.formatResponse({ ...result, operation: entry }, "Undo", () =>
+      `Undid ${entry.undoName} in ${result.documentName}`
+    );
   }
 
-  // =================== LAYER MANAGEMENT (Simplified implementations) ===================
-  async createLayer(args) {
-    const { name, color, visible = true, locked = false } = args;
+  async redoLastOperation(args) {
+    const { document } = args;
+    const entry = this.historyFor(document, this.redoStack).pop();
+    if (!entry) {
+      throw new McpError(ErrorCode.InvalidRequest, 'No MCP operation to redo');
+    }
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var layer = doc.layers.add();
-          layer.name = "${name}";
-          layer.visible = ${visible};
-          layer.locked = ${locked};
-          
-          ${color ? `
-            try {
-              layer.layerColor = UIColors.${color.toUpperCase()};
-            } catch (e) {}
-          ` : ''}
-          
-          "Layer '${name}' created successfully";
-        } catch (e) {
-          "Error creating layer: " + e.message;
-        }
+      var doc = requireDocument(params.documentId);
+      if (doc.redoName !== params.undoName) {
+        throw new Error('The next redo step in ' + doc.name + ' is "' + doc.redoName + '", not "' + params.undoName + '"');
       }
+      doc.redo();
+      return { documentId: doc.id, documentName: doc.name, undoName: doc.undoName, redoName: doc.redoName };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Create Layer");
+    const result = await this.executeInDesignScript(script, { documentId: entry.documentId, undoName: entry.undoName });
+    entry.undone = false;
+    this.redoStack.splice(this.redoStack.indexOf(entry), 1);
+    return this.formatResponse({ ...result, operation: entry }, "Redo", () =>
+      `Redid ${entry.undoName} in ${result.documentName}`
+    );
   }
 
-  async setActiveLayer(args) {
-    const { layerName } = args;
+  // =================== BATCH OPERATIONS ===================
+  // Each step runs its normal handler against a stand-in whose executeInDesignScript
+  // only captures the script and params. The captured scripts are combined into one
+  // script run; each handler is then resumed with its own step's result, so steps are
+  // validated and formatted exactly as individual tool calls would be.
+  async batchOperations(args) {
+    const { document, operations = [], atomic = false } = args;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'operations must be a non-empty array');
+    }
+
+    const steps = await Promise.all(operations.map((operation, index) => this.captureBatchStep(operation, index, document)));
+    const invalid = steps.filter((step) => step.error);
+    if (atomic && invalid.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams,
+        `Batch not run: ${invalid.map((step) => `step ${step.index} (${step.tool}): ${step.error}`).join('; ')}`);
+    }
+    const runnable = steps.filter((step) => !step.error);
 
     const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var layer = doc.layers.itemByName("${layerName}");
-          if (layer.isValid) {
-            doc.activeLayer = layer;
-            "Active layer set to: ${layerName}";
-          } else {
-            "Layer '${layerName}' not found";
+      var bodies = [${runnable.map((step) => `function (params) {\n${step.script}\n}`).join(',\n')}];
+      var results = [];
+      var failed = false;
+
+      // Undo stacks before the batch, to tell the documents it changed from those it only read
+      var existing = {};
+      for (var d = 0; d < app.documents.length; d++) {
+        existing[app.documents[d].id] = undoTarget(app.documents[d].id);
+      }
+
+      // Note every document a step resolves, to report (or roll back) the batch's undo step there
+      var touched = {};
+      var resolveDocument = requireDocument;
+      requireDocument = function (target) {
+        var doc = resolveDocument(target);
+        touched[doc.id] = doc;
+        return doc;
+      };
+
+      try {
+        app.doScript(function () {
+          for (var i = 0; i < bodies.length; i++) {
+            if (failed && params.atomic) {
+              results.push({ ok: false, skipped: true });
+              continue;
+            }
+            try {
+              results.push({ ok: true, result: bodies[i](params.steps[i]) });
+            } catch (error) {
+              results.push({ ok: false, error: error.message, line: error.line || null });
+              failed = true;
+            }
           }
-        } catch (e) {
-          "Error setting active layer: " + e.message;
-        }
+        }, ScriptLanguage.JAVASCRIPT, undefined, UndoModes.ENTIRE_SCRIPT, params.undoName);
+      } finally {
+        requireDocument = resolveDocument;
       }
-    `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Set Active Layer");
-  }
+      var rolledBack = false;
+      if (failed && params.atomic) {
+        // Close documents the batch created, undo its step in the ones that existed
+        for (var c = app.documents.length - 1; c >= 0; c--) {
+          if (!existing[app.documents[c].id]) {
+            app.documents[c].close(SaveOptions.NO);
+          }
+        }
+        for (var id in touched) {
+          if (existing[id] && undoStepAdded(existing[id], undoTarget(id), params.undoName)) {
+            touched[id].undo();
+          }
+        }
+        rolledBack = true;
+      }
 
-  async listLayers() {
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        var result = "=== DOCUMENT LAYERS ===\\n\\n";
-        
-        for (var i = 0; i < doc.layers.length; i++) {
-          var layer = doc.layers[i];
-          result += "• " + layer.name;
-          result += " (Visible: " + layer.visible + ", Locked: " + layer.locked + ")";
-          if (layer === doc.activeLayer) {
-            result += " [ACTIVE]";
+      var undo = [];
+      if (!rolledBack) {
+        for (var touchedId in touched) {
+          var target = undoTarget(touchedId);
+          if (undoStepAdded(existing[touchedId] || null, target, params.undoName)) {
+            undo.push(target);
           }
-          result += "\\n";
         }
-        
-        result;
       }
+
+      return { results: results, rolledBack: rolledBack, undo: undo };
     `;
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "List Layers");
-  }
+    const batch = runnable.length > 0
+      // Geometry stays in points here: each step converts its own, in its own units
+      ? await this.executeInDesignScript(script, {
+        steps: runnable.map((step) => step.params), atomic, undoName: BATCH_UNDO_NAME,
+      }, { convertGeometry: false })
+      : { results: [], rolledBack: false, undo: [] };
 
-  // =================== ADDITIONAL UTILITIES ===================
-  async preflightDocument(args) {
-    const { profile, scope = 'document' } = args;
+    const context = this.toolContext.getStore() || {};
+    for (const undo of batch.undo) {
+      this.recordUndoStep(context, BATCH_UNDO_NAME, undo);
+    }
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var preflightProfile;
-          
-          ${profile ? `
-            preflightProfile = app.preflightProfiles.itemByName("${profile}");
-            if (!preflightProfile.isValid) {
-              preflightProfile = app.preflightProfiles[0];
-            }
-          ` : `
-            preflightProfile = app.preflightProfiles[0];
-          `}
-          
-          var preflightResults = doc.preflightProcesses.add(preflightProfile);
-          var errorCount = preflightResults.preflightResultsData.length;
-          
-          "Preflight check completed. Found " + errorCount + " issues.";
-        } catch (e) {
-          "Error running preflight: " + e.message;
-        }
+    const results = await Promise.all(steps.map((step) => {
+      if (step.error) {
+        return { index: step.index, tool: step.tool, ok: false, error: step.error };
       }
-    `;
+      return this.finishBatchStep(step, batch.results[runnable.indexOf(step)]);
+    }));
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Preflight Document");
+    const result = {
+      atomic,
+      rolledBack: batch.rolledBack,
+      succeeded: results.filter((step) => step.ok).length,
+      failed: results.filter((step) => !step.ok && !step.skipped).length,
+      skipped: results.filter((step) => step.skipped).length,
+      steps: batch.rolledBack ? results.map((step) => (step.ok ? { ...step, rolledBack: true } : step)) : results,
+    };
+    return this.formatResponse(result, "Batch Operations", (summary) =>
+      `${summary.succeeded} of ${summary.steps.length} steps succeeded` +
+      (summary.failed > 0 ? `, ${summary.failed} failed` : '') +
+      (summary.skipped > 0 ? `, ${summary.skipped} skipped` : '') +
+      (summary.rolledBack ? ', batch rolled back' : '')
+    );
   }
 
-  async zoomToPage(args) {
-    const { pageIndex, fitOption = 'FIT_PAGE' } = args;
+  async captureBatchStep(operation, index, document) {
+    const { tool, arguments: toolArgs = {} } = operation || {};
+    const step = { index, tool };
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          ${pageIndex !== undefined ? `
-            if (${pageIndex} >= 0 && ${pageIndex} < doc.pages.length) {
-              app.activeWindow.activePage = doc.pages[${pageIndex}];
-            }
-          ` : ''}
-          
-          switch ("${fitOption}") {
-            case "FIT_PAGE":
-              app.activeWindow.zoom(ZoomOptions.FIT_PAGE);
-              break;
-            case "FIT_SPREAD":
-              app.activeWindow.zoom(ZoomOptions.FIT_SPREAD);
-              break;
-            case "ACTUAL_SIZE":
-              app.activeWindow.zoom(ZoomOptions.ACTUAL_SIZE);
-              break;
-            default:
-              app.activeWindow.zoom(ZoomOptions.FIT_PAGE);
-          }
-          
-          "Zoom applied: ${fitOption}${pageIndex !== undefined ? ` on page ${pageIndex + 1}` : ''}";
-        } catch (e) {
-          "Error zooming: " + e.message;
-        }
-      }
-    `;
+    if (typeof tool !== 'string' || UNBATCHABLE_TOOLS.has(tool)) {
+      return { ...step, error: `Tool cannot be batched: ${tool}` };
+    }
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Zoom to Page");
-  }
+    let captured;
+    const scriptCaptured = new Promise((resolve) => { captured = resolve; });
+    const stepServer = Object.create(this);
+    stepServer.executeInDesignScript = (script, params = {}) => new Promise((resolve, reject) => {
+      captured({ script, params, resolve, reject });
+    });
 
-  async dataMerge(args) {
-    const { dataSourcePath, outputFolder, fileFormat = 'PDF', recordRange = 'all' } = args;
+    const stepArgs = document !== undefined && toolArgs.document === undefined ? { ...toolArgs, document } : toolArgs;
+    let units;
+    let handler;
+    try {
+      units = this.unitsFor(stepArgs);
+      handler = stepServer.dispatchTool(tool, this.prepareArguments(tool, stepArgs, units));
+    } catch (error) {
+      return { ...step, error: error.message };
+    }
+    // Handlers validate their arguments before building the script; those errors end the step here
+    const outcome = await Promise.race([
+      scriptCaptured,
+      handler.then(() => ({ error: 'Tool did not run a script' }), (error) => ({ error: error.message })),
+    ]);
+    if (outcome.error) {
+      return { ...step, error: outcome.error };
+    }
+    return { ...step, ...outcome, handler, units };
+  }
 
-    const script = `
-      if (app.documents.length === 0) {
-        "No document open";
-      } else {
-        var doc = app.activeDocument;
-        try {
-          var dataSource = File("${dataSourcePath}");
-          if (!dataSource.exists) {
-            "Data source file not found: ${dataSourcePath}";
-          } else {
-            // Set up data merge
-            doc.dataMergeProperties.dataMergeSource = dataSource;
-            
-            var outputDir = Folder("${outputFolder}");
-            if (!outputDir.exists) {
-              outputDir.create();
-            }
-            
-            // Export merged documents
-            ${recordRange === 'all' ? `
-              doc.dataMergeProperties.exportRecords(RecordsToMerge.ALL_RECORDS, outputDir, true);
-            ` : `
-              // Parse record range
-              var ranges = "${recordRange}".split("-");
-              var startRecord = parseInt(ranges[0]);
-              var endRecord = ranges.length > 1 ? parseInt(ranges[1]) : startRecord;
-              doc.dataMergeProperties.exportRecords(RecordsToMerge.RANGE, outputDir, true, startRecord, endRecord);
-            `}
-            
-            "Data merge completed. Files saved to: ${outputFolder}";
-          }
-        } catch (e) {
-          "Error in data merge: " + e.message;
-        }
-      }
-    `;
+  async finishBatchStep(step, outcome) {
+    const { index, tool } = step;
+    if (outcome.skipped) {
+      step.reject(new Error('Skipped'));
+      step.handler.catch(() => {});
+      return { index, tool, ok: false, skipped: true };
+    }
+    if (!outcome.ok) {
+      step.reject(new Error(`${outcome.error} (Line: ${outcome.line ?? 'unknown'})`));
+    } else {
+      step.resolve(geometryIn(outcome.result ?? null, step.units));
+    }
+    try {
+      const response = await step.handler;
+      return { index, tool, ok: true, result: response.structuredContent ?? response.content[0].text };
+    } catch (error) {
+      return { index, tool, ok: false, error: error.message };
+    }
+  }
 
-    const result = await this.executeInDesignScript(script);
-    return this.formatResponse(result, "Data Merge");
+  async getOperationHistory(args) {
+    const { document, limit = 20 } = args;
+    const operations = this.historyFor(document).slice(-limit).reverse();
+    return this.formatResponse({ operations }, "Operation History", (history) =>
+      history.operations.length === 0
+        ? 'No MCP operations recorded'
+        : history.operations.map((entry) => `${entry.undoName}${entry.undone ? ' (undone)' : ''}`).join(', ')
+    );
   }
 
   async run() {
@@ -2113,5 +7984,10 @@ class InDesignMCPServer {
   }
 }
 
-const server = new InDesignMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+export { InDesignMCPServer, AppleScriptBackend, loadConfig, toScriptLiteral };
+
+// Only start the stdio server when run as a program, so the module can be imported by tests
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  const server = new InDesignMCPServer();
+  server.run().catch(console.error);
+}
@@ -0,0 +1,191 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, fakeApp, runScriptAgainst, scriptParams, tempDirectory } from './helpers/fake-backend.js';
+
+describe('swatches', () => {
+  it('create_color_swatch from a hex value', async () => {
+    const { server, backend } = createServer();
+    backend.respond('defineColor(newColor, params.spotColor, params.colorModel, values)', {
+      id: 90, name: 'Brand', model: 'PROCESS', space: 'RGB', colorValue: [51, 102, 153], group: 'Brand colors', created: true,
+    });
+
+    const response = await server.callTool('create_color_swatch', { name: 'Brand', hex: '#336699', group: 'Brand colors' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      name: 'Brand', hex: '#336699', colorModel: 'RGB', spotColor: false, group: 'Brand colors', ifExists: 'error',
+    });
+    assert.equal(response.content[0].text, "Create Color Swatch: Color swatch 'Brand' created (RGB: 51, 102, 153)");
+  });
+
+  it('create_color_swatch checks the color values', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('create_color_swatch', { name: 'X' }), { code: ErrorCode.InvalidParams });
+    await assert.rejects(server.callTool('create_color_swatch', { name: 'X', hex: '#000', colorModel: 'CMYK' }), {
+      code: ErrorCode.InvalidParams,
+    });
+    await assert.rejects(server.callTool('create_color_swatch', { name: 'X', colorValues: [0, 0, 0] }), {
+      code: ErrorCode.InvalidParams, message: /CMYK colors need 4 values/,
+    });
+    await assert.rejects(server.callTool('create_color_swatch', { name: 'X', colorModel: 'HSB', colorValues: [0, 0, 0] }), {
+      code: ErrorCode.InvalidParams, message: /Unknown color model "HSB". Use one of: CMYK, RGB, LAB/,
+    });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('create_tint_swatch', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.tints.add(base', { id: 91, name: 'Brand 40%', baseColor: 'Brand', tintValue: 40, created: true });
+
+    const response = await server.callTool('create_tint_swatch', { baseColor: 'Brand', tintValue: 40 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { baseColor: 'Brand', tintValue: 40 });
+    assert.equal(response.content[0].text, "Create Tint Swatch: Tint swatch 'Brand 40%' created (40% of Brand)");
+    await assert.rejects(server.callTool('create_tint_swatch', { baseColor: 'Brand', tintValue: 140 }), { code: ErrorCode.InvalidParams });
+  });
+
+  it('create_gradient_swatch spreads stops without a location evenly', async () => {
+    const { server, backend } = createServer();
+    backend.respond('gradient.gradientStops.add()', {
+      id: 92, name: 'Fade', type: 'LINEAR', stops: [{ color: 'Brand' }, { color: 'Paper' }, { color: 'Black' }], created: true,
+    });
+
+    const response = await server.callTool('create_gradient_swatch', {
+      name: 'Fade', stops: [{ color: 'Brand' }, { color: 'Paper', midpoint: 30 }, { color: 'Black' }],
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript).stops, [
+      { color: 'Brand', location: 0, midpoint: 50 },
+      { color: 'Paper', location: 50, midpoint: 30 },
+      { color: 'Black', location: 100, midpoint: 50 },
+    ]);
+    assert.equal(response.content[0].text, "Create Gradient Swatch: LINEAR gradient 'Fade' created: Brand → Paper → Black");
+    await assert.rejects(server.callTool('create_gradient_swatch', { name: 'Fade', stops: [{ color: 'Brand' }] }), {
+      code: ErrorCode.InvalidParams,
+    });
+  });
+
+  it('create_color_group', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.colorGroups.add(params.name)', { name: 'Brand colors', swatches: ['Brand', 'Brand 40%'], created: true });
+
+    const response = await server.callTool('create_color_group', { name: 'Brand colors', swatches: ['Brand', 'Brand 40%'] });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { name: 'Brand colors', swatches: ['Brand', 'Brand 40%'] });
+    assert.equal(response.content[0].text, "Create Color Group: Color group 'Brand colors' created with 2 swatches");
+  });
+
+  it('list_color_swatches', async () => {
+    const { server, backend } = createServer();
+    backend.respond('return { swatches: swatches };', { swatches: [{ name: 'Black' }, { name: 'Brand' }] });
+
+    const response = await server.callTool('list_color_swatches');
+
+    assert.equal(response.content[0].text, 'List Color Swatches: 2 swatches: Black, Brand');
+  });
+
+  it('apply_color', async () => {
+    const { server, backend } = createServer();
+    backend.respond('pageItem.strokeColor = swatch', { id: 61, type: 'Rectangle', swatchName: 'Brand', property: 'stroke' });
+
+    const response = await server.callTool('apply_color', { itemId: 61, swatchName: 'Brand', property: 'stroke' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { itemId: 61, pageIndex: 0, swatchName: 'Brand', property: 'stroke' });
+    assert.equal(response.content[0].text, "Apply Color: Color 'Brand' applied to stroke of Rectangle 61");
+  });
+
+  it('apply_color checks the object index against the page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('pageItem.fillColor = swatch', runScriptAgainst(fakeApp({ pages: [{ allPageItems: [{}, {}, {}] }] })));
+
+    for (const objectIndex of [3, -1]) {
+      await assert.rejects(server.callTool('apply_color', { objectIndex, swatchName: 'Brand' }), {
+        message: `Invalid object index: ${objectIndex}. Page has 3 page items. (Line: unknown)`,
+      });
+    }
+  });
+});
+
+describe('swatch exchange', () => {
+  it('export_ase_swatches and import_ase_swatches round-trip colors and groups', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'brand.ase');
+    const colors = [
+      { name: 'Brand', model: 'process', space: 'RGB', values: [51, 102, 153], group: 'Brand colors' },
+      { name: 'Spot orange', model: 'spot', space: 'CMYK', values: [0, 60, 100, 0], group: null },
+      { name: 'Fog', model: 'process', space: 'LAB', values: [90, -2.5, 4], group: 'Brand colors' },
+    ];
+    const skipped = [{ name: 'Fade', reason: 'Gradient swatches can\'t be exported' }];
+    backend.respond('return { colors: colors, skipped: skipped };', { colors, skipped });
+    backend.respond('var created = [];', { created: ['Brand', 'Fog'], updated: [], skipped: ['Spot orange'] });
+
+    const exported = await server.callTool('export_ase_swatches', { filePath });
+    const imported = await server.callTool('import_ase_swatches', { filePath });
+
+    assert.deepEqual(exported.structuredContent, {
+      filePath, exported: ['Brand', 'Spot orange', 'Fog'], groups: ['Brand colors'], skipped,
+    });
+    assert.equal(exported.content[0].text, `Export ASE Swatches: 3 colors written to ${filePath}, 1 skipped`);
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.ifExists, 'skip');
+    assert.deepEqual(params.swatches, [colors[1], colors[0], colors[2]]);
+    assert.equal(imported.content[0].text, `Import ASE Swatches: 2 colors created, 0 updated, 1 skipped from ${filePath}`);
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('import_ase_swatches rejects other files', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'brand.ase');
+    fs.writeFileSync(filePath, 'not a swatch file');
+
+    await assert.rejects(server.callTool('import_ase_swatches', { filePath }), {
+      code: ErrorCode.InvalidParams, message: /Not an Adobe Swatch Exchange file/,
+    });
+    await assert.rejects(server.callTool('import_ase_swatches', { filePath: path.join(directory, 'missing.ase') }), {
+      code: ErrorCode.InvalidParams,
+    });
+    assert.equal(backend.scripts.length, 0);
+    fs.rmSync(directory, { recursive: true });
+  });
+});
+
+describe('color audit', () => {
+  it('audit_colors checks against a token palette', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'palette.json');
+    fs.writeFileSync(filePath, JSON.stringify({ Brand: { space: 'RGB', values: [51, 102, 153] } }));
+    backend.respond('nearDuplicates: nearDuplicates', {
+      palette: 1, checked: 4, unnamed: [{}], rgb: [], nearDuplicates: [{}, {}], offPalette: [{}],
+      unusedSwatches: [], fixed: [{ replaced: 3 }, { replaced: 2 }], failed: [],
+    });
+
+    const response = await server.callTool('audit_colors', { filePath, fix: true, tolerance: 3 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      palette: [{ name: 'Brand', model: 'process', space: 'RGB', values: [51, 102, 153] }],
+      tolerance: 3,
+      print: true,
+      fix: true,
+    });
+    assert.equal(response.content[0].text,
+      'Audit Colors: 4 colors checked against 1 approved: 1 unnamed, 0 RGB, 2 near-duplicates, 1 off-palette, 0 unused swatches; 5 uses replaced');
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('audit_colors needs colors to compare with', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'palette.json');
+    fs.writeFileSync(filePath, '{}');
+
+    await assert.rejects(server.callTool('audit_colors', { filePath }), { code: ErrorCode.InvalidParams });
+    assert.equal(backend.scripts.length, 0);
+    fs.rmSync(directory, { recursive: true });
+  });
+});
@@ -0,0 +1,246 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, mm, scriptParams } from './helpers/fake-backend.js';
+
+describe('document management', () => {
+  it('list_documents', async () => {
+    const { server, backend } = createServer();
+    backend.respond('describeDocument(app.documents[i])', {
+      documents: [{ id: 1, name: 'Brochure.indd', active: true }, { id: 2, name: 'Flyer.indd', active: false }],
+    });
+
+    const response = await server.callTool('list_documents');
+
+    assert.deepEqual(scriptParams(backend.lastScript), {});
+    assert.equal(response.content[0].text, 'List Documents: Brochure.indd (id 1, active), Flyer.indd (id 2)');
+    assert.equal(response.structuredContent.documents.length, 2);
+  });
+
+  it('get_document_info reports page geometry in the call units', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.documentPreferences.pageWidth', {
+      id: 1,
+      name: 'Brochure.indd',
+      pageCount: 4,
+      pageWidth: 595.276,
+      pageHeight: 841.89,
+      margins: { top: 56.693, bottom: 56.693, left: 56.693, right: 56.693 },
+      contents: { textFrames: 3, rectangles: 1, shapes: 0, layers: 2, swatches: 9 },
+    });
+
+    const response = await server.callTool('get_document_info', { document: 'Brochure.indd' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { document: 'Brochure.indd' });
+    assert.equal(response.content[0].text,
+      'Document Info: Brochure.indd, 4 pages (210 x 297), 3 text frames, 2 layers, 9 swatches');
+    assert.deepEqual(response.structuredContent.margins, { top: 20, bottom: 20, left: 20, right: 20 });
+    assert.equal(response.structuredContent.units, 'mm');
+  });
+
+  it('create_document passes lengths in points and the rulers in the call units', async () => {
+    const { server, backend } = createServer();
+    backend.respond('app.documents.add()', {
+      id: 3, name: 'Untitled-1', preset: 'Custom', pageWidth: 432, pageHeight: 648, pageCount: 2, facingPages: true,
+    });
+
+    const response = await server.callTool('create_document', {
+      preset: 'Custom', width: 6, height: 9, pages: 2, facingPages: true, marginTop: 0.5, units: 'in',
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.width, 432);
+    assert.equal(params.height, 648);
+    assert.equal(params.marginTop, 36);
+    assert.equal(params.rulerUnits, 'INCHES');
+    assert.equal(response.content[0].text, 'Create Document: Custom (6 x 9), 2 pages, facing pages');
+  });
+
+  it('open_document', async () => {
+    const { server, backend } = createServer();
+    backend.respond('app.open(file)', { id: 4, name: 'Report.indd', filePath: '/work/Report.indd', pageCount: 12 });
+
+    const response = await server.callTool('open_document', { filePath: '/work/Report.indd' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { filePath: '/work/Report.indd' });
+    assert.equal(response.content[0].text, 'Open Document: Report.indd (12 pages)');
+  });
+
+  it('open_document resolves relative paths against the workspace', async () => {
+    const { server, backend } = createServer({ config: { workspaceRoot: '/work' } });
+    backend.respond('app.open(file)', { id: 4, name: 'Report.indd', filePath: '/work/jobs/Report.indd', pageCount: 12 });
+
+    await server.callTool('open_document', { filePath: 'jobs/Report.indd' });
+
+    assert.equal(scriptParams(backend.lastScript).filePath, '/work/jobs/Report.indd');
+  });
+
+  it('save_document', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.save(', { name: 'Report.indd', filePath: '/work/Report copy.indd' });
+
+    const response = await server.callTool('save_document', { filePath: '/work/Report copy.indd' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { filePath: '/work/Report copy.indd' });
+    assert.equal(response.content[0].text, 'Save Document: Saved as /work/Report copy.indd');
+  });
+
+  it('close_document', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.close(', { name: 'Report.indd', saved: true });
+
+    const response = await server.callTool('close_document', { document: 'Report.indd', save: true });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { document: 'Report.indd', save: true });
+    assert.equal(response.content[0].text, 'Close Document: Closed Report.indd');
+  });
+});
+
+describe('page management', () => {
+  it('add_page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.pages.add(', { pageIndex: 2, pageName: '3', appliedMaster: 'B-Parent', pageCount: 5 });
+
+    const response = await server.callTool('add_page', { position: 'after', pageIndex: 1, masterPage: 'B' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { position: 'after', pageIndex: 1, masterPage: 'B' });
+    assert.equal(response.content[0].text, 'Add Page: Page added at position 3. Total pages: 5');
+  });
+
+  it('delete_page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('pageToDelete.remove()', { deletedPageIndex: 3, pageCount: 3 });
+
+    const response = await server.callTool('delete_page', { pageIndex: 3 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 3 });
+    assert.equal(response.content[0].text, 'Delete Page: Page 4 deleted. Remaining pages: 3');
+  });
+
+  it('duplicate_page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('allPageItems[i].duplicate(newPage)', { sourcePageIndex: 0, pageIndex: 1, itemCount: 4, pageCount: 2 });
+
+    const response = await server.callTool('duplicate_page', { pageIndex: 0 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 0, position: 'after' });
+    assert.equal(response.content[0].text, 'Duplicate Page: Page 1 duplicated. New page position: 2');
+  });
+
+  it('navigate_to_page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('documentWindow(doc).activePage = page', { pageIndex: 4, pageName: '5' });
+
+    const response = await server.callTool('navigate_to_page', { pageIndex: 4 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 4 });
+    assert.equal(response.content[0].text, 'Navigate to Page: Navigated to page 5');
+  });
+
+  it('list_page_items converts item bounds', async () => {
+    const { server, backend } = createServer();
+    backend.respond('describePageItem(items[i])', {
+      pageIndex: 0,
+      items: [{ id: 10, type: 'TextFrame', bounds: [28.346, 28.346, 170.079, 311.811] }],
+    });
+
+    const response = await server.callTool('list_page_items', { pageIndex: 0, type: 'TextFrame', units: 'cm' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 0, type: 'TextFrame' });
+    assert.equal(response.content[0].text, 'List Page Items: 1 items on page 1');
+    assert.deepEqual(response.structuredContent.items[0].bounds, [1, 1, 6, 11]);
+    assert.equal(response.structuredContent.units, 'cm');
+  });
+});
+
+describe('parent pages', () => {
+  it('list_parent_spreads', async () => {
+    const { server, backend } = createServer();
+    backend.respond('usage[applied.name]', {
+      parents: [{ name: 'A-Parent', usedBy: ['1', '2'] }, { name: 'B-Cover', usedBy: [] }],
+    });
+
+    const response = await server.callTool('list_parent_spreads');
+
+    assert.equal(response.content[0].text, 'List Parent Spreads: A-Parent (2 pages), B-Cover (0 pages)');
+  });
+
+  it('create_parent_spread', async () => {
+    const { server, backend } = createServer();
+    backend.respond('nextParentPrefix()', { name: 'C-Chapter', prefix: 'C', basedOn: 'A-Parent', pageCount: 2 });
+
+    const response = await server.callTool('create_parent_spread', { baseName: 'Chapter', basedOn: 'A' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { baseName: 'Chapter', basedOn: 'A' });
+    assert.equal(response.content[0].text, 'Create Parent Spread: Parent C-Chapter created with 2 pages, based on A-Parent');
+  });
+
+  it('duplicate_parent_spread', async () => {
+    const { server, backend } = createServer();
+    backend.respond('source.duplicate()', { source: 'A-Parent', name: 'D-Parent', prefix: 'D', itemCount: 6 });
+
+    const response = await server.callTool('duplicate_parent_spread', { parent: 'A', prefix: 'D' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { parent: 'A', prefix: 'D' });
+    assert.equal(response.content[0].text, 'Duplicate Parent Spread: A-Parent copied to D-Parent with 6 items');
+  });
+
+  it('delete_parent_spread', async () => {
+    const { server, backend } = createServer();
+    backend.respond('spread.remove()', { name: 'B-Cover', replacedWith: 'A-Parent', pages: ['1'] });
+
+    const response = await server.callTool('delete_parent_spread', { parent: 'B', replaceWith: 'A' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { parent: 'B', replaceWith: 'A' });
+    assert.equal(response.content[0].text, 'Delete Parent Spread: B-Cover deleted; 1 pages now use A-Parent');
+  });
+
+  it('add_parent_text_frame', async () => {
+    const { server, backend } = createServer();
+    backend.respond('requireParentSpread(doc, params.parent)', {
+      parent: 'A-Parent',
+      frames: [{ id: 1, side: 'left' }, { id: 2, side: 'right' }],
+    });
+
+    const response = await server.callTool('add_parent_text_frame', {
+      parent: 'A', content: '<page number>', x: 10, y: 280, width: 20, height: 8, paragraphStyle: 'Folios/Folio',
+    });
+
+    assert.ok(backend.lastScript.includes('style = findStyle(doc, "paragraph", params.paragraphStyle);'));
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.side, 'both');
+    assert.equal(params.mirror, true);
+    assert.equal(params.width, mm(20));
+    assert.equal(response.content[0].text, 'Add Parent Text Frame: 2 text frames added to A-Parent');
+  });
+
+  it('apply_parent turns the page range into number pairs', async () => {
+    const { server, backend } = createServer();
+    backend.respond('page.appliedMaster = spread', { parent: 'B-Cover', pages: ['1', '3', '4'] });
+
+    const response = await server.callTool('apply_parent', { parent: 'B', pageRange: '1, 3-4' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { parent: 'B', pages: [[1, 1], [3, 4]] });
+    assert.equal(response.content[0].text, 'Apply Parent: B-Cover applied to pages 1, 3, 4');
+  });
+
+  it('apply_parent needs pages', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('apply_parent', { parent: 'B' }), { code: ErrorCode.InvalidParams });
+    await assert.rejects(server.callTool('apply_parent', { parent: 'B', pageRange: '1-x' }), { code: ErrorCode.InvalidParams });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('override_parent_items', async () => {
+    const { server, backend } = createServer();
+    backend.respond('.override(page)', {
+      pageIndex: 2, pageName: '3', items: [{ parentItemId: 40, id: 90, type: 'TextFrame', label: 'folio' }],
+    });
+
+    const response = await server.callTool('override_parent_items', { pageIndex: 2, labels: ['folio'] });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 2, labels: ['folio'] });
+    assert.equal(response.content[0].text, 'Override Parent Items: 1 parent items overridden on page 3');
+  });
+});
@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, scriptParams, tempDirectory } from './helpers/fake-backend.js';
+
+describe('export', () => {
+  it('export_pdf', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.exportFile(ExportFormat.PDF_TYPE', { filePath: '/out/report.pdf', preset: '[Press Quality]', pageRange: '1-2' });
+
+    const response = await server.callTool('export_pdf', { filePath: '/out/report.pdf', preset: 'Press Quality', pageRange: '1-2' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      filePath: '/out/report.pdf', preset: 'Press Quality', pageRange: '1-2', includeBleed: false, includeSlug: false, jpegQuality: 'High',
+    });
+    assert.equal(backend.timeouts[0], 300000);
+    assert.equal(response.content[0].text, 'Export PDF: PDF exported successfully to: /out/report.pdf');
+  });
+
+  it('export_images', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.exportFile(exportFormat, exportFile);', {
+      folderPath: '/out/pages', format: 'JPEG', resolution: 150, files: [{ pageIndex: 0 }, { pageIndex: 1 }],
+    });
+
+    const response = await server.callTool('export_images', { folderPath: '/out/pages', format: 'JPEG', resolution: 150, pageRange: '1-2' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      folderPath: '/out/pages', format: 'JPEG', resolution: 150, pageRange: '1-2', includeBleed: false,
+    });
+    assert.equal(response.content[0].text, 'Export Images: Exported 2 pages as JPEG files to: /out/pages');
+  });
+
+  it('export_epub', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.exportFile(ExportFormat.EPUB, epubFile);', { filePath: '/out/book.epub', version: 'EPUB2' });
+
+    const response = await server.callTool('export_epub', { filePath: '/out/book.epub', version: 'EPUB2', includeImages: false });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      filePath: '/out/book.epub', version: 'EPUB2', includeImages: false, imageFormat: 'PNG',
+    });
+    assert.equal(response.content[0].text, 'Export EPUB: EPUB exported successfully to: /out/book.epub');
+  });
+
+  it('package_document', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.packageForPrint(packageFolder', { folderPath: '/out/package' });
+
+    const response = await server.callTool('package_document', { folderPath: '/out/package', includeFonts: false });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      folderPath: '/out/package', includeLinkedFiles: true, includeFonts: false, createReport: true,
+    });
+    assert.equal(response.content[0].text, 'Package Document: Document packaged successfully to: /out/package');
+  });
+
+  it('data_merge', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.dataMergeProperties.dataMergeSource = dataSource;', {
+      dataSourcePath: '/data/people.csv', outputFolder: '/out/merged', recordRange: '1-10',
+    });
+
+    const response = await server.callTool('data_merge', { dataSourcePath: '/data/people.csv', outputFolder: '/out/merged', recordRange: '1-10' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      dataSourcePath: '/data/people.csv', outputFolder: '/out/merged', fileFormat: 'PDF', recordRange: '1-10',
+    });
+    assert.equal(response.content[0].text, 'Data Merge: Data merge completed. Files saved to: /out/merged');
+  });
+});
+
+describe('preflight', () => {
+  it('preflight_document limits the report to a page range', async () => {
+    const { server, backend } = createServer();
+    backend.respond('app.preflightProcesses.add(doc, preflightProfile)', {
+      profile: 'Print', scope: 'pages', issueCount: 3, counts: { error: 1, warning: 2, info: 0 }, truncated: false, issues: [],
+    });
+
+    const response = await server.callTool('preflight_document', { profile: 'Print', scope: 'pages', pageRange: '1-2, 5' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      profile: 'Print', scope: 'pages', maxIssues: 500, waitSeconds: 115, pages: [[1, 2], [5, 5]],
+    });
+    assert.equal(response.content[0].text,
+      "Preflight Document: Preflight check completed with profile 'Print'. Found 3 issues (1 errors, 2 warnings, 0 info) in pages");
+    await assert.rejects(server.callTool('preflight_document', { scope: 'pages' }), { code: ErrorCode.InvalidParams });
+  });
+
+  it('preflight_document defines profiles given as JSON files', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const profileFile = path.join(directory, 'print.json');
+    const definition = { name: 'Print', rules: { ADBE_ImageResolution: { flag: 'error', data: { minResolution: 300 } } } };
+    fs.writeFileSync(profileFile, JSON.stringify(definition));
+    backend.respond('app.preflightProcesses.add(doc, preflightProfile)', {
+      profile: 'Print', scope: 'document', issueCount: 0, counts: { error: 0, warning: 0, info: 0 }, truncated: false, issues: [],
+    });
+
+    await server.callTool('preflight_document', { profileFile });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.profile, 'Print');
+    assert.deepEqual(params.profileDefinition, definition);
+    assert.equal(params.profileFile, undefined);
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('create_preflight_profile', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var profile = definePreflightProfile(params.definition);', {
+      name: 'Print', rules: [{ id: 'ADBE_ImageResolution', flag: 'RETURN_AS_ERROR' }],
+    });
+
+    const definition = { name: 'Print', rules: { ADBE_ImageResolution: { flag: 'error' } } };
+    const response = await server.callTool('create_preflight_profile', { definition });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { definition });
+    assert.equal(response.content[0].text, "Create Preflight Profile: Preflight profile 'Print' created with 1 rules");
+    await assert.rejects(server.callTool('create_preflight_profile', {}), { code: ErrorCode.InvalidParams });
+  });
+});
+
+describe('utilities', () => {
+  it('execute_indesign_code passes the code as data', async () => {
+    const { server, backend } = createServer();
+    backend.respond('return eval(params.code);', 3);
+
+    const response = await server.callTool('execute_indesign_code', { code: 'app.documents.length' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { code: 'app.documents.length' });
+    assert.ok(!backend.lastScript.includes('return eval(app.documents.length)'));
+    assert.equal(response.content[0].text, 'Execute Custom Code: 3');
+  });
+
+  it('view_document', async () => {
+    const { server, backend } = createServer();
+    backend.respond('zoomPercentage: Math.round(layoutWindow.zoomPercentage)', {
+      document: 'Report.indd', pageCount: 4, activePage: { index: 1, name: '2' }, zoomPercentage: 75,
+      viewDisplaySetting: 'TYPICAL', pageContents: { textFrames: 2, rectangles: 1, ovals: 0, groups: 0, total: 3 },
+    });
+
+    const response = await server.callTool('view_document');
+
+    assert.equal(response.content[0].text, 'Document View: Report.indd, page 2 of 4 at 75% (3 objects on page)');
+  });
+
+  it('zoom_to_page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('layoutWindow.zoom(ZoomOptions.FIT_SPREAD)', { fitOption: 'FIT_SPREAD', pageIndex: 2, zoomPercentage: 48 });
+
+    const response = await server.callTool('zoom_to_page', { pageIndex: 2, fitOption: 'FIT_SPREAD' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 2, fitOption: 'FIT_SPREAD' });
+    assert.equal(response.content[0].text, 'Zoom to Page: Zoom applied: FIT_SPREAD on page 3 (48%)');
+  });
+
+  it('render_page_preview returns the image and reuses it while the page is unchanged', async () => {
+    const { server, backend } = createServer();
+    const image = Buffer.from('fake png data');
+    backend.respond('var fingerprint = String(hashString(parts.join("|")));', (script) => {
+      const params = scriptParams(script);
+      const target = { type: 'Page', id: 5, pageIndex: 0, pageName: '1' };
+      if (params.fingerprint === '42') {
+        return { cached: true, fingerprint: '42', target };
+      }
+      fs.writeFileSync(params.filePath, image);
+      return { cached: false, fingerprint: '42', target };
+    });
+
+    const first = await server.callTool('render_page_preview', { pageIndex: 0 });
+    const firstFile = scriptParams(backend.lastScript).filePath;
+    const second = await server.callTool('render_page_preview', { pageIndex: 0 });
+
+    assert.equal(first.content[0].text, 'Page Preview: Page 5 on page 1, PNG at 72 dpi');
+    assert.deepEqual(first.content[1], { type: 'image', data: image.toString('base64'), mimeType: 'image/png' });
+    assert.equal(first.structuredContent.bytes, image.length);
+    assert.equal(fs.existsSync(firstFile), false);
+    assert.equal(scriptParams(backend.lastScript).fingerprint, '42');
+    assert.equal(second.content[0].text, 'Page Preview: Page 5 on page 1, PNG at 72 dpi (unchanged, cached)');
+    assert.equal(second.content[1].data, image.toString('base64'));
+  });
+
+  it('get_server_config only asks InDesign when told to', async () => {
+    const { server, backend } = createServer({
+      config: { application: 'Adobe InDesign 2025', applicationSource: 'fallback', configFile: null },
+    });
+    backend.respond('version: app.version', { name: 'Adobe InDesign', version: '20.0', build: null });
+
+    const config = await server.callTool('get_server_config');
+    assert.equal(backend.scripts.length, 0);
+    assert.equal(config.content[0].text, 'Server Config: Adobe InDesign 2025 (fallback), units mm, config file: none');
+
+    const checked = await server.callTool('get_server_config', { checkApplication: true });
+    assert.equal(checked.content[0].text,
+      'Server Config: Adobe InDesign 2025 (fallback), units mm, config file: none, running version 20.0');
+  });
+});
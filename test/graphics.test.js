@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createServer, mm, scriptParams } from './helpers/fake-backend.js';
+
+describe('graphics', () => {
+  it('place_image', async () => {
+    const { server, backend } = createServer();
+    backend.respond('rect.place(imageFile)', {
+      id: 60, label: 'hero', fileName: 'hero.jpg', pageIndex: 0, bounds: [0, 0, 144, 216], fitOption: 'FILL_PROPORTIONALLY',
+    });
+
+    const response = await server.callTool('place_image', {
+      imagePath: '/work/images/hero.jpg', x: 0, y: 0, width: 3, height: 2, fitOption: 'FILL_PROPORTIONALLY', label: 'hero', units: 'in',
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      imagePath: '/work/images/hero.jpg',
+      x: 0,
+      y: 0,
+      width: 216,
+      height: 144,
+      pageIndex: 0,
+      fitOption: 'FILL_PROPORTIONALLY',
+      createFrame: true,
+      label: 'hero',
+      defaultSize: mm(50),
+    });
+    assert.equal(response.content[0].text, 'Place Image: Image placed: hero.jpg on page 1');
+    assert.deepEqual(response.structuredContent.bounds, [0, 0, 2, 3]);
+  });
+
+  it('create_rectangle', async () => {
+    const { server, backend } = createServer();
+    backend.respond('page.rectangles.add()', {
+      id: 61, pageIndex: 2, bounds: [0, 0, mm(30), mm(40)], fillColor: 'R=51 G=102 B=153', strokeColor: 'None', strokeWeight: 0,
+    });
+
+    const response = await server.callTool('create_rectangle', {
+      x: 0, y: 0, width: 40, height: 30, pageIndex: 2, fillColor: '#336699', cornerRadius: 2,
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.fillColor, '#336699');
+    assert.equal(params.cornerRadius, mm(2));
+    assert.equal(params.strokeWidth, 1);
+    assert.equal(response.content[0].text, 'Create Rectangle: Rectangle 61 created on page 3 (40 x 30 mm)');
+  });
+
+  it('create_ellipse', async () => {
+    const { server, backend } = createServer();
+    backend.respond('page.ovals.add()', { id: 62, pageIndex: 0, bounds: [0, 0, 72, 72] });
+
+    const response = await server.callTool('create_ellipse', {
+      x: 0, y: 0, width: 1, height: 1, strokeColor: 'Black', strokeWidth: 0.5, units: 'in',
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.deepEqual([params.width, params.height, params.strokeWidth], [72, 72, 0.5]);
+    assert.equal(params.strokeColor, 'Black');
+    assert.equal(response.content[0].text, 'Create Ellipse: Ellipse 62 created on page 1 (1 x 1 in)');
+  });
+});
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { randomUUID } from 'crypto';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { InDesignMCPServer } from '../../index.js';
+
+// In-process stand-in for InDesign, used to exercise the tool handlers off a Mac.
+// Every script is recorded; responses are replayed from rules registered with
+// respond(), matched in registration order against the generated ExtendScript.
+// A string response is returned verbatim, any other value as a handler result.
+export class FakeBackend {
+  constructor(options = {}) {
+    this.defaultResponse = options.defaultResponse ?? JSON.stringify({ ok: true, result: null });
+    this.rules = [];
+    this.scripts = [];
+    this.timeouts = [];
+  }
+
+  respond(matcher, response, { once = false } = {}) {
+    this.rules.push({ matcher, response, once });
+    return this;
+  }
+
+  respondOnce(matcher, response) {
+    return this.respond(matcher, response, { once: true });
+  }
+
+  get lastScript() {
+    return this.scripts[this.scripts.length - 1];
+  }
+
+  reset() {
+    this.rules = [];
+    this.scripts = [];
+    this.timeouts = [];
+  }
+
+  matches(matcher, script) {
+    if (typeof matcher === 'string') return script.includes(matcher);
+    if (matcher instanceof RegExp) return matcher.test(script);
+    if (typeof matcher === 'function') return Boolean(matcher(script));
+    return false;
+  }
+
+  async runScript(script, options = {}) {
+    this.scripts.push(script);
+    this.timeouts.push(options.timeout);
+
+    const index = this.rules.findIndex((rule) => this.matches(rule.matcher, script));
+    if (index === -1) {
+      return this.defaultResponse;
+    }
+
+    const rule = this.rules[index];
+    if (rule.once) {
+      this.rules.splice(index, 1);
+    }
+    if (rule.response instanceof Error) {
+      throw rule.response;
+    }
+
+    const response = typeof rule.response === 'function' ? rule.response(script) : rule.response;
+    // Anything that isn't already raw script output stands for a successful handler result
+    return typeof response === 'string' ? response : JSON.stringify({ ok: true, result: response });
+  }
+}
+
+// The params object a handler passed to its script, as the script will see it
+export function scriptParams(script) {
+  const match = /^\s*var params = (.*);$/m.exec(script);
+  if (!match) {
+    throw new Error('No params in script');
+  }
+  return JSON.parse(match[1]);
+}
+
+// A respond() response that runs the script for real against a hand-made stand-in
+// for InDesign's object model, for tests of what the ExtendScript itself does
+export function runScriptAgainst(app) {
+  return (script) => vm.runInNewContext(script, {
+    app, ScriptLanguage: {}, UndoModes: {}, MeasurementUnits: {}, SaveOptions: {},
+  });
+}
+
+// An InDesign stand-in with one open document, whose doScript just runs the script
+export function fakeApp(document) {
+  const doc = { id: 1, name: 'Report.indd', saved: false, isValid: true, undoName: '', undoHistory: [], ...document };
+  return { documents: [doc], activeDocument: doc, scriptPreferences: {}, doScript: (body) => body() };
+}
+
+// A server on a fake backend, with a config that doesn't depend on the machine
+// the tests run on; saved find/change queries go to a fresh temp file.
+export function createServer({ config = {}, ...options } = {}) {
+  const backend = options.backend || new FakeBackend();
+  const server = new InDesignMCPServer({ ...options, backend });
+  server.config = {
+    ...server.config,
+    units: 'mm',
+    workspaceRoot: null,
+    promptsDirectory: null,
+    queriesFile: path.join(os.tmpdir(), `indesign-mcp-test-queries-${randomUUID()}.json`),
+    ...config,
+  };
+  return { server, backend };
+}
+
+// Millimeters in points, as the server converts them
+export function mm(value) {
+  return value * (72 / 25.4);
+}
+
+// A fresh temp directory for files a test reads or writes
+export async function tempDirectory() {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), 'indesign-mcp-test-'));
+}
+
+// An MCP client talking to the server in-process, for what goes through the protocol
+export async function connectClient(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'indesign-mcp-test', version: '1.0.0' }, { capabilities: {} });
+  await Promise.all([client.connect(clientTransport), server.server.connect(serverTransport)]);
+  return client;
+}
@@ -0,0 +1,197 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, mm, runScriptAgainst, scriptParams } from './helpers/fake-backend.js';
+
+const REPORT = { documentId: 1, documentName: 'Report.indd' };
+
+// Raw script output of a tool call that left its undo step on top of Report.indd
+function undoable(undoName, result) {
+  return JSON.stringify({ ok: true, result, undo: { undoName, ...REPORT } });
+}
+
+// Just enough of InDesign to run set_active_layer scripts for real: doScript adds a
+// named undo step to each document the script changed, as InDesign does
+function fakeInDesign(names) {
+  const documents = names.map((name, index) => ({
+    id: index + 1,
+    name,
+    saved: false,
+    isValid: true,
+    undoName: '',
+    undoHistory: [],
+    undone: [],
+    activeLayerName: 'Layer 1',
+    changed: false,
+    layers: {
+      itemByName: (layerName) => ({ isValid: ['Layer 1', 'Notes'].includes(layerName), id: 10, name: layerName }),
+    },
+    set activeLayer(layer) {
+      this.changed = this.changed || layer.name !== this.activeLayerName;
+      this.activeLayerName = layer.name;
+    },
+    undo() {
+      this.undone.push(this.undoHistory.pop());
+      this.undoName = this.undoHistory[this.undoHistory.length - 1] || '';
+    },
+  }));
+  const app = {
+    documents,
+    activeDocument: documents[0],
+    scriptPreferences: {},
+    doScript(body, language, args, mode, undoName) {
+      body();
+      for (const doc of documents.filter((candidate) => candidate.changed)) {
+        doc.undoHistory.push(undoName);
+        doc.undoName = undoName;
+        doc.changed = false;
+      }
+    },
+  };
+  return { documents, run: runScriptAgainst(app) };
+}
+
+describe('history', () => {
+  it('undo_last_operation and redo_last_operation step through recorded calls', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var layer = doc.layers.add();', undoable('MCP: Create Layer', { name: 'Notes' }));
+    backend.respond('doc.undo();', { ...REPORT, undoName: '', redoName: 'MCP: Create Layer' });
+    backend.respond('doc.redo();', { ...REPORT, undoName: 'MCP: Create Layer', redoName: '' });
+
+    await server.callTool('create_layer', { name: 'Notes' });
+    const undone = await server.callTool('undo_last_operation');
+    const params = scriptParams(backend.lastScript);
+    const history = await server.callTool('get_operation_history');
+    const redone = await server.callTool('redo_last_operation');
+
+    assert.deepEqual(params, { documentId: 1, undoName: 'MCP: Create Layer' });
+    assert.equal(undone.content[0].text, 'Undo: Undid MCP: Create Layer in Report.indd');
+    assert.equal(history.content[0].text, 'Operation History: MCP: Create Layer (undone)');
+    assert.equal(redone.content[0].text, 'Redo: Redid MCP: Create Layer in Report.indd');
+    await assert.rejects(server.callTool('redo_last_operation'), { code: ErrorCode.InvalidRequest });
+  });
+
+  it('only records calls whose undo step InDesign reports', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var layer = doc.layers.add();', { name: 'Notes' });
+
+    await server.callTool('create_layer', { name: 'Notes' });
+
+    await assert.rejects(server.callTool('undo_last_operation'), { code: ErrorCode.InvalidRequest });
+  });
+
+  it('does not record a call that left an earlier call\'s step on top', async () => {
+    const { server, backend } = createServer();
+    const indesign = fakeInDesign(['Report.indd']);
+    backend.respond('doc.activeLayer = layer;', indesign.run);
+
+    await server.callTool('set_active_layer', { layerName: 'Notes' });
+    await server.callTool('set_active_layer', { layerName: 'Notes' });
+    const history = await server.callTool('get_operation_history');
+
+    assert.deepEqual(indesign.documents[0].undoHistory, ['MCP: Set Active Layer']);
+    assert.equal(history.structuredContent.operations.length, 1);
+  });
+
+  it('get_operation_history filters by document', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var layer = doc.layers.add();', undoable('MCP: Create Layer', { name: 'Notes' }));
+    backend.respond('layer.name = params.newName;', undoable('MCP: Rename Layer', { name: 'Comments' }));
+
+    await server.callTool('create_layer', { name: 'Notes' });
+    await server.callTool('rename_layer', { layerName: 'Notes', newName: 'Comments' });
+    const history = await server.callTool('get_operation_history', { document: 'Report.indd', limit: 1 });
+    const other = await server.callTool('get_operation_history', { document: 'Other.indd' });
+
+    assert.equal(history.content[0].text, 'Operation History: MCP: Rename Layer');
+    assert.deepEqual(history.structuredContent.operations[0].arguments, { layerName: 'Notes', newName: 'Comments' });
+    assert.equal(other.content[0].text, 'Operation History: No MCP operations recorded');
+  });
+});
+
+describe('batch operations', () => {
+  it('batch_operations runs the captured steps in one script', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var bodies = [', JSON.stringify({
+      ok: true,
+      result: {
+        results: [
+          { ok: true, result: { name: 'Notes' } },
+          { ok: true, result: { id: 61, pageIndex: 0, bounds: [0, 0, mm(20), mm(10)] } },
+        ],
+        rolledBack: false,
+        undo: [{ undoName: 'MCP: Batch Operations', ...REPORT }],
+      },
+      undo: null,
+    }));
+
+    const response = await server.callTool('batch_operations', {
+      atomic: true,
+      operations: [
+        { tool: 'create_layer', arguments: { name: 'Notes' } },
+        { tool: 'create_rectangle', arguments: { x: 0, y: 0, width: 10, height: 20 } },
+        { tool: 'get_server_config' },
+      ],
+    }).catch((error) => error);
+
+    assert.equal(response.code, ErrorCode.InvalidParams);
+    assert.match(response.message, /step 2 \(get_server_config\): Tool cannot be batched/);
+    assert.equal(backend.scripts.length, 0);
+
+    const batch = await server.callTool('batch_operations', {
+      document: 'Report.indd',
+      operations: [
+        { tool: 'create_layer', arguments: { name: 'Notes' } },
+        { tool: 'create_rectangle', arguments: { x: 0, y: 0, width: 10, height: 20 } },
+      ],
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.undoName, 'MCP: Batch Operations');
+    assert.equal(params.steps[0].name, 'Notes');
+    assert.equal(params.steps[0].document, 'Report.indd');
+    assert.equal(params.steps[1].width, mm(10));
+    assert.deepEqual(batch.structuredContent.steps[0], { index: 0, tool: 'create_layer', ok: true, result: { name: 'Notes' } });
+    assert.deepEqual(batch.structuredContent.steps[1].result.bounds, [0, 0, 20, 10]);
+    assert.equal(batch.content[0].text, 'Batch Operations: 2 of 2 steps succeeded');
+
+    const history = await server.callTool('get_operation_history');
+    assert.equal(history.content[0].text, 'Operation History: MCP: Batch Operations');
+  });
+
+  it('batch_operations only rolls back and records documents whose undo stack changed', async () => {
+    const { server, backend } = createServer();
+    const indesign = fakeInDesign(['Report.indd', 'Other.indd']);
+    const [report, other] = indesign.documents;
+    // Other.indd already ends with an earlier batch's step
+    other.undoHistory.push('MCP: Batch Operations');
+    other.undoName = 'MCP: Batch Operations';
+    backend.respond('var bodies = [', indesign.run);
+    const operations = [
+      { tool: 'set_active_layer', arguments: { document: 'Report.indd', layerName: 'Notes' } },
+      { tool: 'set_active_layer', arguments: { document: 'Other.indd', layerName: 'Layer 1' } },
+    ];
+
+    const rolledBack = await server.callTool('batch_operations', {
+      atomic: true,
+      operations: [...operations, { tool: 'set_active_layer', arguments: { document: 'Report.indd', layerName: 'Missing' } }],
+    });
+
+    assert.equal(rolledBack.structuredContent.rolledBack, true);
+    assert.deepEqual(report.undone, ['MCP: Batch Operations']);
+    assert.deepEqual(other.undone, []);
+    assert.deepEqual(other.undoHistory, ['MCP: Batch Operations']);
+
+    // The fake's undo() only pops the stack, so put the layer back by hand
+    report.activeLayerName = 'Layer 1';
+    await server.callTool('batch_operations', { operations });
+    const history = await server.callTool('get_operation_history');
+
+    assert.deepEqual(history.structuredContent.operations.map((entry) => entry.documentName), ['Report.indd']);
+  });
+
+  it('batch_operations needs operations', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('batch_operations', { operations: [] }), { code: ErrorCode.InvalidParams });
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, scriptParams } from './helpers/fake-backend.js';
+
+const LAYER = { id: 70, name: 'Notes', visible: true, locked: false, printable: false, layerColor: 'LIGHT_BLUE', itemCount: 2 };
+
+describe('layers', () => {
+  it('create_layer turns the color into a UIColors member', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var layer = doc.layers.add();', LAYER);
+
+    const response = await server.callTool('create_layer', { name: 'Notes', color: 'light blue', printable: false });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      name: 'Notes', color: 'LIGHT_BLUE', visible: true, locked: false, printable: false,
+    });
+    assert.equal(response.content[0].text, "Create Layer: Layer 'Notes' created successfully");
+    await assert.rejects(server.callTool('create_layer', { name: 'Notes', color: 'plaid' }), {
+      code: ErrorCode.InvalidParams, message: /Unknown layer color "plaid"/,
+    });
+  });
+
+  it('set_active_layer', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.activeLayer = layer;', { id: 70, name: 'Notes' });
+
+    const response = await server.callTool('set_active_layer', { layerName: 'Notes' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerName: 'Notes' });
+    assert.equal(response.content[0].text, 'Set Active Layer: Active layer set to: Notes');
+  });
+
+  it('list_layers', async () => {
+    const { server, backend } = createServer();
+    backend.respond('activeLayer: doc.activeLayer.name', { activeLayer: 'Layer 1', layers: [{ name: 'Notes' }, { name: 'Layer 1' }] });
+
+    const response = await server.callTool('list_layers');
+
+    assert.equal(response.content[0].text, 'List Layers: 2 layers (active: Layer 1): Notes, Layer 1');
+  });
+
+  it('set_layer_properties only sends what changes', async () => {
+    const { server, backend } = createServer();
+    backend.respond('if (params.locked !== undefined) layer.locked = params.locked;', { ...LAYER, locked: true, layerColor: 'RED' });
+
+    const response = await server.callTool('set_layer_properties', { layerName: 'Notes', locked: true, color: 'Red' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerName: 'Notes', locked: true, color: 'RED' });
+    assert.equal(response.content[0].text, "Set Layer Properties: Layer 'Notes': visible, locked, not printable, RED");
+  });
+
+  it('rename_layer', async () => {
+    const { server, backend } = createServer();
+    backend.respond('layer.name = params.newName;', { ...LAYER, name: 'Comments' });
+
+    const response = await server.callTool('rename_layer', { layerName: 'Notes', newName: 'Comments' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerName: 'Notes', newName: 'Comments' });
+    assert.equal(response.content[0].text, "Rename Layer: Layer 'Notes' renamed to 'Comments'");
+  });
+
+  it('move_layer', async () => {
+    const { server, backend } = createServer();
+    backend.respond('LocationOptions.BEFORE', { layer: LAYER, order: ['Notes', 'Layer 1'] });
+
+    const response = await server.callTool('move_layer', { layerName: 'Notes', position: 'above', relativeTo: 'Layer 1' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerName: 'Notes', position: 'above', relativeTo: 'Layer 1' });
+    assert.equal(response.content[0].text, "Move Layer: Layer 'Notes' moved; order from the top: Notes, Layer 1");
+    await assert.rejects(server.callTool('move_layer', { layerName: 'Notes', position: 'below' }), {
+      code: ErrorCode.InvalidParams, message: /relativeTo is required/,
+    });
+  });
+
+  it('duplicate_layer', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var copy = layer.duplicate();', { ...LAYER, id: 71, name: 'Notes copy' });
+
+    const response = await server.callTool('duplicate_layer', { layerName: 'Notes', newName: 'Notes copy' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerName: 'Notes', newName: 'Notes copy' });
+    assert.equal(response.content[0].text, "Duplicate Layer: Layer 'Notes' duplicated as 'Notes copy' with 2 items");
+  });
+
+  it('merge_layers', async () => {
+    const { server, backend } = createServer();
+    backend.respond('sources[s].remove();', {
+      layer: { ...LAYER, name: 'Layer 1' }, merged: [{ name: 'Notes', movedItems: 2 }, { name: 'Guides', movedItems: 0 }],
+    });
+
+    const response = await server.callTool('merge_layers', { layerNames: ['Notes', 'Guides'], targetLayer: 'Layer 1' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerNames: ['Notes', 'Guides'], targetLayer: 'Layer 1' });
+    assert.equal(response.content[0].text, "Merge Layers: 'Notes' (2 items), 'Guides' (0 items) merged into 'Layer 1'");
+    await assert.rejects(server.callTool('merge_layers', { layerNames: [], targetLayer: 'Layer 1' }), {
+      code: ErrorCode.InvalidParams,
+    });
+  });
+
+  it('delete_layer', async () => {
+    const { server, backend } = createServer();
+    backend.respond('layer.remove();', { deleted: 'Notes', movedItems: 2, deletedItems: 0, movedTo: 'Layer 1' });
+
+    const response = await server.callTool('delete_layer', { layerName: 'Notes', moveItemsTo: 'Layer 1' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { layerName: 'Notes', moveItemsTo: 'Layer 1', deleteItems: false });
+    assert.equal(response.content[0].text, "Delete Layer: Layer 'Notes' deleted, 2 items moved to 'Layer 1'");
+    await assert.rejects(server.callTool('delete_layer', { layerName: 'Notes', moveItemsTo: 'Layer 1', deleteItems: true }), {
+      code: ErrorCode.InvalidParams,
+    });
+  });
+});
+
+describe('layer items', () => {
+  it('move_items_to_layer', async () => {
+    const { server, backend } = createServer();
+    backend.respond('moveToLayer(items, layer);', {
+      layer: 'Notes', items: [{ id: 21, type: 'TextFrame', fromLayer: 'Layer 1' }, { id: 61, type: 'Rectangle', fromLayer: 'Layer 1' }],
+    });
+
+    const response = await server.callTool('move_items_to_layer', { itemIds: [21], labels: ['hero'], layerName: 'Notes' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { itemIds: [21], labels: ['hero'], layerName: 'Notes' });
+    assert.equal(response.content[0].text, "Move Items To Layer: 2 items moved to layer 'Notes'");
+  });
+
+  it('move_items_to_layer needs items', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('move_items_to_layer', { layerName: 'Notes' }), { code: ErrorCode.InvalidParams });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('list_layer_items', async () => {
+    const { server, backend } = createServer();
+    backend.respond('return { layers: inventory };', {
+      layers: [{ ...LAYER, items: [{ id: 21 }, { id: 61 }] }, { name: 'Layer 1', items: [] }],
+    });
+
+    const response = await server.callTool('list_layer_items', { pageIndex: 0 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 0 });
+    assert.equal(response.content[0].text, 'List Layer Items: Notes: 2 items, Layer 1: 0 items');
+  });
+});
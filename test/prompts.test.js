@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { connectClient, createServer, tempDirectory } from './helpers/fake-backend.js';
+
+describe('prompts', () => {
+  it('lists the built-in workflows with their arguments', async () => {
+    const { server } = createServer();
+    const client = await connectClient(server);
+
+    const { prompts } = await client.listPrompts();
+
+    assert.deepEqual(prompts.map((prompt) => prompt.name), ['setup_brochure', 'create_brand_swatches', 'press_ready_export']);
+    const brandColors = prompts[0].arguments.find((argument) => argument.name === 'brandColors');
+    assert.equal(brandColors.required, true);
+  });
+
+  it('fills in arguments and their defaults', async () => {
+    const { server } = createServer();
+    const client = await connectClient(server);
+
+    const { messages } = await client.getPrompt({ name: 'press_ready_export', arguments: { outputFolder: '/out/press' } });
+
+    assert.equal(messages[0].role, 'user');
+    assert.match(messages[0].content.text, /\/out\/press/);
+    assert.match(messages[0].content.text, /\[Basic\]/);
+    assert.doesNotMatch(messages[0].content.text, /\{\{/);
+  });
+
+  it('rejects unknown prompts and missing required arguments', async () => {
+    const { server } = createServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.getPrompt({ name: 'no_such_prompt' }), { code: ErrorCode.InvalidParams });
+    await assert.rejects(client.getPrompt({ name: 'press_ready_export', arguments: {} }), {
+      code: ErrorCode.InvalidParams,
+      message: /outputFolder/,
+    });
+  });
+
+  it('reads prompts from the prompts directory, which override built-ins by name', async () => {
+    const directory = await tempDirectory();
+    fs.writeFileSync(path.join(directory, 'catalog.json'), JSON.stringify([
+      {
+        name: 'catalog_page',
+        arguments: [{ name: 'product', required: true }, { name: 'pageIndex', default: '0' }],
+        template: ['On page index {{pageIndex}},', 'lay out {{product}}.'],
+      },
+      { name: 'press_ready_export', template: 'Export for {{printer}}' },
+    ]));
+    const { server } = createServer({ config: { promptsDirectory: directory } });
+    const client = await connectClient(server);
+
+    const { prompts } = await client.listPrompts();
+    const { messages } = await client.getPrompt({ name: 'catalog_page', arguments: { product: 'Lamp' } });
+    const replaced = await client.getPrompt({ name: 'press_ready_export' });
+
+    assert.deepEqual(prompts.map((prompt) => prompt.name), ['setup_brochure', 'create_brand_swatches', 'press_ready_export', 'catalog_page']);
+    assert.equal(messages[0].content.text, 'On page index 0,\nlay out Lamp.');
+    assert.equal(replaced.messages[0].content.text, 'Export for {{printer}}');
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('skips prompt files it cannot read and says so on stderr', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const directory = await tempDirectory();
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{ "name": ');
+    fs.writeFileSync(path.join(directory, 'nameless.json'), JSON.stringify({ template: 'Do it' }));
+    fs.writeFileSync(path.join(directory, 'proof.json'), JSON.stringify({ name: 'proof', template: 'Export a proof' }));
+    const { server } = createServer({ config: { promptsDirectory: directory } });
+    const client = await connectClient(server);
+
+    const { prompts } = await client.listPrompts();
+
+    assert.equal(prompts[prompts.length - 1].name, 'proof');
+    assert.equal(prompts.length, 4);
+    const messages = logged.mock.calls.map((call) => call.arguments[0]);
+    assert.equal(messages.length, 2);
+    assert.match(messages[0], /^Skipping invalid prompt file .*broken\.json: /);
+    assert.match(messages[1], /^Skipping invalid prompt file .*nameless\.json: every prompt needs a name and a template$/);
+    fs.rmSync(directory, { recursive: true });
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCode, ResourceListChangedNotificationSchema, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { connectClient, createServer, scriptParams } from './helpers/fake-backend.js';
+
+const DOCUMENTS = { documents: [{ id: 7, name: 'Report.indd', pageCount: 2, active: true }] };
+
+describe('resources', () => {
+  it('lists the open documents with their pages', async () => {
+    const { server, backend } = createServer();
+    backend.respond('describeDocument(app.documents[i])', DOCUMENTS);
+    const client = await connectClient(server);
+
+    const { resources } = await client.listResources();
+
+    assert.deepEqual(resources.map((resource) => resource.uri), [
+      'indesign://documents',
+      'indesign://document/7',
+      'indesign://document/7/styles',
+      'indesign://document/7/swatches',
+      'indesign://document/7/layers',
+      'indesign://document/7/pages/0',
+      'indesign://document/7/pages/1',
+    ]);
+    assert.ok(resources.every((resource) => resource.mimeType === 'application/json'));
+  });
+
+  it('reads a page as its items', async () => {
+    const { server, backend } = createServer();
+    backend.respond('describePageItem(items[i])', { pageIndex: 1, items: [{ id: 10, type: 'TextFrame' }] });
+    const client = await connectClient(server);
+
+    const { contents } = await client.readResource({ uri: 'indesign://document/7/pages/1' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { document: '7', pageIndex: 1 });
+    assert.equal(contents[0].mimeType, 'application/json');
+    assert.deepEqual(JSON.parse(contents[0].text), { pageIndex: 1, items: [{ id: 10, type: 'TextFrame' }] });
+  });
+
+  it('rejects unknown resources', async () => {
+    const { server, backend } = createServer();
+    const client = await connectClient(server);
+
+    await assert.rejects(client.readResource({ uri: 'indesign://document/7/pages/first' }), { code: ErrorCode.InvalidParams });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('notifies subscribers after tools that modify documents', async () => {
+    const { server } = createServer();
+    const client = await connectClient(server);
+    const updated = [];
+    let listChanged = 0;
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => updated.push(notification.params.uri));
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => listChanged++);
+    await client.subscribeResource({ uri: 'indesign://document/7/layers' });
+
+    await client.callTool({ name: 'list_layers', arguments: {} });
+    await client.callTool({ name: 'create_layer', arguments: { name: 'Notes' } });
+    await client.callTool({ name: 'add_page', arguments: {} });
+    await client.unsubscribeResource({ uri: 'indesign://document/7/layers' });
+    await client.callTool({ name: 'create_layer', arguments: { name: 'More notes' } });
+
+    assert.deepEqual(updated, ['indesign://document/7/layers', 'indesign://document/7/layers']);
+    assert.equal(listChanged, 1);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import vm from 'vm';
+import { describe, it } from 'node:test';
+import { toScriptLiteral } from '../index.js';
+import { createServer } from './helpers/fake-backend.js';
+
+// Strings that would change the script, or their own value, if pasted into source as is
+const HOSTILE = {
+  quotes: `"double" 'single' \`backtick\``,
+  backslashes: 'C:\\Users\\me\\new\\table.csv \\u0041 \\',
+  closingTag: '</script><script>app.quit()</script>',
+  breakout: '"); app.quit(); ("',
+  singleBreakout: "'); app.quit(); ('",
+  comment: '*/ app.quit(); /*',
+  lineSeparators: 'one\u2028two\u2029three',
+  newlines: 'line 1\nline 2\r\nline 3\rline 4',
+  controls: '\u0000\u0007\b\t\v\f\u001b\u007f',
+  nonAscii: 'Café · Größe · 日本語 · עברית · \u00a0\u00ad\ufeff\uffff',
+  astral: 'emoji 😀 👩‍💻 🇩🇪, math 𝔸, CJK 𠀀',
+  loneSurrogates: 'high \ud83d alone, low \ude00 alone',
+};
+
+// The value a literal stands for, as a script engine reads it
+function evaluate(literal) {
+  return vm.runInThisContext(`(${literal})`);
+}
+
+describe('toScriptLiteral', () => {
+  for (const [name, value] of Object.entries(HOSTILE)) {
+    it(`keeps ${name} byte for byte`, () => {
+      const literal = toScriptLiteral(value);
+
+      assert.equal(evaluate(literal), value);
+      assert.match(literal, /^[\x20-\x7e]*$/);
+    });
+  }
+
+  it('keeps nested values', () => {
+    const value = { ...HOSTILE, list: Object.values(HOSTILE), nested: { [HOSTILE.breakout]: HOSTILE.astral } };
+
+    assert.deepEqual(evaluate(toScriptLiteral(value)), value);
+  });
+});
+
+describe('script wrapper', () => {
+  it('passes hostile arguments to the script unchanged and never as code', async () => {
+    const { server, backend } = createServer();
+    const code = Object.values(HOSTILE).join('|');
+
+    await server.callTool('execute_indesign_code', { code, document: HOSTILE.breakout });
+
+    const script = backend.lastScript;
+    const line = /^\s*var params = (.*);$/m.exec(script);
+    assert.deepEqual(evaluate(line[1]), { code, document: HOSTILE.breakout });
+    assert.match(line[1], /^[\x20-\x7e]*$/);
+    assert.equal(script.split('\n').filter((text) => text.includes('app.quit()')).length, 1);
+  });
+
+  it('keeps hostile text in handler arguments', async () => {
+    const { server, backend } = createServer();
+    const content = `${HOSTILE.breakout}\n${HOSTILE.closingTag}\n${HOSTILE.lineSeparators}\n${HOSTILE.astral}`;
+
+    await server.callTool('create_text_frame', { content, label: HOSTILE.quotes });
+
+    const line = /^\s*var params = (.*);$/m.exec(backend.lastScript);
+    const params = evaluate(line[1]);
+    assert.equal(params.content, content);
+    assert.equal(params.label, HOSTILE.quotes);
+  });
+});
@@ -0,0 +1,242 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { AppleScriptBackend, loadConfig } from '../index.js';
+import { FakeBackend, connectClient, createServer, scriptParams } from './helpers/fake-backend.js';
+
+const testDirectory = path.dirname(fileURLToPath(import.meta.url));
+
+describe('tool list', () => {
+  it('dispatches every listed tool to a handler', async () => {
+    const { server } = createServer();
+    const client = await connectClient(server);
+    const { tools } = await client.listTools();
+
+    assert.ok(tools.length > 0);
+    for (const tool of tools) {
+      // Most handlers reject empty arguments; what matters is that none is unknown
+      await server.callTool(tool.name, {}).catch((error) => {
+        assert.notEqual(error.code, ErrorCode.MethodNotFound, `${tool.name} has no handler`);
+      });
+    }
+  });
+
+  it('has handler tests for every tool', async () => {
+    const { server } = createServer();
+    const client = await connectClient(server);
+    const { tools } = await client.listTools();
+
+    const sources = fs.readdirSync(testDirectory)
+      .filter((file) => file.endsWith('.test.js') && file !== 'server.test.js')
+      .map((file) => fs.readFileSync(path.join(testDirectory, file), 'utf8'))
+      .join('\n');
+    const untested = tools.map((tool) => tool.name).filter((name) => !sources.includes(`callTool('${name}'`));
+    assert.deepEqual(untested, []);
+  });
+
+  it('rejects unknown tools', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('no_such_tool'), { code: ErrorCode.MethodNotFound });
+  });
+});
+
+describe('script execution', () => {
+  it('wraps the tool script so it returns a result envelope', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.layers.add()', { id: 110, name: 'Notes', visible: true, locked: false, layerColor: 'LIGHT_BLUE' });
+
+    const response = await server.callTool('create_layer', { name: 'Notes' });
+
+    assert.equal(backend.scripts.length, 1);
+    assert.match(backend.lastScript, /return toJSON\(\{ ok: false, error: error\.message, line: error\.line \|\| null \}\);/);
+    assert.equal(response.content[0].text, "Create Layer: Layer 'Notes' created successfully");
+    assert.deepEqual(JSON.parse(response.content[1].text), response.structuredContent);
+    assert.equal(response.structuredContent.layerColor, 'LIGHT_BLUE');
+  });
+
+  it('passes arguments as the params object and runs mutating tools as one undo step', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.layers.add()', { id: 1, name: 'Notes' });
+
+    await server.callTool('create_layer', { name: 'Notes', document: 'Brochure.indd' });
+
+    assert.equal(backend.scripts.length, 1);
+    assert.match(backend.lastScript, /var undoName = "MCP: Create Layer";/);
+    assert.match(backend.lastScript, /app\.doScript\(body, ScriptLanguage\.JAVASCRIPT/);
+    assert.ok(!backend.lastScript.includes('"Notes"', backend.lastScript.indexOf('var undoName')));
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      document: 'Brochure.indd', name: 'Notes', visible: true, locked: false, printable: true,
+    });
+  });
+
+  it('runs read-only tools without an undo step', async () => {
+    const { server, backend } = createServer();
+    backend.respond('activeLayer', { activeLayer: 'Layer 1', layers: [] });
+
+    await server.callTool('list_layers');
+
+    assert.match(backend.lastScript, /var undoName = null;/);
+  });
+
+  it('formats results that are not objects as plain text', async () => {
+    const { server, backend } = createServer();
+    backend.respond('return eval(', null);
+
+    const response = await server.callTool('execute_indesign_code', { code: 'undefined' });
+
+    assert.deepEqual(response.content, [{ type: 'text', text: 'Execute Custom Code: null' }]);
+    assert.equal(response.structuredContent, undefined);
+  });
+
+  it('gives each tool its timeout', async () => {
+    const { server, backend } = createServer({ timeouts: { export_pdf: 1234 } });
+    backend.respond('ExportFormat.PDF_TYPE', { filePath: '/tmp/out.pdf', preset: 'HighQualityPrint', pageRange: 'all' });
+
+    await server.callTool('list_layers');
+    await server.callTool('export_pdf', { filePath: '/tmp/out.pdf' });
+
+    assert.deepEqual(backend.timeouts, [30000, 1234]);
+  });
+
+  it('reports script errors with their line', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.layers.add()', JSON.stringify({ ok: false, error: 'Layer already exists: Notes', line: 12 }));
+
+    await assert.rejects(server.callTool('create_layer', { name: 'Notes' }), {
+      message: 'Layer already exists: Notes (Line: 12)',
+    });
+  });
+
+  it('rejects output that is not a result envelope', async () => {
+    const { server, backend } = createServer();
+    backend.respond('activeLayer', 'Error: InDesign is busy');
+
+    await assert.rejects(server.callTool('list_layers'), { message: /^Unexpected response from InDesign: Error: InDesign is busy/ });
+  });
+
+  it('passes backend failures on', async () => {
+    const { server, backend } = createServer();
+    backend.respond('activeLayer', new Error('AppleScript execution failed: timed out'));
+
+    await assert.rejects(server.callTool('list_layers'), { message: /timed out/ });
+  });
+
+  it('turns handler errors into MCP errors for clients', async () => {
+    const { server, backend } = createServer();
+    backend.respond('activeLayer', JSON.stringify({ ok: false, error: 'No document open', line: 3 }));
+    const client = await connectClient(server);
+
+    await assert.rejects(client.callTool({ name: 'list_layers', arguments: {} }), (error) => {
+      assert.equal(error.code, ErrorCode.InternalError);
+      assert.match(error.message, /Error executing tool list_layers: No document open \(Line: 3\)/);
+      return true;
+    });
+    await assert.rejects(client.callTool({ name: 'no_such_tool', arguments: {} }), { code: ErrorCode.MethodNotFound });
+  });
+
+  it('runs one script at a time', async () => {
+    let running = 0;
+    let overlapped = false;
+    const backend = {
+      async runScript() {
+        running++;
+        overlapped = overlapped || running > 1;
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        return JSON.stringify({ ok: true, result: { activeLayer: 'Layer 1', layers: [] } });
+      },
+    };
+    const { server } = createServer({ backend });
+
+    await Promise.all([server.callTool('list_layers'), server.callTool('list_layers'), server.callTool('list_layers')]);
+
+    assert.equal(overlapped, false);
+  });
+});
+
+describe('configuration', () => {
+  it('reads the concurrency and default timeout from the environment', () => {
+    const config = loadConfig({}, { INDESIGN_MCP_CONCURRENCY: '2', INDESIGN_MCP_TIMEOUT: '45000' });
+
+    assert.equal(config.concurrency, 2);
+    assert.equal(config.timeouts.default, 45000);
+  });
+
+  it('rejects a concurrency that is not a positive integer', () => {
+    for (const value of ['two', '0', '1.5']) {
+      assert.throws(() => loadConfig({}, { INDESIGN_MCP_CONCURRENCY: value }), {
+        message: `Invalid INDESIGN_MCP_CONCURRENCY "${value}". Expected a positive integer`,
+      });
+    }
+  });
+
+  it('rejects a default timeout that is not a positive integer', () => {
+    for (const value of ['30s', '-1']) {
+      assert.throws(() => loadConfig({}, { INDESIGN_MCP_TIMEOUT: value }), {
+        message: `Invalid INDESIGN_MCP_TIMEOUT "${value}". Expected a positive integer`,
+      });
+    }
+  });
+
+  it('drives the fallback application when none is given', () => {
+    assert.equal(new AppleScriptBackend().application, 'Adobe InDesign 2025');
+  });
+});
+
+describe('units', () => {
+  it('converts length arguments to points and geometry results back', async () => {
+    const { server, backend } = createServer();
+    backend.respond('page.rectangles.add()', { id: 7, pageIndex: 0, bounds: [72, 36, 144, 108] });
+
+    const response = await server.callTool('create_rectangle', { x: 1, y: 2, width: 3, height: 4, units: 'in' });
+
+    const params = scriptParams(backend.lastScript);
+    assert.deepEqual([params.x, params.y, params.width, params.height], [72, 144, 216, 288]);
+    assert.deepEqual(response.structuredContent, { id: 7, pageIndex: 0, bounds: [1, 0.5, 2, 1.5], units: 'in' });
+    assert.equal(response.content[0].text, 'Create Rectangle: Rectangle 7 created on page 1 (1 x 1 in)');
+  });
+
+  it('uses the configured units by default', async () => {
+    const { server, backend } = createServer({ config: { units: 'pt' } });
+    backend.respond('page.rectangles.add()', { id: 7, pageIndex: 0, bounds: [0, 0, 10, 20] });
+
+    const response = await server.callTool('create_rectangle', { x: 0, y: 0, width: 20, height: 10 });
+
+    assert.equal(scriptParams(backend.lastScript).width, 20);
+    assert.equal(response.structuredContent.units, 'pt');
+  });
+
+  it('rejects unknown units', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('create_rectangle', { x: 0, y: 0, width: 1, height: 1, units: 'furlong' }), {
+      code: ErrorCode.InvalidParams,
+    });
+  });
+});
+
+describe('FakeBackend', () => {
+  it('replays rules in order, once-only rules first match only', async () => {
+    const backend = new FakeBackend()
+      .respondOnce(/layers/, { first: true })
+      .respond((script) => script.includes('layers'), 'raw');
+
+    assert.equal(await backend.runScript('doc.layers'), JSON.stringify({ ok: true, result: { first: true } }));
+    assert.equal(await backend.runScript('doc.layers'), 'raw');
+    assert.equal(await backend.runScript('doc.pages'), JSON.stringify({ ok: true, result: null }));
+    assert.deepEqual(backend.scripts, ['doc.layers', 'doc.layers', 'doc.pages']);
+  });
+
+  it('forgets rules and scripts on reset', async () => {
+    const backend = new FakeBackend({ defaultResponse: 'nothing' }).respond('doc', 'something');
+    await backend.runScript('doc');
+
+    backend.reset();
+
+    assert.deepEqual(backend.scripts, []);
+    assert.deepEqual(backend.timeouts, []);
+    assert.equal(await backend.runScript('doc'), 'nothing');
+  });
+});
@@ -0,0 +1,262 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, fakeApp, mm, runScriptAgainst, scriptParams, tempDirectory } from './helpers/fake-backend.js';
+
+describe('paragraph and character styles', () => {
+  it('create_paragraph_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.paragraphStyles.add()', { id: 70, name: 'Intro', basedOn: 'Body', created: true });
+
+    const response = await server.callTool('create_paragraph_style', {
+      name: 'Intro', fontSize: 14, spaceAfter: 4, alignment: 'CENTER_ALIGN', baseStyle: 'Body',
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      name: 'Intro', fontSize: 14, spaceAfter: mm(4), alignment: 'CENTER_ALIGN', baseStyle: 'Body', ifExists: 'error',
+    });
+    assert.equal(response.content[0].text, "Create Paragraph Style: Paragraph style 'Intro' created (based on Body)");
+  });
+
+  it('create_character_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.characterStyles.add()', { id: 71, name: 'Emphasis', basedOn: '[None]', created: false });
+
+    const response = await server.callTool('create_character_style', {
+      name: 'Emphasis', fontFamily: 'Minion Pro', fontStyle: 'Italic', ifExists: 'update',
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      name: 'Emphasis', fontFamily: 'Minion Pro', fontStyle: 'Italic', ifExists: 'update',
+    });
+    assert.equal(response.content[0].text, "Create Character Style: Character style 'Emphasis' updated (based on [None])");
+  });
+
+  it('apply_paragraph_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('paragraphs.everyItem().appliedParagraphStyle = style', { styleName: 'Intro', frameId: 21, paragraphCount: 3 });
+
+    const response = await server.callTool('apply_paragraph_style', { styleName: 'Intro', itemId: 21 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleName: 'Intro', itemId: 21, pageIndex: 0 });
+    assert.equal(response.content[0].text, "Apply Paragraph Style: Paragraph style 'Intro' applied to 3 paragraphs of text frame 21");
+  });
+
+  it('apply_paragraph_style checks the frame index against the page', async () => {
+    const { server, backend } = createServer();
+    backend.respond('paragraphs.everyItem().appliedParagraphStyle = style;', runScriptAgainst(fakeApp({ pages: [{}, { textFrames: [{}, {}] }] })));
+
+    for (const frameIndex of [2, -1]) {
+      await assert.rejects(server.callTool('apply_paragraph_style', { styleName: 'Intro', frameIndex, pageIndex: 1 }), {
+        message: `Invalid text frame index: ${frameIndex}. Page has 2 text frames. (Line: unknown)`,
+      });
+    }
+  });
+
+  it('apply_character_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('text.applyCharacterStyle(style)', {
+      styleName: 'Emphasis', storyId: 30, startIndex: 5, endIndex: 9, characterCount: 5,
+    });
+
+    const response = await server.callTool('apply_character_style', { styleName: 'Emphasis', storyId: 30, startIndex: 5, endIndex: 9 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleName: 'Emphasis', storyId: 30, startIndex: 5, endIndex: 9 });
+    assert.equal(response.content[0].text, "Apply Character Style: Character style 'Emphasis' applied to 5 characters of story 30");
+  });
+});
+
+describe('styles of every type', () => {
+  it('list_styles', async () => {
+    const { server, backend } = createServer();
+    backend.respond('describeStyles(doc[STYLE_TYPES[type].all])', {
+      paragraphStyles: [{ id: 1, name: 'Body', group: null, basedOn: '[Basic Paragraph]' }],
+      characterStyles: [],
+    });
+
+    const response = await server.callTool('list_styles', { styleType: 'all' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleType: 'all' });
+    assert.equal(response.content[0].text, 'List Styles: 1 paragraph styles, 0 character styles');
+  });
+
+  it('get_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('properties[key] = plainValue(all[key])', {
+      styleType: 'paragraph', path: 'Headings/H1', basedOnChain: ['Heading', 'Body'], properties: { pointSize: 24 },
+    });
+
+    const response = await server.callTool('get_style', { name: 'Headings/H1' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleType: 'paragraph', name: 'Headings/H1' });
+    assert.equal(response.content[0].text, 'Get Style: Headings/H1 (paragraph), based on Heading < Body');
+  });
+
+  it('create_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('collection.add({ name: params.name })', { styleType: 'object', id: 72, name: 'Card', path: 'UI/Card' });
+
+    const response = await server.callTool('create_style', {
+      styleType: 'object', name: 'Card', group: 'UI', properties: { fillColor: 'Paper', strokeWeight: 0.5 },
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      styleType: 'object', name: 'Card', group: 'UI', properties: { fillColor: 'Paper', strokeWeight: 0.5 },
+    });
+    assert.equal(response.content[0].text, "Create Style: object style 'UI/Card' created");
+  });
+
+  it('update_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('style.move(LocationOptions.AT_END, target)', {
+      styleType: 'paragraph', id: 70, path: 'Body/Intro', updated: ['pointSize', 'grepStyles', 'group'],
+    });
+
+    const grepStyles = [{ grepExpression: '\\d+', appliedCharacterStyle: 'Numbers' }];
+    const response = await server.callTool('update_style', {
+      name: 'Intro', properties: { pointSize: 13 }, grepStyles, group: 'Body',
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      styleType: 'paragraph', name: 'Intro', properties: { pointSize: 13 }, grepStyles, group: 'Body',
+    });
+    assert.equal(response.content[0].text, "Update Style: paragraph style 'Body/Intro' updated (pointSize, grepStyles, group)");
+  });
+
+  it('update_style keeps nested and GREP styles to paragraph styles', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('update_style', { styleType: 'character', name: 'Emphasis', grepStyles: [] }), {
+      code: ErrorCode.InvalidParams,
+    });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('rename_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('style.name = params.newName', { styleType: 'cell', id: 73, oldPath: 'Head', path: 'Header' });
+
+    const response = await server.callTool('rename_style', { styleType: 'cell', name: 'Head', newName: 'Header' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleType: 'cell', name: 'Head', newName: 'Header' });
+    assert.equal(response.content[0].text, "Rename Style: 'Head' renamed to 'Header'");
+  });
+
+  it('delete_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('style.remove(replacement)', { styleType: 'paragraph', path: 'Old', replacedWith: 'Body' });
+
+    const response = await server.callTool('delete_style', { name: 'Old', replaceWith: 'Body' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleType: 'paragraph', name: 'Old', replaceWith: 'Body' });
+    assert.equal(response.content[0].text, "Delete Style: paragraph style 'Old' deleted, replaced by 'Body'");
+  });
+
+  it('create_style_group', async () => {
+    const { server, backend } = createServer();
+    backend.respond('moved.push(stylePath(style.move(LocationOptions.AT_END, group)))', {
+      styleType: 'character', group: 'Inline', id: 74, styles: ['Inline/Emphasis', 'Inline/Strong'],
+    });
+
+    const response = await server.callTool('create_style_group', { styleType: 'character', name: 'Inline', styles: ['Emphasis', 'Strong'] });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleType: 'character', name: 'Inline', styles: ['Emphasis', 'Strong'] });
+    assert.equal(response.content[0].text,
+      "Create Style Group: character style group 'Inline' ready, moved Inline/Emphasis, Inline/Strong");
+  });
+
+  it('apply_object_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('item.applyObjectStyle(style, params.clearOverrides)', { styleName: 'UI/Card', id: 61, type: 'Rectangle' });
+
+    const response = await server.callTool('apply_object_style', { styleName: 'UI/Card', label: 'card', clearOverrides: true });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { styleName: 'UI/Card', label: 'card', clearOverrides: true });
+    assert.equal(response.content[0].text, "Apply Object Style: Object style 'UI/Card' applied to Rectangle 61");
+  });
+
+  it('apply_table_style', async () => {
+    const { server, backend } = createServer();
+    backend.respond('cells.applyCellStyle(cellStyle, params.clearOverrides)', {
+      tableId: 80, tableStyle: 'Data', cellStyle: 'Header', cellCount: 4,
+    });
+
+    const response = await server.callTool('apply_table_style', {
+      itemId: 80, tableStyle: 'Data', cellStyle: 'Header', rows: [0, 0], columns: [0, 3],
+    });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      itemId: 80, tableStyle: 'Data', cellStyle: 'Header', rows: [0, 0], columns: [0, 3], clearOverrides: false,
+    });
+    // By "column:row" name, as merged cells shift positional indexes
+    assert.ok(backend.lastScript.includes('table.cells.itemByName(columns[1] + ":" + rows[1])'));
+    assert.ok(!backend.lastScript.includes('table.rows[rows[0]]'));
+    assert.equal(response.content[0].text,
+      "Apply Table Style: table style 'Data' and cell style 'Header' on 4 cells applied to table 80");
+  });
+
+  it('apply_table_style needs a style', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('apply_table_style', { itemId: 80 }), { code: ErrorCode.InvalidParams });
+  });
+});
+
+describe('design tokens', () => {
+  it('export_design_tokens writes the token file', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'tokens.json');
+    backend.respond('return { colors: colors, sections: sections };', {
+      colors: { Brand: { space: 'RGB', values: [51, 102, 153], model: 'process' } },
+      sections: { characterStyles: {}, paragraphStyles: { Body: { properties: { pointSize: 10 } } }, objectStyles: {} },
+    });
+
+    const response = await server.callTool('export_design_tokens', { filePath });
+
+    const params = scriptParams(backend.lastScript);
+    assert.deepEqual(params.sections, { characterStyles: 'character', paragraphStyles: 'paragraph', objectStyles: 'object' });
+    assert.ok(params.properties.paragraph.includes('pointSize'));
+    const tokens = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.equal(tokens.format, 'indesign-mcp-design-tokens');
+    assert.deepEqual(tokens.paragraphStyles, { Body: { properties: { pointSize: 10 } } });
+    assert.equal(response.content[0].text,
+      `Export Design Tokens: 1 colors, 0 characterStyles, 1 paragraphStyles, 0 objectStyles, written to ${filePath}`);
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('apply_design_tokens qualifies enumeration values', async () => {
+    const { server, backend } = createServer();
+    backend.respond('unchanged: unchanged', { dryRun: true, created: ['color Brand'], updated: ['paragraphStyle Body'], unchanged: 4 });
+
+    const response = await server.callTool('apply_design_tokens', {
+      dryRun: true,
+      tokens: {
+        format: 'indesign-mcp-design-tokens',
+        version: 1,
+        colors: { Brand: { space: 'RGB', values: [51, 102, 153] } },
+        paragraphStyles: { Body: { basedOn: '[Basic Paragraph]', properties: { justification: 'CENTER_ALIGN', pointSize: 10 } } },
+      },
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.dryRun, true);
+    assert.deepEqual(params.colors, { Brand: { space: 'RGB', values: [51, 102, 153] } });
+    assert.deepEqual(params.styles.paragraph, {
+      Body: { basedOn: '[Basic Paragraph]', properties: { justification: 'Justification.CENTER_ALIGN', pointSize: 10 } },
+    });
+    assert.equal(response.content[0].text, 'Apply Design Tokens: Would create 1, would update 1, unchanged 4');
+  });
+
+  it('apply_design_tokens rejects tokens it cannot apply', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('apply_design_tokens', { tokens: { version: 99 } }), { code: ErrorCode.InvalidParams });
+    await assert.rejects(server.callTool('apply_design_tokens', { tokens: { colors: { Bad: { space: 'RGB', values: [1] } } } }), {
+      code: ErrorCode.InvalidParams,
+    });
+    await assert.rejects(server.callTool('apply_design_tokens', {}), { code: ErrorCode.InvalidParams });
+    assert.equal(backend.scripts.length, 0);
+  });
+});
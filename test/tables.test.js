@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, fakeApp, mm, runScriptAgainst, scriptParams, tempDirectory } from './helpers/fake-backend.js';
+
+// A read_table result: a header row and a body row with a merged cell
+const TABLE = {
+  id: 80,
+  frameId: 81,
+  storyId: 82,
+  pageIndex: 0,
+  rowCount: 2,
+  columnCount: 3,
+  headerRows: 1,
+  footerRows: 0,
+  tableStyle: 'Data',
+  rows: [
+    { type: 'header', cells: [{ column: 0, text: 'Name' }, { column: 1, text: 'City, Country' }, { column: 2, text: 'Note' }] },
+    { type: 'body', cells: [{ column: 0, text: 'Ada' }, { column: 1, text: 'London\n"UK"', columnSpan: 2 }] },
+  ],
+};
+
+describe('tables', () => {
+  it('create_table', async () => {
+    const { server, backend } = createServer();
+    backend.respond('textFrame.tables.add()', {
+      id: 80, frameId: 81, pageIndex: 0, bounds: [0, 0, mm(50), mm(100)], rows: 4, columns: 3, headerRows: 1, footerRows: 0,
+    });
+
+    const response = await server.callTool('create_table', { x: 0, y: 0, width: 100, height: 50, rows: 4, columns: 3 });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      x: 0, y: 0, width: mm(100), height: mm(50), rows: 4, columns: 3, pageIndex: 0, headerRows: 1, footerRows: 0,
+    });
+    assert.equal(response.content[0].text, 'Create Table: Table created with 4 rows and 3 columns on page 1');
+    assert.deepEqual(response.structuredContent.bounds, [0, 0, 50, 100]);
+  });
+
+  it('populate_table', async () => {
+    const { server, backend } = createServer();
+    backend.respond('fillTable(table, bodyData, table.headerRowCount)', {
+      id: 80, rowCount: 3, cellCount: 6, covered: 1, addedRows: 1, addedColumns: 0,
+    });
+
+    const data = [['Name', 'City'], ['Ada', 'London'], ['Grace', 'New York']];
+    const response = await server.callTool('populate_table', { label: 'people', data });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { label: 'people', pageIndex: 0, data, includeHeaders: true });
+    assert.equal(response.content[0].text,
+      'Populate Table: Table populated with 3 rows of data (6 cells), 1 rows and 0 columns added, 1 values under merged cells skipped');
+  });
+
+  it('populate_table checks the table index against the page', async () => {
+    const { server, backend } = createServer();
+    const page = { textFrames: [{ tables: [{}] }, { tables: [] }] };
+    backend.respond('fillTable(table, bodyData, table.headerRowCount)', runScriptAgainst(fakeApp({ pages: [page] })));
+
+    for (const tableIndex of [1, -1]) {
+      await assert.rejects(server.callTool('populate_table', { tableIndex, data: [['Name']] }), {
+        message: `Table index ${tableIndex} not found. Page has 1 tables. (Line: unknown)`,
+      });
+    }
+  });
+});
+
+describe('table data', () => {
+  it('import_table_data parses CSV and pads short rows', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'people.csv');
+    fs.writeFileSync(filePath, '﻿Name;City;Note\r\nAda;"London; UK"\r\n"Grace ""Amazing""";New York;Navy\r\n');
+    backend.respond('table.columnCount = params.columns', {
+      id: 80, frameId: 81, created: true, bounds: [0, 0, 72, 72], rows: 3, columns: 3, headerRows: 1, footerRows: 0,
+      columnWidths: [72, 72, 36], cellCount: 9, covered: 0, overset: true,
+    });
+
+    const response = await server.callTool('import_table_data', {
+      filePath, columnWidths: [1, 1, 0.5], merges: [{ row: 1, column: 1, columnSpan: 2 }], units: 'in',
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.deepEqual(params.rows, [['Name', 'City', 'Note'], ['Ada', 'London; UK', ''], ['Grace "Amazing"', 'New York', 'Navy']]);
+    assert.equal(params.columns, 3);
+    assert.deepEqual(params.columnWidths, [72, 72, 36]);
+    assert.deepEqual(params.merges, [{ row: 1, column: 1, rowSpan: 1, columnSpan: 2 }]);
+    assert.deepEqual(response.structuredContent.columnWidths, [1, 1, 0.5]);
+    assert.equal(response.structuredContent.delimiter, ';');
+    assert.equal(response.content[0].text,
+      'Import Table Data: Created table 80 with 3 rows and 3 columns from CSV (utf-8); ' +
+      'the table is overset, thread more frames (link_text_frames, autoflow_story) to show the rest');
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('import_table_data turns JSON objects into a header and rows', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'people.json');
+    fs.writeFileSync(filePath, JSON.stringify([{ name: 'Ada', born: 1815 }, { name: 'Grace', city: 'New York' }]));
+    backend.respond('table.columnCount = params.columns', { id: 80, created: false, rows: 3, columns: 3, covered: 0, overset: false });
+
+    const response = await server.callTool('import_table_data', { filePath, itemId: 80, alternatingFills: { color: 'Paper' } });
+
+    const params = scriptParams(backend.lastScript);
+    assert.deepEqual(params.rows, [['name', 'born', 'city'], ['Ada', '1815', ''], ['Grace', '', 'New York']]);
+    assert.deepEqual(params.alternatingFills, { tint: 20, alternateColor: 'None', alternateTint: 100, rows: 1, color: 'Paper' });
+    assert.equal(response.content[0].text, 'Import Table Data: Filled table 80 with 3 rows and 3 columns from JSON (utf-8)');
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('import_table_data goes by the extension before the contents', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    backend.respond('table.columnCount = params.columns', { id: 80, created: true, rows: 2, columns: 2, covered: 0, overset: false });
+    const csvPath = path.join(directory, 'notes.csv');
+    fs.writeFileSync(csvPath, '[x] done,owner\n1,2\n');
+    const dataPath = path.join(directory, 'notes.data');
+    fs.writeFileSync(dataPath, '[["a", "b"], ["1", "2"]]');
+
+    const csv = await server.callTool('import_table_data', { filePath: csvPath });
+    assert.deepEqual(scriptParams(backend.lastScript).rows, [['[x] done', 'owner'], ['1', '2']]);
+    assert.equal(csv.structuredContent.format, 'csv');
+
+    const sniffed = await server.callTool('import_table_data', { filePath: dataPath });
+    assert.deepEqual(scriptParams(backend.lastScript).rows, [['a', 'b'], ['1', '2']]);
+    assert.equal(sniffed.structuredContent.format, 'json');
+
+    await assert.rejects(server.callTool('import_table_data', { filePath: csvPath, format: 'json' }), {
+      code: ErrorCode.InvalidParams, message: /Cannot parse .*notes\.csv as JSON/,
+    });
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('import_table_data decodes Windows-1252 files', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'prices.tsv');
+    fs.writeFileSync(filePath, Buffer.from('Caf\xe9\tPreis\nLatte\t3,50\n', 'latin1'));
+    backend.respond('table.columnCount = params.columns', { id: 80, created: true, rows: 2, columns: 2, covered: 0, overset: false });
+
+    const response = await server.callTool('import_table_data', { filePath });
+
+    assert.deepEqual(scriptParams(backend.lastScript).rows, [['Café', 'Preis'], ['Latte', '3,50']]);
+    assert.equal(response.structuredContent.encoding, 'windows-1252');
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('import_table_data checks the data fits before running', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'people.csv');
+    fs.writeFileSync(filePath, 'a,b\n1,2\n');
+
+    await assert.rejects(server.callTool('import_table_data', { filePath, merges: [{ row: 1, column: 1, columnSpan: 2 }] }), {
+      code: ErrorCode.InvalidParams,
+    });
+    await assert.rejects(server.callTool('import_table_data', { filePath, headerRows: 2, footerRows: 1 }), {
+      code: ErrorCode.InvalidParams,
+    });
+    await assert.rejects(server.callTool('import_table_data', { filePath, headerRows: 1, footerRows: 1 }), {
+      code: ErrorCode.InvalidParams, message: /1 header and 1 footer rows leave no body row; .* has 2 rows of data/,
+    });
+    await assert.rejects(server.callTool('import_table_data', { filePath, columnWidths: [10, 10, 10] }), {
+      code: ErrorCode.InvalidParams,
+    });
+    await assert.rejects(server.callTool('import_table_data', { filePath: path.join(directory, 'missing.csv') }), {
+      code: ErrorCode.InvalidParams,
+    });
+    assert.equal(backend.scripts.length, 0);
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('read_table writes merged cells to their top-left position in CSV', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'table.csv');
+    backend.respond('describeTable(findTable(doc, params.itemId, params.label))', TABLE);
+
+    const response = await server.callTool('read_table', { itemId: 80, filePath });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { itemId: 80 });
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'Name,"City, Country",Note\r\nAda,"London\n""UK""",\r\n');
+    assert.equal(response.structuredContent.filePath, filePath);
+    assert.equal(response.content[0].text, `Read Table: Table 80: 2 rows (1 header, 0 footer) x 3 columns, written to ${filePath}`);
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('export_tables writes one CSV file per table', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const folderPath = path.join(directory, 'tables');
+    backend.respond('doc.stories[s].tables', { document: 'Report.indd', tables: [TABLE] });
+
+    const response = await server.callTool('export_tables', { pageIndex: 0, format: 'csv', folderPath, delimiter: ';' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { pageIndex: 0 });
+    const csvPath = path.join(folderPath, 'table-80.csv');
+    assert.equal(fs.readFileSync(csvPath, 'utf8'), 'Name;City, Country;Note\r\nAda;"London\n""UK""";\r\n');
+    assert.equal(response.structuredContent.tables[0].filePath, csvPath);
+    assert.equal(response.content[0].text, `Export Tables: 1 tables written to ${folderPath}`);
+    await assert.rejects(server.callTool('export_tables', { format: 'csv' }), { code: ErrorCode.InvalidParams });
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('export_tables writes JSON', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'tables.json');
+    backend.respond('doc.stories[s].tables', { document: 'Report.indd', tables: [TABLE] });
+
+    const response = await server.callTool('export_tables', { filePath });
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { document: 'Report.indd', tables: [TABLE] });
+    assert.equal(response.content[0].text, `Export Tables: 1 tables written to ${filePath}`);
+    fs.rmSync(directory, { recursive: true });
+  });
+});
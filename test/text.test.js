@@ -0,0 +1,271 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, fakeApp, mm, runScriptAgainst, scriptParams, tempDirectory } from './helpers/fake-backend.js';
+
+describe('text frames', () => {
+  it('create_text_frame fills in defaults and converts the frame to points', async () => {
+    const { server, backend } = createServer({ config: { defaults: { fontFamily: 'Minion Pro', fontStyle: 'Regular', fontSize: 10 } } });
+    backend.respond('page.textFrames.add()', {
+      id: 21, pageIndex: 1, bounds: [28.346, 28.346, 170.079, 311.811], characterCount: 11, overflows: true,
+    });
+
+    const response = await server.callTool('create_text_frame', { content: 'Hello world', pageIndex: 1, label: 'intro' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), {
+      content: 'Hello world',
+      x: mm(10),
+      y: mm(10),
+      width: mm(100),
+      height: mm(50),
+      pageIndex: 1,
+      fontSize: 10,
+      fontFamily: 'Minion Pro',
+      fontStyle: 'Regular',
+      textColor: 'Black',
+      alignment: 'LEFT_ALIGN',
+      label: 'intro',
+    });
+    assert.equal(response.content[0].text, 'Create Text Frame: Text frame 21 created on page 2 with 11 characters (text overflows)');
+    assert.deepEqual(response.structuredContent.bounds, [10, 10, 60, 110]);
+  });
+
+  it('edit_text_frame', async () => {
+    const { server, backend } = createServer();
+    backend.respond('var updated = [];', { id: 21, label: 'intro', updated: ['content', 'textColor'] });
+
+    const response = await server.callTool('edit_text_frame', { label: 'intro', content: 'Hi', textColor: '#336699' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { label: 'intro', pageIndex: 0, content: 'Hi', textColor: '#336699' });
+    assert.equal(response.content[0].text, 'Edit Text Frame: Text frame 21 updated (content, textColor)');
+  });
+});
+
+describe('find and change', () => {
+  it('find_replace_text', async () => {
+    const { server, backend } = createServer();
+    backend.respond('changed: changed', {
+      findText: 'colour', replaceText: 'color', useGrep: false, scope: 'story', dryRun: false, found: 3, changed: 3,
+    });
+
+    const response = await server.callTool('find_replace_text', { findText: 'colour', replaceText: 'color', scope: 'story', storyId: 5 });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.findText, 'colour');
+    assert.equal(params.replaceText, 'color');
+    assert.equal(params.storyId, 5);
+    assert.equal(params.maxMatches, 200);
+    assert.equal(response.content[0].text, "Find/Replace Text: Found 3 matches for 'colour' in story, changed 3");
+  });
+
+  it('find_replace_text looks format styles up by path or name', async () => {
+    const { server, backend } = createServer();
+    backend.respond('changed: changed', { findText: 'NB', useGrep: false, scope: 'document', dryRun: false, found: 1, changed: 1 });
+
+    await server.callTool('find_replace_text', { findText: 'NB', changeFormat: { characterStyle: 'Emphasis/Strong' } });
+
+    assert.deepEqual(scriptParams(backend.lastScript).changeFormat, { characterStyle: 'Emphasis/Strong' });
+    assert.ok(backend.lastScript.includes('findStyle(doc, "character", format.characterStyle)'));
+    assert.ok(!backend.lastScript.includes('doc.allCharacterStyles'));
+  });
+
+  it('find_replace_text needs something to find and, unless dry running, something to change', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('find_replace_text', { replaceText: 'x' }), { code: ErrorCode.InvalidParams });
+    await assert.rejects(server.callTool('find_replace_text', { findText: 'x' }), { code: ErrorCode.InvalidParams });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('find_replace_text has no whole word option for GREP', async () => {
+    const { server, backend } = createServer();
+
+    await assert.rejects(server.callTool('find_replace_text', { findText: 'x', replaceText: 'y', useGrep: true, wholeWord: true }), {
+      code: ErrorCode.InvalidParams, message: /wholeWord only applies to text searches; with useGrep, put \\b around the pattern/,
+    });
+    assert.equal(backend.scripts.length, 0);
+  });
+
+  it('saves queries and runs them by name', async () => {
+    const { server, backend } = createServer();
+    backend.respond('changed: changed', { scope: 'document', dryRun: true, found: 2, changed: 0, matches: [] });
+
+    await server.callTool('find_replace_text', { findText: '\\s+$', useGrep: true, dryRun: true, saveAs: 'Trailing spaces' });
+    const response = await server.callTool('find_replace_text', { query: 'Trailing spaces', dryRun: true });
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(server.config.queriesFile, 'utf8')), {
+      'Trailing spaces': { findText: '\\s+$', caseSensitive: false, wholeWord: false, useGrep: true },
+    });
+    assert.equal(scriptParams(backend.lastScript).findText, '\\s+$');
+    assert.equal(scriptParams(backend.lastScript).useGrep, true);
+    assert.equal(response.content[0].text, "Find/Replace Text: Found 2 matches for '\\s+$' in document (dry run, nothing changed)");
+    fs.rmSync(server.config.queriesFile);
+  });
+
+  it('rejects unknown queries', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('find_replace_text', { query: 'Nope' }), { code: ErrorCode.InvalidParams });
+  });
+
+  it('list_find_change_queries', async () => {
+    const { server, backend } = createServer();
+    fs.writeFileSync(server.config.queriesFile, JSON.stringify({ Dashes: { findText: '--', replaceText: '–' } }));
+
+    const response = await server.callTool('list_find_change_queries');
+
+    assert.equal(backend.scripts.length, 0);
+    assert.equal(response.content[0].text, 'Find/Change Queries: Dashes');
+    assert.deepEqual(response.structuredContent.queries, [{ name: 'Dashes', findText: '--', replaceText: '–' }]);
+    fs.rmSync(server.config.queriesFile);
+  });
+});
+
+describe('markdown', () => {
+  it('import_markdown sends plain text with paragraph and span styles', async () => {
+    const { server, backend } = createServer();
+    backend.respond('doc.hyperlinkURLDestinations.add(link.url)', {
+      storyId: 30, frameId: 31, created: true, mode: 'append', paragraphCount: 2, characterCount: 31,
+      linkCount: 1, createdStyles: ['Strong'], overflows: false,
+    });
+
+    const response = await server.callTool('import_markdown', {
+      markdown: '# Title\n\nSome **bold** text and [a link](https://example.com).',
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.text, 'Title\rSome bold text and a link.');
+    assert.deepEqual(params.paragraphs, [
+      { style: 'Heading 1', start: 0, length: 5 },
+      { style: 'Body', start: 6, length: 26 },
+    ]);
+    assert.deepEqual(params.spans, [
+      { style: 'Strong', start: 11, length: 4 },
+      { style: 'Link', start: 25, length: 6 },
+    ]);
+    assert.deepEqual(params.links, [{ url: 'https://example.com', start: 25, length: 6 }]);
+    assert.deepEqual(params.styles.map((style) => [style.name, style.type]), [
+      ['Heading 1', 'paragraph'], ['Body', 'paragraph'], ['Strong', 'character'], ['Link', 'character'],
+    ]);
+    assert.equal(response.content[0].text, 'Import Markdown: 2 paragraphs placed in new text frame 31, created styles: Strong');
+  });
+
+  it('import_markdown reads files and maps styles', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'notes.md');
+    fs.writeFileSync(filePath, '- one\n- two\n');
+    backend.respond('doc.hyperlinkURLDestinations.add(link.url)', {
+      storyId: 30, created: false, mode: 'replace', paragraphCount: 2, createdStyles: [], overflows: true,
+    });
+
+    const response = await server.callTool('import_markdown', {
+      filePath, storyId: 30, mode: 'replace', styleMap: { bulletList: 'Bullets' },
+    });
+
+    const params = scriptParams(backend.lastScript);
+    assert.equal(params.text, 'one\rtwo');
+    assert.deepEqual(params.paragraphs.map((paragraph) => paragraph.style), ['Bullets', 'Bullets']);
+    assert.equal(response.content[0].text, 'Import Markdown: 2 paragraphs replaced story 30 (text overflows)');
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it('import_markdown finds styles inside style groups', async () => {
+    const { server, backend } = createServer();
+    const document = { reflect: { name: 'Document' } };
+    const bodyGroup = { name: 'Body', reflect: { name: 'ParagraphStyleGroup' }, parent: document };
+    backend.respond('doc.hyperlinkURLDestinations.add(link.url)', runScriptAgainst(fakeApp({
+      stories: { itemByID: (id) => ({ id, isValid: true }) },
+      allParagraphStyles: [{ name: 'Copy', parent: bodyGroup }],
+      allCharacterStyles: [],
+    })));
+
+    // "Body/Copy" resolves, so the lookup gets as far as the missing character style
+    await assert.rejects(server.callTool('import_markdown', {
+      markdown: 'Some **bold** text', storyId: 30, styleMap: { paragraph: 'Body/Copy', strong: 'Emphasis' }, createMissingStyles: false,
+    }), { message: 'Character style not found: Emphasis (Line: unknown)' });
+  });
+
+  it('import_markdown needs markdown or a file', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('import_markdown', {}), { code: ErrorCode.InvalidParams });
+  });
+
+  it('export_story_markdown converts styled paragraphs and writes the file', async () => {
+    const { server, backend } = createServer();
+    const directory = await tempDirectory();
+    const filePath = path.join(directory, 'story.md');
+    backend.respond('paragraphs.push({ style: paragraph.appliedParagraphStyle.name', {
+      storyId: 30,
+      paragraphs: [
+        { style: 'Heading 1', text: 'Title', ranges: [], links: [] },
+        {
+          style: 'Body',
+          text: 'Some bold text',
+          ranges: [{ start: 5, length: 4, characterStyle: '[None]', fontStyle: 'Bold' }],
+          links: [],
+        },
+        { style: 'Body', text: 'See docs', ranges: [], links: [{ start: 4, length: 4, url: 'https://example.com' }] },
+      ],
+    });
+
+    const response = await server.callTool('export_story_markdown', { storyId: 30, filePath });
+
+    const markdown = '# Title\n\nSome **bold** text\n\nSee [docs](https://example.com)\n';
+    assert.deepEqual(scriptParams(backend.lastScript), { storyId: 30 });
+    assert.equal(response.structuredContent.markdown, markdown);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), markdown);
+    assert.equal(response.content[0].text, `Export Story Markdown: Story 30 converted (3 paragraphs), written to ${filePath}`);
+    fs.rmSync(directory, { recursive: true });
+  });
+});
+
+describe('threading', () => {
+  it('link_text_frames', async () => {
+    const { server, backend } = createServer();
+    backend.respond('frames[l].nextTextFrame = frames[l + 1]', {
+      storyId: 40, frames: [1, 2, 3], overflows: true, overflowCharacters: 120,
+    });
+
+    const response = await server.callTool('link_text_frames', { labels: ['col-1', 'col-2', 'col-3'] });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { targets: ['col-1', 'col-2', 'col-3'], byLabel: true });
+    assert.equal(response.content[0].text, 'Link Text Frames: Story 40 now flows through frames 1 > 2 > 3 (120 characters overset)');
+  });
+
+  it('link_text_frames needs two frames', async () => {
+    const { server } = createServer();
+    await assert.rejects(server.callTool('link_text_frames', { itemIds: [1] }), { code: ErrorCode.InvalidParams });
+  });
+
+  it('list_overset_stories', async () => {
+    const { server, backend } = createServer();
+    backend.respond('oversetCount: overset.length', {
+      oversetCount: 1,
+      stories: [{ storyId: 40, lastFrameId: 3, pageIndex: 2, pageName: '3', overflowCharacters: 120 }],
+    });
+
+    const response = await server.callTool('list_overset_stories');
+
+    assert.deepEqual(scriptParams(backend.lastScript), { previewLength: 60 });
+    assert.equal(response.content[0].text, 'Overset Stories: story 40: 120 characters after page 3');
+  });
+
+  it('autoflow_story', async () => {
+    const { server, backend } = createServer();
+    backend.respond('while (story.overflows && added.length < params.maxPages)', {
+      storyId: 40,
+      pagesAdded: 2,
+      frames: [{ id: 50, pageIndex: 3, pageName: '4', bounds: [0, 0, 72, 72] }],
+      overflows: false,
+      overflowCharacters: 0,
+    });
+
+    const response = await server.callTool('autoflow_story', { storyId: 40, maxPages: 5, units: 'in' });
+
+    assert.deepEqual(scriptParams(backend.lastScript), { storyId: 40, maxPages: 5 });
+    assert.equal(response.content[0].text, 'Autoflow Story: 2 pages added to story 40; all text placed');
+    assert.deepEqual(response.structuredContent.frames[0].bounds, [0, 0, 1, 1]);
+  });
+});